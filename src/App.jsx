@@ -1,23 +1,209 @@
-import { useState } from 'react'
+import { useEffect, useMemo, useState } from 'react'
 import { useElectricityModel } from './hooks/useElectricityModel'
 import { useHistoricalData } from './hooks/useHistoricalData'
-import { DataManager } from './components/Import/DataManager'
+import { usePersistentState } from './hooks/usePersistentState'
+import { useBaselineModels } from './hooks/useBaselineModels'
+import { useChangeJournal } from './hooks/useChangeJournal'
+import { DEFAULT_HOUSEHOLD_ID, STORAGE_KEYS, deleteHousehold, readHousehold, writeHousehold } from './utils/storage'
+import { DEFAULT_RESIDENTS } from './utils/constants'
+import { DEFAULT_BILLS, addOccupancyCounts } from './utils/bills'
+import { DEFAULT_POLICIES, DEFAULT_POLICY_ID, findPolicy } from './utils/policies'
+import { LEGAL_MIN_MODEL_ID, formatModelFormula, getLegalMinModel } from './utils/models'
+import { DEFAULT_RATE_SCHEDULES, findRateSchedule } from './utils/tariffs'
+import { formatDate } from './utils/dateHelpers'
+import { DEFAULT_TIME_WINDOW } from './utils/calculations'
+import { DEFAULT_OCCUPANCY_CALENDAR } from './utils/occupancy'
+import { DEFAULT_THERMOSTAT_LOG } from './utils/thermostat'
+import { DEFAULT_APPLIANCES } from './utils/appliances'
+import { joinWeather } from './utils/weather'
+import { DEFAULT_IMPORT_PROFILES } from './utils/columnMapping'
+import { DEFAULT_DATA_EXCLUSIONS, excludeDays, isExcluded } from './utils/dataQuality'
+import { DEFAULT_GAP_FILLING, GAP_FILL_STRATEGIES, fillGaps } from './utils/gapFilling'
+import { COPYABLE_SECTIONS, DEFAULT_HOUSEHOLDS, findHousehold, getNewHouseholdState, mergeCopiedConfiguration } from './utils/households'
+import { BACKUP_SECTIONS } from './utils/backup'
+import { DataManager, BackupManager } from './components/Import'
 import { DecemberBaseline } from './components/December'
-import { DecemberBillSplit } from './components/DecemberBill'
+import { Bills } from './components/Bills'
+import { DateRangeCalculator } from './components/DateRange'
 import { JanuaryBaseline } from './components/January'
 import { Calculations } from './components/Calculations'
+import { ResidentsEditor } from './components/Residents'
+import { OccupancyCalendar } from './components/Occupancy'
+import { PolicyEditor } from './components/Policies'
+import { ModelEditor } from './components/Models'
+import { TariffEditor } from './components/Tariffs'
+import { ThermostatLog } from './components/Thermostat'
+import { ApplianceEditor } from './components/Appliances'
+import { WeatherImport } from './components/Weather'
+import { DataQualityReport, GapFilling } from './components/DataQuality'
+import { ChangeHistory } from './components/History'
+import { HouseholdManager, HouseholdSelector } from './components/Households'
 import './index.css'
 
-function App() {
+function App({ householdId = DEFAULT_HOUSEHOLD_ID, onOpenHousehold }) {
   const [outdoorTemp, setOutdoorTemp] = useState(30)
   const [actualUsage, setActualUsage] = useState(null)
-  const [mode, setMode] = useState('december') // 'december' | 'december-bill' | 'january' | 'calculations' | 'data'
+  // The December and January baselines analyse the original apartment's
+  // Dec 2025/Jan 2026 usage and residents, so other households don't get them
+  const hasBaselines = householdId === DEFAULT_HOUSEHOLD_ID
+  const [mode, setMode] = useState(hasBaselines ? 'december' : 'bills') // 'december' | 'bills' | 'time-window' | 'january' | 'calculations' | 'data'
 
-  // Load historical data for time window calculations
-  const { data: historicalData, loading: loadingData, importData, export: exportData, clearData, refresh: loadData } = useHistoricalData()
+  // Households kept in this installation, shared by all of them (persisted)
+  const [households, setHouseholds] = usePersistentState(STORAGE_KEYS.households, DEFAULT_HOUSEHOLDS)
+  const household = findHousehold(households, householdId)
+
+  useEffect(() => {
+    document.title = `${household.name} Electricity Estimator`
+  }, [household.name])
+
+  // Load historical data for time window calculations (the embedded CSV is the default household's)
+  const { data: usageData, loading: loadingData, importRecords, replaceData, export: exportData, clearData, refresh: loadData } = useHistoricalData({ embedded: householdId === DEFAULT_HOUSEHOLD_ID })
+
+  // Outdoor temperatures by date, imported separately from usage (persisted)
+  const [weather, setWeather] = usePersistentState(STORAGE_KEYS.weather, {})
+
+  // Usage joined to the weather; days with no temperature anywhere are kept out of the models and splits
+  const { data: joinedData, missing: missingTemperature } = useMemo(
+    () => joinWeather(usageData, weather),
+    [usageData, weather]
+  )
+
+  // Days left out of model fitting or splitting from the data quality report (persisted)
+  const [dataExclusions, setDataExclusions] = usePersistentState(STORAGE_KEYS.dataExclusions, DEFAULT_DATA_EXCLUSIONS)
+
+  // Household residents (persisted)
+  const [residents, setResidents] = usePersistentState(STORAGE_KEYS.residents, DEFAULT_RESIDENTS)
+
+  // Saved bills (persisted)
+  const [bills, setBills] = usePersistentState(STORAGE_KEYS.bills, DEFAULT_BILLS)
+
+  // Split policies (persisted)
+  const [policies, setPolicies] = usePersistentState(STORAGE_KEYS.policies, DEFAULT_POLICIES)
+
+  // Dated rate schedules (persisted)
+  const [rateSchedules, setRateSchedules] = usePersistentState(STORAGE_KEYS.rateSchedules, DEFAULT_RATE_SCHEDULES)
+
+  // Date range, occupancy periods and policy of the time window calculator (persisted)
+  const [timeWindow, setTimeWindow] = usePersistentState(STORAGE_KEYS.timeWindow, DEFAULT_TIME_WINDOW)
+
+  // Who was home on which day, painted in the occupancy calendar (persisted)
+  const [occupancyCalendar, setOccupancyCalendar] = usePersistentState(STORAGE_KEYS.occupancyCalendar, DEFAULT_OCCUPANCY_CALENDAR)
+
+  // Every change made to the thermostat and who made it (persisted)
+  const [thermostatLog, setThermostatLog] = usePersistentState(STORAGE_KEYS.thermostatLog, DEFAULT_THERMOSTAT_LOG)
+
+  // Residents' personal appliances, charged to their owners (persisted)
+  const [appliances, setAppliances] = usePersistentState(STORAGE_KEYS.appliances, DEFAULT_APPLIANCES)
+
+  // Usage data with each day's occupancy count from the bills and calendar, for occupancy-based models
+  const modelData = useMemo(
+    () => addOccupancyCounts(excludeDays(joinedData, dataExclusions, 'fitting'), bills, residents, occupancyCalendar),
+    [joinedData, dataExclusions, bills, residents, occupancyCalendar]
+  )
+
+  // Every stored day, excluded or without a temperature, for the data quality report
+  const qualityData = useMemo(
+    () => addOccupancyCounts(
+      [...joinedData, ...missingTemperature].sort((a, b) => a.date.localeCompare(b.date)),
+      bills, residents, occupancyCalendar
+    ),
+    [joinedData, missingTemperature, bills, residents, occupancyCalendar]
+  )
+
+  // Baseline model registry (persisted, fitted once against the usage data)
+  const { models, setModels, refitModel, refitAllModels } = useBaselineModels(modelData)
+
+  // Which model the legal minimum baseline uses (persisted)
+  const [legalMinModelId, setLegalMinModelId] = usePersistentState(STORAGE_KEYS.legalMinModelId, LEGAL_MIN_MODEL_ID)
+  const legalMinModel = getLegalMinModel(models, legalMinModelId)
+
+  // How days missing from the usage are filled in for the splits (persisted)
+  const [gapFilling, setGapFilling] = usePersistentState(STORAGE_KEYS.gapFilling, DEFAULT_GAP_FILLING)
+
+  // Usage the splits run on: excluded days left out (never filled), gaps filled in if chosen
+  const { data: historicalData, filled: filledDays } = useMemo(
+    () => fillGaps(
+      excludeDays(joinedData, dataExclusions, 'splitting'),
+      excludeDays(missingTemperature, dataExclusions, 'splitting'),
+      gapFilling.strategy,
+      {
+        model: legalMinModel,
+        bills,
+        weather,
+        schedules: rateSchedules,
+        excluded: [...joinedData, ...missingTemperature].filter((record) => isExcluded(dataExclusions, record.date, 'splitting')),
+      }
+    ),
+    [joinedData, missingTemperature, dataExclusions, gapFilling, legalMinModel, bills, weather, rateSchedules]
+  )
+
+  // Column mappings saved for other utilities' CSV layouts (persisted)
+  const [importProfiles, setImportProfiles] = usePersistentState(STORAGE_KEYS.importProfiles, DEFAULT_IMPORT_PROFILES)
+
+  // Everything a JSON backup holds, and where each restored section goes
+  const backupState = {
+    usage: usageData, weather, residents, occupancyCalendar, timeWindow, thermostatLog,
+    appliances, models, legalMinModelId, rateSchedules, policies, bills, importProfiles, dataExclusions,
+    gapFilling,
+  }
+  const backupSetters = {
+    usage: replaceData, weather: setWeather, residents: setResidents, occupancyCalendar: setOccupancyCalendar,
+    timeWindow: setTimeWindow, thermostatLog: setThermostatLog, appliances: setAppliances, models: setModels,
+    legalMinModelId: setLegalMinModelId, rateSchedules: setRateSchedules, policies: setPolicies, bills: setBills,
+    importProfiles: setImportProfiles, dataExclusions: setDataExclusions, gapFilling: setGapFilling,
+  }
+
+  // Every change to those sections is journaled, so it can be undone (persisted)
+  const changes = useChangeJournal(backupState, backupSetters)
+  const edit = changes.setters
+
+  const restoreBackup = (data) => changes.commit('Restored a backup', data)
+
+  const importUsage = (result, resolutions, source) => {
+    const imported = importRecords(result, resolutions)
+    if (imported.success) {
+      changes.record(source ? `Imported ${source}` : 'Imported usage', { usage: imported.data })
+    }
+    return imported
+  }
+  const clearUsage = () => {
+    changes.record('Cleared the usage cache', { usage: [] })
+    clearData()
+  }
+  const reloadUsage = async () => {
+    const loaded = await loadData()
+    changes.record('Reloaded the usage from the embedded CSV', { usage: loaded })
+  }
+
+  // Each household's data is stored apart; a new one starts with one resident and no usage or bills
+  const addHousehold = async (newHousehold) => {
+    await writeHousehold(newHousehold.id, getNewHouseholdState())
+    setHouseholds((current) => [...current, newHousehold])
+  }
+  const removeHousehold = async (id) => {
+    await deleteHousehold(id)
+    setHouseholds((current) => current.filter((h) => h.id !== id))
+  }
+  const copyConfiguration = async (sourceId, sections) => {
+    const stored = await readHousehold(sourceId, sections.map((section) => COPYABLE_SECTIONS[section].storageKey))
+    const copied = Object.fromEntries(sections.map((section) => {
+      const { storageKey, fallback } = COPYABLE_SECTIONS[section]
+      return [section, mergeCopiedConfiguration(section, backupState[section], stored[storageKey] ?? fallback, residents)]
+    }))
+    const labels = sections.map((section) => BACKUP_SECTIONS[section].label.toLowerCase()).join(' and ')
+    changes.commit(`Copied ${labels} from ${findHousehold(households, sourceId).name}`, copied)
+  }
 
   // Use the refactored calculation hook
-  const calculation = useElectricityModel(actualUsage, outdoorTemp, 'flatmate')
+  const calculation = useElectricityModel(
+    actualUsage,
+    outdoorTemp,
+    null,
+    residents,
+    findPolicy(policies, DEFAULT_POLICY_ID),
+    legalMinModel,
+    findRateSchedule(rateSchedules, formatDate(new Date()))
+  )
 
   // Extract values for easier use in JSX
   const legalMinUsage = calculation.legalMinUsage
@@ -25,8 +211,7 @@ function App() {
   const actualCost = calculation.actualCost || legalMinCost
   const excessUsage = calculation.excessUsage || 0
   const excessCost = calculation.excessCost || 0
-  const yourShare = calculation.yourShare
-  const flatmateShare = calculation.flatmateShare
+  const shares = calculation.shares
 
   return (
     <div style={{
@@ -50,8 +235,9 @@ function App() {
           marginBottom: '8px',
           textAlign: 'center'
         }}>
-          4046 Chestnut Apt 102
+          {household.name}
         </h1>
+        <HouseholdSelector households={households} currentId={household.id} onOpen={onOpenHousehold} />
         <h2 style={{
           fontSize: '20px',
           fontWeight: '500',
@@ -75,7 +261,7 @@ function App() {
         }}>
           <strong>📊 Baseline Model:</strong> Derived from Jan 2+ data (thermostat at legal minimum 60°F)<br/>
           <span style={{ fontSize: '12px', opacity: 0.9 }}>
-            Legal Minimum = 50.75 - (0.888 × Outdoor Temp °F)
+            Legal Minimum ({legalMinModel?.name}): {formatModelFormula(legalMinModel)}
           </span>
         </div>
 
@@ -87,54 +273,74 @@ function App() {
           justifyContent: 'center',
           flexWrap: 'wrap'
         }}>
+          {hasBaselines && (
+            <button
+              onClick={() => setMode('december')}
+              style={{
+                padding: '12px 24px',
+                borderRadius: '8px',
+                border: 'none',
+                background: mode === 'december' ? '#3b82f6' : '#e2e8f0',
+                color: mode === 'december' ? 'white' : '#4a5568',
+                fontWeight: '600',
+                cursor: 'pointer',
+                fontSize: '16px',
+                transition: 'all 0.2s'
+              }}
+            >
+              December Baseline (Dec 3+)
+            </button>
+          )}
           <button
-            onClick={() => setMode('december')}
+            onClick={() => setMode('bills')}
             style={{
               padding: '12px 24px',
               borderRadius: '8px',
               border: 'none',
-              background: mode === 'december' ? '#3b82f6' : '#e2e8f0',
-              color: mode === 'december' ? 'white' : '#4a5568',
+              background: mode === 'bills' ? '#3b82f6' : '#e2e8f0',
+              color: mode === 'bills' ? 'white' : '#4a5568',
               fontWeight: '600',
               cursor: 'pointer',
               fontSize: '16px',
               transition: 'all 0.2s'
             }}
           >
-            December Baseline (Dec 3+)
+            Bills
           </button>
           <button
-            onClick={() => setMode('december-bill')}
+            onClick={() => setMode('time-window')}
             style={{
               padding: '12px 24px',
               borderRadius: '8px',
               border: 'none',
-              background: mode === 'december-bill' ? '#3b82f6' : '#e2e8f0',
-              color: mode === 'december-bill' ? 'white' : '#4a5568',
+              background: mode === 'time-window' ? '#3b82f6' : '#e2e8f0',
+              color: mode === 'time-window' ? 'white' : '#4a5568',
               fontWeight: '600',
               cursor: 'pointer',
               fontSize: '16px',
               transition: 'all 0.2s'
             }}
           >
-            December Bill (Nov 22-Dec 29)
-          </button>
-          <button
-            onClick={() => setMode('january')}
-            style={{
-              padding: '12px 24px',
-              borderRadius: '8px',
-              border: 'none',
-              background: mode === 'january' ? '#3b82f6' : '#e2e8f0',
-              color: mode === 'january' ? 'white' : '#4a5568',
-              fontWeight: '600',
-              cursor: 'pointer',
-              fontSize: '16px',
-              transition: 'all 0.2s'
-            }}
-          >
-            January Baseline (Jan 2+)
+            Any Date Range
           </button>
+          {hasBaselines && (
+            <button
+              onClick={() => setMode('january')}
+              style={{
+                padding: '12px 24px',
+                borderRadius: '8px',
+                border: 'none',
+                background: mode === 'january' ? '#3b82f6' : '#e2e8f0',
+                color: mode === 'january' ? 'white' : '#4a5568',
+                fontWeight: '600',
+                cursor: 'pointer',
+                fontSize: '16px',
+                transition: 'all 0.2s'
+              }}
+            >
+              January Baseline (Jan 2+)
+            </button>
+          )}
           <button
             onClick={() => setMode('calculations')}
             style={{
@@ -170,7 +376,7 @@ function App() {
         </div>
 
         {/* Temperature Input (only for december/january baseline modes) */}
-        {(mode === 'december' || mode === 'january') && (
+        {hasBaselines && (mode === 'december' || mode === 'january') && (
           <div style={{ marginBottom: '32px' }}>
             <label style={{
               display: 'block',
@@ -219,29 +425,138 @@ function App() {
           </div>
         )}
 
+      {missingTemperature.length > 0 && gapFilling.strategy === 'none' && mode !== 'data' && (
+        <div style={{
+          padding: '12px',
+          background: '#fffbeb',
+          border: '1px solid #fcd34d',
+          borderRadius: '6px',
+          fontSize: '13px',
+          color: '#92400e',
+          marginBottom: '16px',
+        }}>
+          ⚠️ {missingTemperature.length} days of usage have no temperature and are left out of these results.
+          Import weather data for them under "Manage Data".
+        </div>
+      )}
+
+      {filledDays.length > 0 && mode !== 'data' && mode !== 'calculations' && (
+        <div style={{
+          padding: '12px',
+          background: '#fffbeb',
+          border: '1px solid #fcd34d',
+          borderRadius: '6px',
+          fontSize: '13px',
+          color: '#92400e',
+          marginBottom: '16px',
+        }}>
+          🩹 {filledDays.length} days with missing usage or temperature are filled in
+          ({GAP_FILL_STRATEGIES[gapFilling.strategy].label.toLowerCase()}). Change this under "Manage Data".
+        </div>
+      )}
+
       {/* December Baseline Mode */}
-      {mode === 'december' && (
-        <DecemberBaseline historicalData={historicalData} outdoorTemp={outdoorTemp} />
+      {hasBaselines && mode === 'december' && (
+        <DecemberBaseline historicalData={historicalData} outdoorTemp={outdoorTemp} residents={residents} policies={policies} models={models} rateSchedules={rateSchedules} occupancyCalendar={occupancyCalendar} thermostatLog={thermostatLog} appliances={appliances} />
+      )}
+
+      {/* Bills Mode */}
+      {mode === 'bills' && (
+        <Bills
+          bills={bills}
+          onChange={edit.bills}
+          historicalData={historicalData}
+          residents={residents}
+          policies={policies}
+          models={models}
+          rateSchedules={rateSchedules}
+          occupancyCalendar={occupancyCalendar}
+          thermostatLog={thermostatLog}
+          appliances={appliances}
+        />
       )}
 
-      {/* December Bill Mode */}
-      {mode === 'december-bill' && (
-        <DecemberBillSplit historicalData={historicalData} />
+      {/* Time Window Mode */}
+      {mode === 'time-window' && (
+        <DateRangeCalculator
+          timeWindow={timeWindow}
+          onChange={edit.timeWindow}
+          historicalData={historicalData}
+          residents={residents}
+          policies={policies}
+          models={models}
+          legalMinModelId={legalMinModelId}
+          rateSchedules={rateSchedules}
+          occupancyCalendar={occupancyCalendar}
+          onOccupancyCalendarChange={edit.occupancyCalendar}
+          thermostatLog={thermostatLog}
+          appliances={appliances}
+        />
       )}
 
       {/* January Baseline Mode */}
-      {mode === 'january' && (
-        <JanuaryBaseline historicalData={historicalData} outdoorTemp={outdoorTemp} />
+      {hasBaselines && mode === 'january' && (
+        <JanuaryBaseline historicalData={historicalData} outdoorTemp={outdoorTemp} residents={residents} policies={policies} models={models} legalMinModelId={legalMinModelId} rateSchedules={rateSchedules} occupancyCalendar={occupancyCalendar} thermostatLog={thermostatLog} appliances={appliances} />
       )}
 
       {/* Calculations Mode */}
       {mode === 'calculations' && (
-        <Calculations historicalData={historicalData} />
+        <Calculations historicalData={modelData} models={models} legalMinModelId={legalMinModelId} onRefitModel={refitModel} />
       )}
 
       {/* Data Management Mode */}
       {mode === 'data' && (
-        <DataManager historicalData={historicalData} onImport={importData} onExport={exportData} onClear={clearData} onRefresh={loadData} />
+        <>
+          <HouseholdManager
+            households={households}
+            currentId={household.id}
+            onChange={setHouseholds}
+            onAdd={addHousehold}
+            onDelete={removeHousehold}
+            onOpen={onOpenHousehold}
+            onCopy={copyConfiguration}
+          />
+          <ResidentsEditor residents={residents} onChange={edit.residents} />
+          <OccupancyCalendar
+            calendar={occupancyCalendar}
+            residents={residents}
+            onChange={edit.occupancyCalendar}
+            initialMonth={historicalData.length > 0 ? historicalData[historicalData.length - 1].date.slice(0, 7) : undefined}
+          />
+          <ThermostatLog log={thermostatLog} residents={residents} onChange={edit.thermostatLog} />
+          <ApplianceEditor appliances={appliances} residents={residents} onChange={edit.appliances} />
+          <PolicyEditor policies={policies} residents={residents} onChange={edit.policies} />
+          <ModelEditor
+            models={models}
+            onChange={edit.models}
+            legalMinModelId={legalMinModelId}
+            onLegalMinModelChange={edit.legalMinModelId}
+          />
+          <TariffEditor schedules={rateSchedules} onChange={edit.rateSchedules} />
+          <WeatherImport weather={weather} onChange={edit.weather} missingTemperature={missingTemperature} />
+          <DataQualityReport
+            records={qualityData}
+            models={models}
+            legalMinModelId={legalMinModelId}
+            exclusions={dataExclusions}
+            onExclusionsChange={edit.dataExclusions}
+            onRefitModels={refitAllModels}
+          />
+          <GapFilling settings={gapFilling} onChange={edit.gapFilling} filledDays={filledDays} />
+          <BackupManager state={backupState} onRestore={restoreBackup} />
+          <DataManager historicalData={usageData} filledDays={filledDays} embeddedData={householdId === DEFAULT_HOUSEHOLD_ID} importProfiles={importProfiles} onImportProfilesChange={edit.importProfiles} onImportRecords={importUsage} onExport={exportData} onClear={clearUsage} onRefresh={reloadUsage} />
+          <ChangeHistory
+            journal={changes.journal}
+            residents={residents}
+            author={changes.author}
+            onAuthorChange={changes.setAuthor}
+            undoEntry={changes.undoEntry}
+            redoEntry={changes.redoEntry}
+            onUndo={changes.undo}
+            onRedo={changes.redo}
+            onRestore={changes.restoreTo}
+          />
+        </>
       )}
       </div>
     </div>
@@ -0,0 +1,93 @@
+/**
+ * ApplianceCharges Component
+ *
+ * Audit of a period's personal appliances: the kWh estimated for each and
+ * what was charged to its owner before the rest of the usage was split.
+ * ApplianceLines shows the same for a single day in a daily table.
+ */
+
+export function ApplianceCharges({ appliances, residents }) {
+  if (!appliances || appliances.length === 0) return null;
+
+  const ownerName = (id) => residents.find((resident) => resident.id === id)?.name || id;
+
+  return (
+    <div style={{
+      background: 'white',
+      border: '1px solid #e2e8f0',
+      borderRadius: '8px',
+      padding: '20px',
+      marginBottom: '24px',
+    }}>
+      <h3 style={{
+        fontSize: '16px',
+        fontWeight: '600',
+        color: '#4a5568',
+        marginBottom: '8px',
+      }}>
+        🔌 Personal Appliances
+      </h3>
+      <p style={{ fontSize: '13px', color: '#718096', marginBottom: '16px' }}>
+        Each appliance's estimated use is charged to its owner at the usage rate before the rest of the
+        day is split; the daily table shows the line for every day.
+      </p>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+        <thead>
+          <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+            <TableHeader>Appliance</TableHeader>
+            <TableHeader>Owner</TableHeader>
+            <TableHeader>Days</TableHeader>
+            <TableHeader>Estimated Use</TableHeader>
+            <TableHeader>Charged</TableHeader>
+          </tr>
+        </thead>
+        <tbody>
+          {appliances.map((appliance) => (
+            <tr key={appliance.id} style={{ borderBottom: '1px solid #e2e8f0' }}>
+              <td style={{ padding: '8px 12px', fontWeight: '500', color: '#2d3748' }}>{appliance.name}</td>
+              <td style={{ padding: '8px 12px', color: '#4b5563' }}>{ownerName(appliance.ownerId)}</td>
+              <td style={{ padding: '8px 12px', color: '#4b5563' }}>{appliance.days}</td>
+              <td style={{ padding: '8px 12px', color: '#4b5563' }}>{appliance.kwh.toFixed(1)} kWh</td>
+              <td style={{ padding: '8px 12px', fontWeight: '600', color: '#2d3748' }}>${appliance.cost.toFixed(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export function ApplianceLines({ appliances, residents }) {
+  if (!appliances || appliances.length === 0) return null;
+
+  const ownerName = (id) => residents.find((resident) => resident.id === id)?.name || id;
+
+  return (
+    <div style={{ fontSize: '10px', fontWeight: '400', color: '#9ca3af' }}>
+      {appliances.map((line) => (
+        <div key={line.id} title={line.logged ? 'Hours from the usage log' : 'Typical hours per day'}>
+          🔌 {line.name} ({ownerName(line.ownerId)}): {line.kwh.toFixed(1)} kWh · ${line.cost.toFixed(2)}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function TableHeader({ children }) {
+  return (
+    <th
+      style={{
+        padding: '8px 12px',
+        textAlign: 'left',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#718096',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+      }}
+    >
+      {children}
+    </th>
+  );
+}
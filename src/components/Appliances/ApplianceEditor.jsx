@@ -0,0 +1,286 @@
+/**
+ * ApplianceEditor Component
+ *
+ * Registers residents' personal appliances (owner, rated wattage, typical
+ * hours per day, when they had it) and logs the hours actually used on
+ * particular days. Their estimated use is charged to the owner before the
+ * baseline/excess split (see appliances.js).
+ */
+
+import { useState } from 'react';
+import { createAppliance } from '../../utils/appliances';
+import { formatDate, formatDisplayDate } from '../../utils/dateHelpers';
+
+export function ApplianceEditor({ appliances, residents, onChange }) {
+  const handleAddAppliance = () => {
+    onChange([...appliances, createAppliance(residents[0]?.id || null, formatDate(new Date()))]);
+  };
+
+  const handleUpdateAppliance = (id, updates) => {
+    onChange(appliances.map((appliance) => (appliance.id === id ? { ...appliance, ...updates } : appliance)));
+  };
+
+  const handleRemoveAppliance = (id) => {
+    onChange(appliances.filter((appliance) => appliance.id !== id));
+  };
+
+  return (
+    <div
+      style={{
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '16px',
+      }}
+    >
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '12px',
+        }}
+      >
+        <h3
+          style={{
+            fontSize: '16px',
+            fontWeight: '600',
+            color: '#4a5568',
+          }}
+        >
+          🔌 Personal Appliances ({appliances.length})
+        </h3>
+        <button
+          onClick={handleAddAppliance}
+          style={{
+            padding: '6px 12px',
+            fontSize: '13px',
+            fontWeight: '500',
+            borderRadius: '6px',
+            border: 'none',
+            background: '#3b82f6',
+            color: 'white',
+            cursor: 'pointer',
+          }}
+        >
+          + Add Appliance
+        </button>
+      </div>
+      <p style={{ fontSize: '14px', color: '#718096', marginBottom: '12px' }}>
+        An appliance that belongs to one resident (a space heater, a gaming PC) is charged to its owner:
+        rated watts × hours used, priced at the usage rate, before the rest of the day is split. Days without
+        a logged number of hours use the typical hours per day, for the part of the day the owner was home.
+      </p>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        {appliances.map((appliance) => (
+          <div
+            key={appliance.id}
+            style={{
+              background: '#f7fafc',
+              border: '1px solid #e2e8f0',
+              borderRadius: '8px',
+              padding: '12px 16px',
+            }}
+          >
+            <div
+              style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(auto-fit, minmax(130px, 1fr))',
+                gap: '8px',
+                alignItems: 'end',
+              }}
+            >
+              <Field label="Name">
+                <input
+                  type="text"
+                  value={appliance.name}
+                  onChange={(e) => handleUpdateAppliance(appliance.id, { name: e.target.value })}
+                  style={inputStyle}
+                />
+              </Field>
+              <Field label="Owner">
+                <select
+                  value={appliance.ownerId || ''}
+                  onChange={(e) => handleUpdateAppliance(appliance.id, { ownerId: e.target.value })}
+                  style={inputStyle}
+                >
+                  {residents.map((resident) => (
+                    <option key={resident.id} value={resident.id}>
+                      {resident.name}
+                    </option>
+                  ))}
+                </select>
+              </Field>
+              <Field label="Rated Watts">
+                <input
+                  type="number"
+                  min="0"
+                  step="50"
+                  value={appliance.watts}
+                  onChange={(e) => handleUpdateAppliance(appliance.id, { watts: Number(e.target.value) })}
+                  style={inputStyle}
+                />
+              </Field>
+              <Field label="Hours / Day">
+                <input
+                  type="number"
+                  min="0"
+                  max="24"
+                  step="0.5"
+                  value={appliance.hoursPerDay}
+                  onChange={(e) => handleUpdateAppliance(appliance.id, { hoursPerDay: Number(e.target.value) })}
+                  style={inputStyle}
+                />
+              </Field>
+              <Field label="From">
+                <input
+                  type="date"
+                  value={appliance.start}
+                  onChange={(e) => e.target.value && handleUpdateAppliance(appliance.id, { start: e.target.value })}
+                  style={inputStyle}
+                />
+              </Field>
+              <Field label="Until (blank = still in use)">
+                <input
+                  type="date"
+                  value={appliance.end || ''}
+                  onChange={(e) => handleUpdateAppliance(appliance.id, { end: e.target.value || null })}
+                  style={inputStyle}
+                />
+              </Field>
+              <button
+                onClick={() => handleRemoveAppliance(appliance.id)}
+                style={{
+                  padding: '8px',
+                  fontSize: '12px',
+                  borderRadius: '6px',
+                  border: '1px solid #fecaca',
+                  background: '#fef2f2',
+                  color: '#991b1b',
+                  cursor: 'pointer',
+                }}
+              >
+                Remove
+              </button>
+            </div>
+            <div style={{ fontSize: '12px', color: '#4a5568', marginTop: '6px' }}>
+              About {((Number(appliance.watts) || 0) * (Number(appliance.hoursPerDay) || 0) / 1000).toFixed(1)} kWh
+              on a typical day
+            </div>
+            <UsageLog
+              usageLog={appliance.usageLog || {}}
+              onChange={(usageLog) => handleUpdateAppliance(appliance.id, { usageLog })}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Hours actually used on particular days
+function UsageLog({ usageLog, onChange }) {
+  const [date, setDate] = useState('');
+  const [hours, setHours] = useState('');
+
+  const handleLog = () => {
+    onChange({ ...usageLog, [date]: Number(hours) });
+    setDate('');
+    setHours('');
+  };
+
+  const handleRemove = (logDate) => {
+    const next = { ...usageLog };
+    delete next[logDate];
+    onChange(next);
+  };
+
+  const canLog = /^\d{4}-\d{2}-\d{2}$/.test(date) && hours !== '' && Number(hours) >= 0;
+
+  return (
+    <div style={{ marginTop: '8px', fontSize: '12px', color: '#718096' }}>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap' }}>
+        Usage log:
+        {Object.keys(usageLog).sort().map((logDate) => (
+          <span
+            key={logDate}
+            style={{
+              padding: '2px 6px',
+              borderRadius: '4px',
+              background: 'white',
+              border: '1px solid #e2e8f0',
+              color: '#4a5568',
+            }}
+          >
+            {formatDisplayDate(logDate, 'MMM d')}: {usageLog[logDate]} h{' '}
+            <button
+              onClick={() => handleRemove(logDate)}
+              style={{ border: 'none', background: 'none', color: '#991b1b', cursor: 'pointer', fontSize: '11px' }}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+        {Object.keys(usageLog).length === 0 && <span>nothing logged</span>}
+      </div>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginTop: '6px' }}>
+        <input type="date" value={date} onChange={(e) => setDate(e.target.value)} style={{ ...inputStyle, width: 'auto' }} />
+        <input
+          type="number"
+          min="0"
+          max="24"
+          step="0.5"
+          placeholder="Hours"
+          value={hours}
+          onChange={(e) => setHours(e.target.value)}
+          style={{ ...inputStyle, width: '80px' }}
+        />
+        <button
+          onClick={handleLog}
+          disabled={!canLog}
+          style={{
+            padding: '6px 10px',
+            fontSize: '12px',
+            borderRadius: '6px',
+            border: '1px solid #3b82f6',
+            background: 'white',
+            color: '#3b82f6',
+            cursor: canLog ? 'pointer' : 'not-allowed',
+            opacity: canLog ? 1 : 0.6,
+          }}
+        >
+          Log Hours
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const inputStyle = {
+  width: '100%',
+  padding: '6px 10px',
+  fontSize: '13px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '6px',
+  outline: 'none',
+};
+
+function Field({ label, children }) {
+  return (
+    <div>
+      <label
+        style={{
+          display: 'block',
+          fontSize: '12px',
+          color: '#718096',
+          marginBottom: '4px',
+        }}
+      >
+        {label}
+      </label>
+      {children}
+    </div>
+  );
+}
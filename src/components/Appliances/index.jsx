@@ -0,0 +1,2 @@
+export { ApplianceEditor } from './ApplianceEditor';
+export { ApplianceCharges, ApplianceLines } from './ApplianceCharges';
@@ -0,0 +1,294 @@
+/**
+ * BillEditor Component
+ *
+ * Edits a saved bill record: billing dates, amount charged, kWh billed,
+ * how the split is reconciled to the amount charged and the sub-periods (model, occupancy and split policy) used to split it.
+ */
+
+import { createBillPeriod, getPeriodPolicyId } from '../../utils/bills';
+import { DEFAULT_RECONCILIATION_METHOD, RECONCILIATION_METHODS } from '../../utils/reconciliation';
+
+export function BillEditor({ bill, residents, policies, models, onChange }) {
+  const handleFieldChange = (field, value) => {
+    onChange({ ...bill, [field]: value });
+  };
+
+  const handleUpdatePeriod = (id, updates) => {
+    onChange({
+      ...bill,
+      periods: bill.periods.map((period) => (period.id === id ? { ...period, ...updates } : period)),
+    });
+  };
+
+  const handleTogglePresence = (period, residentId) => {
+    handleUpdatePeriod(period.id, {
+      occupancy: {
+        ...period.occupancy,
+        [residentId]: period.occupancy[residentId] > 0 ? 0 : 1,
+      },
+    });
+  };
+
+  const handleAddPeriod = () => {
+    const lastPeriod = bill.periods[bill.periods.length - 1];
+    const start = lastPeriod ? lastPeriod.end : bill.start;
+    onChange({ ...bill, periods: [...bill.periods, createBillPeriod(start, bill.end, residents)] });
+  };
+
+  const handleRemovePeriod = (id) => {
+    onChange({ ...bill, periods: bill.periods.filter((period) => period.id !== id) });
+  };
+
+  return (
+    <div
+      style={{
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '24px',
+      }}
+    >
+      <h3
+        style={{
+          fontSize: '16px',
+          fontWeight: '600',
+          color: '#4a5568',
+          marginBottom: '12px',
+        }}
+      >
+        ✏️ Edit Bill
+      </h3>
+
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
+          gap: '12px',
+          marginBottom: '16px',
+        }}
+      >
+        <Field label="Name">
+          <input
+            type="text"
+            value={bill.name}
+            onChange={(e) => handleFieldChange('name', e.target.value)}
+            style={inputStyle}
+          />
+        </Field>
+        <Field label="Start Date">
+          <input
+            type="date"
+            value={bill.start}
+            onChange={(e) => handleFieldChange('start', e.target.value)}
+            style={inputStyle}
+          />
+        </Field>
+        <Field label="End Date">
+          <input
+            type="date"
+            value={bill.end}
+            onChange={(e) => handleFieldChange('end', e.target.value)}
+            style={inputStyle}
+          />
+        </Field>
+        <Field label="Total Charged ($)">
+          <input
+            type="number"
+            step="0.01"
+            value={bill.totalCharged}
+            onChange={(e) => handleFieldChange('totalCharged', Number(e.target.value))}
+            style={inputStyle}
+          />
+        </Field>
+        <Field label="kWh Billed">
+          <input
+            type="number"
+            value={bill.kwhBilled}
+            onChange={(e) => handleFieldChange('kwhBilled', Number(e.target.value))}
+            style={inputStyle}
+          />
+        </Field>
+        <Field label="Reconcile to Bill">
+          <select
+            value={bill.reconciliation || DEFAULT_RECONCILIATION_METHOD}
+            onChange={(e) => handleFieldChange('reconciliation', e.target.value)}
+            style={inputStyle}
+          >
+            {RECONCILIATION_METHODS.map((method) => (
+              <option key={method.id} value={method.id}>
+                {method.label}
+              </option>
+            ))}
+          </select>
+        </Field>
+      </div>
+
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '12px',
+        }}
+      >
+        <label
+          style={{
+            fontSize: '14px',
+            fontWeight: '600',
+            color: '#4a5568',
+          }}
+        >
+          Sub-periods ({bill.periods.length})
+        </label>
+        <button
+          onClick={handleAddPeriod}
+          style={{
+            padding: '6px 12px',
+            fontSize: '13px',
+            fontWeight: '500',
+            borderRadius: '6px',
+            border: 'none',
+            background: '#3b82f6',
+            color: 'white',
+            cursor: 'pointer',
+          }}
+        >
+          + Add Period
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+        {bill.periods.map((period) => (
+          <div
+            key={period.id}
+            style={{
+              background: '#f7fafc',
+              border: '1px solid #e2e8f0',
+              borderRadius: '8px',
+              padding: '16px',
+            }}
+          >
+            <div
+              style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
+                gap: '12px',
+                marginBottom: '8px',
+              }}
+            >
+              <Field label="Label">
+                <input
+                  type="text"
+                  value={period.label}
+                  onChange={(e) => handleUpdatePeriod(period.id, { label: e.target.value })}
+                  style={inputStyle}
+                />
+              </Field>
+              <Field label="Start">
+                <input
+                  type="date"
+                  value={period.start}
+                  onChange={(e) => handleUpdatePeriod(period.id, { start: e.target.value })}
+                  style={inputStyle}
+                />
+              </Field>
+              <Field label="End">
+                <input
+                  type="date"
+                  value={period.end}
+                  onChange={(e) => handleUpdatePeriod(period.id, { end: e.target.value })}
+                  style={inputStyle}
+                />
+              </Field>
+              <Field label="Baseline Model">
+                <select
+                  value={period.modelId || ''}
+                  onChange={(e) => handleUpdatePeriod(period.id, { modelId: e.target.value || null })}
+                  style={inputStyle}
+                >
+                  <option value="">No baseline</option>
+                  {models.map((model) => (
+                    <option key={model.id} value={model.id}>
+                      {model.name}
+                    </option>
+                  ))}
+                </select>
+              </Field>
+              <Field label="Split Policy">
+                <select
+                  value={getPeriodPolicyId(period)}
+                  onChange={(e) => handleUpdatePeriod(period.id, { policyId: e.target.value })}
+                  style={inputStyle}
+                >
+                  {policies.map((policy) => (
+                    <option key={policy.id} value={policy.id}>
+                      {policy.name} (v{policy.version})
+                    </option>
+                  ))}
+                </select>
+              </Field>
+            </div>
+
+            <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', fontSize: '12px', color: '#718096' }}>
+              Present:
+              {residents.map((resident) => (
+                <label key={resident.id} style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                  <input
+                    type="checkbox"
+                    checked={(period.occupancy[resident.id] || 0) > 0}
+                    onChange={() => handleTogglePresence(period, resident.id)}
+                  />
+                  {resident.name}
+                </label>
+              ))}
+            </div>
+
+            <button
+              onClick={() => handleRemovePeriod(period.id)}
+              style={{
+                marginTop: '8px',
+                padding: '4px 8px',
+                fontSize: '12px',
+                borderRadius: '4px',
+                border: '1px solid #fecaca',
+                background: '#fef2f2',
+                color: '#991b1b',
+                cursor: 'pointer',
+              }}
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  fontSize: '14px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '6px',
+  outline: 'none',
+};
+
+function Field({ label, children }) {
+  return (
+    <div>
+      <label
+        style={{
+          display: 'block',
+          fontSize: '12px',
+          color: '#718096',
+          marginBottom: '4px',
+        }}
+      >
+        {label}
+      </label>
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+/**
+ * BillReconciliation Component
+ *
+ * Shows how a bill's modelled shares were reconciled to the amount actually
+ * charged: the lines explaining the difference (what the split policies left
+ * unallocated among them) and how much each resident's share moved.
+ */
+
+import { RECONCILIATION_METHODS } from '../../utils/reconciliation';
+
+export function BillReconciliation({ reconciliation, modelShares, residents }) {
+  if (!reconciliation) return null;
+
+  const method = RECONCILIATION_METHODS.find((m) => m.id === reconciliation.method) || RECONCILIATION_METHODS[0];
+  const modelUnallocated = reconciliation.modelTotal - reconciliation.allocatedTotal;
+
+  return (
+    <div style={{
+      background: 'white',
+      border: '1px solid #e2e8f0',
+      borderRadius: '8px',
+      padding: '20px',
+      marginBottom: '24px',
+    }}>
+      <h3 style={{
+        fontSize: '16px',
+        fontWeight: '600',
+        color: '#4a5568',
+        marginBottom: '8px',
+      }}>
+        🧮 Reconciliation to the Bill
+      </h3>
+      <p style={{ fontSize: '13px', color: '#718096', marginBottom: '16px' }}>
+        <strong>{method.label}:</strong> {method.description} Change the method in the bill editor.
+      </p>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', marginBottom: '16px' }}>
+        <tbody>
+          <tr style={{ borderBottom: '1px solid #e2e8f0' }}>
+            <td style={{ padding: '8px 12px', color: '#4a5568' }}>Modelled shares</td>
+            <td style={{ padding: '8px 12px', textAlign: 'right', color: '#2d3748' }}>
+              ${reconciliation.allocatedTotal.toFixed(2)}
+            </td>
+          </tr>
+          {reconciliation.lines.filter((line) => Math.abs(line.amount) >= 0.005).map((line) => (
+            <tr key={line.id} style={{ borderBottom: '1px solid #e2e8f0' }}>
+              <td style={{ padding: '8px 12px 8px 24px', color: '#718096' }}>{line.label}</td>
+              <td style={{ padding: '8px 12px', textAlign: 'right', color: '#718096' }}>
+                {formatSignedDollars(line.amount)}
+              </td>
+            </tr>
+          ))}
+          <tr style={{ background: '#f7fafc', fontWeight: '600' }}>
+            <td style={{ padding: '8px 12px' }}>Amount charged</td>
+            <td style={{ padding: '8px 12px', textAlign: 'right' }}>${reconciliation.billedTotal.toFixed(2)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+        <thead>
+          <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+            <TableHeader>Resident</TableHeader>
+            <TableHeader>Modelled</TableHeader>
+            <TableHeader>Adjustment</TableHeader>
+            <TableHeader>Pays</TableHeader>
+          </tr>
+        </thead>
+        <tbody>
+          {residents.map((resident) => {
+            const modelled = modelShares[resident.id] || 0;
+            const reconciled = reconciliation.shares[resident.id] || 0;
+            return (
+              <tr key={resident.id} style={{ borderBottom: '1px solid #e2e8f0' }}>
+                <td style={{ padding: '8px 12px', fontWeight: '500', color: '#2d3748' }}>{resident.name}</td>
+                <td style={{ padding: '8px 12px', color: '#4b5563' }}>${modelled.toFixed(2)}</td>
+                <td style={{ padding: '8px 12px', color: '#4b5563' }}>{formatSignedDollars(reconciled - modelled)}</td>
+                <td style={{ padding: '8px 12px', fontWeight: '600', color: '#2d3748' }}>${reconciled.toFixed(2)}</td>
+              </tr>
+            );
+          })}
+          {(Math.abs(modelUnallocated) >= 0.005 || reconciliation.unallocated !== 0) && (
+            <tr style={{ borderBottom: '1px solid #e2e8f0' }}>
+              <td style={{ padding: '8px 12px', fontWeight: '500', color: '#718096' }}>Unallocated</td>
+              <td style={{ padding: '8px 12px', color: '#718096' }}>${modelUnallocated.toFixed(2)}</td>
+              <td style={{ padding: '8px 12px', color: '#718096' }}>
+                {formatSignedDollars(reconciliation.unallocated - modelUnallocated)}
+              </td>
+              <td style={{ padding: '8px 12px', fontWeight: '600', color: '#718096' }}>
+                ${reconciliation.unallocated.toFixed(2)}
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function formatSignedDollars(amount) {
+  const cents = Math.round(amount * 100) / 100;
+  return `${cents < 0 ? '−' : '+'}$${Math.abs(cents).toFixed(2)}`;
+}
+
+function TableHeader({ children }) {
+  return (
+    <th
+      style={{
+        padding: '8px 12px',
+        textAlign: 'left',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#718096',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+      }}
+    >
+      {children}
+    </th>
+  );
+}
@@ -0,0 +1,472 @@
+/**
+ * BillSplit Component
+ *
+ * Shows the breakdown of any saved bill: each day is split according to
+ * the bill sub-period it falls in (baseline model, occupancy and split policy),
+ * so new PECO bills only need a new bill record, not a new component.
+ * When the bill has a total charged, the shares shown are reconciled to it.
+ * Days painted in the occupancy calendar are marked with 📅, and each day's
+ * shares show the baseline and excess weights their policy used. Personal
+ * appliances charged to their owners get an audit line on every day. Days
+ * filled in for gaps in the usage are marked with 🩹. Cost a period's policy
+ * left to nobody is shown as its own Unallocated share.
+ */
+
+import { useMemo } from 'react';
+import { calculateBillSplit, getPeriodPolicyId } from '../../utils/bills';
+import { describeSplitWeights, findPolicy } from '../../utils/policies';
+import { findModel } from '../../utils/models';
+import { formatDisplayDate, formatPeriod } from '../../utils/dateHelpers';
+import { GAP_FILL_STRATEGIES } from '../../utils/gapFilling';
+import { ChargeBreakdown } from '../Tariffs';
+import { ApplianceCharges, ApplianceLines } from '../Appliances';
+import { BillReconciliation } from './BillReconciliation';
+
+// Row colours for bill sub-periods, assigned in period order
+const PERIOD_COLORS = [
+  { row: '#dbeafe', badge: '#3b82f6' },
+  { row: '#dcfce7', badge: '#22c55e' },
+  { row: '#fef3c7', badge: '#f59e0b' },
+  { row: '#e0e7ff', badge: '#8b5cf6' },
+  { row: '#fce7f3', badge: '#ec4899' },
+  { row: '#ccfbf1', badge: '#14b8a6' },
+];
+
+export function BillSplit({
+  bill,
+  historicalData,
+  residents,
+  policies,
+  models,
+  rateSchedules,
+  occupancyCalendar,
+  thermostatLog,
+  appliances,
+}) {
+  // Filter data for the bill period
+  const billPeriodData = useMemo(() => {
+    return historicalData.filter(d => d.date >= bill.start && d.date <= bill.end);
+  }, [historicalData, bill.start, bill.end]);
+
+  const { dailyBreakdown, totals, reconciliation } = useMemo(() => {
+    return calculateBillSplit(
+      bill,
+      historicalData,
+      residents,
+      models,
+      policies,
+      rateSchedules,
+      occupancyCalendar,
+      thermostatLog,
+      appliances
+    );
+  }, [bill, historicalData, residents, models, policies, rateSchedules, occupancyCalendar, thermostatLog, appliances]);
+
+  // What each resident pays: reconciled to the bill when it has a total charged
+  const billTotal = reconciliation ? reconciliation.billedTotal : totals.totalCost;
+  const billShares = reconciliation ? reconciliation.shares : totals.shares;
+  const billUnallocated = reconciliation ? reconciliation.unallocated : totals.unallocated;
+  const hasUnallocated = Math.abs(totals.unallocated) >= 0.005;
+
+  // Human-readable description of a period's split policy
+  const describePeriodPolicy = (period) => {
+    const policy = findPolicy(policies, getPeriodPolicyId(period));
+    return `${policy.name} (v${policy.version})`;
+  };
+
+  const describeModel = (period) => {
+    return findModel(models, period.modelId)?.name || 'No baseline model';
+  };
+
+  const describeOccupancy = (period) => {
+    const present = residents.filter((resident) => (period.occupancy[resident.id] || 0) > 0);
+    if (present.length === residents.length) return 'Everyone present';
+    if (present.length === 0) return 'Nobody present';
+    return `${present.map((resident) => resident.name).join(', ')} present`;
+  };
+
+  const periodColor = (periodId) => {
+    const index = bill.periods.findIndex((period) => period.id === periodId);
+    return index === -1 ? { row: '#ffffff', badge: '#9ca3af' } : PERIOD_COLORS[index % PERIOD_COLORS.length];
+  };
+
+  if (billPeriodData.length === 0) {
+    return (
+      <div style={{
+        padding: '24px',
+        background: '#f7fafc',
+        border: '2px dashed #e2e8f0',
+        borderRadius: '8px',
+        textAlign: 'center',
+        color: '#718096',
+      }}>
+        <h3 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '8px' }}>
+          Bill Period Data Not Available
+        </h3>
+        <p>Please import PECO data from {formatPeriod(bill.start, bill.end)} to view the bill breakdown.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {/* Period Info */}
+      <div style={{
+        marginBottom: '24px',
+        padding: '16px',
+        background: '#eff6ff',
+        border: '1px solid #bfdbfe',
+        borderRadius: '8px',
+      }}>
+        <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#1e40af', marginBottom: '12px' }}>
+          📅 {bill.name}: Period & Cost Split Rules
+        </h3>
+        <div style={{ fontSize: '14px', color: '#1e40af', lineHeight: '1.6' }}>
+          <p><strong>Period:</strong> {formatDisplayDate(bill.start)} - {formatDisplayDate(bill.end)} ({billPeriodData.length} days)</p>
+          <p><strong>Billed:</strong> ${Number(bill.totalCharged).toFixed(2)} for {bill.kwhBilled} kWh</p>
+          <div style={{ marginTop: '12px' }}>
+            <strong>Cost Split Rules:</strong>
+            <ul style={{ marginLeft: '20px', marginTop: '8px' }}>
+              {bill.periods.map((period) => (
+                <li key={period.id}>
+                  <strong>{formatPeriod(period.start, period.end)} ({period.label}):</strong>{' '}
+                  {describeOccupancy(period)} → {describePeriodPolicy(period)}
+                </li>
+              ))}
+            </ul>
+          </div>
+          <div style={{ marginTop: '12px' }}>
+            <strong>Prediction Models:</strong>
+            <ul style={{ marginLeft: '20px', marginTop: '8px' }}>
+              {bill.periods.map((period) => (
+                <li key={period.id}><strong>{period.label}:</strong> {describeModel(period)}</li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      </div>
+
+      {/* Total Statistics */}
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+        gap: '12px',
+        marginBottom: '24px',
+      }}>
+        <StatCard
+          label="Total Period Usage"
+          value={`${totals.totalUsage.toFixed(1)}`}
+          unit="kWh"
+        />
+        <StatCard
+          label="Modelled Cost"
+          value={`$${totals.totalCost.toFixed(2)}`}
+        />
+        <StatCard
+          label="Avg Temperature"
+          value={`${totals.avgTemp.toFixed(1)}°F`}
+        />
+        {residents.map((resident) => (
+          <StatCard
+            key={resident.id}
+            label={`${resident.name} Days Present`}
+            value={formatDays(totals.daysPresent[resident.id] || 0)}
+            unit="days"
+          />
+        ))}
+      </div>
+
+      {/* Cost Split Summary */}
+      <div style={{
+        padding: '20px',
+        background: 'linear-gradient(135deg, #3b82f6 0%, #1d4ed8 100%)',
+        borderRadius: '12px',
+        marginBottom: '24px',
+        color: 'white',
+      }}>
+        <h3 style={{
+          fontSize: '18px',
+          fontWeight: '600',
+          marginBottom: '16px',
+          opacity: 0.9,
+        }}>
+          💰 Fair Cost Split ({formatPeriod(bill.start, bill.end)})
+        </h3>
+
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+          gap: '16px',
+        }}>
+          <div
+            style={{
+              background: 'rgba(255,255,255,0.2)',
+              borderRadius: '8px',
+              padding: '16px',
+            }}
+          >
+            <div style={{ fontSize: '13px', opacity: 0.8, marginBottom: '8px' }}>
+              Total Bill
+            </div>
+            <div style={{ fontSize: '28px', fontWeight: '700' }}>
+              ${billTotal.toFixed(2)}
+            </div>
+            {reconciliation && (
+              <div style={{ fontSize: '12px', opacity: 0.7, marginTop: '8px' }}>
+                Modelled ${totals.totalCost.toFixed(2)}
+              </div>
+            )}
+          </div>
+
+          {residents.map((resident) => (
+            <div
+              key={resident.id}
+              style={{
+                background: 'rgba(255,255,255,0.2)',
+                borderRadius: '8px',
+                padding: '16px',
+              }}
+            >
+              <div style={{ fontSize: '13px', opacity: 0.8, marginBottom: '8px' }}>
+                {resident.name}'s Share
+              </div>
+              <div style={{ fontSize: '28px', fontWeight: '700' }}>
+                ${(billShares[resident.id] || 0).toFixed(2)}
+              </div>
+              <div style={{ fontSize: '12px', opacity: 0.7, marginTop: '8px' }}>
+                {(((billShares[resident.id] || 0) / billTotal) * 100).toFixed(1)}% of total
+              </div>
+            </div>
+          ))}
+
+          {hasUnallocated && (
+            <div
+              style={{
+                background: 'rgba(255,255,255,0.1)',
+                border: '1px dashed rgba(255,255,255,0.5)',
+                borderRadius: '8px',
+                padding: '16px',
+              }}
+            >
+              <div style={{ fontSize: '13px', opacity: 0.8, marginBottom: '8px' }}>
+                Unallocated
+              </div>
+              <div style={{ fontSize: '28px', fontWeight: '700' }}>
+                ${billUnallocated.toFixed(2)}
+              </div>
+              <div style={{ fontSize: '12px', opacity: 0.7, marginTop: '8px' }}>
+                {((billUnallocated / billTotal) * 100).toFixed(1)}% of total · charged to nobody by the policy
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <BillReconciliation reconciliation={reconciliation} modelShares={totals.shares} residents={residents} />
+
+      <ChargeBreakdown charges={totals.charges} residents={residents} />
+      <ApplianceCharges appliances={totals.appliances} residents={residents} />
+
+      {/* Daily Breakdown */}
+      <div style={{
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '8px',
+        padding: '20px',
+      }}>
+        <h3 style={{
+          fontSize: '16px',
+          fontWeight: '600',
+          color: '#4a5568',
+          marginBottom: '16px',
+        }}>
+          📊 Daily Breakdown
+        </h3>
+        <p style={{ fontSize: '13px', color: '#718096', marginBottom: '16px' }}>
+          Each resident's share of every day in the bill period.
+          {totals.filledDays > 0 && ` ${totals.filledDays} days had no usage data and were filled in (🩹).`}
+        </p>
+
+        <div style={{
+          maxHeight: '600px',
+          overflowY: 'auto',
+          border: '1px solid #e2e8f0',
+          borderRadius: '6px',
+        }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead style={{ position: 'sticky', top: 0, background: '#f7fafc', zIndex: 10 }}>
+              <tr>
+                <TableHeader>Date</TableHeader>
+                <TableHeader>Temp</TableHeader>
+                <TableHeader>Expected</TableHeader>
+                <TableHeader>Actual</TableHeader>
+                <TableHeader>Excess</TableHeader>
+                <TableHeader>Cost</TableHeader>
+                {residents.map((resident) => (
+                  <TableHeader key={resident.id}>{resident.name}</TableHeader>
+                ))}
+                {hasUnallocated && <TableHeader>Unallocated</TableHeader>}
+              </tr>
+            </thead>
+            <tbody>
+              {dailyBreakdown.map((day) => {
+                // Determine row background color based on period
+                const period = bill.periods.find((p) => p.id === day.periodId);
+                const color = periodColor(day.periodId);
+                const rowBackground = color.row;
+                const methodBadge = (
+                  <span style={{
+                    marginLeft: '6px',
+                    fontSize: '10px',
+                    background: color.badge,
+                    color: 'white',
+                    padding: '2px 6px',
+                    borderRadius: '4px',
+                    fontWeight: '600'
+                  }}>
+                    {period ? period.label : 'Unassigned'}
+                  </span>
+                );
+
+                return (
+                  <tr
+                    key={day.date}
+                    style={{
+                      borderBottom: '1px solid #e2e8f0',
+                      background: rowBackground,
+                    }}
+                  >
+                    <td style={{ padding: '8px 12px', fontSize: '13px' }}>
+                      {day.date.substring(5).split('-').slice(0, 2).join('/')}
+                      {methodBadge}
+                      {day.painted && <span title="Occupancy from the calendar"> 📅</span>}
+                      {day.hourly && <span title="Hourly data: heating attributed hour by hour"> ⏱️</span>}
+                      {day.filled && <span title={`Gap filled: ${GAP_FILL_STRATEGIES[day.filled].label}`}> 🩹</span>}
+                    </td>
+                    <td style={{ padding: '8px 12px', fontSize: '13px' }}>
+                      {day.temp.toFixed(1)}°F
+                    </td>
+                    <td style={{ padding: '8px 12px', fontSize: '13px' }}>
+                      {day.expectedUsage === null ? '—' : `${day.expectedUsage.toFixed(1)} kWh`}
+                    </td>
+                    <td style={{ padding: '8px 12px', fontSize: '13px', fontWeight: '600' }}>
+                      {day.actualUsage.toFixed(1)} kWh
+                    </td>
+                    <td style={{
+                      padding: '8px 12px',
+                      fontSize: '13px',
+                      fontWeight: '600',
+                      color: day.excessUsage > 0 ? '#dc2626' : '#059669'
+                    }}>
+                      {day.excessUsage === null ? '—' : `${day.excessUsage > 0 ? '+' : ''}${day.excessUsage.toFixed(1)} kWh`}
+                    </td>
+                    <td style={{
+                      padding: '8px 12px',
+                      fontSize: '13px',
+                      fontWeight: '600',
+                      color: '#4b5563'
+                    }}>
+                      ${day.actualCost.toFixed(2)}
+                      <ApplianceLines appliances={day.appliances} residents={residents} />
+                    </td>
+                    {residents.map((resident) => (
+                      <td
+                        key={resident.id}
+                        title={describeSplitWeights(day.weights, residents)}
+                        style={{
+                          padding: '8px 12px',
+                          fontSize: '13px',
+                          fontWeight: '600',
+                          color: resident.id === period?.excessResidentId && day.excessUsage > 0 ? '#dc2626' : '#4b5563'
+                        }}
+                      >
+                        ${(day.shares[resident.id] || 0).toFixed(2)}
+                        <SplitWeights weights={day.weights} residentId={resident.id} />
+                      </td>
+                    ))}
+                    {hasUnallocated && (
+                      <td style={{ padding: '8px 12px', fontSize: '13px', color: '#718096' }}>
+                        {Math.abs(day.unallocated) >= 0.005 ? `$${day.unallocated.toFixed(2)}` : '—'}
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Legend */}
+      <div style={{
+        marginTop: '16px',
+        padding: '12px',
+        background: '#f0fdf4',
+        border: '1px solid #86efac',
+        borderRadius: '6px',
+        fontSize: '13px',
+        color: '#166534',
+      }}>
+        <strong>📊 Period Legend:</strong><br/>
+        {bill.periods.map((period) => (
+          <span key={period.id}>
+            • <strong style={{ color: periodColor(period.id).badge }}>{period.label}:</strong>{' '}
+            {formatPeriod(period.start, period.end)}, {describeModel(period)}, {describePeriodPolicy(period).toLowerCase()}<br/>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function StatCard({ label, value, unit }) {
+  return (
+    <div
+      style={{
+        padding: '12px',
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '6px',
+      }}
+    >
+      <div style={{ fontSize: '11px', color: '#718096', marginBottom: '2px' }}>{label}</div>
+      <div style={{ fontSize: '18px', fontWeight: '700', color: '#1a202c' }}>
+        {value}
+        {unit && <span style={{ fontSize: '13px', fontWeight: '500', color: '#718096' }}> {unit}</span>}
+      </div>
+    </div>
+  );
+}
+
+function TableHeader({ children }) {
+  return (
+    <th
+      style={{
+        padding: '8px 12px',
+        textAlign: 'left',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#718096',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+      }}
+    >
+      {children}
+    </th>
+  );
+}
+
+// Days present, with partial days to one decimal
+function formatDays(days) {
+  return Number.isInteger(days) ? `${days}` : days.toFixed(1);
+}
+
+// A resident's baseline and excess weights for a day, under their share
+function SplitWeights({ weights, residentId }) {
+  const percent = (shares) => `${Math.round((shares[residentId] || 0) * 100)}%`;
+  return (
+    <div style={{ fontSize: '10px', fontWeight: '400', color: '#9ca3af' }}>
+      base {percent(weights.baseline)} · excess {Object.keys(weights.excess).length > 0 ? percent(weights.excess) : '—'}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+/**
+ * Bills Component
+ *
+ * Main container for saved bills.
+ * Combines bill selector, bill editor and the bill split view.
+ */
+
+import { useState } from 'react';
+import { BillEditor } from './BillEditor';
+import { BillSplit } from './BillSplit';
+import { createBill } from '../../utils/bills';
+
+export function Bills({
+  bills,
+  onChange,
+  historicalData,
+  residents,
+  policies,
+  models,
+  rateSchedules,
+  occupancyCalendar,
+  thermostatLog,
+  appliances,
+}) {
+  const [selectedBillId, setSelectedBillId] = useState(bills[0]?.id || null);
+  const [isEditing, setIsEditing] = useState(false);
+
+  const selectedBill = bills.find((bill) => bill.id === selectedBillId) || bills[0];
+
+  const handleAddBill = () => {
+    const newBill = createBill(residents);
+    onChange([...bills, newBill]);
+    setSelectedBillId(newBill.id);
+    setIsEditing(true);
+  };
+
+  const handleUpdateBill = (updatedBill) => {
+    onChange(bills.map((bill) => (bill.id === updatedBill.id ? updatedBill : bill)));
+  };
+
+  const handleRemoveBill = (id) => {
+    const remaining = bills.filter((bill) => bill.id !== id);
+    onChange(remaining);
+    setSelectedBillId(remaining[0]?.id || null);
+    setIsEditing(false);
+  };
+
+  return (
+    <div>
+      {/* Bill Selector */}
+      <div
+        style={{
+          display: 'flex',
+          gap: '8px',
+          marginBottom: '24px',
+          flexWrap: 'wrap',
+          alignItems: 'center',
+        }}
+      >
+        <select
+          value={selectedBill?.id || ''}
+          onChange={(e) => setSelectedBillId(e.target.value)}
+          disabled={bills.length === 0}
+          style={{
+            flex: 1,
+            padding: '8px 12px',
+            fontSize: '14px',
+            border: '1px solid #e2e8f0',
+            borderRadius: '6px',
+            outline: 'none',
+          }}
+        >
+          {bills.length === 0 && <option value="">No bills saved</option>}
+          {bills.map((bill) => (
+            <option key={bill.id} value={bill.id}>
+              {bill.name} ({bill.start} to {bill.end})
+            </option>
+          ))}
+        </select>
+        {selectedBill && (
+          <button
+            onClick={() => setIsEditing(!isEditing)}
+            style={{
+              padding: '8px 16px',
+              fontSize: '13px',
+              fontWeight: '500',
+              borderRadius: '6px',
+              border: '1px solid #3b82f6',
+              background: isEditing ? '#3b82f6' : 'white',
+              color: isEditing ? 'white' : '#3b82f6',
+              cursor: 'pointer',
+            }}
+          >
+            {isEditing ? 'Done' : 'Edit Bill'}
+          </button>
+        )}
+        <button
+          onClick={handleAddBill}
+          style={{
+            padding: '8px 16px',
+            fontSize: '13px',
+            fontWeight: '500',
+            borderRadius: '6px',
+            border: 'none',
+            background: '#3b82f6',
+            color: 'white',
+            cursor: 'pointer',
+          }}
+        >
+          + New Bill
+        </button>
+        {selectedBill && (
+          <button
+            onClick={() => handleRemoveBill(selectedBill.id)}
+            style={{
+              padding: '8px 16px',
+              fontSize: '13px',
+              borderRadius: '6px',
+              border: '1px solid #fecaca',
+              background: '#fef2f2',
+              color: '#991b1b',
+              cursor: 'pointer',
+            }}
+          >
+            Delete
+          </button>
+        )}
+      </div>
+
+      {selectedBill && isEditing && (
+        <BillEditor bill={selectedBill} residents={residents} policies={policies} models={models} onChange={handleUpdateBill} />
+      )}
+
+      {selectedBill ? (
+        <BillSplit
+          bill={selectedBill}
+          historicalData={historicalData}
+          residents={residents}
+          policies={policies}
+          models={models}
+          rateSchedules={rateSchedules}
+          occupancyCalendar={occupancyCalendar}
+          thermostatLog={thermostatLog}
+          appliances={appliances}
+        />
+      ) : (
+        <div
+          style={{
+            padding: '24px',
+            background: '#f7fafc',
+            border: '2px dashed #e2e8f0',
+            borderRadius: '8px',
+            textAlign: 'center',
+            color: '#718096',
+          }}
+        >
+          No bills saved. Click "+ New Bill" to add one from your PECO statement.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,9 @@
 /**
  * Calculations Component
  *
- * Explains the methodology and shows scatter plots of the baseline calculations
- * for December 3-8 and January 2-9 periods.
+ * Explains the methodology and shows the baseline model registry: fit
+ * statistics for every model and a scatter plot of each model's training data
+ * (or, for multiple regression, its coefficient table and diagnostics).
  */
 
 import { useMemo } from 'react';
@@ -16,108 +17,22 @@ import {
   Legend,
   ResponsiveContainer,
   Line,
-  LineChart,
 } from 'recharts';
+import {
+  MODEL_FORMS,
+  formatModelFormula,
+  getModelCoefficients,
+  getModelForm,
+  getTrainingData,
+  predictUsage,
+} from '../../utils/models';
+import { formatPeriod } from '../../utils/dateHelpers';
+import { RegressionDiagnostics } from './RegressionDiagnostics';
 
-export function Calculations({ historicalData }) {
-  // December 3-8 baseline data
-  const decBaselineData = useMemo(() => {
-    return historicalData.filter(d => d.date >= '2025-12-03' && d.date <= '2025-12-08');
-  }, [historicalData]);
-
-  // January 2-9 baseline data
-  const janBaselineData = useMemo(() => {
-    return historicalData.filter(d => d.date >= '2026-01-02' && d.date <= '2026-01-09');
-  }, [historicalData]);
-
-  // Calculate December model using linear regression
-  const decemberModel = useMemo(() => {
-    if (decBaselineData.length === 0) return null;
-
-    const n = decBaselineData.length;
-    const sumX = decBaselineData.reduce((sum, d) => sum + d.temp_mean_f, 0);
-    const sumY = decBaselineData.reduce((sum, d) => sum + d.usage_kwh, 0);
-    const sumXY = decBaselineData.reduce((sum, d) => sum + (d.temp_mean_f * d.usage_kwh), 0);
-    const sumX2 = decBaselineData.reduce((sum, d) => sum + (d.temp_mean_f * d.temp_mean_f), 0);
-
-    const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-    const intercept = (sumY - slope * sumX) / n;
-
-    return { slope, intercept };
-  }, [decBaselineData]);
-
-  // Calculate regression line data for December (with extrapolation)
-  const decemberLineData = useMemo(() => {
-    if (!decemberModel) return [];
-    const minTemp = Math.min(...decBaselineData.map(d => d.temp_mean_f));
-    const maxTemp = Math.max(...decBaselineData.map(d => d.temp_mean_f));
-
-    // Extend 5 degrees beyond the data range for extrapolation
-    const extrapolationBuffer = 5;
-    const extendedMin = minTemp - extrapolationBuffer;
-    const extendedMax = maxTemp + extrapolationBuffer;
-
-    // Create multiple points for smooth line with segments
-    return [
-      { temp: extendedMin, usage: decemberModel.intercept + decemberModel.slope * extendedMin, isExtrapolation: true },
-      { temp: minTemp, usage: decemberModel.intercept + decemberModel.slope * minTemp, isExtrapolation: false },
-      { temp: maxTemp, usage: decemberModel.intercept + decemberModel.slope * maxTemp, isExtrapolation: false },
-      { temp: extendedMax, usage: decemberModel.intercept + decemberModel.slope * extendedMax, isExtrapolation: true },
-    ];
-  }, [decemberModel, decBaselineData]);
-
-  // Calculate X-axis domain for December (tighter range)
-  const decemberDomain = useMemo(() => {
-    if (decBaselineData.length === 0) return [0, 80];
-    const minTemp = Math.min(...decBaselineData.map(d => d.temp_mean_f));
-    const maxTemp = Math.max(...decBaselineData.map(d => d.temp_mean_f));
-    const padding = (maxTemp - minTemp) * 0.15; // 15% padding on each side
-    return [minTemp - padding, maxTemp + padding];
-  }, [decBaselineData]);
-
-  // January model is fixed: Expected Usage = 50.75 - (0.888 × Temperature) with extrapolation
-  const januaryLineData = useMemo(() => {
-    if (janBaselineData.length === 0) return [];
-    const minTemp = Math.min(...janBaselineData.map(d => d.temp_mean_f));
-    const maxTemp = Math.max(...janBaselineData.map(d => d.temp_mean_f));
-
-    // Extend 5 degrees beyond the data range for extrapolation
-    const extrapolationBuffer = 5;
-    const extendedMin = minTemp - extrapolationBuffer;
-    const extendedMax = maxTemp + extrapolationBuffer;
-
-    // Create multiple points for smooth line with segments
-    return [
-      { temp: extendedMin, usage: 50.75 - 0.888 * extendedMin, isExtrapolation: true },
-      { temp: minTemp, usage: 50.75 - 0.888 * minTemp, isExtrapolation: false },
-      { temp: maxTemp, usage: 50.75 - 0.888 * maxTemp, isExtrapolation: false },
-      { temp: extendedMax, usage: 50.75 - 0.888 * extendedMax, isExtrapolation: true },
-    ];
-  }, [janBaselineData]);
-
-  // Calculate X-axis domain for January (tighter range)
-  const januaryDomain = useMemo(() => {
-    if (janBaselineData.length === 0) return [0, 80];
-    const minTemp = Math.min(...janBaselineData.map(d => d.temp_mean_f));
-    const maxTemp = Math.max(...janBaselineData.map(d => d.temp_mean_f));
-    const padding = (maxTemp - minTemp) * 0.15; // 15% padding on each side
-    return [minTemp - padding, maxTemp + padding];
-  }, [janBaselineData]);
-
-  // Format scatter data for December
-  const decScatterData = decBaselineData.map(d => ({
-    temp: d.temp_mean_f,
-    usage: d.usage_kwh,
-    date: new Date(d.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-  }));
-
-  // Format scatter data for January
-  const janScatterData = janBaselineData.map(d => ({
-    temp: d.temp_mean_f,
-    usage: d.usage_kwh,
-    date: new Date(d.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-  }));
+// Scatter colours for model charts, assigned in registry order
+const MODEL_COLORS = ['#3b82f6', '#8b5cf6', '#10b981', '#f59e0b', '#ec4899'];
 
+export function Calculations({ historicalData, models, legalMinModelId, onRefitModel }) {
   return (
     <div>
       {/* Methodology */}
@@ -133,7 +48,7 @@ export function Calculations({ historicalData }) {
         </h2>
         <div style={{ fontSize: '14px', color: '#92400e', lineHeight: '1.8' }}>
           <p style={{ marginBottom: '12px' }}>
-            <strong>Linear Regression:</strong> Both baseline models are calculated using linear regression,
+            <strong>Linear Regression:</strong> Baseline models are calculated using linear regression,
             which finds the best-fit line through actual usage data points.
           </p>
           <p style={{ marginBottom: '12px' }}>
@@ -149,6 +64,26 @@ export function Calculations({ historicalData }) {
             <li><strong>Slope:</strong> How much expected usage changes for each 1°F increase in temperature</li>
             <li>Negative slope means higher temperature = lower usage (less heating needed)</li>
           </ul>
+          <p style={{ marginBottom: '12px' }}>
+            <strong>Degree-Day Change-Point:</strong> A straight line keeps falling as it gets warmer and predicts
+            negative usage in spring and autumn. The change-point form instead has a flat base load plus a heating
+            slope below a balance temperature (and optionally a cooling slope above a second one):
+            Expected Usage = base load + heating slope × max(0, balance temp − Temperature). The balance temperature
+            is chosen by trying every half degree within the training data and keeping the best fit.
+          </p>
+          <p style={{ marginBottom: '12px' }}>
+            <strong>Multiple Regression:</strong> Mean temperature alone misses cold nights, warm afternoons and
+            weekends at home. A multiple-regression model fits one coefficient per feature (min/max temperature,
+            weekend, number of people home) and shows each coefficient with its standard error, so you can see
+            which features actually matter. People-home counts come from the occupancy in your bills.
+          </p>
+          <p style={{ marginBottom: '12px' }}>
+            <strong>Prediction Intervals:</strong> A model fitted on a handful of days can't pin expected usage
+            down exactly. Each prediction comes with a 95% range, Expected ± t × σ × √(1 + x(XᵀX)⁻¹xᵀ), combining
+            day-to-day noise (the residual σ) with uncertainty in the coefficients themselves. The range is carried
+            through the split, so shares are shown as estimate ± margin, and days whose actual usage fell outside
+            it are flagged with ⚠️.
+          </p>
           <p>
             <strong>Cost Splitting:</strong> Once we have the baseline model, we calculate expected usage for each day.
             If actual usage exceeds expected, the excess cost goes to the person using electricity.
@@ -157,7 +92,7 @@ export function Calculations({ historicalData }) {
         </div>
       </div>
 
-      {/* December Baseline Graph */}
+      {/* Model Registry */}
       <div style={{
         background: 'white',
         border: '1px solid #e2e8f0',
@@ -171,215 +106,267 @@ export function Calculations({ historicalData }) {
           color: '#4a5568',
           marginBottom: '16px',
         }}>
-          📊 December Baseline (Dec 3-8)
+          🗂️ Baseline Model Registry
         </h3>
+        <p style={{ fontSize: '13px', color: '#718096', marginBottom: '16px' }}>
+          Each model is fitted once on its training range and the fit is saved. Refit a model after importing
+          new data for its training range. Fixed models keep their coefficients and are only scored against the data.
+        </p>
 
-        {decemberModel ? (
-          <>
-            <div style={{
-              padding: '12px',
-              background: '#eff6ff',
-              border: '1px solid #bfdbfe',
-              borderRadius: '6px',
-              marginBottom: '16px',
-              fontSize: '14px',
-              color: '#1e40af',
-            }}>
-              <strong>Model:</strong> Expected Usage = {decemberModel.intercept.toFixed(2)} + ({decemberModel.slope.toFixed(3)} × Temperature °F)<br/>
-              <span style={{ fontSize: '13px', opacity: 0.9 }}>
-                Derived from {decBaselineData.length} days of actual usage data when using new heating schedule (no heater)
-              </span>
-            </div>
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                <TableHeader>Model</TableHeader>
+                <TableHeader>Type</TableHeader>
+                <TableHeader>Form</TableHeader>
+                <TableHeader>Training Range</TableHeader>
+                <TableHeader>Formula</TableHeader>
+                <TableHeader>R²</TableHeader>
+                <TableHeader>n</TableHeader>
+                <TableHeader>Residual σ</TableHeader>
+                <TableHeader></TableHeader>
+              </tr>
+            </thead>
+            <tbody>
+              {models.map((model) => {
+                const form = MODEL_FORMS.find((option) => option.id === getModelForm(model));
+                return (
+                  <tr key={model.id} style={{ borderBottom: '1px solid #e2e8f0' }}>
+                    <td style={{ padding: '8px 12px', fontWeight: '500' }}>
+                      {model.name}
+                      {model.id === legalMinModelId && (
+                        <span style={{ marginLeft: '6px', fontSize: '11px', color: '#166534' }}>legal minimum</span>
+                      )}
+                    </td>
+                    <td style={{ padding: '8px 12px', color: '#718096' }}>{model.type === 'fixed' ? 'Fixed' : 'Fitted'}</td>
+                    <td style={{ padding: '8px 12px', color: '#718096' }}>{form ? form.label : '—'}</td>
+                    <td style={{ padding: '8px 12px', color: '#718096' }}>
+                      {model.trainingRange ? formatPeriod(model.trainingRange.start, model.trainingRange.end) : '—'}
+                    </td>
+                    <td style={{ padding: '8px 12px' }}>
+                      {getModelCoefficients(model) ? formatModelFormula(model).replace('Expected Usage = ', '') : '—'}
+                    </td>
+                    <td style={{ padding: '8px 12px' }}>
+                      {model.fit && model.fit.r2 !== null ? model.fit.r2.toFixed(3) : '—'}
+                    </td>
+                    <td style={{ padding: '8px 12px' }}>
+                      {model.fit ? model.fit.n : '—'}
+                    </td>
+                    <td style={{ padding: '8px 12px' }}>
+                      {model.fit && model.fit.residualStdDev !== null ? `${model.fit.residualStdDev.toFixed(2)} kWh` : '—'}
+                    </td>
+                    <td style={{ padding: '8px 12px' }}>
+                      <button
+                        onClick={() => onRefitModel(model.id)}
+                        style={{
+                          padding: '4px 8px',
+                          fontSize: '12px',
+                          borderRadius: '4px',
+                          border: '1px solid #3b82f6',
+                          background: 'white',
+                          color: '#3b82f6',
+                          cursor: 'pointer',
+                        }}
+                      >
+                        Refit
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
 
-            <div style={{ height: '400px', marginBottom: '16px' }}>
-              <ResponsiveContainer width="100%" height="100%">
-                <ScatterChart margin={{ top: 20, right: 20, bottom: 20, left: 20 }}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis
-                    dataKey="temp"
-                    type="number"
-                    name="Temperature"
-                    unit="°F"
-                    domain={decemberDomain}
-                    label={{ value: 'Outdoor Temperature (°F)', position: 'insideBottom', offset: -5 }}
-                  />
-                  <YAxis
-                    dataKey="usage"
-                    type="number"
-                    name="Usage"
-                    unit="kWh"
-                    label={{ value: 'Usage (kWh)', angle: -90, position: 'insideLeft' }}
-                  />
-                  <Tooltip
-                    cursor={{ strokeDasharray: '3 3' }}
-                    content={({ active, payload }) => {
-                      if (active && payload && payload.length) {
-                        const data = payload[0].payload;
-                        return (
-                          <div style={{
-                            background: 'white',
-                            border: '1px solid #e2e8f0',
-                            borderRadius: '4px',
-                            padding: '8px',
-                            boxShadow: '0 2px 8px rgba(0,0,0,0.1)'
-                          }}>
-                            <div style={{ fontWeight: '600', marginBottom: '4px' }}>{data.date}</div>
-                            <div>Temp: {data.temp.toFixed(1)}°F</div>
-                            <div>Usage: {data.usage.toFixed(1)} kWh</div>
-                          </div>
-                        );
-                      }
-                      return null;
-                    }}
-                  />
-                  <Legend />
-                  <Scatter name="Actual Usage" data={decScatterData} fill="#3b82f6" shape="circle" />
-                  {/* Solid line for interpolation (within data range) */}
-                  <Line
-                    name="Baseline Model (Interpolation)"
-                    data={decemberLineData.filter(d => !d.isExtrapolation)}
-                    type="linear"
-                    dataKey="usage"
-                    stroke="#ef4444"
-                    strokeWidth={2}
-                    dot={false}
-                    connectNulls={false}
-                  />
-                  {/* Dotted line for extrapolation (beyond data range) */}
-                  <Line
-                    name="Baseline Model (Extrapolation)"
-                    data={decemberLineData.filter(d => d.isExtrapolation)}
-                    type="linear"
-                    dataKey="usage"
-                    stroke="#ef4444"
-                    strokeWidth={2}
-                    strokeDasharray="5 5"
-                    dot={false}
-                    connectNulls={false}
-                  />
-                </ScatterChart>
-              </ResponsiveContainer>
-            </div>
+      {/* One graph per model (multiple-regression models get a coefficient table instead) */}
+      {models.map((model, index) => (getModelForm(model) === 'multiple' ? (
+        <RegressionDiagnostics
+          key={model.id}
+          model={model}
+          historicalData={historicalData}
+          color={MODEL_COLORS[index % MODEL_COLORS.length]}
+        />
+      ) : (
+        <ModelChart
+          key={model.id}
+          model={model}
+          isLegalMinModel={model.id === legalMinModelId}
+          historicalData={historicalData}
+          color={MODEL_COLORS[index % MODEL_COLORS.length]}
+        />
+      )))}
+    </div>
+  );
+}
 
-            <div style={{ fontSize: '13px', color: '#718096', textAlign: 'center' }}>
-              <strong>Blue dots:</strong> Actual usage for each day | <strong>Solid red line:</strong> Baseline model (within data range) | <strong>Dotted red line:</strong> Extrapolation beyond data
-            </div>
-          </>
-        ) : (
-          <div style={{ textAlign: 'center', color: '#718096', padding: '40px' }}>
-            No December 3-8 data available. Please import data to see the baseline calculation.
-          </div>
-        )}
-      </div>
+function ModelChart({ model, isLegalMinModel, historicalData, color }) {
+  const trainingData = useMemo(() => {
+    return getTrainingData(model, historicalData);
+  }, [model, historicalData]);
 
-      {/* January Baseline Graph */}
-      <div style={{
-        background: 'white',
-        border: '1px solid #e2e8f0',
-        borderRadius: '8px',
-        padding: '24px',
-        marginBottom: '32px',
+  const coefficients = getModelCoefficients(model);
+  const hasCoefficients = coefficients !== null;
+
+  // Calculate regression line data (with extrapolation)
+  const lineData = useMemo(() => {
+    if (!hasCoefficients || trainingData.length === 0) return [];
+    const minTemp = Math.min(...trainingData.map(d => d.temp_mean_f));
+    const maxTemp = Math.max(...trainingData.map(d => d.temp_mean_f));
+
+    // Extend 5 degrees beyond the data range for extrapolation
+    const extrapolationBuffer = 5;
+    const extendedMin = minTemp - extrapolationBuffer;
+    const extendedMax = maxTemp + extrapolationBuffer;
+
+    // Change-point models bend at their balance temperatures, so add a point at each one
+    const breakpoints = getModelForm(model) === 'change-point'
+      ? [coefficients.balanceTemp, coefficients.coolingBalanceTemp]
+        .filter((t) => t !== null && t > minTemp && t < maxTemp)
+        .sort((a, b) => a - b)
+      : [];
+
+    // Create multiple points for smooth line with segments
+    return [
+      { temp: extendedMin, usage: predictUsage(model, extendedMin), isExtrapolation: true },
+      { temp: minTemp, usage: predictUsage(model, minTemp), isExtrapolation: false },
+      ...breakpoints.map((temp) => ({ temp, usage: predictUsage(model, temp), isExtrapolation: false })),
+      { temp: maxTemp, usage: predictUsage(model, maxTemp), isExtrapolation: false },
+      { temp: extendedMax, usage: predictUsage(model, extendedMax), isExtrapolation: true },
+    ];
+  }, [model, coefficients, hasCoefficients, trainingData]);
+
+  // Calculate X-axis domain (tighter range)
+  const domain = useMemo(() => {
+    if (trainingData.length === 0) return [0, 80];
+    const minTemp = Math.min(...trainingData.map(d => d.temp_mean_f));
+    const maxTemp = Math.max(...trainingData.map(d => d.temp_mean_f));
+    const padding = (maxTemp - minTemp) * 0.15; // 15% padding on each side
+    return [minTemp - padding, maxTemp + padding];
+  }, [trainingData]);
+
+  // Format scatter data
+  const scatterData = trainingData.map(d => ({
+    temp: d.temp_mean_f,
+    usage: d.usage_kwh,
+    date: new Date(d.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+  }));
+
+  const rangeLabel = model.trainingRange
+    ? formatPeriod(model.trainingRange.start, model.trainingRange.end)
+    : 'no training range';
+
+  return (
+    <div style={{
+      background: 'white',
+      border: '1px solid #e2e8f0',
+      borderRadius: '8px',
+      padding: '24px',
+      marginBottom: '32px',
+    }}>
+      <h3 style={{
+        fontSize: '18px',
+        fontWeight: '600',
+        color: '#4a5568',
+        marginBottom: '16px',
       }}>
-        <h3 style={{
-          fontSize: '18px',
-          fontWeight: '600',
-          color: '#4a5568',
-          marginBottom: '16px',
-        }}>
-          📊 January Baseline (Jan 2-9) - Legal Minimum
-        </h3>
+        📊 {model.name}
+      </h3>
 
-        {janBaselineData.length > 0 ? (
-          <>
-            <div style={{
-              padding: '12px',
-              background: '#eff6ff',
-              border: '1px solid #bfdbfe',
-              borderRadius: '6px',
-              marginBottom: '16px',
-              fontSize: '14px',
-              color: '#1e40af',
-            }}>
-              <strong>Model:</strong> Expected Usage = 50.75 - (0.888 × Temperature °F)<br/>
-              <span style={{ fontSize: '13px', opacity: 0.9 }}>
-                Derived from {janBaselineData.length} days of actual usage data when thermostat was at legal minimum (60°F)
-              </span>
-            </div>
+      {hasCoefficients && trainingData.length > 0 ? (
+        <>
+          <div style={{
+            padding: '12px',
+            background: '#eff6ff',
+            border: '1px solid #bfdbfe',
+            borderRadius: '6px',
+            marginBottom: '16px',
+            fontSize: '14px',
+            color: '#1e40af',
+          }}>
+            <strong>Model:</strong> {formatModelFormula(model)}<br/>
+            <span style={{ fontSize: '13px', opacity: 0.9 }}>
+              {model.type === 'fixed' ? 'Fixed coefficients, scored against' : 'Derived from'} {trainingData.length} days
+              of actual usage data ({rangeLabel}){model.description ? `. ${model.description}` : ''}
+            </span>
+          </div>
 
-            <div style={{ height: '400px', marginBottom: '16px' }}>
-              <ResponsiveContainer width="100%" height="100%">
-                <ScatterChart margin={{ top: 20, right: 20, bottom: 20, left: 20 }}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis
-                    dataKey="temp"
-                    type="number"
-                    name="Temperature"
-                    unit="°F"
-                    domain={januaryDomain}
-                    label={{ value: 'Outdoor Temperature (°F)', position: 'insideBottom', offset: -5 }}
-                  />
-                  <YAxis
-                    dataKey="usage"
-                    type="number"
-                    name="Usage"
-                    unit="kWh"
-                    label={{ value: 'Usage (kWh)', angle: -90, position: 'insideLeft' }}
-                  />
-                  <Tooltip
-                    cursor={{ strokeDasharray: '3 3' }}
-                    content={({ active, payload }) => {
-                      if (active && payload && payload.length) {
-                        const data = payload[0].payload;
-                        return (
-                          <div style={{
-                            background: 'white',
-                            border: '1px solid #e2e8f0',
-                            borderRadius: '4px',
-                            padding: '8px',
-                            boxShadow: '0 2px 8px rgba(0,0,0,0.1)'
-                          }}>
-                            <div style={{ fontWeight: '600', marginBottom: '4px' }}>{data.date}</div>
-                            <div>Temp: {data.temp.toFixed(1)}°F</div>
-                            <div>Usage: {data.usage.toFixed(1)} kWh</div>
-                          </div>
-                        );
-                      }
-                      return null;
-                    }}
-                  />
-                  <Legend />
-                  <Scatter name="Actual Usage" data={janScatterData} fill="#10b981" shape="circle" />
-                  {/* Solid line for interpolation (within data range) */}
-                  <Line
-                    name="Legal Minimum Model (Interpolation)"
-                    data={januaryLineData.filter(d => !d.isExtrapolation)}
-                    type="linear"
-                    dataKey="usage"
-                    stroke="#ef4444"
-                    strokeWidth={2}
-                    dot={false}
-                    connectNulls={false}
-                  />
-                  {/* Dotted line for extrapolation (beyond data range) */}
-                  <Line
-                    name="Legal Minimum Model (Extrapolation)"
-                    data={januaryLineData.filter(d => d.isExtrapolation)}
-                    type="linear"
-                    dataKey="usage"
-                    stroke="#ef4444"
-                    strokeWidth={2}
-                    strokeDasharray="5 5"
-                    dot={false}
-                    connectNulls={false}
-                  />
-                </ScatterChart>
-              </ResponsiveContainer>
-            </div>
+          <div style={{ height: '400px', marginBottom: '16px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <ScatterChart margin={{ top: 20, right: 20, bottom: 20, left: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="temp"
+                  type="number"
+                  name="Temperature"
+                  unit="°F"
+                  domain={domain}
+                  label={{ value: 'Outdoor Temperature (°F)', position: 'insideBottom', offset: -5 }}
+                />
+                <YAxis
+                  dataKey="usage"
+                  type="number"
+                  name="Usage"
+                  unit="kWh"
+                  label={{ value: 'Usage (kWh)', angle: -90, position: 'insideLeft' }}
+                />
+                <Tooltip
+                  cursor={{ strokeDasharray: '3 3' }}
+                  content={({ active, payload }) => {
+                    if (active && payload && payload.length) {
+                      const data = payload[0].payload;
+                      return (
+                        <div style={{
+                          background: 'white',
+                          border: '1px solid #e2e8f0',
+                          borderRadius: '4px',
+                          padding: '8px',
+                          boxShadow: '0 2px 8px rgba(0,0,0,0.1)'
+                        }}>
+                          <div style={{ fontWeight: '600', marginBottom: '4px' }}>{data.date}</div>
+                          <div>Temp: {data.temp.toFixed(1)}°F</div>
+                          <div>Usage: {data.usage.toFixed(1)} kWh</div>
+                        </div>
+                      );
+                    }
+                    return null;
+                  }}
+                />
+                <Legend />
+                <Scatter name="Actual Usage" data={scatterData} fill={color} shape="circle" />
+                {/* Solid line for interpolation (within data range) */}
+                <Line
+                  name="Baseline Model (Interpolation)"
+                  data={lineData.filter(d => !d.isExtrapolation)}
+                  type="linear"
+                  dataKey="usage"
+                  stroke="#ef4444"
+                  strokeWidth={2}
+                  dot={false}
+                  connectNulls={false}
+                />
+                {/* Dotted line for extrapolation (beyond data range) */}
+                <Line
+                  name="Baseline Model (Extrapolation)"
+                  data={lineData.filter(d => d.isExtrapolation)}
+                  type="linear"
+                  dataKey="usage"
+                  stroke="#ef4444"
+                  strokeWidth={2}
+                  strokeDasharray="5 5"
+                  dot={false}
+                  connectNulls={false}
+                />
+              </ScatterChart>
+            </ResponsiveContainer>
+          </div>
 
-            <div style={{ fontSize: '13px', color: '#718096', textAlign: 'center' }}>
-              <strong>Green dots:</strong> Actual usage for each day | <strong>Solid red line:</strong> Legal minimum model (within data range) | <strong>Dotted red line:</strong> Extrapolation beyond data
-            </div>
+          <div style={{ fontSize: '13px', color: '#718096', textAlign: 'center' }}>
+            <strong>Dots:</strong> Actual usage for each day | <strong>Solid red line:</strong> Baseline model (within data range) | <strong>Dotted red line:</strong> Extrapolation beyond data
+          </div>
 
+          {isLegalMinModel && (
             <div style={{
               marginTop: '16px',
               padding: '12px',
@@ -391,15 +378,43 @@ export function Calculations({ historicalData }) {
             }}>
               <strong>Why this model:</strong> This model represents electricity usage when the thermostat is set to the
               legal minimum (60°F). It's used for all periods from Jan 2 onwards, including when Guala was away (Dec 18+).
-              The slope (-0.888) means usage decreases by 0.888 kWh for every 1°F increase in outdoor temperature.
+              {getModelForm(model) === 'change-point' ? (
+                <>
+                  {' '}Below {coefficients.balanceTemp.toFixed(1)}°F, usage increases by {coefficients.heatingSlope.toFixed(3)} kWh
+                  for every 1°F drop in outdoor temperature; above it, usage stays at the {coefficients.baseLoad.toFixed(2)} kWh base load.
+                </>
+              ) : (
+                <>
+                  {' '}The slope ({coefficients.slope.toFixed(3)}) means usage decreases by{' '}
+                  {Math.abs(coefficients.slope).toFixed(3)} kWh for every 1°F increase in outdoor temperature.
+                </>
+              )}
             </div>
-          </>
-        ) : (
-          <div style={{ textAlign: 'center', color: '#718096', padding: '40px' }}>
-            No January 2-9 data available. Please import data to see the baseline calculation.
-          </div>
-        )}
-      </div>
+          )}
+        </>
+      ) : (
+        <div style={{ textAlign: 'center', color: '#718096', padding: '40px' }}>
+          No data available for {rangeLabel}. Please import data to see the baseline calculation.
+        </div>
+      )}
     </div>
   );
 }
+
+function TableHeader({ children }) {
+  return (
+    <th
+      style={{
+        padding: '8px 12px',
+        textAlign: 'left',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#718096',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+      }}
+    >
+      {children}
+    </th>
+  );
+}
@@ -0,0 +1,254 @@
+/**
+ * RegressionDiagnostics Component
+ *
+ * Shows a multiple-regression baseline model: its coefficient table with
+ * standard errors, fit diagnostics, and actual vs. predicted usage for the
+ * training days (points on the diagonal are predicted exactly).
+ */
+
+import { useMemo } from 'react';
+import {
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  Line,
+} from 'recharts';
+import { findFeature, getFeatureValue } from '../../utils/features';
+import { formatModelFormula, getModelCoefficients, getTrainingData, predictDayUsage } from '../../utils/models';
+import { formatPeriod } from '../../utils/dateHelpers';
+
+export function RegressionDiagnostics({ model, historicalData, color }) {
+  const coefficients = getModelCoefficients(model);
+  const standardErrors = model.fit?.standardErrors || null;
+
+  // Actual vs. predicted for every training day that has all of the model's features
+  const points = useMemo(() => {
+    if (!coefficients) return [];
+    const features = Object.keys(coefficients).filter((term) => term !== 'intercept');
+    return getTrainingData(model, historicalData)
+      .filter((day) => features.every((featureId) => getFeatureValue(featureId, day) !== null))
+      .map((day) => ({
+        date: new Date(day.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+        predicted: predictDayUsage(model, day),
+        actual: day.usage_kwh,
+      }))
+      .filter((point) => point.predicted !== null);
+  }, [model, coefficients, historicalData]);
+
+  const diagonal = useMemo(() => {
+    if (points.length === 0) return [];
+    const values = points.flatMap((point) => [point.predicted, point.actual]);
+    const min = Math.floor(Math.min(...values));
+    const max = Math.ceil(Math.max(...values));
+    return [{ predicted: min, actual: min }, { predicted: max, actual: max }];
+  }, [points]);
+
+  const largestResidual = points.reduce(
+    (largest, point) => (largest === null || Math.abs(point.actual - point.predicted) > Math.abs(largest.actual - largest.predicted) ? point : largest),
+    null
+  );
+
+  const rangeLabel = model.trainingRange
+    ? formatPeriod(model.trainingRange.start, model.trainingRange.end)
+    : 'no training range';
+
+  return (
+    <div style={{
+      background: 'white',
+      border: '1px solid #e2e8f0',
+      borderRadius: '8px',
+      padding: '24px',
+      marginBottom: '32px',
+    }}>
+      <h3 style={{
+        fontSize: '18px',
+        fontWeight: '600',
+        color: '#4a5568',
+        marginBottom: '16px',
+      }}>
+        📊 {model.name}
+      </h3>
+
+      {coefficients && points.length > 0 ? (
+        <>
+          <div style={{
+            padding: '12px',
+            background: '#eff6ff',
+            border: '1px solid #bfdbfe',
+            borderRadius: '6px',
+            marginBottom: '16px',
+            fontSize: '14px',
+            color: '#1e40af',
+          }}>
+            <strong>Model:</strong> {formatModelFormula(model)}<br/>
+            <span style={{ fontSize: '13px', opacity: 0.9 }}>
+              {model.type === 'fixed' ? 'Fixed coefficients, scored against' : 'Derived from'} {points.length} days
+              of actual usage data ({rangeLabel}){model.description ? `. ${model.description}` : ''}
+            </span>
+          </div>
+
+          {/* Coefficient table */}
+          <div style={{ overflowX: 'auto', marginBottom: '16px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                  <TableHeader>Term</TableHeader>
+                  <TableHeader>Coefficient</TableHeader>
+                  <TableHeader>Std. Error</TableHeader>
+                  <TableHeader>t</TableHeader>
+                  <TableHeader>Meaning</TableHeader>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(coefficients).map(([term, coefficient]) => {
+                  const feature = findFeature(term);
+                  const standardError = standardErrors ? standardErrors[term] ?? null : null;
+                  const t = standardError ? coefficient / standardError : null;
+                  return (
+                    <tr key={term} style={{ borderBottom: '1px solid #e2e8f0' }}>
+                      <td style={{ padding: '8px 12px', fontWeight: '500' }}>{feature ? feature.label : 'Intercept'}</td>
+                      <td style={{ padding: '8px 12px' }}>{coefficient.toFixed(3)}</td>
+                      <td style={{ padding: '8px 12px' }}>{standardError !== null ? standardError.toFixed(3) : '—'}</td>
+                      <td style={{ padding: '8px 12px', color: t !== null && Math.abs(t) >= 2 ? '#166534' : '#718096' }}>
+                        {t !== null ? t.toFixed(2) : '—'}
+                      </td>
+                      <td style={{ padding: '8px 12px', color: '#718096' }}>
+                        {feature
+                          ? `${coefficient >= 0 ? '+' : ''}${coefficient.toFixed(2)} kWh per ${feature.unit}`
+                          : 'Expected usage with every feature at 0'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <div style={{ fontSize: '12px', color: '#718096', marginTop: '6px' }}>
+              |t| of 2 or more (green) means the feature's effect is unlikely to be noise.
+            </div>
+          </div>
+
+          {/* Fit diagnostics */}
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))',
+            gap: '12px',
+            marginBottom: '16px',
+          }}>
+            <Diagnostic label="R²" value={model.fit && model.fit.r2 !== null ? model.fit.r2.toFixed(3) : '—'} />
+            <Diagnostic label="Adjusted R²" value={model.fit && model.fit.adjustedR2 !== null ? model.fit.adjustedR2.toFixed(3) : '—'} />
+            <Diagnostic label="Residual σ" value={model.fit && model.fit.residualStdDev !== null ? `${model.fit.residualStdDev.toFixed(2)} kWh` : '—'} />
+            <Diagnostic label="Days (n)" value={`${points.length}`} />
+            <Diagnostic
+              label="Largest Miss"
+              value={largestResidual ? `${(largestResidual.actual - largestResidual.predicted).toFixed(1)} kWh (${largestResidual.date})` : '—'}
+            />
+          </div>
+
+          <div style={{ height: '360px', marginBottom: '16px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <ScatterChart margin={{ top: 20, right: 20, bottom: 20, left: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="predicted"
+                  type="number"
+                  name="Predicted"
+                  unit="kWh"
+                  domain={['auto', 'auto']}
+                  label={{ value: 'Predicted Usage (kWh)', position: 'insideBottom', offset: -5 }}
+                />
+                <YAxis
+                  dataKey="actual"
+                  type="number"
+                  name="Actual"
+                  unit="kWh"
+                  domain={['auto', 'auto']}
+                  label={{ value: 'Actual Usage (kWh)', angle: -90, position: 'insideLeft' }}
+                />
+                <Tooltip
+                  cursor={{ strokeDasharray: '3 3' }}
+                  content={({ active, payload }) => {
+                    if (active && payload && payload.length && payload[0].payload.date) {
+                      const data = payload[0].payload;
+                      return (
+                        <div style={{
+                          background: 'white',
+                          border: '1px solid #e2e8f0',
+                          borderRadius: '4px',
+                          padding: '8px',
+                          boxShadow: '0 2px 8px rgba(0,0,0,0.1)'
+                        }}>
+                          <div style={{ fontWeight: '600', marginBottom: '4px' }}>{data.date}</div>
+                          <div>Predicted: {data.predicted.toFixed(1)} kWh</div>
+                          <div>Actual: {data.actual.toFixed(1)} kWh</div>
+                        </div>
+                      );
+                    }
+                    return null;
+                  }}
+                />
+                <Legend />
+                <Scatter name="Training Days" data={points} fill={color} shape="circle" />
+                <Line
+                  name="Perfect Prediction"
+                  data={diagonal}
+                  type="linear"
+                  dataKey="actual"
+                  stroke="#ef4444"
+                  strokeWidth={2}
+                  strokeDasharray="5 5"
+                  dot={false}
+                />
+              </ScatterChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      ) : (
+        <div style={{ textAlign: 'center', color: '#718096', padding: '40px' }}>
+          No data with every feature available for {rangeLabel}. Import data (and, for occupancy, add a bill
+          covering these dates) to see the regression.
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Diagnostic({ label, value }) {
+  return (
+    <div style={{
+      padding: '10px 12px',
+      background: '#f7fafc',
+      border: '1px solid #e2e8f0',
+      borderRadius: '6px',
+    }}>
+      <div style={{ fontSize: '11px', color: '#718096', textTransform: 'uppercase', letterSpacing: '0.05em' }}>
+        {label}
+      </div>
+      <div style={{ fontSize: '15px', fontWeight: '600', color: '#2d3748', marginTop: '2px' }}>
+        {value}
+      </div>
+    </div>
+  );
+}
+
+function TableHeader({ children }) {
+  return (
+    <th
+      style={{
+        padding: '8px 12px',
+        textAlign: 'left',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#718096',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+      }}
+    >
+      {children}
+    </th>
+  );
+}
@@ -0,0 +1,289 @@
+/**
+ * DataQualityReport Component
+ *
+ * Runs the data-quality checks (see dataQuality.js) over the stored usage:
+ * missing and duplicate dates, zero-usage days, outliers against a baseline
+ * model and estimated meter reads. Each flagged day can be excluded from model
+ * fitting, from splitting, or both; models are refitted on request, since
+ * fits are stored rather than recomputed.
+ */
+
+import { useState } from 'react';
+import {
+  EXCLUSION_USES,
+  OUTLIER_SIGMAS,
+  QUALITY_CHECKS,
+  getDataQualityReport,
+  isExcluded,
+  setExclusion,
+} from '../../utils/dataQuality';
+
+export function DataQualityReport({ records, models, legalMinModelId, exclusions, onExclusionsChange, onRefitModels }) {
+  const [modelId, setModelId] = useState(legalMinModelId);
+  const [filter, setFilter] = useState('all');
+
+  const model = models.find((m) => m.id === modelId && m.fit) || null;
+  const report = getDataQualityReport(records, model);
+
+  // Excluded days the checks no longer flag stay listed so they can be included again
+  const flagged = new Set(report.issues.map((issue) => issue.date));
+  const usageByDate = new Map(records.map((record) => [record.date, record.usage_kwh]));
+  const excludedOnly = Object.keys(exclusions)
+    .filter((date) => !flagged.has(date))
+    .map((date) => ({ date, checks: [], usage_kwh: usageByDate.get(date) ?? null, expected: null, sigmas: null, count: 1 }));
+
+  const rows = filter === 'all'
+    ? [...report.issues, ...excludedOnly].sort((a, b) => a.date.localeCompare(b.date))
+    : filter === 'excluded'
+      ? [...report.issues.filter((issue) => exclusions[issue.date]), ...excludedOnly].sort((a, b) => a.date.localeCompare(b.date))
+      : report.issues.filter((issue) => issue.checks.includes(filter));
+
+  // Missing dates have no record to leave out
+  const excludable = rows.filter((row) => !row.checks.includes('missing')).map((row) => row.date);
+
+  const excludeShown = (use) => onExclusionsChange(setExclusion(exclusions, excludable, use, true));
+  const includeShown = () => onExclusionsChange(
+    Object.keys(EXCLUSION_USES).reduce((updated, use) => setExclusion(updated, excludable, use, false), exclusions)
+  );
+
+  return (
+    <div
+      style={{
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '16px',
+      }}
+    >
+      <h3
+        style={{
+          fontSize: '16px',
+          fontWeight: '600',
+          color: '#4a5568',
+          marginBottom: '12px',
+        }}
+      >
+        🩺 Data Quality
+      </h3>
+      <p style={{ fontSize: '14px', color: '#718096', marginBottom: '12px' }}>
+        Checks the stored usage for gaps, dates with several rows in the file they were imported from (the last
+        row is kept), zero-usage days, estimated meter reads, and days more
+        than {OUTLIER_SIGMAS}σ from a baseline model. Above-baseline days only count as outliers inside the
+        model's training range, since heating above the legal minimum is expected elsewhere. Exclude a day
+        from model fitting to keep it out of the fits, or from splitting to leave it out of bills and splits
+        like a missing day.
+      </p>
+
+      {report.dateRange ? (
+        <div style={{ fontSize: '13px', color: '#4a5568', marginBottom: '12px' }}>
+          <strong>{report.days} days</strong> ({report.dateRange.start} to {report.dateRange.end}),{' '}
+          {Object.keys(exclusions).length} excluded
+        </div>
+      ) : (
+        <div style={{ fontSize: '13px', color: '#718096', marginBottom: '12px' }}>No usage data to check yet.</div>
+      )}
+
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(120px, 1fr))',
+          gap: '8px',
+          marginBottom: '12px',
+        }}
+      >
+        {Object.entries(QUALITY_CHECKS).map(([check, { label, color }]) => (
+          <StatCard
+            key={check}
+            label={label}
+            value={report.counts[check]}
+            color={report.counts[check] > 0 ? color : '#1a202c'}
+            active={filter === check}
+            onClick={() => setFilter(filter === check ? 'all' : check)}
+          />
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <label style={{ fontSize: '12px', color: '#4a5568' }}>
+          Outliers against{' '}
+          <select value={modelId} onChange={(e) => setModelId(e.target.value)} style={selectStyle}>
+            {models.map((m) => (
+              <option key={m.id} value={m.id} disabled={!m.fit}>
+                {m.name}{!m.fit && ' (not fitted)'}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={{ fontSize: '12px', color: '#4a5568' }}>
+          Show{' '}
+          <select value={filter} onChange={(e) => setFilter(e.target.value)} style={selectStyle}>
+            <option value="all">All flagged and excluded days</option>
+            {Object.entries(QUALITY_CHECKS).map(([check, { label }]) => (
+              <option key={check} value={check}>{label}</option>
+            ))}
+            <option value="excluded">Excluded days</option>
+          </select>
+        </label>
+      </div>
+
+      {rows.length > 0 ? (
+        <div style={{ maxHeight: '320px', overflowY: 'auto', marginBottom: '12px' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                <TableHeader>Date</TableHeader>
+                <TableHeader>Checks</TableHeader>
+                <TableHeader>Usage</TableHeader>
+                <TableHeader>Expected</TableHeader>
+                {Object.entries(EXCLUSION_USES).map(([use, label]) => (
+                  <TableHeader key={use}>Exclude: {label}</TableHeader>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.date} style={{ borderBottom: '1px solid #e2e8f0' }}>
+                  <td style={{ padding: '4px 8px', color: '#2d3748' }}>{row.date}</td>
+                  <td style={{ padding: '4px 8px' }}>
+                    {row.checks.length > 0
+                      ? row.checks.map((check) => (
+                        <CheckBadge key={check} check={check} count={check === 'duplicate' ? row.count : null} />
+                      ))
+                      : <span style={{ color: '#9ca3af' }}>no issues</span>}
+                  </td>
+                  <td style={{ padding: '4px 8px', fontWeight: '600', color: '#2d3748' }}>
+                    {row.usage_kwh === null ? '—' : `${row.usage_kwh.toFixed(1)} kWh`}
+                  </td>
+                  <td style={{ padding: '4px 8px', color: '#4b5563' }}>
+                    {row.expected === null
+                      ? '—'
+                      : `${row.expected.toFixed(1)} kWh (${row.sigmas > 0 ? '+' : ''}${row.sigmas.toFixed(1)}σ)`}
+                  </td>
+                  {Object.keys(EXCLUSION_USES).map((use) => (
+                    <td key={use} style={{ padding: '4px 8px' }}>
+                      {row.checks.includes('missing') ? (
+                        <span style={{ color: '#9ca3af' }}>no record</span>
+                      ) : (
+                        <input
+                          type="checkbox"
+                          checked={isExcluded(exclusions, row.date, use)}
+                          onChange={(e) => onExclusionsChange(setExclusion(exclusions, [row.date], use, e.target.checked))}
+                        />
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        report.dateRange && (
+          <div style={{ fontSize: '13px', color: '#065f46', marginBottom: '12px' }}>✓ No days to show.</div>
+        )
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+        {Object.entries(EXCLUSION_USES).map(([use, label]) => (
+          <button
+            key={use}
+            onClick={() => excludeShown(use)}
+            disabled={excludable.length === 0}
+            style={{ ...buttonStyle, opacity: excludable.length > 0 ? 1 : 0.6 }}
+          >
+            Exclude shown from {label.toLowerCase()}
+          </button>
+        ))}
+        <button
+          onClick={includeShown}
+          disabled={excludable.length === 0}
+          style={{ ...buttonStyle, opacity: excludable.length > 0 ? 1 : 0.6 }}
+        >
+          Include shown again
+        </button>
+        <button
+          onClick={onRefitModels}
+          style={{ ...buttonStyle, border: 'none', background: '#3b82f6', color: 'white' }}
+        >
+          Refit All Models
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function CheckBadge({ check, count }) {
+  const { label, color } = QUALITY_CHECKS[check];
+  return (
+    <span
+      style={{
+        display: 'inline-block',
+        padding: '1px 6px',
+        marginRight: '4px',
+        borderRadius: '9999px',
+        fontSize: '11px',
+        fontWeight: '500',
+        color: 'white',
+        background: color,
+      }}
+    >
+      {label}{count && ` ×${count}`}
+    </span>
+  );
+}
+
+function StatCard({ label, value, color, active, onClick }) {
+  return (
+    <div
+      onClick={onClick}
+      style={{
+        padding: '8px',
+        background: active ? '#eff6ff' : 'white',
+        border: `1px solid ${active ? '#3b82f6' : '#e2e8f0'}`,
+        borderRadius: '6px',
+        cursor: 'pointer',
+      }}
+    >
+      <div style={{ fontSize: '11px', color: '#718096', marginBottom: '2px' }}>{label}</div>
+      <div style={{ fontSize: '14px', fontWeight: '700', color }}>{value}</div>
+    </div>
+  );
+}
+
+function TableHeader({ children }) {
+  return (
+    <th
+      style={{
+        padding: '4px 8px',
+        textAlign: 'left',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#718096',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+      }}
+    >
+      {children}
+    </th>
+  );
+}
+
+const selectStyle = {
+  padding: '6px',
+  fontSize: '12px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '4px',
+  background: 'white',
+};
+
+const buttonStyle = {
+  padding: '6px 12px',
+  fontSize: '12px',
+  fontWeight: '500',
+  borderRadius: '4px',
+  border: '1px solid #e2e8f0',
+  background: 'white',
+  color: '#4a5568',
+  cursor: 'pointer',
+};
@@ -0,0 +1,120 @@
+/**
+ * GapFilling Component
+ *
+ * Chooses how days missing from the usage are filled in before the splits
+ * run (see gapFilling.js), and lists the days that were filled and how. The
+ * bills, time windows and baseline analyses all use the filled data; the
+ * stored usage is never changed.
+ */
+
+import { GAP_FILL_STRATEGIES } from '../../utils/gapFilling';
+
+export function GapFilling({ settings, onChange, filledDays }) {
+  const usageGaps = filledDays.filter((day) => day.filled).length;
+
+  return (
+    <div
+      style={{
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '16px',
+      }}
+    >
+      <h3
+        style={{
+          fontSize: '16px',
+          fontWeight: '600',
+          color: '#4a5568',
+          marginBottom: '12px',
+        }}
+      >
+        🩹 Gap Filling
+      </h3>
+      <p style={{ fontSize: '14px', color: '#718096', marginBottom: '12px' }}>
+        Days with no usage and days with no temperature are skipped by the splits, so a bill with gaps comes
+        out short. Fill them in with an estimate instead; filled days are marked 🩹 in the splits and in the
+        filled column of the CSV export. Missing temperatures come from the weather, or between the
+        neighbouring days. Days excluded from splitting are never filled in: they stay out of the splits.
+      </p>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '12px' }}>
+        {Object.entries(GAP_FILL_STRATEGIES).map(([key, { label, description }]) => (
+          <label key={key} style={{ display: 'flex', gap: '8px', alignItems: 'flex-start', fontSize: '13px', cursor: 'pointer' }}>
+            <input
+              type="radio"
+              name="gap-filling"
+              checked={settings.strategy === key}
+              onChange={() => onChange({ ...settings, strategy: key })}
+              style={{ marginTop: '3px' }}
+            />
+            <span>
+              <strong style={{ color: '#2d3748' }}>{label}</strong>
+              <span style={{ display: 'block', fontSize: '12px', color: '#718096' }}>{description}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+
+      {filledDays.length > 0 ? (
+        <>
+          <div style={{ fontSize: '13px', color: '#4a5568', marginBottom: '8px' }}>
+            <strong>{filledDays.length} days</strong> filled in: {usageGaps} with estimated usage,{' '}
+            {filledDays.length - usageGaps} with only an estimated temperature
+          </div>
+          <div style={{ maxHeight: '240px', overflowY: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                  <TableHeader>Date</TableHeader>
+                  <TableHeader>Usage</TableHeader>
+                  <TableHeader>Mean Temp</TableHeader>
+                  <TableHeader>Filled</TableHeader>
+                </tr>
+              </thead>
+              <tbody>
+                {filledDays.map((day) => (
+                  <tr key={day.date} style={{ borderBottom: '1px solid #e2e8f0' }}>
+                    <td style={{ padding: '4px 8px', color: '#2d3748' }}>{day.date}</td>
+                    <td style={{ padding: '4px 8px', fontWeight: '600', color: day.filled ? '#92400e' : '#2d3748' }}>
+                      {day.usage_kwh.toFixed(1)} kWh
+                    </td>
+                    <td style={{ padding: '4px 8px', color: day.filled || day.temp_filled ? '#92400e' : '#4b5563' }}>
+                      {day.temp_mean_f.toFixed(1)}°F
+                    </td>
+                    <td style={{ padding: '4px 8px', color: '#4b5563' }}>
+                      {day.filled ? `Usage: ${GAP_FILL_STRATEGIES[day.filled].label.toLowerCase()}` : 'Temperature only'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      ) : (
+        settings.strategy !== 'none' && (
+          <div style={{ fontSize: '13px', color: '#065f46' }}>✓ No gaps to fill.</div>
+        )
+      )}
+    </div>
+  );
+}
+
+function TableHeader({ children }) {
+  return (
+    <th
+      style={{
+        padding: '4px 8px',
+        textAlign: 'left',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#718096',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+      }}
+    >
+      {children}
+    </th>
+  );
+}
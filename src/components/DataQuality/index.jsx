@@ -0,0 +1,2 @@
+export { DataQualityReport } from './DataQualityReport';
+export { GapFilling } from './GapFilling';
@@ -2,12 +2,24 @@
  * TimeWindowResults Component
  *
  * Displays the aggregated cost breakdown for a time window with variable occupancy.
- * Shows per-person shares, daily breakdowns, and summary statistics.
+ * Shows per-person shares (± their 95% margin when the baseline model has fit
+ * statistics), daily breakdowns, and summary statistics. Days whose usage fell
+ * outside the model's prediction interval are flagged. Each day's shares show
+ * the baseline and excess weights the policy gave each resident, which follow
+ * how much of the day they were home, and personal appliances charged to
+ * their owners get an audit line. Days filled in for gaps in the usage are
+ * marked with 🩹. Cost the policy left to nobody (e.g. the excess of days
+ * nobody was home) gets its own row next to the shares.
  */
 
 import { formatDisplayDate } from '../../utils/dateHelpers';
+import { GAP_FILL_STRATEGIES } from '../../utils/gapFilling';
+import { describeSplitWeights } from '../../utils/policies';
+import { ChargeBreakdown } from '../Tariffs';
+import { ApplianceCharges, ApplianceLines } from '../Appliances';
+import { HourlyProfileChart } from '../Hourly';
 
-export function TimeWindowResults({ results }) {
+export function TimeWindowResults({ results, residents }) {
   if (!results) {
     return (
       <div
@@ -26,6 +38,7 @@ export function TimeWindowResults({ results }) {
   }
 
   const { totals, dailyBreakdowns } = results;
+  const hasUnallocated = Math.abs(totals.unallocated) >= 0.005;
 
   return (
     <div>
@@ -67,82 +80,79 @@ export function TimeWindowResults({ results }) {
         <div
           style={{
             display: 'grid',
-            gridTemplateColumns: '1fr 1fr',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
             gap: '12px',
           }}
         >
-          <div
-            style={{
-              background: 'rgba(255,255,255,0.2)',
-              borderRadius: '8px',
-              padding: '16px',
-              backdropFilter: 'blur(10px)',
-            }}
-          >
+          {residents.map((resident) => (
             <div
+              key={resident.id}
               style={{
-                fontSize: '12px',
-                opacity: 0.8,
-                marginBottom: '4px',
+                background: 'rgba(255,255,255,0.2)',
+                borderRadius: '8px',
+                padding: '16px',
+                backdropFilter: 'blur(10px)',
               }}
             >
-              Your Share
+              <div
+                style={{
+                  fontSize: '12px',
+                  opacity: 0.8,
+                  marginBottom: '4px',
+                }}
+              >
+                {resident.name}'s Share
+              </div>
+              <div
+                style={{
+                  fontSize: '24px',
+                  fontWeight: '700',
+                }}
+              >
+                ${(totals.shares[resident.id] || 0).toFixed(2)}
+              </div>
+              <div
+                style={{
+                  fontSize: '11px',
+                  opacity: 0.7,
+                  marginTop: '4px',
+                }}
+              >
+                {(totals.totalCost > 0 ? ((totals.shares[resident.id] || 0) / totals.totalCost) * 100 : 0).toFixed(1)}% of total
+                {totals.shareMargins && ` · ±$${(totals.shareMargins[resident.id] || 0).toFixed(2)}`}
+              </div>
             </div>
+          ))}
+          {hasUnallocated && (
             <div
               style={{
-                fontSize: '24px',
-                fontWeight: '700',
+                background: 'rgba(255,255,255,0.1)',
+                border: '1px dashed rgba(255,255,255,0.5)',
+                borderRadius: '8px',
+                padding: '16px',
               }}
             >
-              ${totals.yourShare.toFixed(2)}
+              <div style={{ fontSize: '12px', opacity: 0.8, marginBottom: '4px' }}>
+                Unallocated
+              </div>
+              <div style={{ fontSize: '24px', fontWeight: '700' }}>
+                ${totals.unallocated.toFixed(2)}
+              </div>
+              <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '4px' }}>
+                {(totals.totalCost > 0 ? (totals.unallocated / totals.totalCost) * 100 : 0).toFixed(1)}% of total · charged to nobody by the policy
+              </div>
             </div>
-            <div
-              style={{
-                fontSize: '11px',
-                opacity: 0.7,
-                marginTop: '4px',
-              }}
-            >
-              {((totals.yourShare / totals.totalCost) * 100).toFixed(1)}% of total
-            </div>
-          </div>
+          )}
+        </div>
 
-          <div
-            style={{
-              background: 'rgba(255,255,255,0.2)',
-              borderRadius: '8px',
-              padding: '16px',
-              backdropFilter: 'blur(10px)',
-            }}
-          >
-            <div
-              style={{
-                fontSize: '12px',
-                opacity: 0.8,
-                marginBottom: '4px',
-              }}
-            >
-              Guala's Share
-            </div>
-            <div
-              style={{
-                fontSize: '24px',
-                fontWeight: '700',
-              }}
-            >
-              ${totals.flatmateShare.toFixed(2)}
-            </div>
-            <div
-              style={{
-                fontSize: '11px',
-                opacity: 0.7,
-                marginTop: '4px',
-              }}
-            >
-              {((totals.flatmateShare / totals.totalCost) * 100).toFixed(1)}% of total
-            </div>
+        {totals.shareMargins && (
+          <div style={{ fontSize: '12px', opacity: 0.8, marginTop: '8px' }}>
+            ± is the 95% range from the baseline model's uncertainty.{' '}
+            {totals.outsideIntervalDays > 0
+              ? `${totals.outsideIntervalDays} of ${totals.totalDays} days used more or less than the model's range (⚠️ below).`
+              : 'Every day\'s usage was within the model\'s range.'}
           </div>
-        </div>
+        )}
 
         {/* Legal Minimum Breakdown */}
         <div
@@ -157,11 +167,15 @@ export function TimeWindowResults({ results }) {
           }}
         >
           <strong style={{ display: 'block', marginBottom: '4px' }}>💡 How it works:</strong>
-          Legal minimum cost (${totals.legalMinTotal?.toFixed(2) || '$0.00'}) is <strong>always split 50/50</strong> between Causio and Guala, regardless of occupancy.
+          Legal minimum cost (${totals.legalMinTotal?.toFixed(2) || '$0.00'}) is <strong>always split evenly</strong> between all {residents.length} residents, regardless of occupancy.
           Excess heating (${totals.excessTotal?.toFixed(2) || '$0.00'}) goes to the person who was home based on thermostat control.
         </div>
       </div>
 
+      <ChargeBreakdown charges={totals.charges} residents={residents} />
+      <ApplianceCharges appliances={totals.appliances} residents={residents} />
+      <HourlyProfileChart series={[{ name: 'Average day', profile: totals.hourlyProfile, color: '#3b82f6' }]} />
+
       {/* Daily Breakdown */}
       <div
         style={{
@@ -181,7 +195,7 @@ export function TimeWindowResults({ results }) {
             color: '#4a5568',
           }}
         >
-          Daily Breakdown ({dailyBreakdowns.length} days)
+          Daily Breakdown ({dailyBreakdowns.length} days{totals.filledDays > 0 && `, ${totals.filledDays} filled in 🩹`})
         </div>
 
         <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
@@ -199,8 +213,10 @@ export function TimeWindowResults({ results }) {
                 <TableHeader>Usage</TableHeader>
                 <TableHeader>Temp</TableHeader>
                 <TableHeader>Cost</TableHeader>
-                <TableHeader>You</TableHeader>
-                <TableHeader>Flatmate</TableHeader>
+                {residents.map((resident) => (
+                  <TableHeader key={resident.id}>{resident.name}</TableHeader>
+                ))}
+                {hasUnallocated && <TableHeader>Unallocated</TableHeader>}
                 <TableHeader>Status</TableHeader>
               </tr>
             </thead>
@@ -215,38 +231,54 @@ export function TimeWindowResults({ results }) {
                 >
                   <td style={{ padding: '8px 12px', fontSize: '13px' }}>
                     {formatDisplayDate(day.date, 'M/d')}
+                    {day.hourly && <span title="Hourly data: heating attributed hour by hour"> ⏱️</span>}
+                    {day.filled && <span title={`Gap filled: ${GAP_FILL_STRATEGIES[day.filled].label}`}> 🩹</span>}
                   </td>
                   <td style={{ padding: '8px 12px', fontSize: '13px' }}>
                     {day.usage.toFixed(1)} kWh
+                    {day.outsideInterval && (
+                      <span
+                        title={`Outside the model's 95% range of ${day.legalMinInterval.lower.toFixed(1)}–${day.legalMinInterval.upper.toFixed(1)} kWh`}
+                        style={{ marginLeft: '4px', cursor: 'help' }}
+                      >
+                        ⚠️
+                      </span>
+                    )}
                   </td>
                   <td style={{ padding: '8px 12px', fontSize: '13px' }}>
                     {day.temp.toFixed(1)}°F
                   </td>
                   <td style={{ padding: '8px 12px', fontSize: '13px' }}>
                     ${day.cost.toFixed(2)}
+                    <ApplianceLines appliances={day.appliances} residents={residents} />
                   </td>
-                  <td
-                    style={{
-                      padding: '8px 12px',
-                      fontSize: '13px',
-                      fontWeight: '600',
-                      color: '#667eea',
-                    }}
-                  >
-                    ${day.yourShare.toFixed(2)}
-                  </td>
-                  <td
-                    style={{
-                      padding: '8px 12px',
-                      fontSize: '13px',
-                      fontWeight: '600',
-                      color: '#764ba2',
-                    }}
-                  >
-                    ${day.flatmateShare.toFixed(2)}
-                  </td>
+                  {residents.map((resident) => (
+                    <td
+                      key={resident.id}
+                      title={describeSplitWeights(day.weights, residents)}
+                      style={{
+                        padding: '8px 12px',
+                        fontSize: '13px',
+                        fontWeight: '600',
+                        color: '#667eea',
+                      }}
+                    >
+                      ${(day.shares[resident.id] || 0).toFixed(2)}
+                      {day.shareMargins && (
+                        <span style={{ fontSize: '11px', fontWeight: '400', color: '#a0aec0' }}>
+                          {' '}±{(day.shareMargins[resident.id] || 0).toFixed(2)}
+                        </span>
+                      )}
+                      <SplitWeights weights={day.weights} residentId={resident.id} />
+                    </td>
+                  ))}
+                  {hasUnallocated && (
+                    <td style={{ padding: '8px 12px', fontSize: '13px', color: '#718096' }}>
+                      {Math.abs(day.unallocated) >= 0.005 ? `$${day.unallocated.toFixed(2)}` : '—'}
+                    </td>
+                  )}
                   <td style={{ padding: '8px 12px' }}>
-                    <OccupancyBadge status={day.occupancy} />
+                    <OccupancyBadge presence={day.presence} residents={residents} painted={day.painted} />
                   </td>
                 </tr>
               ))}
@@ -294,15 +326,33 @@ function TableHeader({ children }) {
   );
 }
 
-function OccupancyBadge({ status }) {
+function OccupancyBadge({ presence, residents, painted }) {
   const config = {
-    'both': { label: '🏠 Both', color: '#d1fae5', border: '#10b981', text: '#065f46' },
-    'you-only': { label: '👤 Causio', color: '#dbeafe', border: '#3b82f6', text: '#1e40af' },
-    'flatmate-only': { label: '👤 Guala', color: '#fce7f3', border: '#ec4899', text: '#9f1239' },
-    'none': { label: '🏝️ Empty', color: '#f3f4f6', border: '#9ca3af', text: '#374151' },
+    'all': { color: '#d1fae5', border: '#10b981', text: '#065f46' },
+    'some': { color: '#dbeafe', border: '#3b82f6', text: '#1e40af' },
+    'none': { color: '#f3f4f6', border: '#9ca3af', text: '#374151' },
   };
 
-  const { label, color, border, text } = config[status] || config['none'];
+  const present = residents.filter((resident) => presence[resident.id] > 0);
+
+  let label, status;
+  if (present.length === 0) {
+    label = '🏝️ Empty';
+    status = 'none';
+  } else if (residents.every((resident) => presence[resident.id] >= 1)) {
+    label = '🏠 Everyone';
+    status = 'all';
+  } else {
+    // Residents home for part of the day show how much of it
+    label = `👤 ${present
+      .map((resident) => (presence[resident.id] < 1
+        ? `${resident.name} ${Math.round(presence[resident.id] * 100)}%`
+        : resident.name))
+      .join(', ')}`;
+    status = 'some';
+  }
+
+  const { color, border, text } = config[status];
 
   return (
     <span
@@ -318,6 +368,17 @@ function OccupancyBadge({ status }) {
       }}
     >
       {label}
+      {painted && <span title="From the occupancy calendar"> 📅</span>}
     </span>
   );
 }
+
+// A resident's baseline and excess weights for a day, under their share
+function SplitWeights({ weights, residentId }) {
+  const percent = (shares) => `${Math.round((shares[residentId] || 0) * 100)}%`;
+  return (
+    <div style={{ fontSize: '10px', fontWeight: '400', color: '#a0aec0' }}>
+      base {percent(weights.baseline)} · excess {Object.keys(weights.excess).length > 0 ? percent(weights.excess) : '—'}
+    </div>
+  );
+}
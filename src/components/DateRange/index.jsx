@@ -2,44 +2,104 @@
  * DateRangeCalculator Component
  *
  * Main container for time-window calculations.
- * Combines date range picker, occupancy editor, and results display.
+ * Combines date range picker, occupancy editor, split policy and results display.
+ * The range, occupancy periods and policy are kept by the caller (persisted in
+ * App.jsx) as one time window: { dateRange, occupancyPeriods, policyId }.
+ * Days painted in the occupancy calendar override the occupancy periods, and
+ * periods without a thermostat controller take it from the thermostat log.
  */
 
-import { useState } from 'react';
 import { DateRangePicker } from './DateRangePicker';
-import { OccupancyEditor } from '../Occupancy/OccupancyEditor';
+import { OccupancyCalendar, OccupancyEditor } from '../Occupancy';
 import { TimeWindowResults } from './TimeWindowResults';
 import { useTimeWindowCalculation } from '../../hooks/useElectricityModel';
+import { findPolicy } from '../../utils/policies';
+import { getLegalMinModel } from '../../utils/models';
 
-export function DateRangeCalculator({ historicalData }) {
-  const [dateRange, setDateRange] = useState({
-    start: '2025-12-18', // Example: flatmate away period
-    end: '2026-01-12',
-  });
-
-  const [occupancyPeriods, setOccupancyPeriods] = useState([
-    {
-      id: 1,
-      start: '2025-12-18',
-      end: '2026-01-12',
-      residents: {
-        you: 1,
-        flatmate: 0, // Flatmate away
-      },
-      thermostatController: 'you',
-    },
-  ]);
+export function DateRangeCalculator({
+  timeWindow,
+  onChange,
+  historicalData,
+  residents,
+  policies,
+  models,
+  legalMinModelId,
+  rateSchedules,
+  occupancyCalendar,
+  onOccupancyCalendarChange,
+  thermostatLog,
+  appliances,
+}) {
+  const { dateRange, occupancyPeriods, policyId } = timeWindow;
+
+  const handleChange = (field, value) => {
+    onChange({ ...timeWindow, [field]: value });
+  };
 
   // Calculate time window costs
-  const results = useTimeWindowCalculation(historicalData, dateRange, occupancyPeriods);
+  const results = useTimeWindowCalculation(
+    historicalData,
+    dateRange,
+    occupancyPeriods,
+    residents,
+    findPolicy(policies, policyId),
+    getLegalMinModel(models, legalMinModelId),
+    rateSchedules,
+    occupancyCalendar,
+    thermostatLog,
+    appliances
+  );
 
   return (
     <div>
-      <DateRangePicker dateRange={dateRange} onChange={setDateRange} />
+      <DateRangePicker dateRange={dateRange} onChange={(range) => handleChange('dateRange', range)} />
+
+      <OccupancyEditor
+        periods={occupancyPeriods}
+        residents={residents}
+        onChange={(periods) => handleChange('occupancyPeriods', periods)}
+      />
+
+      <OccupancyCalendar
+        calendar={occupancyCalendar}
+        residents={residents}
+        onChange={onOccupancyCalendarChange}
+        initialMonth={dateRange.start.slice(0, 7)}
+      />
 
-      <OccupancyEditor periods={occupancyPeriods} onChange={setOccupancyPeriods} />
+      <div style={{ marginBottom: '24px' }}>
+        <label
+          style={{
+            display: 'block',
+            fontSize: '14px',
+            fontWeight: '600',
+            color: '#4a5568',
+            marginBottom: '8px',
+          }}
+        >
+          Split Policy
+        </label>
+        <select
+          value={policyId}
+          onChange={(e) => handleChange('policyId', e.target.value)}
+          style={{
+            width: '100%',
+            padding: '8px 12px',
+            fontSize: '14px',
+            border: '1px solid #e2e8f0',
+            borderRadius: '6px',
+            outline: 'none',
+          }}
+        >
+          {policies.map((policy) => (
+            <option key={policy.id} value={policy.id}>
+              {policy.name} (v{policy.version})
+            </option>
+          ))}
+        </select>
+      </div>
 
-      <TimeWindowResults results={results} />
+      <TimeWindowResults results={results} residents={residents} />
     </div>
   );
 }
@@ -7,13 +7,69 @@
  * - Dec 8, 2025: Guala got electric heater
  * - Dec 3-8, 2025: Baseline period (new schedule, no heater)
  * - Dec 8-17, 2025: Heater analysis period (includes electric heater usage)
+ *
+ * These dates and residents are the original apartment's, so App only shows
+ * this view for the default household.
+ *
+ * The excess goes to the heater owner, as in the December bill's heater
+ * period. Personal appliances the household registered are charged to their
+ * owners first, so only the excess they don't explain is left to the policy.
+ *
+ * Expected usage and shares are shown ± their 95% range from the model's
+ * uncertainty; days whose usage fell outside the range are flagged. Everyone
+ * is assumed home during the heater period unless the occupancy calendar
+ * says otherwise, and the thermostat log says who set the heating each day.
+ * Cost the policy leaves to nobody is shown as its own Unallocated share.
  */
 
 import { useMemo } from 'react';
-import { calculateLegalMinimum } from '../../utils/calculations';
-import { COST_PER_KWH, LEGAL_MIN_INTERCEPT, LEGAL_MIN_SLOPE } from '../../utils/constants';
+import { addShares, countPresence, createShares } from '../../utils/calculations';
+import { describePolicy, findPolicy } from '../../utils/policies';
+import { combineShareMargins, getShareMargins, getShareSpread, isOutsideInterval } from '../../utils/intervals';
+import { findRateSchedule, getEnergyRate, splitDayCharges } from '../../utils/tariffs';
+import { formatDate, formatDisplayDate } from '../../utils/dateHelpers';
+import { getDayPresence } from '../../utils/occupancy';
+import { getThermostatControllers } from '../../utils/thermostat';
+import { getHourlyExcess, getHourlyProfile } from '../../utils/hourly';
+import { getApplianceLoads, sumApplianceCharges } from '../../utils/appliances';
+import { ApplianceLines } from '../Appliances';
+import { HourlyProfileChart } from '../Hourly';
+import {
+  findModel,
+  formatModelFormula,
+  getModelCoefficients,
+  predictDayInterval,
+  predictDayUsage,
+  predictTotalInterval,
+} from '../../utils/models';
+
+// Baseline model fitted on Dec 3-8 (new heating schedule, no heater)
+const DECEMBER_MODEL_ID = 'december-2025-dec3-8';
+
+// Split policy for the heater period (excess to the heater owner), as in the December bill
+const HEATER_POLICY_ID = 'heater-owner';
+
+export function DecemberBaseline({
+  historicalData,
+  outdoorTemp,
+  residents,
+  policies,
+  models,
+  rateSchedules,
+  occupancyCalendar,
+  thermostatLog,
+  appliances,
+}) {
+  const heaterPolicy = findPolicy(policies, HEATER_POLICY_ID);
+  const residentName = (id) => residents.find((resident) => resident.id === id)?.name || id;
+  const heaterOwnerId = heaterPolicy.excessResidentId;
+  const heaterOwnerName = residentName(heaterOwnerId);
+
+  // Personal appliances in use during December
+  const decemberAppliances = appliances.filter((appliance) => (
+    appliance.start <= '2025-12-31' && (!appliance.end || appliance.end >= '2025-12-01')
+  ));
 
-export function DecemberBaseline({ historicalData, outdoorTemp }) {
   // Filter December data
   const decemberData = useMemo(() => {
     return historicalData.filter(d => d.date.startsWith('2025-12'));
@@ -30,35 +86,30 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
     return decemberData.filter(d => d.date >= '2025-12-09' && d.date <= '2025-12-17');
   }, [decemberData]);
 
-  // Calculate December baseline model (from Dec 3-8 data)
-  // Uses linear regression: Expected Usage = intercept + (slope × temperature)
-  const decemberModel = useMemo(() => {
-    if (decBaselineData.length === 0) return null;
-
-    // Simple linear regression: usage vs temperature
-    const n = decBaselineData.length;
-    const sumX = decBaselineData.reduce((sum, d) => sum + d.temp_mean_f, 0);
-    const sumY = decBaselineData.reduce((sum, d) => sum + d.usage_kwh, 0);
-    const sumXY = decBaselineData.reduce((sum, d) => sum + (d.temp_mean_f * d.usage_kwh), 0);
-    const sumXX = decBaselineData.reduce((sum, d) => sum + (d.temp_mean_f * d.temp_mean_f), 0);
-
-    const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
-    const intercept = (sumY - slope * sumX) / n;
-
-    return { intercept, slope, r2: null };
-  }, [decBaselineData]);
+  // December baseline model (fitted on Dec 3-8 data) from the model registry
+  const decemberModel = findModel(models, DECEMBER_MODEL_ID);
+  const hasDecemberModel = getModelCoefficients(decemberModel) !== null;
 
   // Calculate expected usage for December model (from Dec 3-8 data)
-  const getDecemberExpected = (temp) => {
-    if (!decemberModel) return 0;
-    return decemberModel.intercept + (decemberModel.slope * temp);
+  const getDecemberExpected = (temp, day = {}) => {
+    return predictDayUsage(decemberModel, { ...day, temp_mean_f: temp }) ?? 0;
   };
 
-  // Calculate expected usage for January model (from Jan 2+ data)
-  // Formula: Expected Usage = 50.75 + (-0.888 × temperature)
-  const getJanuaryExpected = (temp) => {
-    return LEGAL_MIN_INTERCEPT + (LEGAL_MIN_SLOPE * temp);
-  };
+  // Expected cost of a day at the slider temperature under today's rates,
+  // shared by the heater policy's baseline split (no excess)
+  const currentSchedule = findRateSchedule(rateSchedules, formatDate(new Date()));
+  const splitExpectedDay = (usage) => splitDayCharges(currentSchedule, heaterPolicy, {
+    usage,
+    expectedUsage: usage,
+    residents,
+    presence: createShares(residents, 1),
+  });
+  const expectedDay = splitExpectedDay(getDecemberExpected(outdoorTemp));
+  const expectedShares = expectedDay.shares;
+  const expectedInterval = predictDayInterval(decemberModel, { temp_mean_f: outdoorTemp });
+  const expectedShareMargins = expectedInterval
+    ? getShareSpread(splitExpectedDay(expectedInterval.lower).shares, splitExpectedDay(expectedInterval.upper).shares)
+    : null;
 
   // Analyze Dec 9-17 period for heater impact
   const heaterAnalysis = useMemo(() => {
@@ -66,11 +117,49 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
 
     // Calculate expected usage (using December baseline model)
     // and actual usage with heater
-    const analysis = decHeaterPeriodData.map(day => {
-      const expectedUsage = decemberModel ? getDecemberExpected(day.temp_mean_f) : 0;
+    const modelDays = decHeaterPeriodData.map(day => {
+      const presence = getDayPresence(occupancyCalendar, day.date, createShares(residents, 1));
+      return { ...day, presence, occupancy_count: countPresence(residents, presence) };
+    });
+    const analysis = modelDays.map(day => {
+      const expectedUsage = getDecemberExpected(day.temp_mean_f, day);
       const actualUsage = day.usage_kwh;
       const excessUsage = actualUsage - expectedUsage;
-      const excessCost = excessUsage * COST_PER_KWH;
+
+      // Appliances are charged to their owners; the policy decides who pays the rest of the excess
+      const schedule = findRateSchedule(rateSchedules, day.date);
+      const occupancyContext = {
+        residents,
+        presence: day.presence,
+        thermostatController: getThermostatControllers(thermostatLog, day.date, getHourlyExcess(day, expectedUsage)),
+      };
+      const {
+        cost,
+        energyCost,
+        applianceCost,
+        fixedCost,
+        expectedCost,
+        excessCost,
+        shares,
+        unallocated,
+        appliances: applianceCharges,
+      } = splitDayCharges(schedule, heaterPolicy, {
+        ...occupancyContext,
+        usage: actualUsage,
+        expectedUsage,
+        appliances: getApplianceLoads(appliances, day.date, day.presence),
+      });
+
+      const energyRate = getEnergyRate(schedule);
+      const interval = predictDayInterval(decemberModel, day);
+      const shareMargins = interval
+        ? getShareMargins(
+          heaterPolicy,
+          { ...occupancyContext, actualCost: energyCost - applianceCost },
+          interval.lower * energyRate,
+          interval.upper * energyRate
+        )
+        : null;
 
       return {
         date: day.date,
@@ -78,7 +167,17 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
         expectedUsage,
         actualUsage,
         excessUsage,
+        cost,
+        fixedCost,
+        applianceCost,
+        expectedCost,
         excessCost,
+        shares,
+        unallocated,
+        appliances: applianceCharges,
+        interval,
+        shareMargins,
+        outsideInterval: isOutsideInterval(actualUsage, interval),
       };
     });
 
@@ -88,21 +187,45 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
       totalExpectedUsage: acc.totalExpectedUsage + day.expectedUsage,
       totalActualUsage: acc.totalActualUsage + day.actualUsage,
       totalExcessUsage: acc.totalExcessUsage + day.excessUsage,
+      totalCost: acc.totalCost + day.cost,
+      totalFixedCost: acc.totalFixedCost + day.fixedCost,
+      totalApplianceCost: acc.totalApplianceCost + day.applianceCost,
+      totalExpectedCost: acc.totalExpectedCost + day.expectedCost,
       totalExcessCost: acc.totalExcessCost + day.excessCost,
+      shares: addShares(acc.shares, day.shares),
+      unallocated: acc.unallocated + day.unallocated,
       avgTemp: acc.avgTemp + day.temp,
     }), {
       totalDays: 0,
       totalExpectedUsage: 0,
       totalActualUsage: 0,
       totalExcessUsage: 0,
+      totalCost: 0,
+      totalFixedCost: 0,
+      totalApplianceCost: 0,
+      totalExpectedCost: 0,
       totalExcessCost: 0,
+      shares: createShares(residents),
+      unallocated: 0,
       avgTemp: 0,
     });
 
     totals.avgTemp = totals.totalDays > 0 ? totals.avgTemp / totals.totalDays : 0;
+    totals.appliances = sumApplianceCharges(analysis.map(day => day.appliances));
+
+    // Uncertainty in the period's expected usage and each share
+    totals.expectedInterval = predictTotalInterval(decemberModel, modelDays);
+    totals.expectedCostMargin = totals.expectedInterval && totals.totalExpectedUsage !== 0
+      ? totals.expectedInterval.halfWidth * totals.totalExpectedCost / totals.totalExpectedUsage
+      : null;
+    totals.shareMargins = totals.expectedInterval && analysis.every(day => day.shareMargins)
+      ? combineShareMargins(analysis.map(day => day.shareMargins), analysis.map(day => day.interval.halfWidth), totals.expectedInterval.halfWidth)
+      : null;
+    totals.outsideIntervalDays = analysis.filter(day => day.outsideInterval).length;
 
     return { analysis, totals };
-  }, [decHeaterPeriodData, decemberModel]);
+  }, [decHeaterPeriodData, decemberModel, residents, heaterPolicy, rateSchedules, occupancyCalendar, thermostatLog, appliances]);
+  const hasUnallocated = heaterAnalysis !== null && Math.abs(heaterAnalysis.totals.unallocated) >= 0.005;
 
   if (decemberData.length === 0) {
     return (
@@ -147,9 +270,10 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
             <strong>Cost Split Rules:</strong>
           </p>
           <ul style={{ marginLeft: '20px' }}>
-            <li><strong>Expected cost</strong> is always split 50/50 between Causio and Guala</li>
-            <li><strong>Excess cost</strong> (actual - expected) goes to the person using the electricity</li>
-            <li><strong>When usage is below expected</strong>: total actual cost is split 50/50</li>
+            <li><strong>Policy:</strong> {heaterPolicy.name} (v{heaterPolicy.version})</li>
+            {describePolicy(heaterPolicy, residents).map((rule) => (
+              <li key={rule}>{rule}</li>
+            ))}
           </ul>
         </div>
       </div>
@@ -169,15 +293,22 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
           <p><strong>Key Dates:</strong></p>
           <ul style={{ marginLeft: '20px', marginBottom: '12px' }}>
             <li><strong>Dec 3</strong>: New heating schedule agreed</li>
-            <li><strong>Dec 8</strong>: Guala got electric heater</li>
+            <li><strong>Dec 8</strong>: {heaterOwnerName} got electric heater</li>
+            {decemberAppliances.map((appliance) => (
+              <li key={appliance.id}>
+                <strong>{formatDisplayDate(appliance.start, 'MMM d')}</strong>: {residentName(appliance.ownerId)}'s{' '}
+                {appliance.name.toLowerCase()} in use ({appliance.watts} W, about {appliance.hoursPerDay} h/day)
+              </li>
+            ))}
             <li><strong>Dec 3-8</strong>: Baseline period (new schedule, no heater)</li>
             <li><strong>Dec 9-17</strong>: Heater analysis period (use Dec 3-8 baseline)</li>
           </ul>
-          {decemberModel && (
+          {hasDecemberModel && (
             <p style={{ marginTop: '12px' }}>
-              <strong>December Model</strong> (from {decBaselineData.length} days, Dec 3-8):<br/>
+              <strong>{decemberModel.name}</strong> (from {decemberModel.fit.n} days
+              {decemberModel.fit.r2 !== null && `, R² = ${decemberModel.fit.r2.toFixed(3)}`}):<br/>
               <span style={{ fontSize: '13px', opacity: 0.9 }}>
-                Expected Usage = {decemberModel.intercept.toFixed(2)} + ({decemberModel.slope.toFixed(3)} × Temperature °F)
+                {formatModelFormula(decemberModel)}
               </span>
             </p>
           )}
@@ -214,7 +345,7 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
       </div>
 
       {/* Temperature Slider Prediction */}
-      {decemberModel && outdoorTemp !== undefined && (
+      {hasDecemberModel && outdoorTemp !== undefined && (
         <div style={{
           background: 'white',
           border: '1px solid #e2e8f0',
@@ -244,20 +375,21 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
             <StatCard
               label="Expected Usage"
               value={`${getDecemberExpected(outdoorTemp).toFixed(1)}`}
-              unit="kWh"
+              unit={expectedInterval ? `± ${expectedInterval.halfWidth.toFixed(1)} kWh` : 'kWh'}
             />
             <StatCard
               label="Expected Cost"
-              value={`$${(getDecemberExpected(outdoorTemp) * COST_PER_KWH).toFixed(2)}`}
-            />
-            <StatCard
-              label="Causio's Share (50%)"
-              value={`$${(getDecemberExpected(outdoorTemp) * COST_PER_KWH / 2).toFixed(2)}`}
-            />
-            <StatCard
-              label="Guala's Share (50%)"
-              value={`$${(getDecemberExpected(outdoorTemp) * COST_PER_KWH / 2).toFixed(2)}`}
+              value={`$${expectedDay.cost.toFixed(2)}`}
+              unit={expectedInterval ? `± $${(expectedInterval.halfWidth * getEnergyRate(currentSchedule)).toFixed(2)}` : undefined}
             />
+            {residents.map((resident) => (
+              <StatCard
+                key={resident.id}
+                label={`${resident.name}'s Share (${(100 * (expectedShares[resident.id] || 0) / expectedDay.cost).toFixed(0)}%)`}
+                value={`$${(expectedShares[resident.id] || 0).toFixed(2)}`}
+                unit={expectedShareMargins ? `± $${(expectedShareMargins[resident.id] || 0).toFixed(2)}` : undefined}
+              />
+            ))}
           </div>
 
           <div style={{
@@ -269,8 +401,10 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
             color: '#1e40af',
           }}>
             <strong>Note:</strong> This is the expected usage and cost based on the December baseline model.
-            The cost is split 50/50 between Causio and Guala. Any actual usage above or below this amount
+            It is priced with the "{currentSchedule.name}" rate schedule and shared using the baseline split of the
+            "{heaterPolicy.name}" policy. Any actual usage above or below this amount
             would be adjusted based on who used the electricity.
+            {expectedInterval && ' ± is the 95% range: the model was fitted on only a few days, so a typical day can land anywhere in it.'}
           </div>
         </div>
       )}
@@ -318,7 +452,7 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
             />
             <StatCard
               label="Total Cost"
-              value={`$${(heaterAnalysis.totals.totalActualUsage * COST_PER_KWH).toFixed(2)}`}
+              value={`$${heaterAnalysis.totals.totalCost.toFixed(2)}`}
             />
           </div>
 
@@ -340,8 +474,7 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
             </h4>
 
             <div style={{ fontSize: '13px', marginBottom: '8px', opacity: 0.9 }}>
-              <strong>How it works:</strong> Expected cost is always split 50/50.
-              Electric heater excess goes to Guala (she got the heater).
+              <strong>How it works:</strong> {describePolicy(heaterPolicy, residents).slice(0, 2).join('. ')}.
             </div>
 
             <div style={{
@@ -360,13 +493,34 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
                   Expected Total
                 </div>
                 <div style={{ fontSize: '14px', fontWeight: '700' }}>
-                  ${(heaterAnalysis.totals.totalExpectedUsage * COST_PER_KWH).toFixed(2)}
+                  ${heaterAnalysis.totals.totalExpectedCost.toFixed(2)}
                 </div>
                 <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '4px' }}>
-                  50/50 split
+                  Even split
+                  {heaterAnalysis.totals.expectedCostMargin !== null && ` · ±$${heaterAnalysis.totals.expectedCostMargin.toFixed(2)}`}
                 </div>
               </div>
 
+              {heaterAnalysis.totals.appliances.length > 0 && (
+                <div
+                  style={{
+                    background: 'rgba(255,255,255,0.2)',
+                    borderRadius: '8px',
+                    padding: '12px',
+                  }}
+                >
+                  <div style={{ fontSize: '11px', opacity: 0.8, marginBottom: '4px' }}>
+                    Personal Appliances
+                  </div>
+                  <div style={{ fontSize: '14px', fontWeight: '700' }}>
+                    ${heaterAnalysis.totals.totalApplianceCost.toFixed(2)}
+                  </div>
+                  <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '4px' }}>
+                    Charged to their owners
+                  </div>
+                </div>
+              )}
+
               <div
                 style={{
                   background: 'rgba(255,255,255,0.2)',
@@ -381,48 +535,65 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
                   ${heaterAnalysis.totals.totalExcessCost.toFixed(2)}
                 </div>
                 <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '4px' }}>
-                  Guala pays
-                </div>
-              </div>
-
-              <div
-                style={{
-                  background: 'rgba(255,255,255,0.2)',
-                  borderRadius: '8px',
-                  padding: '12px',
-                }}
-              >
-                <div style={{ fontSize: '11px', opacity: 0.8, marginBottom: '4px' }}>
-                  Causio's Share
-                </div>
-                <div style={{ fontSize: '16px', fontWeight: '700' }}>
-                  ${(heaterAnalysis.totals.totalExpectedUsage * COST_PER_KWH / 2).toFixed(2)}
-                </div>
-                <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '4px' }}>
-                  50% of expected
+                  {heaterOwnerName} pays
                 </div>
               </div>
 
-              <div
-                style={{
-                  background: 'rgba(255,255,255,0.2)',
-                  borderRadius: '8px',
-                  padding: '12px',
-                }}
-              >
-                <div style={{ fontSize: '11px', opacity: 0.8, marginBottom: '4px' }}>
-                  Guala's Share
-                </div>
-                <div style={{ fontSize: '16px', fontWeight: '700' }}>
-                  ${(heaterAnalysis.totals.totalExpectedUsage * COST_PER_KWH / 2 + heaterAnalysis.totals.totalExcessCost).toFixed(2)}
+              {residents.map((resident) => (
+                <div
+                  key={resident.id}
+                  style={{
+                    background: 'rgba(255,255,255,0.2)',
+                    borderRadius: '8px',
+                    padding: '12px',
+                  }}
+                >
+                  <div style={{ fontSize: '11px', opacity: 0.8, marginBottom: '4px' }}>
+                    {resident.name}'s Share
+                  </div>
+                  <div style={{ fontSize: '16px', fontWeight: '700' }}>
+                    ${(heaterAnalysis.totals.shares[resident.id] || 0).toFixed(2)}
+                  </div>
+                  <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '4px' }}>
+                    {resident.id === heaterOwnerId ? 'Even share + heater' : 'Even share of expected'}
+                    {heaterAnalysis.totals.appliances.some((appliance) => appliance.ownerId === resident.id) && ' + own appliances'}
+                    {heaterAnalysis.totals.shareMargins && ` · ±$${(heaterAnalysis.totals.shareMargins[resident.id] || 0).toFixed(2)}`}
+                  </div>
                 </div>
-                <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '4px' }}>
-                  50% expected + heater
+              ))}
+              {hasUnallocated && (
+                <div
+                  style={{
+                    background: 'rgba(255,255,255,0.1)',
+                    border: '1px dashed rgba(255,255,255,0.5)',
+                    borderRadius: '8px',
+                    padding: '12px',
+                  }}
+                >
+                  <div style={{ fontSize: '11px', opacity: 0.8, marginBottom: '4px' }}>
+                    Unallocated
+                  </div>
+                  <div style={{ fontSize: '16px', fontWeight: '700' }}>
+                    ${heaterAnalysis.totals.unallocated.toFixed(2)}
+                  </div>
+                  <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '4px' }}>
+                    Charged to nobody by the policy
+                  </div>
                 </div>
-              </div>
+              )}
             </div>
           </div>
 
+          <div style={{ marginTop: '20px' }}>
+            <HourlyProfileChart
+              title="Hourly Usage: Baseline vs Heater Period"
+              series={[
+                { name: 'Dec 3-8 (no heater)', profile: getHourlyProfile(decBaselineData), color: '#10b981' },
+                { name: 'Dec 9-17 (heater)', profile: getHourlyProfile(decHeaterPeriodData), color: '#dc2626' },
+              ]}
+            />
+          </div>
+
           {/* Daily Breakdown */}
           <div style={{ marginTop: '20px' }}>
             <h4 style={{ fontSize: '14px', fontWeight: '600', color: '#4a5568', marginBottom: '12px' }}>
@@ -443,8 +614,10 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
                     <TableHeader>Actual</TableHeader>
                     <TableHeader>Excess</TableHeader>
                     <TableHeader>Cost</TableHeader>
-                    <TableHeader>Causio</TableHeader>
-                    <TableHeader>Guala</TableHeader>
+                    {residents.map((resident) => (
+                      <TableHeader key={resident.id}>{resident.name}</TableHeader>
+                    ))}
+                    {hasUnallocated && <TableHeader>Unallocated</TableHeader>}
                   </tr>
                 </thead>
                 <tbody>
@@ -463,10 +636,14 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
                         {day.temp.toFixed(1)}°F
                       </td>
                       <td style={{ padding: '8px 12px', fontSize: '13px' }}>
-                        {day.expectedUsage.toFixed(1)} kWh
+                        {day.expectedUsage.toFixed(1)}{day.interval && ` ± ${day.interval.halfWidth.toFixed(1)}`} kWh
                       </td>
                       <td style={{ padding: '8px 12px', fontSize: '13px', fontWeight: '600' }}>
                         {day.actualUsage.toFixed(1)} kWh
+                        {day.outsideInterval && (
+                          <span title="Outside the model's 95% range" style={{ marginLeft: '4px', cursor: 'help' }}>⚠️</span>
+                        )}
+                        <ApplianceLines appliances={day.appliances} residents={residents} />
                       </td>
                       <td style={{
                         padding: '8px 12px',
@@ -484,28 +661,30 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
                       }}>
                         {day.excessCost > 0 ? '+' : ''}${day.excessCost.toFixed(2)}
                       </td>
-                      <td style={{
-                        padding: '8px 12px',
-                        fontSize: '13px',
-                        fontWeight: '600',
-                        color: '#4b5563'
-                      }}>
-                        ${(day.excessUsage < 0
-                          ? (day.actualUsage * COST_PER_KWH / 2)
-                          : (day.expectedUsage * COST_PER_KWH / 2)
-                        ).toFixed(2)}
-                      </td>
-                      <td style={{
-                        padding: '8px 12px',
-                        fontSize: '13px',
-                        fontWeight: '600',
-                        color: day.excessUsage < 0 ? '#4b5563' : '#dc2626'
-                      }}>
-                        ${(day.excessUsage < 0
-                          ? (day.actualUsage * COST_PER_KWH / 2)
-                          : (day.expectedUsage * COST_PER_KWH / 2 + day.excessCost)
-                        ).toFixed(2)}
-                      </td>
+                      {residents.map((resident) => (
+                        <td
+                          key={resident.id}
+                          style={{
+                            padding: '8px 12px',
+                            fontSize: '13px',
+                            fontWeight: '600',
+                            color: (resident.id === heaterOwnerId && day.excessUsage > 0)
+                              || day.appliances.some((line) => line.ownerId === resident.id) ? '#dc2626' : '#4b5563'
+                          }}
+                        >
+                          ${(day.shares[resident.id] || 0).toFixed(2)}
+                          {day.shareMargins && (
+                            <span style={{ fontSize: '11px', fontWeight: '400', color: '#9ca3af' }}>
+                              {' '}±{(day.shareMargins[resident.id] || 0).toFixed(2)}
+                            </span>
+                          )}
+                        </td>
+                      ))}
+                      {hasUnallocated && (
+                        <td style={{ padding: '8px 12px', fontSize: '13px', color: '#718096' }}>
+                          {Math.abs(day.unallocated) >= 0.005 ? `$${day.unallocated.toFixed(2)}` : '—'}
+                        </td>
+                      )}
                     </tr>
                   ))}
                 </tbody>
@@ -523,13 +702,33 @@ export function DecemberBaseline({ historicalData, outdoorTemp }) {
             color: '#991b1b',
           }}>
             <strong>🔥 Heater Cost Breakdown (Dec 9-17):</strong><br/>
-            • <strong>Expected</strong>: ${(heaterAnalysis.totals.totalExpectedUsage * COST_PER_KWH).toFixed(2)} → Split 50/50<br/>
-            &nbsp;&nbsp;- Causio pays: ${(heaterAnalysis.totals.totalExpectedUsage * COST_PER_KWH / 2).toFixed(2)}<br/>
-            &nbsp;&nbsp;- Guala pays: ${(heaterAnalysis.totals.totalExpectedUsage * COST_PER_KWH / 2).toFixed(2)}<br/>
-            • <strong>Heater excess</strong>: ${heaterAnalysis.totals.totalExcessCost.toFixed(2)} → Guala pays 100%<br/>
+            • <strong>Expected</strong>: ${heaterAnalysis.totals.totalExpectedCost.toFixed(2)} → Split evenly<br/>
+            {heaterAnalysis.totals.appliances.map((appliance) => (
+              <span key={appliance.id}>
+                • <strong>{appliance.name}</strong>: {appliance.kwh.toFixed(1)} kWh over {appliance.days} days,
+                ${appliance.cost.toFixed(2)} → {residentName(appliance.ownerId)} pays 100%<br/>
+              </span>
+            ))}
+            • <strong>Heater excess</strong>: ${heaterAnalysis.totals.totalExcessCost.toFixed(2)} → {heaterOwnerName} pays 100%<br/>
+            {heaterAnalysis.totals.totalFixedCost > 0 && (
+              <>• <strong>Fixed charges</strong>: ${heaterAnalysis.totals.totalFixedCost.toFixed(2)} → Split by their own rules<br/></>
+            )}
             • <strong>Total:</strong><br/>
-            &nbsp;&nbsp;- Causio: ${(heaterAnalysis.totals.totalExpectedUsage * COST_PER_KWH / 2).toFixed(2)}<br/>
-            &nbsp;&nbsp;- Guala: ${(heaterAnalysis.totals.totalExpectedUsage * COST_PER_KWH / 2 + heaterAnalysis.totals.totalExcessCost).toFixed(2)}
+            {residents.map((resident) => (
+              <span key={resident.id}>
+                &nbsp;&nbsp;- {resident.name}: ${(heaterAnalysis.totals.shares[resident.id] || 0).toFixed(2)}
+                {heaterAnalysis.totals.shareMargins && ` ± $${(heaterAnalysis.totals.shareMargins[resident.id] || 0).toFixed(2)}`}<br/>
+              </span>
+            ))}
+            {hasUnallocated && (
+              <>&nbsp;&nbsp;- Unallocated: ${heaterAnalysis.totals.unallocated.toFixed(2)}<br/></>
+            )}
+            {heaterAnalysis.totals.shareMargins && (
+              <span>
+                ± is the 95% range from the December model's uncertainty. ⚠️ marks the {heaterAnalysis.totals.outsideIntervalDays} of{' '}
+                {heaterAnalysis.totals.totalDays} days whose usage was outside the model's range (heater use shows up here).
+              </span>
+            )}
           </div>
         </div>
       )}
@@ -1 +0,0 @@
-export { DecemberBillSplit } from './DecemberBillSplit';
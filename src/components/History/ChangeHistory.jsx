@@ -0,0 +1,170 @@
+/**
+ * ChangeHistory Component
+ *
+ * Lists the change journal (see journal.js), newest first: when each change
+ * was made, by whom, what it was and which sections it touched. The last
+ * changes can be undone and redone, and everything can be put back as it was
+ * just after any entry. Undoing and restoring are journaled too, so they can
+ * themselves be undone. Only the latest JOURNAL_LIMIT entries are kept.
+ */
+
+import { BACKUP_SECTIONS } from '../../utils/backup';
+import { JOURNAL_LIMIT, countChanges } from '../../utils/journal';
+import { formatDisplayDate } from '../../utils/dateHelpers';
+
+const KIND_COLORS = {
+  undo: '#d97706',
+  redo: '#2563eb',
+  restore: '#7c3aed',
+};
+
+export function ChangeHistory({ journal, residents, author, onAuthorChange, undoEntry, redoEntry, onUndo, onRedo, onRestore }) {
+  const entries = [...journal].reverse();
+  const residentName = (id) => residents.find((r) => r.id === id)?.name || id;
+
+  return (
+    <div
+      style={{
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '16px',
+      }}
+    >
+      <h3
+        style={{
+          fontSize: '16px',
+          fontWeight: '600',
+          color: '#4a5568',
+          marginBottom: '12px',
+        }}
+      >
+        🕘 Change History
+      </h3>
+      <p style={{ fontSize: '14px', color: '#718096', marginBottom: '12px' }}>
+        Every import, edit and cache clear is recorded here with who made it. Undo and redo step through the
+        last changes; "Restore to here" puts the usage and settings back as they were just after a change.
+        A restore is recorded like any other change, so it can be undone too. The last {JOURNAL_LIMIT} changes are
+        kept, and the history isn't part of backups.
+      </p>
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <button
+          onClick={onUndo}
+          disabled={!undoEntry}
+          title={undoEntry ? `Undo "${undoEntry.action}"` : 'Nothing to undo'}
+          style={{ ...buttonStyle, opacity: undoEntry ? 1 : 0.6 }}
+        >
+          ↶ Undo{undoEntry && `: ${undoEntry.action}`}
+        </button>
+        <button
+          onClick={onRedo}
+          disabled={!redoEntry}
+          title={redoEntry ? `Redo "${redoEntry.action}"` : 'Nothing to redo'}
+          style={{ ...buttonStyle, opacity: redoEntry ? 1 : 0.6 }}
+        >
+          ↷ Redo{redoEntry && `: ${redoEntry.action}`}
+        </button>
+        <label style={{ fontSize: '12px', color: '#4a5568', marginLeft: 'auto' }}>
+          Changes made by{' '}
+          <select
+            value={author || ''}
+            onChange={(e) => onAuthorChange(e.target.value || null)}
+            style={selectStyle}
+          >
+            <option value="">Not recorded</option>
+            {residents.map((r) => (
+              <option key={r.id} value={r.id}>{r.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {entries.length > 0 ? (
+        <div style={{ maxHeight: '320px', overflowY: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                <TableHeader>When</TableHeader>
+                <TableHeader>Who</TableHeader>
+                <TableHeader>What</TableHeader>
+                <TableHeader>Changed</TableHeader>
+                <TableHeader></TableHeader>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry, i) => (
+                <tr key={entry.id} style={{ borderBottom: '1px solid #e2e8f0' }}>
+                  <td style={{ padding: '4px 8px', color: '#4b5563', whiteSpace: 'nowrap' }}>
+                    {formatDisplayDate(entry.at, 'MMM d, HH:mm')}
+                  </td>
+                  <td style={{ padding: '4px 8px', color: '#4b5563' }}>
+                    {entry.by ? residentName(entry.by) : '—'}
+                  </td>
+                  <td style={{ padding: '4px 8px', color: KIND_COLORS[entry.kind] || '#2d3748', fontWeight: '500' }}>
+                    {entry.action}
+                  </td>
+                  <td style={{ padding: '4px 8px', color: '#4b5563' }}>
+                    {Object.entries(countChanges(entry.changes))
+                      .map(([section, count]) => {
+                        const { label, unit } = BACKUP_SECTIONS[section];
+                        return count === null ? label : `${label} (${count} ${unit})`;
+                      })
+                      .join(', ') || '—'}
+                  </td>
+                  <td style={{ padding: '4px 8px', textAlign: 'right' }}>
+                    {i > 0 && (
+                      <button onClick={() => onRestore(entry.id)} style={{ ...buttonStyle, padding: '2px 8px', fontSize: '11px' }}>
+                        Restore to here
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div style={{ fontSize: '13px', color: '#718096' }}>No changes recorded yet.</div>
+      )}
+    </div>
+  );
+}
+
+function TableHeader({ children }) {
+  return (
+    <th
+      style={{
+        padding: '4px 8px',
+        textAlign: 'left',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#718096',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+      }}
+    >
+      {children}
+    </th>
+  );
+}
+
+const selectStyle = {
+  padding: '6px',
+  fontSize: '12px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '4px',
+  background: 'white',
+};
+
+const buttonStyle = {
+  padding: '6px 12px',
+  fontSize: '12px',
+  fontWeight: '500',
+  borderRadius: '4px',
+  border: '1px solid #e2e8f0',
+  background: 'white',
+  color: '#4a5568',
+  cursor: 'pointer',
+};
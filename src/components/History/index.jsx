@@ -0,0 +1 @@
+export { ChangeHistory } from './ChangeHistory';
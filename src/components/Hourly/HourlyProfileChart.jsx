@@ -0,0 +1,80 @@
+/**
+ * HourlyProfileChart Component
+ *
+ * Average usage by hour of the day for the days that have interval data,
+ * one bar series per group of days (e.g. before and after the heater), with
+ * each group's overnight (10pm - 6am) and daytime kWh per day. Each series'
+ * profile comes from getHourlyProfile(). Renders nothing when none of the
+ * days have interval data.
+ */
+
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { HOURS_PER_DAY } from '../../utils/hourly';
+
+export function HourlyProfileChart({ title = 'Hourly Usage Profile', series }) {
+  const profiles = series.filter((item) => item.profile.days > 0);
+
+  if (profiles.length === 0) return null;
+
+  const chartData = Array.from({ length: HOURS_PER_DAY }, (_, hour) => ({
+    label: profiles[0].profile.hours[hour].label,
+    ...Object.fromEntries(profiles.map((item) => [item.name, item.profile.hours[hour].kwh])),
+  }));
+
+  return (
+    <div style={{
+      background: 'white',
+      border: '1px solid #e2e8f0',
+      borderRadius: '8px',
+      padding: '20px',
+      marginBottom: '24px',
+    }}>
+      <h3 style={{
+        fontSize: '16px',
+        fontWeight: '600',
+        color: '#4a5568',
+        marginBottom: '8px',
+      }}>
+        ⏱️ {title}
+      </h3>
+      <p style={{ fontSize: '13px', color: '#718096', marginBottom: '16px' }}>
+        Average kWh in each hour of the day, over the days imported from hourly or 15-minute interval data.
+        On those days heating above the legal minimum is attributed to whoever set the thermostat in the
+        hours the extra usage happened.
+      </p>
+
+      <div style={{ height: '280px', marginBottom: '12px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={chartData} margin={{ top: 10, right: 20, bottom: 10, left: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" interval={2} fontSize={11} />
+            <YAxis unit=" kWh" fontSize={11} />
+            <Tooltip formatter={(value) => `${value.toFixed(2)} kWh`} />
+            <Legend />
+            {profiles.map((item) => (
+              <Bar key={item.name} dataKey={item.name} fill={item.color} />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', fontSize: '13px', color: '#4a5568' }}>
+        {profiles.map((item) => (
+          <div key={item.name}>
+            <strong style={{ color: item.color }}>{item.name}</strong> ({item.profile.days} days):{' '}
+            {item.profile.overnightKwh.toFixed(1)} kWh overnight, {item.profile.daytimeKwh.toFixed(1)} kWh daytime
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
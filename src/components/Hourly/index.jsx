@@ -0,0 +1 @@
+export { HourlyProfileChart } from './HourlyProfileChart';
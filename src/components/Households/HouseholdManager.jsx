@@ -0,0 +1,255 @@
+/**
+ * HouseholdManager Component
+ *
+ * Adds, renames, opens and deletes households (see households.js), each with
+ * its own meter, residents, usage, tariffs and bills, and copies split
+ * policies or rate schedules from another household into the open one.
+ * Opening a household reloads the app with its data; the others' data is
+ * never touched.
+ */
+
+import { useState } from 'react';
+import { BACKUP_SECTIONS } from '../../utils/backup';
+import { COPYABLE_SECTIONS } from '../../utils/households';
+import { DEFAULT_HOUSEHOLD_ID } from '../../utils/storage';
+
+export function HouseholdManager({ households, currentId, onChange, onAdd, onDelete, onOpen, onCopy }) {
+  const others = households.filter((household) => household.id !== currentId);
+  const [status, setStatus] = useState(null);
+  const [confirmingDelete, setConfirmingDelete] = useState(null);
+  const [copyFrom, setCopyFrom] = useState(others[0]?.id || '');
+  const [copySections, setCopySections] = useState(Object.keys(COPYABLE_SECTIONS));
+
+  const nameOf = (id) => households.find((household) => household.id === id)?.name;
+  const source = others.some((household) => household.id === copyFrom) ? copyFrom : others[0]?.id;
+
+  const handleAddHousehold = () => {
+    const newHousehold = {
+      id: `household-${Date.now()}`,
+      name: `Household ${households.length + 1}`,
+      meter: '',
+    };
+    onAdd(newHousehold)
+      .then(() => setStatus({ type: 'success', message: `Added ${newHousehold.name}. Open it to enter its residents and usage.` }))
+      .catch((err) => setStatus({ type: 'error', message: `Couldn't add the household: ${err.message}` }));
+  };
+
+  const handleUpdateHousehold = (id, field, value) => {
+    onChange(households.map((household) => (household.id === id ? { ...household, [field]: value } : household)));
+  };
+
+  const handleDeleteHousehold = (id) => {
+    const name = nameOf(id);
+    setConfirmingDelete(null);
+    onDelete(id)
+      .then(() => setStatus({ type: 'success', message: `Deleted ${name} and all of its data.` }))
+      .catch((err) => setStatus({ type: 'error', message: `Couldn't delete ${name}: ${err.message}` }));
+  };
+
+  const handleCopy = () => {
+    onCopy(source, copySections)
+      .then(() => setStatus({
+        type: 'success',
+        message: `Copied ${copySections.map((section) => BACKUP_SECTIONS[section].label.toLowerCase()).join(' and ')} from ${nameOf(source)}. Undo it under Change History.`,
+      }))
+      .catch((err) => setStatus({ type: 'error', message: `Couldn't copy from ${nameOf(source)}: ${err.message}` }));
+  };
+
+  const toggleCopySection = (section, checked) => {
+    setCopySections(checked ? [...copySections, section] : copySections.filter((s) => s !== section));
+  };
+
+  return (
+    <div
+      style={{
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '16px',
+      }}
+    >
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '12px',
+        }}
+      >
+        <h3
+          style={{
+            fontSize: '16px',
+            fontWeight: '600',
+            color: '#4a5568',
+          }}
+        >
+          🏘️ Households ({households.length})
+        </h3>
+        <button
+          onClick={handleAddHousehold}
+          style={{
+            padding: '6px 12px',
+            fontSize: '13px',
+            fontWeight: '500',
+            borderRadius: '6px',
+            border: 'none',
+            background: '#3b82f6',
+            color: 'white',
+            cursor: 'pointer',
+          }}
+        >
+          + Add Household
+        </button>
+      </div>
+      <p style={{ fontSize: '14px', color: '#718096', marginBottom: '12px' }}>
+        Each household has its own meter, residents, usage, tariffs, bills and change history, stored apart from
+        the others. Everything else on this page belongs to the open household. A new household starts with one
+        resident and the default tariffs and policies.
+      </p>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '16px' }}>
+        {households.map((household) => {
+          const isOpen = household.id === currentId;
+          const canDelete = !isOpen && household.id !== DEFAULT_HOUSEHOLD_ID;
+          return (
+            <div key={household.id} style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+              <input
+                type="text"
+                value={household.name}
+                onChange={(e) => handleUpdateHousehold(household.id, 'name', e.target.value)}
+                style={{ ...inputStyle, flex: 2, fontWeight: isOpen ? '600' : '400' }}
+              />
+              <input
+                type="text"
+                value={household.meter}
+                placeholder="Meter / account number"
+                onChange={(e) => handleUpdateHousehold(household.id, 'meter', e.target.value)}
+                style={{ ...inputStyle, flex: 1 }}
+              />
+              {isOpen ? (
+                <span style={{ fontSize: '12px', color: '#065f46', fontWeight: '600', padding: '8px 12px' }}>Open</span>
+              ) : (
+                <button onClick={() => onOpen(household.id)} style={buttonStyle}>
+                  Open
+                </button>
+              )}
+              {confirmingDelete === household.id ? (
+                <>
+                  <button
+                    onClick={() => handleDeleteHousehold(household.id)}
+                    style={{ ...deleteButtonStyle, background: '#dc2626', color: 'white', border: 'none' }}
+                  >
+                    Delete all its data
+                  </button>
+                  <button onClick={() => setConfirmingDelete(null)} style={buttonStyle}>
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={() => setConfirmingDelete(household.id)}
+                  disabled={!canDelete}
+                  title={canDelete ? undefined : isOpen ? 'Open another household to delete this one' : 'The first household can\'t be deleted'}
+                  style={{ ...deleteButtonStyle, cursor: canDelete ? 'pointer' : 'not-allowed', opacity: canDelete ? 1 : 0.6 }}
+                >
+                  Delete
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <h4 style={{ fontSize: '14px', fontWeight: '600', color: '#4a5568', marginBottom: '8px' }}>
+        Copy configuration into {nameOf(currentId)}
+      </h4>
+      {others.length > 0 ? (
+        <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap' }}>
+          <label style={{ fontSize: '12px', color: '#4a5568' }}>
+            From{' '}
+            <select value={source} onChange={(e) => setCopyFrom(e.target.value)} style={selectStyle}>
+              {others.map((household) => (
+                <option key={household.id} value={household.id}>{household.name}</option>
+              ))}
+            </select>
+          </label>
+          {Object.keys(COPYABLE_SECTIONS).map((section) => (
+            <label key={section} style={{ display: 'flex', gap: '4px', alignItems: 'center', fontSize: '12px', color: '#4a5568' }}>
+              <input
+                type="checkbox"
+                checked={copySections.includes(section)}
+                onChange={(e) => toggleCopySection(section, e.target.checked)}
+              />
+              {BACKUP_SECTIONS[section].label}
+            </label>
+          ))}
+          <button
+            onClick={handleCopy}
+            disabled={copySections.length === 0}
+            style={{ ...buttonStyle, opacity: copySections.length > 0 ? 1 : 0.6 }}
+          >
+            Copy
+          </button>
+          <div style={{ fontSize: '12px', color: '#718096', flexBasis: '100%' }}>
+            Copied entries replace the ones with the same id and the rest are added. Policies lose any reference to
+            residents this household doesn't have.
+          </div>
+        </div>
+      ) : (
+        <div style={{ fontSize: '13px', color: '#718096' }}>Add another household to copy its configuration.</div>
+      )}
+
+      {status && (
+        <div
+          style={{
+            marginTop: '12px',
+            padding: '12px',
+            borderRadius: '6px',
+            fontSize: '13px',
+            background: status.type === 'success' ? '#f0fdf4' : '#fef2f2',
+            color: status.type === 'success' ? '#065f46' : '#991b1b',
+          }}
+        >
+          {status.message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const inputStyle = {
+  padding: '8px 12px',
+  fontSize: '14px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '6px',
+  outline: 'none',
+};
+
+const selectStyle = {
+  padding: '6px',
+  fontSize: '12px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '4px',
+  background: 'white',
+};
+
+const buttonStyle = {
+  padding: '8px 12px',
+  fontSize: '12px',
+  fontWeight: '500',
+  borderRadius: '4px',
+  border: '1px solid #e2e8f0',
+  background: 'white',
+  color: '#4a5568',
+  cursor: 'pointer',
+};
+
+const deleteButtonStyle = {
+  padding: '8px 12px',
+  fontSize: '12px',
+  borderRadius: '4px',
+  border: '1px solid #fecaca',
+  background: '#fef2f2',
+  color: '#991b1b',
+};
@@ -0,0 +1,35 @@
+/**
+ * HouseholdSelector Component
+ *
+ * Switches between households (see households.js) from the page header.
+ * Only shown once there's more than one household.
+ */
+
+export function HouseholdSelector({ households, currentId, onOpen }) {
+  if (households.length <= 1) return null;
+
+  return (
+    <div style={{ textAlign: 'center', marginBottom: '8px' }}>
+      <label style={{ fontSize: '13px', color: '#4a5568' }}>
+        Household{' '}
+        <select
+          value={currentId}
+          onChange={(e) => onOpen(e.target.value)}
+          style={{
+            padding: '6px',
+            fontSize: '13px',
+            border: '1px solid #e2e8f0',
+            borderRadius: '4px',
+            background: 'white',
+          }}
+        >
+          {households.map((household) => (
+            <option key={household.id} value={household.id}>
+              {household.name}{household.meter && ` (meter ${household.meter})`}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
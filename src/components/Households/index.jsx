@@ -0,0 +1,2 @@
+export { HouseholdManager } from './HouseholdManager';
+export { HouseholdSelector } from './HouseholdSelector';
@@ -0,0 +1,248 @@
+/**
+ * BackupManager Component
+ *
+ * Downloads everything the app stores (usage, weather, occupancy, thermostat
+ * changes, appliances, models, tariffs, policies, bills, CSV import profiles,
+ * excluded days and gap filling) as one versioned JSON backup, and restores a
+ * backup after showing what it contains. Older backups are migrated when they're read (see
+ * backup.js); restoring replaces each section the backup has and leaves the
+ * others as they are.
+ */
+
+import { useState } from 'react';
+import { BACKUP_SECTIONS, createBackup, parseBackup } from '../../utils/backup';
+import { downloadFile } from '../../utils/csvParser';
+import { formatDisplayDate } from '../../utils/dateHelpers';
+
+export function BackupManager({ state, onRestore }) {
+  const [preview, setPreview] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  const handleDownload = () => {
+    const backup = createBackup(state);
+    const timestamp = backup.exportedAt.split('T')[0];
+    downloadFile(JSON.stringify(backup, null, 2), `electricity-backup-${timestamp}.json`, 'application/json');
+  };
+
+  const handleFileUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const text = await file.text();
+    const result = parseBackup(text);
+    event.target.value = '';
+
+    if (result.success) {
+      setStatus(null);
+      setPreview({ title: file.name, result });
+    } else {
+      setPreview(null);
+      setStatus({ type: 'error', message: 'Backup could not be restored', errors: result.errors });
+    }
+  };
+
+  const handleConfirm = () => {
+    onRestore(preview.result.data);
+    setStatus({
+      type: 'success',
+      message: `Restored ${Object.keys(preview.result.data).length} sections from ${preview.title}`,
+    });
+    setPreview(null);
+  };
+
+  return (
+    <div
+      style={{
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '16px',
+      }}
+    >
+      <h3
+        style={{
+          fontSize: '16px',
+          fontWeight: '600',
+          color: '#4a5568',
+          marginBottom: '12px',
+        }}
+      >
+        🗄️ Backup & Restore
+      </h3>
+      <p style={{ fontSize: '14px', color: '#718096', marginBottom: '12px' }}>
+        Download a JSON backup of all usage, weather and configuration (residents, occupancy, thermostat changes,
+        appliances, models, rate schedules, policies, bills, CSV import profiles, excluded days and gap
+        filling) of the open household to move to another browser.
+        Restoring replaces the sections in the backup; anything the backup doesn't have is kept. A restore can
+        be undone under Change History.
+      </p>
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <button
+          onClick={handleDownload}
+          style={{
+            padding: '10px 20px',
+            fontSize: '14px',
+            fontWeight: '500',
+            borderRadius: '6px',
+            border: 'none',
+            background: '#10b981',
+            color: 'white',
+            cursor: 'pointer',
+          }}
+        >
+          Download Backup (JSON)
+        </button>
+        <input
+          type="file"
+          accept=".json"
+          onChange={handleFileUpload}
+          style={{
+            flex: 1,
+            padding: '8px',
+            fontSize: '13px',
+            border: '1px solid #e2e8f0',
+            borderRadius: '4px',
+          }}
+        />
+      </div>
+
+      {preview && (
+        <BackupPreview
+          title={preview.title}
+          result={preview.result}
+          onConfirm={handleConfirm}
+          onCancel={() => setPreview(null)}
+        />
+      )}
+
+      {status && (
+        <div
+          style={{
+            padding: '12px',
+            background: status.type === 'success' ? '#d1fae5' : '#fef2f2',
+            border: `1px solid ${status.type === 'success' ? '#10b981' : '#ef4444'}`,
+            borderRadius: '6px',
+            fontSize: '13px',
+            color: status.type === 'success' ? '#065f46' : '#991b1b',
+          }}
+        >
+          <strong>{status.message}</strong>
+          {status.errors && (
+            <ul style={{ marginLeft: '20px', marginTop: '4px' }}>
+              {status.errors.map((error, i) => (
+                <li key={i}>{error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function BackupPreview({ title, result, onConfirm, onCancel }) {
+  const { stats } = result;
+
+  return (
+    <div
+      style={{
+        padding: '16px',
+        background: '#f7fafc',
+        border: '1px solid #e2e8f0',
+        borderRadius: '6px',
+        marginBottom: '12px',
+      }}
+    >
+      <h4 style={{ fontSize: '14px', fontWeight: '600', color: '#2d3748', marginBottom: '8px' }}>
+        🔍 Preview: {title}
+      </h4>
+      <div style={{ fontSize: '13px', color: '#4a5568', marginBottom: '8px' }}>
+        Version {stats.version}
+        {stats.exportedAt && <>, taken {formatDisplayDate(stats.exportedAt.split('T')[0])}</>}
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px', marginBottom: '12px' }}>
+        <thead>
+          <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+            <TableHeader>Section</TableHeader>
+            <TableHeader>In Backup</TableHeader>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(BACKUP_SECTIONS).map(([key, { label, unit }]) => (
+            <tr key={key} style={{ borderBottom: '1px solid #e2e8f0' }}>
+              <td style={{ padding: '4px 8px', color: '#2d3748' }}>{label}</td>
+              <td style={{ padding: '4px 8px', color: key in stats.sections ? '#2d3748' : '#9ca3af' }}>
+                {!(key in stats.sections) ? 'kept as is' : unit ? `${stats.sections[key]} ${unit}` : 'replaced'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {result.warnings.length > 0 && (
+        <div style={{ fontSize: '12px', color: '#92400e', marginBottom: '12px' }}>
+          ⚠️ Warnings:
+          <ul style={{ marginLeft: '20px', marginTop: '4px' }}>
+            {result.warnings.map((warning, i) => (
+              <li key={i}>{warning}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button
+          onClick={onConfirm}
+          style={{
+            padding: '8px 16px',
+            fontSize: '13px',
+            fontWeight: '500',
+            borderRadius: '4px',
+            border: 'none',
+            background: '#ef4444',
+            color: 'white',
+            cursor: 'pointer',
+          }}
+        >
+          Restore and Replace
+        </button>
+        <button
+          onClick={onCancel}
+          style={{
+            padding: '8px 16px',
+            fontSize: '13px',
+            fontWeight: '500',
+            borderRadius: '4px',
+            border: '1px solid #e2e8f0',
+            background: 'white',
+            color: '#4a5568',
+            cursor: 'pointer',
+          }}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function TableHeader({ children }) {
+  return (
+    <th
+      style={{
+        padding: '4px 8px',
+        textAlign: 'left',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#718096',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+      }}
+    >
+      {children}
+    </th>
+  );
+}
@@ -0,0 +1,335 @@
+/**
+ * ColumnMappingWizard Component
+ *
+ * Imports usage CSVs in other layouts (see columnMapping.js). The file's
+ * header row and columns are detected, a saved import profile that fits the
+ * headers is picked (or a mapping guessed from them), and each field can be
+ * mapped to a column along with the date format and units. The first rows
+ * are shown converted as the mapping changes. Mappings are saved as named
+ * profiles; the parsed file goes to the same import preview as PECO files.
+ */
+
+import { useState } from 'react';
+import {
+  DATE_FORMATS,
+  IMPORT_FIELDS,
+  convertRow,
+  createImportProfile,
+  detectMapping,
+  findMatchingProfile,
+  parseMappedCSV,
+  readCSVLayout,
+  validateMapping,
+} from '../../utils/columnMapping';
+
+// Rows used to guess the date format and shown converted
+const SAMPLE_ROWS = 5;
+const DETECTION_ROWS = 20;
+
+export function ColumnMappingWizard({ profiles, onProfilesChange, onParsed }) {
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [profileId, setProfileId] = useState('');
+  const [profileName, setProfileName] = useState('');
+
+  const handleFileUpload = async (event) => {
+    const upload = event.target.files[0];
+    if (!upload) return;
+
+    const text = await upload.text();
+    event.target.value = '';
+    const layout = readCSVLayout(text);
+    const profile = findMatchingProfile(profiles, layout.headers);
+
+    setFile({ name: upload.name, text, layout });
+    setMapping(profile || detectMapping(layout.headers, layout.rows.slice(0, DETECTION_ROWS)));
+    setProfileId(profile?.id || '');
+    setProfileName(profile?.name || '');
+  };
+
+  const handleProfileSelect = (id) => {
+    const profile = profiles.find((p) => p.id === id);
+    setProfileId(id);
+    setProfileName(profile?.name || '');
+    setMapping(profile || detectMapping(file.layout.headers, file.layout.rows.slice(0, DETECTION_ROWS)));
+  };
+
+  const updateColumn = (field, header) => {
+    const columns = { ...mapping.columns };
+    if (header) {
+      columns[field] = header;
+    } else {
+      delete columns[field];
+    }
+    setMapping({ ...mapping, columns });
+  };
+
+  const handleSaveProfile = () => {
+    if (profileId) {
+      onProfilesChange(profiles.map((p) => (p.id === profileId ? { ...createImportProfile(profileName, mapping), id: profileId } : p)));
+    } else {
+      const profile = createImportProfile(profileName, mapping);
+      onProfilesChange([...profiles, profile]);
+      setProfileId(profile.id);
+    }
+  };
+
+  const handleDeleteProfile = () => {
+    onProfilesChange(profiles.filter((p) => p.id !== profileId));
+    setProfileId('');
+  };
+
+  const mappingErrors = mapping ? validateMapping(mapping) : [];
+
+  return (
+    <div
+      style={{
+        padding: '12px',
+        background: '#f7fafc',
+        border: '1px solid #e2e8f0',
+        borderRadius: '6px',
+        marginBottom: '12px',
+      }}
+    >
+      <h4 style={{ fontSize: '14px', fontWeight: '600', color: '#2d3748', marginBottom: '8px' }}>
+        Other Utility CSV (Column Mapping)
+      </h4>
+      <p style={{ fontSize: '12px', color: '#718096', marginBottom: '8px' }}>
+        For exports with their own column names, US dates, usage in Wh or with thousands separators, or
+        temperatures in °C. Map the columns once and save the mapping as a profile; files with the same
+        headers use it automatically.
+      </p>
+      <input
+        type="file"
+        accept=".csv,.txt"
+        onChange={handleFileUpload}
+        style={{
+          width: '100%',
+          padding: '8px',
+          fontSize: '13px',
+          border: '1px solid #e2e8f0',
+          borderRadius: '4px',
+          background: 'white',
+          marginBottom: file ? '12px' : 0,
+        }}
+      />
+
+      {file && mapping && (
+        <>
+          <div style={{ fontSize: '12px', color: '#4a5568', marginBottom: '8px' }}>
+            <strong>{file.name}</strong>: {file.layout.headers.length} columns, {file.layout.rows.length} rows
+            {file.layout.headerRow > 0 && ` (header on line ${file.layout.headerRow + 1})`}
+          </div>
+
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '12px' }}>
+            <label style={{ fontSize: '12px', color: '#4a5568' }}>
+              Profile{' '}
+              <select
+                value={profileId}
+                onChange={(e) => handleProfileSelect(e.target.value)}
+                style={selectStyle}
+              >
+                <option value="">Detected from headers</option>
+                {profiles.map((p) => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+              </select>
+            </label>
+            <input
+              type="text"
+              value={profileName}
+              placeholder="Profile name"
+              onChange={(e) => setProfileName(e.target.value)}
+              style={{ ...selectStyle, flex: 1, minWidth: '140px' }}
+            />
+            <button
+              onClick={handleSaveProfile}
+              disabled={!profileName.trim()}
+              style={{ ...buttonStyle, opacity: profileName.trim() ? 1 : 0.6 }}
+            >
+              {profileId ? 'Update Profile' : 'Save Profile'}
+            </button>
+            {profileId && (
+              <button
+                onClick={handleDeleteProfile}
+                style={{ ...buttonStyle, border: '1px solid #fecaca', background: '#fef2f2', color: '#991b1b' }}
+              >
+                Delete
+              </button>
+            )}
+          </div>
+
+          <div
+            style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))',
+              gap: '8px',
+              marginBottom: '12px',
+            }}
+          >
+            {Object.entries(IMPORT_FIELDS).map(([field, { label, required }]) => (
+              <label key={field} style={{ fontSize: '12px', color: '#4a5568' }}>
+                {label}{required && ' *'}
+                <select
+                  value={mapping.columns[field] || ''}
+                  onChange={(e) => updateColumn(field, e.target.value)}
+                  style={{ ...selectStyle, display: 'block', width: '100%', marginTop: '2px' }}
+                >
+                  <option value="">{required ? 'Choose a column' : 'Not in file'}</option>
+                  {file.layout.headers.map((header) => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            <label style={{ fontSize: '12px', color: '#4a5568' }}>
+              Date format
+              <select
+                value={mapping.dateFormat}
+                onChange={(e) => setMapping({ ...mapping, dateFormat: e.target.value })}
+                style={{ ...selectStyle, display: 'block', width: '100%', marginTop: '2px' }}
+              >
+                {Object.entries(DATE_FORMATS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label style={{ fontSize: '12px', color: '#4a5568' }}>
+              Usage unit
+              <select
+                value={mapping.usageUnit}
+                onChange={(e) => setMapping({ ...mapping, usageUnit: e.target.value })}
+                style={{ ...selectStyle, display: 'block', width: '100%', marginTop: '2px' }}
+              >
+                <option value="kWh">kWh</option>
+                <option value="Wh">Wh</option>
+              </select>
+            </label>
+            <label style={{ fontSize: '12px', color: '#4a5568' }}>
+              Temperature unit
+              <select
+                value={mapping.temperatureUnit}
+                onChange={(e) => setMapping({ ...mapping, temperatureUnit: e.target.value })}
+                style={{ ...selectStyle, display: 'block', width: '100%', marginTop: '2px' }}
+              >
+                <option value="F">°F</option>
+                <option value="C">°C</option>
+              </select>
+            </label>
+          </div>
+
+          {mappingErrors.length > 0 ? (
+            <ul style={{ fontSize: '12px', color: '#991b1b', marginLeft: '20px', marginBottom: '12px' }}>
+              {mappingErrors.map((error, i) => (
+                <li key={i}>{error}</li>
+              ))}
+            </ul>
+          ) : (
+            <SampleRows layout={file.layout} mapping={mapping} />
+          )}
+
+          <button
+            onClick={() => onParsed(file.name, parseMappedCSV(file.text, mapping))}
+            disabled={mappingErrors.length > 0}
+            style={{
+              ...buttonStyle,
+              padding: '8px 16px',
+              border: 'none',
+              background: mappingErrors.length === 0 ? '#3b82f6' : '#9ca3af',
+              color: 'white',
+              cursor: mappingErrors.length === 0 ? 'pointer' : 'not-allowed',
+            }}
+          >
+            Preview Import
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+function SampleRows({ layout, mapping }) {
+  const rows = layout.rows.slice(0, SAMPLE_ROWS);
+
+  return (
+    <div style={{ overflowX: 'auto', marginBottom: '12px' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+        <thead>
+          <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+            <TableHeader>Line</TableHeader>
+            <TableHeader>Date</TableHeader>
+            <TableHeader>Time</TableHeader>
+            <TableHeader>Usage</TableHeader>
+            <TableHeader>Cost</TableHeader>
+            <TableHeader>Mean Temp</TableHeader>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((values, i) => {
+            const { row, error } = convertRow(values, layout.headers, mapping);
+            const line = layout.headerRow + i + 2;
+            return (
+              <tr key={line} style={{ borderBottom: '1px solid #e2e8f0' }}>
+                <td style={{ padding: '4px 8px', color: '#718096' }}>{line}</td>
+                {error ? (
+                  <td colSpan={5} style={{ padding: '4px 8px', color: '#991b1b' }}>{error}</td>
+                ) : (
+                  <>
+                    <td style={{ padding: '4px 8px', color: '#2d3748' }}>{row.date}</td>
+                    <td style={{ padding: '4px 8px', color: '#4b5563' }}>{row.start_time || 'daily'}</td>
+                    <td style={{ padding: '4px 8px', fontWeight: '600', color: '#2d3748' }}>
+                      {row.usage_kwh.toFixed(3)} kWh
+                    </td>
+                    <td style={{ padding: '4px 8px', color: '#4b5563' }}>
+                      {row.cost_dollars === '' ? 'from rates' : `$${row.cost_dollars.toFixed(2)}`}
+                    </td>
+                    <td style={{ padding: '4px 8px', color: '#4b5563' }}>
+                      {row.temp_mean_f === '' ? 'from weather' : `${row.temp_mean_f.toFixed(1)}°F`}
+                    </td>
+                  </>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function TableHeader({ children }) {
+  return (
+    <th
+      style={{
+        padding: '4px 8px',
+        textAlign: 'left',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#718096',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+      }}
+    >
+      {children}
+    </th>
+  );
+}
+
+const selectStyle = {
+  padding: '6px',
+  fontSize: '12px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '4px',
+  background: 'white',
+};
+
+const buttonStyle = {
+  padding: '6px 12px',
+  fontSize: '12px',
+  fontWeight: '500',
+  borderRadius: '4px',
+  border: '1px solid #e2e8f0',
+  background: 'white',
+  color: '#4a5568',
+  cursor: 'pointer',
+};
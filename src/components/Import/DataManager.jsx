@@ -1,78 +1,76 @@
 /**
  * DataManager Component
  *
- * Handles data import/export and PECO integration
+ * Handles data import/export and PECO integration. PECO usage comes in as a
+ * Green Button (ESPI XML) file or a CSV, and other utilities' CSVs through a
+ * column mapping; each is previewed, with any dates that conflict with the
+ * dataset resolved, before it's merged. The CSV export includes the days
+ * filled in for gaps, marked as filled (see gapFilling.js). Imports and
+ * clearing the cache go in the change journal (see journal.js), so they can
+ * be undone.
  */
 
 import { useState } from 'react';
-import { exportToCSV, downloadFile } from '../../utils/csvParser';
+import { exportToCSV, downloadFile, parsePECOCSV } from '../../utils/csvParser';
+import { parseGreenButtonXML } from '../../utils/greenButton';
+import { ImportPreview } from './ImportPreview';
+import { ColumnMappingWizard } from './ColumnMappingWizard';
 import { HISTORICAL_DATA_PATH } from '../../data/historicalData';
 
-export function DataManager({ historicalData, onImport, onExport, onClear, onRefresh }) {
+export function DataManager({ historicalData, filledDays = [], embeddedData = true, importProfiles, onImportProfilesChange, onImportRecords, onExport, onClear, onRefresh }) {
   const [importStatus, setImportStatus] = useState(null);
+  const [preview, setPreview] = useState(null);
 
   const handleExportCSV = () => {
-    const csv = exportToCSV(historicalData);
+    // Days with estimated usage go in alongside the stored ones, marked as filled
+    const gaps = filledDays.filter((day) => day.filled);
+    const csv = exportToCSV([...historicalData, ...gaps].sort((a, b) => a.date.localeCompare(b.date)));
     const timestamp = new Date().toISOString().split('T')[0];
     downloadFile(csv, `electricity-data-${timestamp}.csv`, 'text/csv');
   };
 
-  const handleFileUpload = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    const text = await file.text();
-    const result = onImport(text);
-
+  // Parse an uploaded file and show its preview; nothing is merged until it's confirmed
+  const showPreview = (title, result, failureMessage) => {
     if (result.success) {
-      setImportStatus({
-        type: 'success',
-        message: `Successfully imported ${result.recordCount} records`,
-        warnings: result.warnings,
-      });
+      setImportStatus(null);
+      setPreview({ title, result });
     } else {
+      setPreview(null);
       setImportStatus({
         type: 'error',
-        message: 'Import failed',
+        message: failureMessage,
         errors: result.errors,
+        warnings: result.warnings,
       });
     }
   };
 
-  const handlePECOImport = () => {
-    // Instructions for PECO import
-    const instructions = `
-PECO DATA IMPORT INSTRUCTIONS:
-
-Method 1: Manual CSV Export (Recommended)
-1. Log in to https://secure.peco.com
-2. Navigate to "My Account" → "View My Usage"
-3. Select date range
-4. Click "Export to CSV" or "Download"
-5. Upload the file using the "Import CSV" button below
-
-Method 2: Chrome DevTools Extraction
-1. Log in to PECO and navigate to your usage data
-2. Open Chrome DevTools (F12)
-3. Go to Console tab
-4. Paste and run this script:
+  const handleFileUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
 
-copy(JSON.stringify(Array.from(document.querySelectorAll('.usage-data-row')).map(row => ({
-  date: row.querySelector('.date-cell')?.textContent,
-  usage_kwh: parseFloat(row.querySelector('.usage-cell')?.textContent),
-  temp_mean_f: parseFloat(row.querySelector('.temp-cell')?.textContent)
-})).filter(d => d.date && !isNaN(d.usage_kwh))))
+    const text = await file.text();
+    event.target.value = '';
+    showPreview(file.name, parsePECOCSV(text), 'CSV import failed');
+  };
 
-5. Save the copied JSON to a file
-6. Use the JSON importer below (coming soon)
+  const handleGreenButtonUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
 
-Method 3: API Integration (Advanced)
-- PECO does not provide a public API
-- Web scraping violates Terms of Service
-- Manual export is the safest approach
-    `;
+    const text = await file.text();
+    event.target.value = '';
+    showPreview(file.name, parseGreenButtonXML(text, historicalData), 'Green Button import failed');
+  };
 
-    alert(instructions);
+  const handleConfirmPreview = (resolutions) => {
+    const result = onImportRecords(preview.result, resolutions, preview.title);
+    setPreview(null);
+    setImportStatus({
+      type: 'success',
+      message: `Imported ${result.recordCount} days: ${result.added} new, ${result.updated} updated, ${result.kept} kept as they were`,
+      warnings: result.warnings,
+    });
   };
 
   return (
@@ -151,6 +149,7 @@ Method 3: API Integration (Advanced)
         </h3>
         <p style={{ fontSize: '14px', color: '#718096', marginBottom: '12px' }}>
           Download the current dataset as a CSV file for backup or sharing.
+          {filledDays.some((day) => day.filled) && ' Days filled in for gaps are included, marked in the filled column.'}
         </p>
         <button
           onClick={handleExportCSV}
@@ -191,7 +190,11 @@ Method 3: API Integration (Advanced)
           🔄 Cache Management
         </h3>
         <p style={{ fontSize: '14px', color: '#718096', marginBottom: '12px' }}>
-          If data appears incorrect or outdated, clear the cache and reload from the embedded CSV file.
+          {embeddedData
+            ? 'To start over, clear the stored usage and reload it from the embedded CSV file.'
+            : 'To start over, clear the stored usage (the embedded CSV file is another household\'s).'}{' '}
+          Stored data is upgraded automatically when the app changes, so this isn't needed after updates.
+          Clearing and imports can be undone under Change History.
         </p>
         <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
           <button
@@ -199,7 +202,7 @@ Method 3: API Integration (Advanced)
               onClear();
               setImportStatus({
                 type: 'success',
-                message: 'Cache cleared! Reloading data from CSV...',
+                message: embeddedData ? 'Cache cleared! Reloading data from CSV...' : 'Cache cleared!',
               });
               setTimeout(() => {
                 onRefresh();
@@ -217,7 +220,7 @@ Method 3: API Integration (Advanced)
               cursor: 'pointer',
             }}
           >
-            Clear Cache & Reload
+            {embeddedData ? 'Clear Cache & Reload' : 'Clear Cache'}
           </button>
         </div>
       </div>
@@ -254,28 +257,49 @@ Method 3: API Integration (Advanced)
           }}
         >
           <h4 style={{ fontSize: '14px', fontWeight: '600', color: '#1e40af', marginBottom: '8px' }}>
-            PECO Integration
+            PECO Green Button Import
           </h4>
-          <p style={{ fontSize: '13px', color: '#1e40af', marginBottom: '8px' }}>
-            Get your usage data directly from PECO:
+          <ol style={{ fontSize: '13px', color: '#1e40af', marginLeft: '20px', marginBottom: '8px' }}>
+            <li>Log in to https://secure.peco.com and open "My Usage"</li>
+            <li>Choose "Green Button Download My Data"</li>
+            <li>Export your usage for the date range you need as XML</li>
+            <li>Upload the file here, check the preview and import it</li>
+          </ol>
+          <p style={{ fontSize: '12px', color: '#1e40af', marginBottom: '8px' }}>
+            Interval readings are added up into daily usage. The file has no weather, so each day keeps the
+            temperatures already in the dataset; days without one take it from the imported weather.
           </p>
-          <button
-            onClick={handlePECOImport}
+          <input
+            type="file"
+            accept=".xml"
+            onChange={handleGreenButtonUpload}
             style={{
-              padding: '8px 16px',
+              width: '100%',
+              padding: '8px',
               fontSize: '13px',
-              fontWeight: '500',
+              border: '1px solid #bfdbfe',
               borderRadius: '4px',
-              border: '1px solid #3b82f6',
               background: 'white',
-              color: '#3b82f6',
-              cursor: 'pointer',
             }}
-          >
-            📖 View Import Instructions
-          </button>
+          />
         </div>
 
+        <ColumnMappingWizard
+          profiles={importProfiles}
+          onProfilesChange={onImportProfilesChange}
+          onParsed={(title, result) => showPreview(title, result, 'Mapped CSV import failed')}
+        />
+
+        {preview && (
+          <ImportPreview
+            title={preview.title}
+            result={preview.result}
+            historicalData={historicalData}
+            onConfirm={handleConfirmPreview}
+            onCancel={() => setPreview(null)}
+          />
+        )}
+
         {/* CSV Upload */}
         <div style={{ marginBottom: '12px' }}>
           <label
@@ -287,7 +311,7 @@ Method 3: API Integration (Advanced)
               marginBottom: '6px',
             }}
           >
-            Import from CSV File:
+            Import from CSV File (this app's columns):
           </label>
           <input
             type="file"
@@ -302,7 +326,7 @@ Method 3: API Integration (Advanced)
             }}
           />
           <p style={{ fontSize: '12px', color: '#9ca3af', marginTop: '4px' }}>
-            CSV should have columns: date, usage_kwh, temp_mean_f
+            CSV should have columns: date, usage_kwh (temp_mean_f optional: days without one use the imported weather)
           </p>
         </div>
 
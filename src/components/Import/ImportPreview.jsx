@@ -0,0 +1,292 @@
+/**
+ * ImportPreview Component
+ *
+ * Shows what a parsed import would do to the dataset before anything is
+ * written: new dates, dates that conflict with existing records (existing vs
+ * incoming usage, temperature and cost), dates that are unchanged and rows
+ * the parser couldn't read. Each conflict is resolved by keeping the existing
+ * record, taking the incoming one or averaging them (see importMerge.js);
+ * the chosen resolutions are passed to onConfirm.
+ */
+
+import { useState } from 'react';
+import { CONFLICT_RESOLUTIONS, DEFAULT_RESOLUTION, diffImport } from '../../utils/importMerge';
+
+export function ImportPreview({ title, result, historicalData, onConfirm, onCancel }) {
+  const [resolutions, setResolutions] = useState({});
+
+  const { added, changed, unchanged } = diffImport(historicalData, result.data);
+  const invalidRows = result.invalidRows || [];
+  const totalUsage = result.data.reduce((sum, record) => sum + record.usage_kwh, 0);
+  const kept = changed.filter(({ date }) => (resolutions[date] || DEFAULT_RESOLUTION) === 'keep').length;
+
+  const resolveAll = (resolution) => {
+    setResolutions(Object.fromEntries(changed.map(({ date }) => [date, resolution])));
+  };
+
+  return (
+    <div
+      style={{
+        padding: '16px',
+        background: '#f7fafc',
+        border: '1px solid #e2e8f0',
+        borderRadius: '6px',
+        marginBottom: '12px',
+      }}
+    >
+      <h4 style={{ fontSize: '14px', fontWeight: '600', color: '#2d3748', marginBottom: '8px' }}>
+        🔍 Preview: {title}
+      </h4>
+
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(130px, 1fr))',
+          gap: '8px',
+          marginBottom: '12px',
+        }}
+      >
+        <StatCard label="Days" value={result.data.length} />
+        <StatCard
+          label="Date Range"
+          value={result.stats?.dateRange ? `${result.stats.dateRange.start} to ${result.stats.dateRange.end}` : 'None'}
+        />
+        <StatCard label="New Dates" value={added.length} />
+        <StatCard label="Changed Dates" value={changed.length} />
+        <StatCard label="Unchanged Dates" value={unchanged.length} />
+        <StatCard label="Invalid Rows" value={invalidRows.length} />
+        <StatCard label="Total Usage" value={`${totalUsage.toFixed(1)} kWh`} />
+      </div>
+
+      {result.warnings.length > 0 && (
+        <div style={{ fontSize: '12px', color: '#92400e', marginBottom: '12px' }}>
+          ⚠️ Warnings:
+          <ul style={{ marginLeft: '20px', marginTop: '4px' }}>
+            {result.warnings.map((warning, i) => (
+              <li key={i}>{warning}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {changed.length > 0 && (
+        <>
+          <div
+            style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              flexWrap: 'wrap',
+              gap: '8px',
+              marginBottom: '6px',
+            }}
+          >
+            <h5 style={{ fontSize: '13px', fontWeight: '600', color: '#2d3748' }}>
+              Changed Dates ({changed.length})
+            </h5>
+            <div style={{ display: 'flex', gap: '4px', alignItems: 'center', fontSize: '12px', color: '#718096' }}>
+              All:
+              {Object.entries(CONFLICT_RESOLUTIONS).map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => resolveAll(key)}
+                  style={{
+                    padding: '4px 8px',
+                    fontSize: '12px',
+                    borderRadius: '4px',
+                    border: '1px solid #e2e8f0',
+                    background: 'white',
+                    color: '#4a5568',
+                    cursor: 'pointer',
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div style={{ maxHeight: '240px', overflowY: 'auto', marginBottom: '12px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                  <TableHeader>Date</TableHeader>
+                  <TableHeader>Usage</TableHeader>
+                  <TableHeader>Mean Temp</TableHeader>
+                  <TableHeader>Cost</TableHeader>
+                  <TableHeader>Resolution</TableHeader>
+                </tr>
+              </thead>
+              <tbody>
+                {changed.map(({ date, existing, incoming }) => (
+                  <tr key={date} style={{ borderBottom: '1px solid #e2e8f0' }}>
+                    <td style={{ padding: '4px 8px', color: '#2d3748' }}>{date}</td>
+                    <td style={{ padding: '4px 8px', color: '#4b5563' }}>
+                      <Change from={existing.usage_kwh.toFixed(2)} to={incoming.usage_kwh.toFixed(2)} unit=" kWh" />
+                    </td>
+                    <td style={{ padding: '4px 8px', color: '#4b5563' }}>
+                      <Change from={formatTemperature(existing.temp_mean_f)} to={formatTemperature(incoming.temp_mean_f)} />
+                    </td>
+                    <td style={{ padding: '4px 8px', color: '#4b5563' }}>
+                      <Change from={`$${existing.cost_dollars.toFixed(2)}`} to={`$${incoming.cost_dollars.toFixed(2)}`} />
+                    </td>
+                    <td style={{ padding: '4px 8px' }}>
+                      <select
+                        value={resolutions[date] || DEFAULT_RESOLUTION}
+                        onChange={(e) => setResolutions({ ...resolutions, [date]: e.target.value })}
+                        style={{ padding: '4px', fontSize: '12px', border: '1px solid #e2e8f0', borderRadius: '4px' }}
+                      >
+                        {Object.entries(CONFLICT_RESOLUTIONS).map(([key, label]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {added.length > 0 && (
+        <>
+          <h5 style={{ fontSize: '13px', fontWeight: '600', color: '#2d3748', marginBottom: '6px' }}>
+            New Dates ({added.length})
+          </h5>
+          <div style={{ maxHeight: '200px', overflowY: 'auto', marginBottom: '12px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                  <TableHeader>Date</TableHeader>
+                  <TableHeader>Usage</TableHeader>
+                  <TableHeader>Mean Temp</TableHeader>
+                  <TableHeader>Cost</TableHeader>
+                </tr>
+              </thead>
+              <tbody>
+                {added.map((record) => (
+                  <tr key={record.date} style={{ borderBottom: '1px solid #e2e8f0' }}>
+                    <td style={{ padding: '4px 8px', color: '#2d3748' }}>{record.date}</td>
+                    <td style={{ padding: '4px 8px', fontWeight: '600', color: '#2d3748' }}>
+                      {record.usage_kwh.toFixed(2)} kWh
+                    </td>
+                    <td style={{ padding: '4px 8px', color: '#4b5563' }}>
+                      {record.temp_mean_f === null ? 'from weather' : formatTemperature(record.temp_mean_f)}
+                    </td>
+                    <td style={{ padding: '4px 8px', color: '#4b5563' }}>${record.cost_dollars.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {invalidRows.length > 0 && (
+        <>
+          <h5 style={{ fontSize: '13px', fontWeight: '600', color: '#991b1b', marginBottom: '6px' }}>
+            Invalid Rows, Not Imported ({invalidRows.length})
+          </h5>
+          <ul
+            style={{
+              maxHeight: '120px',
+              overflowY: 'auto',
+              fontSize: '12px',
+              color: '#991b1b',
+              marginLeft: '20px',
+              marginBottom: '12px',
+            }}
+          >
+            {invalidRows.map(({ row, reason }) => (
+              <li key={row}>Row {row}: {reason}</li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button
+          onClick={() => onConfirm(resolutions)}
+          style={{
+            padding: '8px 16px',
+            fontSize: '13px',
+            fontWeight: '500',
+            borderRadius: '4px',
+            border: 'none',
+            background: '#10b981',
+            color: 'white',
+            cursor: 'pointer',
+          }}
+        >
+          Import {added.length} New, Update {unchanged.length + changed.length - kept}
+        </button>
+        <button
+          onClick={onCancel}
+          style={{
+            padding: '8px 16px',
+            fontSize: '13px',
+            fontWeight: '500',
+            borderRadius: '4px',
+            border: '1px solid #e2e8f0',
+            background: 'white',
+            color: '#4a5568',
+            cursor: 'pointer',
+          }}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function formatTemperature(temp) {
+  return temp === null ? 'none' : `${temp.toFixed(1)}°F`;
+}
+
+function Change({ from, to, unit = '' }) {
+  if (from === to) {
+    return <span>{from}{unit}</span>;
+  }
+  return (
+    <span>
+      <span style={{ color: '#9ca3af', textDecoration: 'line-through' }}>{from}</span>
+      {' → '}
+      <strong style={{ color: '#2d3748' }}>{to}{unit}</strong>
+    </span>
+  );
+}
+
+function StatCard({ label, value }) {
+  return (
+    <div
+      style={{
+        padding: '8px',
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '6px',
+      }}
+    >
+      <div style={{ fontSize: '11px', color: '#718096', marginBottom: '2px' }}>{label}</div>
+      <div style={{ fontSize: '14px', fontWeight: '700', color: '#1a202c' }}>{value}</div>
+    </div>
+  );
+}
+
+function TableHeader({ children }) {
+  return (
+    <th
+      style={{
+        padding: '4px 8px',
+        textAlign: 'left',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#718096',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+      }}
+    >
+      {children}
+    </th>
+  );
+}
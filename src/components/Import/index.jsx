@@ -1 +1,4 @@
 export { DataManager } from './DataManager';
+export { ImportPreview } from './ImportPreview';
+export { BackupManager } from './BackupManager';
+export { ColumnMappingWizard } from './ColumnMappingWizard';
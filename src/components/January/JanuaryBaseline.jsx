@@ -6,13 +6,67 @@
  * - Dec 18, 2025: Guala left (Causio alone in apartment)
  * - Jan 2, 2026: Thermostat set to legal minimum (60°F)
  * - Jan 8, 2026: End of analysis period
- * - Uses the established baseline model: Expected Usage = 50.75 - (0.888 × Temperature)
+ * - Uses the legal minimum baseline model from the model registry
+ *
+ * These dates and residents are the original apartment's, so App only shows
+ * this view for the default household.
+ *
+ * Expected usage and shares are shown ± their 95% range from the model's
+ * uncertainty; days whose usage fell outside the range are flagged. Presence
+ * painted in the occupancy calendar overrides the Dec 18 occupancy. Thermostat
+ * changes come from the thermostat log: it says which days were at the legal
+ * minimum and who set the heating on the others. Personal appliances are
+ * charged to their owners for the days they were home. Cost the policy
+ * leaves to nobody is shown as its own Unallocated share.
  */
 
 import { useMemo } from 'react';
-import { COST_PER_KWH, LEGAL_MIN_INTERCEPT, LEGAL_MIN_SLOPE } from '../../utils/constants';
+import { addShares, countPresence, createShares } from '../../utils/calculations';
+import { describePolicy, findPolicy } from '../../utils/policies';
+import { combineShareMargins, getShareMargins, getShareSpread, isOutsideInterval } from '../../utils/intervals';
+import { calculateDayCost, findRateSchedule, getEnergyRate, splitDayCharges } from '../../utils/tariffs';
+import { formatDate, formatDisplayDate } from '../../utils/dateHelpers';
+import { getDayPresence } from '../../utils/occupancy';
+import {
+  describeThermostatEvent,
+  getThermostatControllers,
+  isAtLegalMinimum,
+  sortThermostatLog,
+} from '../../utils/thermostat';
+import { getHourlyExcess } from '../../utils/hourly';
+import { getApplianceLoads } from '../../utils/appliances';
+import {
+  formatModelFormula,
+  getLegalMinModel,
+  getModelCoefficients,
+  getModelForm,
+  predictDayInterval,
+  predictDayUsage,
+  predictTotalInterval,
+} from '../../utils/models';
+
+// Who was home from Dec 18 (Causio alone; everyone else away), unless the calendar says otherwise
+const DEC18_OCCUPANCY = { causio: 1 };
+
+// Split policy for the Dec 18 - Jan 8 period (excess to whoever was home alone)
+const JANUARY_POLICY_ID = 'legal-minimum';
+
+export function JanuaryBaseline({
+  historicalData,
+  outdoorTemp,
+  residents,
+  policies,
+  models,
+  legalMinModelId,
+  rateSchedules,
+  occupancyCalendar,
+  thermostatLog,
+  appliances,
+}) {
+  const januaryPolicy = findPolicy(policies, JANUARY_POLICY_ID);
+  const januaryModel = getLegalMinModel(models, legalMinModelId);
+  const coefficients = getModelCoefficients(januaryModel);
 
-export function JanuaryBaseline({ historicalData, outdoorTemp }) {
   // Filter January data
   const januaryData = useMemo(() => {
     return historicalData.filter(d => d.date.startsWith('2026-01'));
@@ -23,28 +77,75 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
     return historicalData.filter(d => d.date >= '2025-12-18' && d.date <= '2026-01-08');
   }, [historicalData]);
 
-  // Jan 2+: Period when thermostat was at legal minimum
+  // Days the thermostat log has at the legal minimum all day
   const janBaselineData = useMemo(() => {
-    return januaryData.filter(d => d.date >= '2026-01-02');
-  }, [januaryData]);
+    return januaryData.filter(d => isAtLegalMinimum(thermostatLog, d.date));
+  }, [januaryData, thermostatLog]);
+
+  // Thermostat changes made during the analysis period
+  const thermostatChanges = sortThermostatLog(thermostatLog)
+    .filter((event) => event.at >= '2025-12-18' && event.at < '2026-01-09');
 
   // Calculate expected usage for January model (legal minimum)
-  // Formula: Expected Usage = 50.75 - (0.888 × temperature)
-  const getJanuaryExpected = (temp) => {
-    return LEGAL_MIN_INTERCEPT + (LEGAL_MIN_SLOPE * temp);
+  const getJanuaryExpected = (temp, day = {}) => {
+    return predictDayUsage(januaryModel, { ...day, temp_mean_f: temp }) ?? 0;
   };
 
+  // Expected cost of a day at the slider temperature under today's rates,
+  // shared by the policy's baseline split (no excess)
+  const currentSchedule = findRateSchedule(rateSchedules, formatDate(new Date()));
+  const splitExpectedDay = (usage) => splitDayCharges(currentSchedule, januaryPolicy, {
+    usage,
+    expectedUsage: usage,
+    residents,
+    presence: createShares(residents, 1),
+  });
+  const expectedDay = splitExpectedDay(getJanuaryExpected(outdoorTemp));
+  const expectedShares = expectedDay.shares;
+  const expectedInterval = predictDayInterval(januaryModel, { temp_mean_f: outdoorTemp });
+  const expectedShareMargins = expectedInterval
+    ? getShareSpread(splitExpectedDay(expectedInterval.lower).shares, splitExpectedDay(expectedInterval.upper).shares)
+    : null;
+
   // Analyze Dec 18 onwards period using January legal minimum model
   const dec18Analysis = useMemo(() => {
     if (dec18OnwardsData.length === 0) return null;
 
     // Calculate expected usage (using January legal minimum model)
     // and actual usage
-    const analysis = dec18OnwardsData.map(day => {
-      const expectedUsage = getJanuaryExpected(day.temp_mean_f);
+    const modelDays = dec18OnwardsData.map(day => {
+      const presence = getDayPresence(occupancyCalendar, day.date, DEC18_OCCUPANCY);
+      return { ...day, presence, occupancy_count: countPresence(residents, presence) };
+    });
+    const analysis = modelDays.map(day => {
+      const expectedUsage = getJanuaryExpected(day.temp_mean_f, day);
       const actualUsage = day.usage_kwh;
       const excessUsage = actualUsage - expectedUsage;
-      const excessCost = excessUsage * COST_PER_KWH;
+
+      // The policy decides how expected and excess cost are shared given who was home
+      const schedule = findRateSchedule(rateSchedules, day.date);
+      const occupancyContext = {
+        residents,
+        presence: day.presence,
+        thermostatController: getThermostatControllers(thermostatLog, day.date, getHourlyExcess(day, expectedUsage)),
+      };
+      const { cost, energyCost, applianceCost, expectedCost, excessCost, shares, unallocated } = splitDayCharges(schedule, januaryPolicy, {
+        ...occupancyContext,
+        usage: actualUsage,
+        expectedUsage,
+        appliances: getApplianceLoads(appliances, day.date, day.presence),
+      });
+
+      const energyRate = getEnergyRate(schedule);
+      const interval = predictDayInterval(januaryModel, day);
+      const shareMargins = interval
+        ? getShareMargins(
+          januaryPolicy,
+          { ...occupancyContext, actualCost: energyCost - applianceCost },
+          interval.lower * energyRate,
+          interval.upper * energyRate
+        )
+        : null;
 
       return {
         date: day.date,
@@ -52,7 +153,14 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
         expectedUsage,
         actualUsage,
         excessUsage,
+        cost,
+        expectedCost,
         excessCost,
+        shares,
+        unallocated,
+        interval,
+        shareMargins,
+        outsideInterval: isOutsideInterval(actualUsage, interval),
       };
     });
 
@@ -62,21 +170,40 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
       totalExpectedUsage: acc.totalExpectedUsage + day.expectedUsage,
       totalActualUsage: acc.totalActualUsage + day.actualUsage,
       totalExcessUsage: acc.totalExcessUsage + day.excessUsage,
+      totalCost: acc.totalCost + day.cost,
+      totalExpectedCost: acc.totalExpectedCost + day.expectedCost,
       totalExcessCost: acc.totalExcessCost + day.excessCost,
+      shares: addShares(acc.shares, day.shares),
+      unallocated: acc.unallocated + day.unallocated,
       avgTemp: acc.avgTemp + day.temp,
     }), {
       totalDays: 0,
       totalExpectedUsage: 0,
       totalActualUsage: 0,
       totalExcessUsage: 0,
+      totalCost: 0,
+      totalExpectedCost: 0,
       totalExcessCost: 0,
+      shares: createShares(residents),
+      unallocated: 0,
       avgTemp: 0,
     });
 
     totals.avgTemp = totals.totalDays > 0 ? totals.avgTemp / totals.totalDays : 0;
 
+    // Uncertainty in the period's expected usage and each share
+    totals.expectedInterval = predictTotalInterval(januaryModel, modelDays);
+    totals.expectedCostMargin = totals.expectedInterval && totals.totalExpectedUsage !== 0
+      ? totals.expectedInterval.halfWidth * totals.totalExpectedCost / totals.totalExpectedUsage
+      : null;
+    totals.shareMargins = totals.expectedInterval && analysis.every(day => day.shareMargins)
+      ? combineShareMargins(analysis.map(day => day.shareMargins), analysis.map(day => day.interval.halfWidth), totals.expectedInterval.halfWidth)
+      : null;
+    totals.outsideIntervalDays = analysis.filter(day => day.outsideInterval).length;
+
     return { analysis, totals };
-  }, [dec18OnwardsData]);
+  }, [dec18OnwardsData, januaryModel, residents, januaryPolicy, rateSchedules, occupancyCalendar, thermostatLog, appliances]);
+  const hasUnallocated = dec18Analysis !== null && Math.abs(dec18Analysis.totals.unallocated) >= 0.005;
 
   if (januaryData.length === 0 && !dec18Analysis) {
     return (
@@ -113,12 +240,23 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
           <p><strong>January Baseline (Jan 2+):</strong></p>
           <ul style={{ marginLeft: '20px', marginBottom: '12px' }}>
             <li>Uses the established legal minimum model from Jan 2+ data</li>
-            <li>Formula: <code>Expected Usage = 50.75 - (0.888 × Temperature °F)</code></li>
-            <li><strong>Where the numbers come from:</strong> Derived from linear regression on actual usage data when thermostat was at legal minimum (60°F)</li>
-            <li><strong>50.75 (intercept):</strong> Baseline electricity usage at 0°F (heating demand is maximum)</li>
-            <li><strong>-0.888 (slope):</strong> For each 1°F increase in outdoor temperature, expected usage decreases by 0.888 kWh (less heating needed)</li>
-            <li>Example: At 30°F → 50.75 - (0.888 × 30) = 24.11 kWh expected usage</li>
-            <li>Example: At 50°F → 50.75 - (0.888 × 50) = 6.35 kWh expected usage</li>
+            <li>Formula: <code>{formatModelFormula(januaryModel)}</code></li>
+            <li><strong>Where the numbers come from:</strong> Derived from regression on actual usage data when thermostat was at legal minimum (60°F)</li>
+            {coefficients && getModelForm(januaryModel) === 'linear' && (
+              <>
+                <li><strong>{coefficients.intercept.toFixed(2)} (intercept):</strong> Baseline electricity usage at 0°F (heating demand is maximum)</li>
+                <li><strong>{coefficients.slope.toFixed(3)} (slope):</strong> For each 1°F increase in outdoor temperature, expected usage decreases by {Math.abs(coefficients.slope).toFixed(3)} kWh (less heating needed)</li>
+              </>
+            )}
+            {coefficients && getModelForm(januaryModel) === 'change-point' && (
+              <>
+                <li><strong>{coefficients.baseLoad.toFixed(2)} (base load):</strong> Usage that doesn't depend on the weather (fridge, lights, devices)</li>
+                <li><strong>{coefficients.balanceTemp.toFixed(1)}°F (balance temperature):</strong> Above this outdoor temperature no heating is needed, so expected usage stays at the base load</li>
+                <li><strong>{coefficients.heatingSlope.toFixed(3)} (heating slope):</strong> For each 1°F below the balance temperature, expected usage increases by {coefficients.heatingSlope.toFixed(3)} kWh</li>
+              </>
+            )}
+            <li>Example: At 30°F → {getJanuaryExpected(30).toFixed(2)} kWh expected usage</li>
+            <li>Example: At 50°F → {getJanuaryExpected(50).toFixed(2)} kWh expected usage</li>
             <li>Represents electricity usage when thermostat is at legal minimum (60°F)</li>
             <li>Used for temperature slider and all post-December calculations (Dec 18+)</li>
           </ul>
@@ -127,9 +265,10 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
             <strong>Cost Split Rules:</strong>
           </p>
           <ul style={{ marginLeft: '20px' }}>
-            <li><strong>Expected cost</strong> is always split 50/50 between Causio and Guala</li>
-            <li><strong>Excess cost</strong> (actual - expected) goes to the person using the electricity</li>
-            <li><strong>When usage is below expected</strong>: total actual cost is split 50/50</li>
+            <li><strong>Policy:</strong> {januaryPolicy.name} (v{januaryPolicy.version})</li>
+            {describePolicy(januaryPolicy, residents).map((rule) => (
+              <li key={rule}>{rule}</li>
+            ))}
           </ul>
         </div>
       </div>
@@ -148,14 +287,23 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
         <div style={{ fontSize: '14px', color: '#1e40af', lineHeight: '1.6' }}>
           <p><strong>Key Dates:</strong></p>
           <ul style={{ marginLeft: '20px', marginBottom: '12px' }}>
-            <li><strong>Jan 2</strong>: Thermostat set to legal minimum (60°F)</li>
-            <li><strong>Jan 2+</strong>: Baseline period for legal minimum model</li>
+            {thermostatChanges.map((event) => (
+              <li key={event.id}>
+                <strong>{formatDisplayDate(event.at.slice(0, 10), 'MMM d')}</strong>: {describeThermostatEvent(event, residents)}
+              </li>
+            ))}
+            <li><strong>{janBaselineData.length} January days</strong> at the legal minimum (from the thermostat log)</li>
           </ul>
           <p style={{ marginTop: '12px' }}>
-            <strong>January Model:</strong><br/>
+            <strong>{januaryModel?.name || 'January Model'}:</strong><br/>
             <span style={{ fontSize: '13px', opacity: 0.9 }}>
-              Expected Usage = 50.75 - (0.888 × Temperature °F)
+              {formatModelFormula(januaryModel)}
             </span>
+            {januaryModel?.fit && januaryModel.fit.r2 !== null && (
+              <span style={{ fontSize: '13px', opacity: 0.9 }}>
+                <br/>R² = {januaryModel.fit.r2.toFixed(3)} over {januaryModel.fit.n} days
+              </span>
+            )}
           </p>
         </div>
       </div>
@@ -173,7 +321,7 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
           unit="days"
         />
         <StatCard
-          label="From Jan 2+"
+          label="At Legal Minimum"
           value={janBaselineData.length}
           unit="days"
         />
@@ -184,7 +332,7 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
         />
         <StatCard
           label="Total Cost"
-          value={`$${(januaryData.reduce((sum, d) => sum + d.usage_kwh, 0) * COST_PER_KWH).toFixed(2)}`}
+          value={`$${januaryData.reduce((sum, d) => sum + calculateDayCost(rateSchedules, d.date, d.usage_kwh), 0).toFixed(2)}`}
         />
       </div>
 
@@ -219,20 +367,21 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
             <StatCard
               label="Expected Usage"
               value={`${getJanuaryExpected(outdoorTemp).toFixed(1)}`}
-              unit="kWh"
+              unit={expectedInterval ? `± ${expectedInterval.halfWidth.toFixed(1)} kWh` : 'kWh'}
             />
             <StatCard
               label="Expected Cost"
-              value={`$${(getJanuaryExpected(outdoorTemp) * COST_PER_KWH).toFixed(2)}`}
-            />
-            <StatCard
-              label="Causio's Share (50%)"
-              value={`$${(getJanuaryExpected(outdoorTemp) * COST_PER_KWH / 2).toFixed(2)}`}
-            />
-            <StatCard
-              label="Guala's Share (50%)"
-              value={`$${(getJanuaryExpected(outdoorTemp) * COST_PER_KWH / 2).toFixed(2)}`}
+              value={`$${expectedDay.cost.toFixed(2)}`}
+              unit={expectedInterval ? `± $${(expectedInterval.halfWidth * getEnergyRate(currentSchedule)).toFixed(2)}` : undefined}
             />
+            {residents.map((resident) => (
+              <StatCard
+                key={resident.id}
+                label={`${resident.name}'s Share (${(100 * (expectedShares[resident.id] || 0) / expectedDay.cost).toFixed(0)}%)`}
+                value={`$${(expectedShares[resident.id] || 0).toFixed(2)}`}
+                unit={expectedShareMargins ? `± $${(expectedShareMargins[resident.id] || 0).toFixed(2)}` : undefined}
+              />
+            ))}
           </div>
 
           <div style={{
@@ -244,7 +393,9 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
             color: '#1e40af',
           }}>
             <strong>Note:</strong> This is the expected usage and cost based on the January legal minimum model.
-            The cost is split 50/50 between Causio and Guala. This model applies to the period when Guala was away (Dec 18 - Jan 8).
+            It is priced with the "{currentSchedule.name}" rate schedule and shared using the baseline split of the
+            "{januaryPolicy.name}" policy. This model applies to the period when Guala was away (Dec 18 - Jan 8).
+            {expectedInterval && ` ± is the 95% range: the model was fitted on only ${januaryModel.fit.n} days, so a typical day can land anywhere in it.`}
           </div>
         </div>
       )}
@@ -268,8 +419,8 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
           </h3>
 
           <p style={{ fontSize: '13px', color: '#718096', marginBottom: '16px' }}>
-            Using the January legal minimum baseline model to calculate expected usage and allocate costs.
-            When actual usage is below expected, the actual cost is split 50/50.
+            Using the January legal minimum baseline model to calculate expected usage, and the
+            "{januaryPolicy.name}" policy to allocate costs.
           </p>
 
           {/* Summary Statistics */}
@@ -292,7 +443,7 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
             <StatCard
               label="Total Expected"
               value={dec18Analysis.totals.totalExpectedUsage.toFixed(1)}
-              unit="kWh"
+              unit={dec18Analysis.totals.expectedInterval ? `± ${dec18Analysis.totals.expectedInterval.halfWidth.toFixed(1)} kWh` : 'kWh'}
             />
             <StatCard
               label="Total Actual"
@@ -306,11 +457,21 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
             />
             <StatCard
               label="Expected Cost"
-              value={`$${(dec18Analysis.totals.totalExpectedUsage * COST_PER_KWH).toFixed(2)}`}
+              value={`$${dec18Analysis.totals.totalExpectedCost.toFixed(2)}`}
+              unit={dec18Analysis.totals.expectedCostMargin !== null
+                ? `± $${dec18Analysis.totals.expectedCostMargin.toFixed(2)}`
+                : undefined}
             />
+            {dec18Analysis.totals.expectedInterval && (
+              <StatCard
+                label="Outside Model Range"
+                value={dec18Analysis.totals.outsideIntervalDays}
+                unit="days"
+              />
+            )}
             <StatCard
               label="Actual Cost"
-              value={`$${(dec18Analysis.totals.totalActualUsage * COST_PER_KWH).toFixed(2)}`}
+              value={`$${dec18Analysis.totals.totalCost.toFixed(2)}`}
             />
             <StatCard
               label="Excess Cost"
@@ -370,20 +531,24 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
                     color: '#4a5568',
                     borderBottom: '2px solid #e2e8f0'
                   }}>Cost<br/><span style={{ fontSize: '11px', fontWeight: '400' }}>($)</span></th>
-                  <th style={{
-                    padding: '10px 8px',
-                    textAlign: 'center',
-                    fontWeight: '600',
-                    color: '#4a5568',
-                    borderBottom: '2px solid #e2e8f0'
-                  }}>Causio<br/><span style={{ fontSize: '11px', fontWeight: '400' }}>($)</span></th>
-                  <th style={{
-                    padding: '10px 8px',
-                    textAlign: 'center',
-                    fontWeight: '600',
-                    color: '#4a5568',
-                    borderBottom: '2px solid #e2e8f0'
-                  }}>Guala<br/><span style={{ fontSize: '11px', fontWeight: '400' }}>($)</span></th>
+                  {residents.map((resident) => (
+                    <th key={resident.id} style={{
+                      padding: '10px 8px',
+                      textAlign: 'center',
+                      fontWeight: '600',
+                      color: '#4a5568',
+                      borderBottom: '2px solid #e2e8f0'
+                    }}>{resident.name}<br/><span style={{ fontSize: '11px', fontWeight: '400' }}>($)</span></th>
+                  ))}
+                  {hasUnallocated && (
+                    <th style={{
+                      padding: '10px 8px',
+                      textAlign: 'center',
+                      fontWeight: '600',
+                      color: '#4a5568',
+                      borderBottom: '2px solid #e2e8f0'
+                    }}>Unallocated<br/><span style={{ fontSize: '11px', fontWeight: '400' }}>($)</span></th>
+                  )}
                 </tr>
               </thead>
               <tbody>
@@ -415,6 +580,9 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
                       color: '#4a5568'
                     }}>
                       {day.expectedUsage.toFixed(1)}
+                      {day.interval && (
+                        <span style={{ fontSize: '11px', color: '#a0aec0' }}> ±{day.interval.halfWidth.toFixed(1)}</span>
+                      )}
                     </td>
                     <td style={{
                       padding: '8px',
@@ -424,6 +592,9 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
                       fontWeight: '600'
                     }}>
                       {day.actualUsage.toFixed(1)}
+                      {day.outsideInterval && (
+                        <span title="Outside the model's 95% range" style={{ marginLeft: '4px', cursor: 'help' }}>⚠️</span>
+                      )}
                     </td>
                     <td style={{
                       padding: '8px',
@@ -440,36 +611,34 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
                       borderBottom: '1px solid #e2e8f0',
                       color: '#2d3748'
                     }}>
-                      ${(day.actualUsage * COST_PER_KWH).toFixed(2)}
-                    </td>
-                    <td style={{
-                      padding: '8px',
-                      textAlign: 'center',
-                      borderBottom: '1px solid #e2e8f0',
-                      color: '#2d3748',
-                      fontWeight: '500'
-                    }}>
-                      {/* When actual < expected: split actual cost 50/50 */}
-                      {/* When actual >= expected: Causio pays 50% of expected + 100% of excess */}
-                      ${day.excessUsage < 0
-                        ? (day.actualUsage * COST_PER_KWH / 2).toFixed(2)
-                        : (day.expectedUsage * COST_PER_KWH / 2 + day.excessCost).toFixed(2)
-                      }
-                    </td>
-                    <td style={{
-                      padding: '8px',
-                      textAlign: 'center',
-                      borderBottom: '1px solid #e2e8f0',
-                      color: '#2d3748',
-                      fontWeight: '500'
-                    }}>
-                      {/* When actual < expected: split actual cost 50/50 */}
-                      {/* When actual >= expected: Guala pays 50% of expected */}
-                      ${day.excessUsage < 0
-                        ? (day.actualUsage * COST_PER_KWH / 2).toFixed(2)
-                        : (day.expectedUsage * COST_PER_KWH / 2).toFixed(2)
-                      }
+                      ${day.cost.toFixed(2)}
                     </td>
+                    {residents.map((resident) => (
+                      <td key={resident.id} style={{
+                        padding: '8px',
+                        textAlign: 'center',
+                        borderBottom: '1px solid #e2e8f0',
+                        color: '#2d3748',
+                        fontWeight: '500'
+                      }}>
+                        ${(day.shares[resident.id] || 0).toFixed(2)}
+                        {day.shareMargins && (
+                          <span style={{ fontSize: '11px', fontWeight: '400', color: '#a0aec0' }}>
+                            {' '}±{(day.shareMargins[resident.id] || 0).toFixed(2)}
+                          </span>
+                        )}
+                      </td>
+                    ))}
+                    {hasUnallocated && (
+                      <td style={{
+                        padding: '8px',
+                        textAlign: 'center',
+                        borderBottom: '1px solid #e2e8f0',
+                        color: '#718096'
+                      }}>
+                        {Math.abs(day.unallocated) >= 0.005 ? `$${day.unallocated.toFixed(2)}` : '—'}
+                      </td>
+                    )}
                   </tr>
                 ))}
               </tbody>
@@ -488,19 +657,14 @@ export function JanuaryBaseline({ historicalData, outdoorTemp }) {
           }}>
             <strong>💰 Cost Summary (Dec 18 - {dec18Analysis.analysis[dec18Analysis.analysis.length - 1].date.substring(5).split('-').slice(0, 2).join('/')}):</strong><br/>
             <span style={{ marginLeft: '20px' }}>
-              Total Cost: ${(dec18Analysis.totals.totalActualUsage * COST_PER_KWH).toFixed(2)} |
-              Causio pays: ${dec18Analysis.analysis.reduce((sum, day) =>
-                sum + (day.excessUsage < 0
-                  ? day.actualUsage * COST_PER_KWH / 2
-                  : day.expectedUsage * COST_PER_KWH / 2 + day.excessCost
-                ), 0
-              ).toFixed(2)} |
-              Guala pays: ${dec18Analysis.analysis.reduce((sum, day) =>
-                sum + (day.excessUsage < 0
-                  ? day.actualUsage * COST_PER_KWH / 2
-                  : day.expectedUsage * COST_PER_KWH / 2
-                ), 0
-              ).toFixed(2)}
+              Total Cost: ${dec18Analysis.totals.totalCost.toFixed(2)}
+              {residents.map((resident) => (
+                <span key={resident.id}>
+                  {' | '}{resident.name} pays: ${(dec18Analysis.totals.shares[resident.id] || 0).toFixed(2)}
+                  {dec18Analysis.totals.shareMargins && ` ± $${(dec18Analysis.totals.shareMargins[resident.id] || 0).toFixed(2)}`}
+                </span>
+              ))}
+              {hasUnallocated && ` | Unallocated: $${dec18Analysis.totals.unallocated.toFixed(2)}`}
             </span>
           </div>
         </div>
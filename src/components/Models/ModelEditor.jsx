@@ -0,0 +1,403 @@
+/**
+ * ModelEditor Component
+ *
+ * Adds, edits and removes baseline models in the model registry, and picks
+ * which model the legal minimum baseline uses. Changing a model's definition
+ * clears its fit so it is refitted against the usage data.
+ */
+
+import { useState } from 'react';
+import {
+  DEFAULT_REGRESSION_FEATURES,
+  LEGAL_MIN_MODEL_ID,
+  MODEL_FORMS,
+  createCoefficients,
+  formatModelFormula,
+  getCoefficientFields,
+  getModelForm,
+} from '../../utils/models';
+import { REGRESSION_FEATURES } from '../../utils/features';
+import { formatPeriod } from '../../utils/dateHelpers';
+
+export function ModelEditor({ models, onChange, legalMinModelId, onLegalMinModelChange }) {
+  const [draft, setDraft] = useState(null);
+
+  const handleAddModel = () => {
+    const today = new Date().toISOString().split('T')[0];
+    setDraft({
+      id: `model-${Date.now()}`,
+      name: 'New model',
+      description: '',
+      type: 'fitted',
+      form: 'linear',
+      options: { cooling: false, features: [...DEFAULT_REGRESSION_FEATURES] },
+      trainingRange: { start: today, end: today },
+      coefficients: createCoefficients('linear'),
+      fit: null,
+    });
+  };
+
+  const handleEdit = (model) => {
+    const form = getModelForm(model);
+    const options = { cooling: false, features: [...DEFAULT_REGRESSION_FEATURES], ...model.options };
+    setDraft({
+      ...model,
+      form,
+      options,
+      coefficients: model.coefficients || createCoefficients(form, options.features),
+    });
+  };
+
+  const handleSave = () => {
+    // Definition changed: drop the stored fit so the model is refitted
+    const saved = {
+      ...draft,
+      coefficients: draft.type === 'fixed' ? draft.coefficients : null,
+      fit: null,
+    };
+    const exists = models.some((model) => model.id === saved.id);
+    onChange(exists
+      ? models.map((model) => (model.id === saved.id ? saved : model))
+      : [...models, saved]);
+    setDraft(null);
+  };
+
+  const handleFormChange = (form) => {
+    setDraft({ ...draft, form, coefficients: createCoefficients(form, draft.options.features) });
+  };
+
+  const handleFeatureToggle = (featureId, enabled) => {
+    // Keep the registry's feature order; keep coefficients already entered
+    const features = REGRESSION_FEATURES
+      .map((feature) => feature.id)
+      .filter((id) => (id === featureId ? enabled : draft.options.features.includes(id)));
+    setDraft({
+      ...draft,
+      options: { ...draft.options, features },
+      coefficients: { ...createCoefficients('multiple', features), ...pickCoefficients(draft.coefficients, features) },
+    });
+  };
+
+  const handleRemoveModel = (id) => {
+    onChange(models.filter((model) => model.id !== id));
+  };
+
+  const handleRangeChange = (field, value) => {
+    setDraft({ ...draft, trainingRange: { ...draft.trainingRange, [field]: value } });
+  };
+
+  const handleCoefficientChange = (field, value) => {
+    setDraft({ ...draft, coefficients: { ...draft.coefficients, [field]: Number(value) } });
+  };
+
+  return (
+    <div
+      style={{
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '16px',
+      }}
+    >
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '12px',
+        }}
+      >
+        <h3
+          style={{
+            fontSize: '16px',
+            fontWeight: '600',
+            color: '#4a5568',
+          }}
+        >
+          📈 Baseline Models ({models.length})
+        </h3>
+        <button
+          onClick={handleAddModel}
+          disabled={draft !== null}
+          style={{
+            padding: '6px 12px',
+            fontSize: '13px',
+            fontWeight: '500',
+            borderRadius: '6px',
+            border: 'none',
+            background: '#3b82f6',
+            color: 'white',
+            cursor: draft === null ? 'pointer' : 'not-allowed',
+          }}
+        >
+          + New Model
+        </button>
+      </div>
+      <p style={{ fontSize: '14px', color: '#718096', marginBottom: '12px' }}>
+        A baseline model predicts expected daily usage from outdoor temperature, either as a straight
+        line or as a degree-day change-point (flat base load plus heating below a balance temperature).
+        Fitted models are trained on a date range; fixed models use the coefficients you enter. Fit
+        statistics are shown under "Calculations".
+      </p>
+
+      <div style={{ maxWidth: '320px', marginBottom: '12px' }}>
+        <Field label="Legal Minimum Model">
+          <select
+            value={legalMinModelId}
+            onChange={(e) => onLegalMinModelChange(e.target.value)}
+            style={inputStyle}
+          >
+            {models.map((model) => (
+              <option key={model.id} value={model.id}>
+                {model.name}
+              </option>
+            ))}
+          </select>
+        </Field>
+      </div>
+
+      {draft && (
+        <div
+          style={{
+            background: '#eff6ff',
+            border: '1px solid #bfdbfe',
+            borderRadius: '8px',
+            padding: '16px',
+            marginBottom: '12px',
+          }}
+        >
+          <div
+            style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
+              gap: '12px',
+              marginBottom: '12px',
+            }}
+          >
+            <Field label="Name">
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                style={inputStyle}
+              />
+            </Field>
+            <Field label="Description">
+              <input
+                type="text"
+                value={draft.description}
+                onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                style={inputStyle}
+              />
+            </Field>
+            <Field label="Type">
+              <select
+                value={draft.type}
+                onChange={(e) => setDraft({ ...draft, type: e.target.value })}
+                style={inputStyle}
+              >
+                <option value="fitted">Fitted on date range</option>
+                <option value="fixed">Fixed coefficients</option>
+              </select>
+            </Field>
+            <Field label="Form">
+              <select
+                value={draft.form}
+                onChange={(e) => handleFormChange(e.target.value)}
+                style={inputStyle}
+              >
+                {MODEL_FORMS.map((form) => (
+                  <option key={form.id} value={form.id}>
+                    {form.label}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            {draft.form === 'change-point' && draft.type === 'fitted' && (
+              <Field label="Cooling">
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', padding: '8px 0' }}>
+                  <input
+                    type="checkbox"
+                    checked={draft.options.cooling}
+                    onChange={(e) => setDraft({ ...draft, options: { ...draft.options, cooling: e.target.checked } })}
+                  />
+                  Fit a cooling slope
+                </label>
+              </Field>
+            )}
+            {draft.form === 'multiple' && (
+              <Field label="Features">
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 12px', padding: '4px 0' }}>
+                  {REGRESSION_FEATURES.map((feature) => (
+                    <label key={feature.id} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px' }}>
+                      <input
+                        type="checkbox"
+                        checked={draft.options.features.includes(feature.id)}
+                        onChange={(e) => handleFeatureToggle(feature.id, e.target.checked)}
+                      />
+                      {feature.label}
+                    </label>
+                  ))}
+                </div>
+              </Field>
+            )}
+            <Field label={draft.type === 'fixed' ? 'Score From' : 'Train From'}>
+              <input
+                type="date"
+                value={draft.trainingRange.start}
+                onChange={(e) => handleRangeChange('start', e.target.value)}
+                style={inputStyle}
+              />
+            </Field>
+            <Field label={draft.type === 'fixed' ? 'Score To' : 'Train To'}>
+              <input
+                type="date"
+                value={draft.trainingRange.end}
+                onChange={(e) => handleRangeChange('end', e.target.value)}
+                style={inputStyle}
+              />
+            </Field>
+            {draft.type === 'fixed' && getCoefficientFields(draft.form, draft.options.features).map((field) => (
+              <Field key={field.id} label={field.label}>
+                <input
+                  type="number"
+                  step={field.step}
+                  value={draft.coefficients[field.id] ?? field.defaultValue}
+                  onChange={(e) => handleCoefficientChange(field.id, e.target.value)}
+                  style={inputStyle}
+                />
+              </Field>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button
+              onClick={handleSave}
+              disabled={!draft.name.trim() || (draft.form === 'multiple' && draft.options.features.length === 0)}
+              style={{
+                padding: '6px 12px',
+                fontSize: '13px',
+                fontWeight: '500',
+                borderRadius: '6px',
+                border: 'none',
+                background: '#3b82f6',
+                color: 'white',
+                cursor: 'pointer',
+              }}
+            >
+              Save
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              style={{
+                padding: '6px 12px',
+                fontSize: '13px',
+                borderRadius: '6px',
+                border: '1px solid #e2e8f0',
+                background: 'white',
+                color: '#4a5568',
+                cursor: 'pointer',
+              }}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        {models.map((model) => (
+          <div
+            key={model.id}
+            style={{
+              background: '#f7fafc',
+              border: '1px solid #e2e8f0',
+              borderRadius: '8px',
+              padding: '12px 16px',
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              gap: '8px',
+            }}
+          >
+            <div>
+              <strong style={{ fontSize: '14px', color: '#2d3748' }}>{model.name}</strong>
+              <div style={{ fontSize: '12px', color: '#718096', marginTop: '2px' }}>
+                {model.type === 'fixed' ? 'Fixed' : 'Fitted'}
+                {model.trainingRange && `, ${formatPeriod(model.trainingRange.start, model.trainingRange.end)}`}
+                {' · '}{formatModelFormula(model)}
+              </div>
+            </div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button
+                onClick={() => handleEdit(model)}
+                disabled={draft !== null}
+                style={{
+                  padding: '4px 8px',
+                  fontSize: '12px',
+                  borderRadius: '4px',
+                  border: '1px solid #3b82f6',
+                  background: 'white',
+                  color: '#3b82f6',
+                  cursor: draft === null ? 'pointer' : 'not-allowed',
+                }}
+              >
+                Edit
+              </button>
+              <button
+                onClick={() => handleRemoveModel(model.id)}
+                disabled={model.id === LEGAL_MIN_MODEL_ID || model.id === legalMinModelId}
+                style={{
+                  padding: '4px 8px',
+                  fontSize: '12px',
+                  borderRadius: '4px',
+                  border: '1px solid #fecaca',
+                  background: '#fef2f2',
+                  color: '#991b1b',
+                  cursor: model.id === LEGAL_MIN_MODEL_ID || model.id === legalMinModelId ? 'not-allowed' : 'pointer',
+                }}
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Keep the coefficients of the given features (plus the intercept)
+function pickCoefficients(coefficients, features) {
+  return Object.fromEntries(
+    Object.entries(coefficients || {}).filter(([id]) => id === 'intercept' || features.includes(id))
+  );
+}
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  fontSize: '14px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '6px',
+  outline: 'none',
+};
+
+function Field({ label, children }) {
+  return (
+    <div>
+      <label
+        style={{
+          display: 'block',
+          fontSize: '12px',
+          color: '#718096',
+          marginBottom: '4px',
+        }}
+      >
+        {label}
+      </label>
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1 @@
+export { ModelEditor } from './ModelEditor';
@@ -0,0 +1,227 @@
+/**
+ * OccupancyCalendar Component
+ *
+ * A month calendar where each resident's presence is painted day by day:
+ * pick a resident and a brush (home, half day, away or clear), then click
+ * or drag across days. Painted days override the occupancy every split view
+ * would otherwise assume (see occupancy.js).
+ */
+
+import { useState } from 'react';
+import { PRESENCE_LEVELS, describePresence, paintPresence } from '../../utils/occupancy';
+import { formatDate, formatDisplayDate, getMonthWeeks, shiftMonth } from '../../utils/dateHelpers';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Brushes: every presence level, plus clearing back to the view's default
+const BRUSHES = [...PRESENCE_LEVELS, { value: null, label: 'Clear', color: '#cbd5e0' }];
+
+export function OccupancyCalendar({ calendar, residents, onChange, initialMonth }) {
+  const [month, setMonth] = useState(initialMonth || formatDate(new Date()).slice(0, 7));
+  const [residentId, setResidentId] = useState(residents[0]?.id || '');
+  const [brush, setBrush] = useState(0);
+  const [isPainting, setIsPainting] = useState(false);
+
+  const paint = (date) => {
+    const targets = residentId === '*' ? residents.map((resident) => resident.id) : [residentId];
+    onChange(targets.reduce((acc, id) => paintPresence(acc, [date], id, brush), calendar));
+  };
+
+  const handleMouseDown = (date) => {
+    setIsPainting(true);
+    paint(date);
+  };
+
+  const handleMouseEnter = (date) => {
+    if (isPainting) paint(date);
+  };
+
+  const paintedDays = Object.keys(calendar).filter((date) => date.startsWith(month)).length;
+
+  return (
+    <div
+      style={{
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '24px',
+      }}
+      onMouseUp={() => setIsPainting(false)}
+      onMouseLeave={() => setIsPainting(false)}
+    >
+      <h3
+        style={{
+          fontSize: '16px',
+          fontWeight: '600',
+          color: '#4a5568',
+          marginBottom: '8px',
+        }}
+      >
+        📅 Occupancy Calendar
+      </h3>
+      <p style={{ fontSize: '14px', color: '#718096', marginBottom: '12px' }}>
+        Paint who was home day by day; click or drag across days. Use "Half day" for travel days. Days left
+        unpainted use each view's own occupancy (bill periods, occupancy periods or everyone home).
+      </p>
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '12px' }}>
+        <select
+          value={residentId}
+          onChange={(e) => setResidentId(e.target.value)}
+          style={{
+            padding: '6px 10px',
+            fontSize: '13px',
+            border: '1px solid #e2e8f0',
+            borderRadius: '6px',
+            outline: 'none',
+          }}
+        >
+          {residents.map((resident) => (
+            <option key={resident.id} value={resident.id}>
+              {resident.name}
+            </option>
+          ))}
+          <option value="*">Everyone</option>
+        </select>
+        {BRUSHES.map((option) => (
+          <button
+            key={option.label}
+            onClick={() => setBrush(option.value)}
+            style={{
+              padding: '6px 12px',
+              fontSize: '13px',
+              fontWeight: '500',
+              borderRadius: '6px',
+              border: `2px solid ${brush === option.value ? option.color : '#e2e8f0'}`,
+              background: brush === option.value ? option.color : 'white',
+              color: brush === option.value ? 'white' : '#4a5568',
+              cursor: 'pointer',
+            }}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '8px',
+        }}
+      >
+        <button onClick={() => setMonth(shiftMonth(month, -1))} style={navButtonStyle}>
+          ←
+        </button>
+        <strong style={{ fontSize: '14px', color: '#2d3748' }}>
+          {formatDisplayDate(`${month}-01`, 'MMMM yyyy')}
+          <span style={{ fontWeight: '400', color: '#718096' }}> ({paintedDays} days painted)</span>
+        </strong>
+        <button onClick={() => setMonth(shiftMonth(month, 1))} style={navButtonStyle}>
+          →
+        </button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', gap: '4px', userSelect: 'none' }}>
+        {WEEKDAYS.map((weekday) => (
+          <div
+            key={weekday}
+            style={{ fontSize: '11px', fontWeight: '600', color: '#718096', textAlign: 'center', padding: '4px' }}
+          >
+            {weekday}
+          </div>
+        ))}
+        {getMonthWeeks(month).flat().map((date, i) => (
+          date === null ? (
+            <div key={`blank-${i}`} />
+          ) : (
+            <div
+              key={date}
+              onMouseDown={() => handleMouseDown(date)}
+              onMouseEnter={() => handleMouseEnter(date)}
+              title={residents
+                .map((resident) => `${resident.name}: ${describePresence(calendar[date]?.[resident.id])}`)
+                .join('\n')}
+              style={{
+                border: '1px solid #e2e8f0',
+                borderRadius: '6px',
+                padding: '4px',
+                minHeight: '52px',
+                cursor: 'crosshair',
+                background: calendar[date] ? '#f7fafc' : 'white',
+              }}
+            >
+              <div style={{ fontSize: '12px', color: '#4a5568', marginBottom: '4px' }}>{Number(date.slice(8))}</div>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
+                {residents.map((resident) => (
+                  <PresenceBar key={resident.id} name={resident.name} value={calendar[date]?.[resident.id]} />
+                ))}
+              </div>
+            </div>
+          )
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px', marginTop: '8px', fontSize: '11px', color: '#718096' }}>
+        {PRESENCE_LEVELS.map((level) => (
+          <span key={level.value}>
+            <PresenceSwatch value={level.value} /> {level.label}
+          </span>
+        ))}
+        <span>
+          <PresenceSwatch /> Not painted
+        </span>
+      </div>
+    </div>
+  );
+}
+
+const navButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '13px',
+  borderRadius: '6px',
+  border: '1px solid #e2e8f0',
+  background: 'white',
+  color: '#4a5568',
+  cursor: 'pointer',
+};
+
+// Background of a presence value: half days are half filled
+function presenceBackground(value) {
+  const level = PRESENCE_LEVELS.find((l) => l.value === value);
+  if (!level) return '#edf2f7';
+  if (value > 0 && value < 1) {
+    return `linear-gradient(to right, ${level.color} 50%, #edf2f7 50%)`;
+  }
+  return level.color;
+}
+
+function PresenceBar({ name, value }) {
+  return (
+    <div
+      style={{
+        height: '8px',
+        borderRadius: '2px',
+        background: presenceBackground(value),
+      }}
+      aria-label={`${name}: ${describePresence(value)}`}
+    />
+  );
+}
+
+function PresenceSwatch({ value }) {
+  return (
+    <span
+      style={{
+        display: 'inline-block',
+        width: '12px',
+        height: '8px',
+        borderRadius: '2px',
+        verticalAlign: 'middle',
+        background: presenceBackground(value),
+      }}
+    />
+  );
+}
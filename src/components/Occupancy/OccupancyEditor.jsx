@@ -1,11 +1,17 @@
 /**
- * OccupancyEditor Component (Simplified for testing)
+ * OccupancyEditor Component
+ *
+ * Edits coarse occupancy periods (who was home and who controlled the
+ * thermostat) for the time window calculator. Exceptions on single days are
+ * painted in the occupancy calendar instead. A period without a controller
+ * takes it from the thermostat log, day by day.
  */
 
 import { useState } from 'react';
 import { formatDisplayDate } from '../../utils/dateHelpers';
+import { createShares } from '../../utils/calculations';
 
-export function OccupancyEditor({ periods, onChange }) {
+export function OccupancyEditor({ periods, residents, onChange }) {
   const [isAdding, setIsAdding] = useState(false);
 
   const handleAddPeriod = () => {
@@ -13,11 +19,8 @@ export function OccupancyEditor({ periods, onChange }) {
       id: Date.now(),
       start: new Date().toISOString().split('T')[0],
       end: new Date().toISOString().split('T')[0],
-      residents: {
-        you: 1,
-        flatmate: 1,
-      },
-      thermostatController: 'flatmate',
+      residents: createShares(residents, 1),
+      thermostatController: null,
     };
     onChange([...periods, newPeriod]);
     setIsAdding(true);
@@ -27,6 +30,15 @@ export function OccupancyEditor({ periods, onChange }) {
     onChange(periods.map((period) => (period.id === id ? { ...period, ...updates } : period)));
   };
 
+  const handleTogglePresence = (period, residentId) => {
+    handleUpdatePeriod(period.id, {
+      residents: {
+        ...period.residents,
+        [residentId]: period.residents[residentId] > 0 ? 0 : 1,
+      },
+    });
+  };
+
   const handleRemovePeriod = (id) => {
     onChange(periods.filter((period) => period.id !== id));
   };
@@ -135,11 +147,33 @@ export function OccupancyEditor({ periods, onChange }) {
             <div style={{ marginBottom: '8px', fontSize: '14px', fontWeight: '600' }}>
               {formatDisplayDate(period.start)} - {formatDisplayDate(period.end)}
             </div>
-            <div style={{ fontSize: '12px', color: '#718096' }}>
-              Residents: Causio ({period.residents.you}), Guala ({period.residents.flatmate})
+            <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', fontSize: '12px', color: '#718096' }}>
+              Residents:
+              {residents.map((resident) => (
+                <label key={resident.id} style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                  <input
+                    type="checkbox"
+                    checked={(period.residents[resident.id] || 0) > 0}
+                    onChange={() => handleTogglePresence(period, resident.id)}
+                  />
+                  {resident.name}
+                </label>
+              ))}
             </div>
-            <div style={{ fontSize: '12px', color: '#718096' }}>
-              Controller: {period.thermostatController}
+            <div style={{ marginTop: '4px', fontSize: '12px', color: '#718096' }}>
+              Controller:{' '}
+              <select
+                value={period.thermostatController || ''}
+                onChange={(e) => handleUpdatePeriod(period.id, { thermostatController: e.target.value || null })}
+                style={{ fontSize: '12px', padding: '2px 4px' }}
+              >
+                <option value="">From the thermostat log</option>
+                {residents.map((resident) => (
+                  <option key={resident.id} value={resident.id}>
+                    {resident.name}
+                  </option>
+                ))}
+              </select>
             </div>
             <button
               onClick={() => handleRemovePeriod(period.id)}
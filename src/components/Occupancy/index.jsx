@@ -0,0 +1,2 @@
+export { OccupancyEditor } from './OccupancyEditor';
+export { OccupancyCalendar } from './OccupancyCalendar';
@@ -0,0 +1,302 @@
+/**
+ * PolicyEditor Component
+ *
+ * Lists, creates and edits split policies. Edits are made on a draft and
+ * saved as a new version of the policy, so bills and views pick up the
+ * change without any component changes.
+ */
+
+import { useState } from 'react';
+import { DEFAULT_POLICY_ID, POLICY_OPTIONS, describePolicy } from '../../utils/policies';
+
+const FIELD_LABELS = {
+  baselineSplit: 'Baseline Split',
+  excessAttribution: 'Excess Attribution',
+  negativeExcess: 'Below Expected',
+  absence: 'Absence',
+  emptyHomeExcess: 'Excess When Nobody Home',
+};
+
+export function PolicyEditor({ policies, residents, onChange }) {
+  const [draft, setDraft] = useState(null);
+
+  const handleEdit = (policy) => {
+    setDraft({ ...policy, baselineRatios: { ...policy.baselineRatios } });
+  };
+
+  const handleAddPolicy = () => {
+    const template = policies.find((policy) => policy.id === DEFAULT_POLICY_ID) || policies[0];
+    setDraft({
+      ...template,
+      id: `policy-${Date.now()}`,
+      name: 'New policy',
+      version: 0,
+      baselineRatios: { ...template.baselineRatios },
+    });
+  };
+
+  const handleSave = () => {
+    const saved = { ...draft, version: draft.version + 1 };
+    const exists = policies.some((policy) => policy.id === saved.id);
+    onChange(exists
+      ? policies.map((policy) => (policy.id === saved.id ? saved : policy))
+      : [...policies, saved]);
+    setDraft(null);
+  };
+
+  const handleRemovePolicy = (id) => {
+    onChange(policies.filter((policy) => policy.id !== id));
+  };
+
+  const handleRatioChange = (residentId, value) => {
+    setDraft({ ...draft, baselineRatios: { ...draft.baselineRatios, [residentId]: Number(value) } });
+  };
+
+  return (
+    <div
+      style={{
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '16px',
+      }}
+    >
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '12px',
+        }}
+      >
+        <h3
+          style={{
+            fontSize: '16px',
+            fontWeight: '600',
+            color: '#4a5568',
+          }}
+        >
+          ⚖️ Split Policies ({policies.length})
+        </h3>
+        <button
+          onClick={handleAddPolicy}
+          disabled={draft !== null}
+          style={{
+            padding: '6px 12px',
+            fontSize: '13px',
+            fontWeight: '500',
+            borderRadius: '6px',
+            border: 'none',
+            background: '#3b82f6',
+            color: 'white',
+            cursor: draft === null ? 'pointer' : 'not-allowed',
+          }}
+        >
+          + New Policy
+        </button>
+      </div>
+      <p style={{ fontSize: '14px', color: '#718096', marginBottom: '12px' }}>
+        A policy decides how expected (baseline) cost and excess cost are shared. Bill periods and
+        analysis views refer to policies by name, so editing a policy here updates every split that uses it.
+      </p>
+
+      {draft && (
+        <div
+          style={{
+            background: '#eff6ff',
+            border: '1px solid #bfdbfe',
+            borderRadius: '8px',
+            padding: '16px',
+            marginBottom: '12px',
+          }}
+        >
+          <div
+            style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+              gap: '12px',
+              marginBottom: '12px',
+            }}
+          >
+            <Field label="Name">
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                style={inputStyle}
+              />
+            </Field>
+            {Object.entries(FIELD_LABELS).map(([field, label]) => (
+              <Field key={field} label={label}>
+                <select
+                  value={draft[field]}
+                  onChange={(e) => setDraft({ ...draft, [field]: e.target.value })}
+                  style={inputStyle}
+                >
+                  {POLICY_OPTIONS[field].map((option) => (
+                    <option key={option.id} value={option.id}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </Field>
+            ))}
+            {draft.excessAttribution === 'resident' && (
+              <Field label="Excess Paid By">
+                <select
+                  value={draft.excessResidentId || ''}
+                  onChange={(e) => setDraft({ ...draft, excessResidentId: e.target.value || null })}
+                  style={inputStyle}
+                >
+                  <option value="">Select resident</option>
+                  {residents.map((resident) => (
+                    <option key={resident.id} value={resident.id}>
+                      {resident.name}
+                    </option>
+                  ))}
+                </select>
+              </Field>
+            )}
+            {draft.baselineSplit === 'ratio' && residents.map((resident) => (
+              <Field key={resident.id} label={`${resident.name} Ratio`}>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={draft.baselineRatios[resident.id] ?? 1}
+                  onChange={(e) => handleRatioChange(resident.id, e.target.value)}
+                  style={inputStyle}
+                />
+              </Field>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button
+              onClick={handleSave}
+              disabled={!draft.name.trim()}
+              style={{
+                padding: '6px 12px',
+                fontSize: '13px',
+                fontWeight: '500',
+                borderRadius: '6px',
+                border: 'none',
+                background: '#3b82f6',
+                color: 'white',
+                cursor: 'pointer',
+              }}
+            >
+              Save as v{draft.version + 1}
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              style={{
+                padding: '6px 12px',
+                fontSize: '13px',
+                borderRadius: '6px',
+                border: '1px solid #e2e8f0',
+                background: 'white',
+                color: '#4a5568',
+                cursor: 'pointer',
+              }}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        {policies.map((policy) => (
+          <div
+            key={policy.id}
+            style={{
+              background: '#f7fafc',
+              border: '1px solid #e2e8f0',
+              borderRadius: '8px',
+              padding: '12px 16px',
+            }}
+          >
+            <div
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                gap: '8px',
+              }}
+            >
+              <strong style={{ fontSize: '14px', color: '#2d3748' }}>
+                {policy.name} <span style={{ fontWeight: '400', color: '#718096' }}>v{policy.version}</span>
+              </strong>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button
+                  onClick={() => handleEdit(policy)}
+                  disabled={draft !== null}
+                  style={{
+                    padding: '4px 8px',
+                    fontSize: '12px',
+                    borderRadius: '4px',
+                    border: '1px solid #3b82f6',
+                    background: 'white',
+                    color: '#3b82f6',
+                    cursor: draft === null ? 'pointer' : 'not-allowed',
+                  }}
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleRemovePolicy(policy.id)}
+                  disabled={policy.id === DEFAULT_POLICY_ID}
+                  style={{
+                    padding: '4px 8px',
+                    fontSize: '12px',
+                    borderRadius: '4px',
+                    border: '1px solid #fecaca',
+                    background: '#fef2f2',
+                    color: '#991b1b',
+                    cursor: policy.id === DEFAULT_POLICY_ID ? 'not-allowed' : 'pointer',
+                  }}
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+            <ul style={{ marginLeft: '20px', marginTop: '6px', fontSize: '12px', color: '#718096' }}>
+              {describePolicy(policy, residents).map((rule) => (
+                <li key={rule}>{rule}</li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  fontSize: '14px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '6px',
+  outline: 'none',
+};
+
+function Field({ label, children }) {
+  return (
+    <div>
+      <label
+        style={{
+          display: 'block',
+          fontSize: '12px',
+          color: '#718096',
+          marginBottom: '4px',
+        }}
+      >
+        {label}
+      </label>
+      {children}
+    </div>
+  );
+}
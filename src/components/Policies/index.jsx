@@ -0,0 +1 @@
+export { PolicyEditor } from './PolicyEditor';
@@ -0,0 +1,108 @@
+/**
+ * ResidentsEditor Component
+ *
+ * Edits the list of named residents sharing the bill.
+ * Resident ids are stable; only the display name can be changed.
+ */
+
+export function ResidentsEditor({ residents, onChange }) {
+  const handleAddResident = () => {
+    const newResident = {
+      id: `resident-${Date.now()}`,
+      name: `Resident ${residents.length + 1}`,
+    };
+    onChange([...residents, newResident]);
+  };
+
+  const handleRenameResident = (id, name) => {
+    onChange(residents.map((resident) => (resident.id === id ? { ...resident, name } : resident)));
+  };
+
+  const handleRemoveResident = (id) => {
+    onChange(residents.filter((resident) => resident.id !== id));
+  };
+
+  return (
+    <div
+      style={{
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '16px',
+      }}
+    >
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '12px',
+        }}
+      >
+        <h3
+          style={{
+            fontSize: '16px',
+            fontWeight: '600',
+            color: '#4a5568',
+          }}
+        >
+          👥 Residents ({residents.length})
+        </h3>
+        <button
+          onClick={handleAddResident}
+          style={{
+            padding: '6px 12px',
+            fontSize: '13px',
+            fontWeight: '500',
+            borderRadius: '6px',
+            border: 'none',
+            background: '#3b82f6',
+            color: 'white',
+            cursor: 'pointer',
+          }}
+        >
+          + Add Resident
+        </button>
+      </div>
+      <p style={{ fontSize: '14px', color: '#718096', marginBottom: '12px' }}>
+        Everyone listed here shares the legal minimum cost. Excess usage is charged based on who was home.
+      </p>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        {residents.map((resident) => (
+          <div key={resident.id} style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            <input
+              type="text"
+              value={resident.name}
+              onChange={(e) => handleRenameResident(resident.id, e.target.value)}
+              style={{
+                flex: 1,
+                padding: '8px 12px',
+                fontSize: '14px',
+                border: '1px solid #e2e8f0',
+                borderRadius: '6px',
+                outline: 'none',
+              }}
+            />
+            <button
+              onClick={() => handleRemoveResident(resident.id)}
+              disabled={residents.length <= 1}
+              style={{
+                padding: '8px 12px',
+                fontSize: '12px',
+                borderRadius: '4px',
+                border: '1px solid #fecaca',
+                background: '#fef2f2',
+                color: '#991b1b',
+                cursor: residents.length > 1 ? 'pointer' : 'not-allowed',
+              }}
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1 @@
+export { ResidentsEditor } from './ResidentsEditor';
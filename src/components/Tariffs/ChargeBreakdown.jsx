@@ -0,0 +1,109 @@
+/**
+ * ChargeBreakdown Component
+ *
+ * Shows a period's cost line item by line item (customer charge, distribution,
+ * supply, taxes...) and each resident's share of every charge, with what the
+ * split policy left to nobody in its own column.
+ */
+
+import { LINE_ITEM_KINDS } from '../../utils/tariffs';
+
+export function ChargeBreakdown({ charges, residents }) {
+  if (!charges || charges.length === 0) return null;
+
+  const total = charges.reduce((sum, charge) => sum + charge.amount, 0);
+  const unallocatedOf = (charge) => charge.amount - Object.values(charge.shares).reduce((sum, share) => sum + share, 0);
+  const totalUnallocated = charges.reduce((sum, charge) => sum + unallocatedOf(charge), 0);
+  const hasUnallocated = Math.abs(totalUnallocated) >= 0.005;
+
+  return (
+    <div style={{
+      background: 'white',
+      border: '1px solid #e2e8f0',
+      borderRadius: '8px',
+      padding: '20px',
+      marginBottom: '24px',
+    }}>
+      <h3 style={{
+        fontSize: '16px',
+        fontWeight: '600',
+        color: '#4a5568',
+        marginBottom: '8px',
+      }}>
+        🧾 Charges by Line Item
+      </h3>
+      <p style={{ fontSize: '13px', color: '#718096', marginBottom: '16px' }}>
+        Usage charges are shared by each day's split policy, fixed charges by their own rule and
+        percentage charges like the charges they apply to.
+      </p>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+          <thead>
+            <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+              <TableHeader>Charge</TableHeader>
+              <TableHeader>Type</TableHeader>
+              <TableHeader>Amount</TableHeader>
+              {residents.map((resident) => (
+                <TableHeader key={resident.id}>{resident.name}</TableHeader>
+              ))}
+              {hasUnallocated && <TableHeader>Unallocated</TableHeader>}
+            </tr>
+          </thead>
+          <tbody>
+            {charges.map((charge) => (
+              <tr key={charge.id} style={{ borderBottom: '1px solid #e2e8f0' }}>
+                <td style={{ padding: '8px 12px', fontWeight: '500', color: '#2d3748' }}>
+                  {charge.label}
+                  {charge.provider && (
+                    <span style={{ fontSize: '11px', fontWeight: '400', color: '#a0aec0' }}> ({charge.provider})</span>
+                  )}
+                </td>
+                <td style={{ padding: '8px 12px', color: '#718096' }}>
+                  {LINE_ITEM_KINDS.find((kind) => kind.id === charge.kind)?.label || charge.kind}
+                </td>
+                <td style={{ padding: '8px 12px', color: '#2d3748' }}>${charge.amount.toFixed(2)}</td>
+                {residents.map((resident) => (
+                  <td key={resident.id} style={{ padding: '8px 12px', color: '#4b5563' }}>
+                    ${(charge.shares[resident.id] || 0).toFixed(2)}
+                  </td>
+                ))}
+                {hasUnallocated && (
+                  <td style={{ padding: '8px 12px', color: '#718096' }}>${unallocatedOf(charge).toFixed(2)}</td>
+                )}
+              </tr>
+            ))}
+            <tr style={{ background: '#f7fafc', fontWeight: '600' }}>
+              <td style={{ padding: '8px 12px' }} colSpan={2}>Total</td>
+              <td style={{ padding: '8px 12px' }}>${total.toFixed(2)}</td>
+              {residents.map((resident) => (
+                <td key={resident.id} style={{ padding: '8px 12px' }}>
+                  ${charges.reduce((sum, charge) => sum + (charge.shares[resident.id] || 0), 0).toFixed(2)}
+                </td>
+              ))}
+              {hasUnallocated && <td style={{ padding: '8px 12px' }}>${totalUnallocated.toFixed(2)}</td>}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function TableHeader({ children }) {
+  return (
+    <th
+      style={{
+        padding: '8px 12px',
+        textAlign: 'left',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#718096',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+      }}
+    >
+      {children}
+    </th>
+  );
+}
@@ -0,0 +1,423 @@
+/**
+ * TariffEditor Component
+ *
+ * Lists, creates and edits dated rate schedules. Each schedule applies from
+ * its start date until the next one starts, so a rate change only needs a
+ * new schedule; bills and views price every day with the schedule in force.
+ */
+
+import { useState } from 'react';
+import {
+  FIXED_CHARGE_SPLITS,
+  LINE_ITEM_KINDS,
+  createLineItem,
+  createRateSchedule,
+  describeLineItem,
+  getDailyFixedCharge,
+  getEnergyRate,
+  isFixedCharge,
+} from '../../utils/tariffs';
+import { formatDate, formatDisplayDate } from '../../utils/dateHelpers';
+
+export function TariffEditor({ schedules, onChange }) {
+  const [draft, setDraft] = useState(null);
+
+  const sortedSchedules = [...schedules].sort((a, b) => a.start.localeCompare(b.start));
+
+  const handleEdit = (schedule) => {
+    setDraft({ ...schedule, lineItems: schedule.lineItems.map((item) => ({ ...item })) });
+  };
+
+  const handleAddSchedule = () => {
+    setDraft(createRateSchedule(formatDate(new Date()), sortedSchedules[sortedSchedules.length - 1] || null));
+  };
+
+  const handleSave = () => {
+    const exists = schedules.some((schedule) => schedule.id === draft.id);
+    onChange(exists
+      ? schedules.map((schedule) => (schedule.id === draft.id ? draft : schedule))
+      : [...schedules, draft]);
+    setDraft(null);
+  };
+
+  const handleRemoveSchedule = (id) => {
+    onChange(schedules.filter((schedule) => schedule.id !== id));
+  };
+
+  const handleLineItemChange = (index, field, value) => {
+    setDraft({
+      ...draft,
+      lineItems: draft.lineItems.map((item, i) => (i === index ? { ...item, [field]: value } : item)),
+    });
+  };
+
+  const handleAddLineItem = () => {
+    setDraft({ ...draft, lineItems: [...draft.lineItems, createLineItem()] });
+  };
+
+  const handleRemoveLineItem = (index) => {
+    setDraft({ ...draft, lineItems: draft.lineItems.filter((_, i) => i !== index) });
+  };
+
+  const canSave = draft !== null
+    && draft.name.trim() !== ''
+    && /^\d{4}-\d{2}-\d{2}$/.test(draft.start)
+    && draft.lineItems.length > 0
+    && draft.lineItems.every((item) => item.label.trim() !== '' && !isNaN(item.rate));
+
+  return (
+    <div
+      style={{
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '16px',
+      }}
+    >
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '12px',
+        }}
+      >
+        <h3
+          style={{
+            fontSize: '16px',
+            fontWeight: '600',
+            color: '#4a5568',
+          }}
+        >
+          🧾 Rate Schedules ({schedules.length})
+        </h3>
+        <button
+          onClick={handleAddSchedule}
+          disabled={draft !== null}
+          style={{
+            padding: '6px 12px',
+            fontSize: '13px',
+            fontWeight: '500',
+            borderRadius: '6px',
+            border: 'none',
+            background: '#3b82f6',
+            color: 'white',
+            cursor: draft === null ? 'pointer' : 'not-allowed',
+          }}
+        >
+          + New Rate Schedule
+        </button>
+      </div>
+      <p style={{ fontSize: '14px', color: '#718096', marginBottom: '12px' }}>
+        A rate schedule lists the charges on your bill (customer charge, distribution, supply, taxes) and
+        applies from its start date until the next schedule starts. Copy the rates from your PECO bill; a
+        third-party supplier's generation charge goes in as its own line item.
+      </p>
+
+      {draft && (
+        <div
+          style={{
+            background: '#eff6ff',
+            border: '1px solid #bfdbfe',
+            borderRadius: '8px',
+            padding: '16px',
+            marginBottom: '12px',
+          }}
+        >
+          <div
+            style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+              gap: '12px',
+              marginBottom: '12px',
+            }}
+          >
+            <Field label="Name">
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                style={inputStyle}
+              />
+            </Field>
+            <Field label="Applies From">
+              <input
+                type="date"
+                value={draft.start}
+                onChange={(e) => setDraft({ ...draft, start: e.target.value })}
+                style={inputStyle}
+              />
+            </Field>
+          </div>
+
+          <div style={{ overflowX: 'auto', marginBottom: '12px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+              <thead>
+                <tr>
+                  <TableHeader>Charge</TableHeader>
+                  <TableHeader>Provider</TableHeader>
+                  <TableHeader>Type</TableHeader>
+                  <TableHeader>Rate</TableHeader>
+                  <TableHeader>Shared</TableHeader>
+                  <TableHeader />
+                </tr>
+              </thead>
+              <tbody>
+                {draft.lineItems.map((item, index) => (
+                  <tr key={item.id}>
+                    <td style={cellStyle}>
+                      <input
+                        type="text"
+                        value={item.label}
+                        onChange={(e) => handleLineItemChange(index, 'label', e.target.value)}
+                        style={inputStyle}
+                      />
+                    </td>
+                    <td style={cellStyle}>
+                      <input
+                        type="text"
+                        value={item.provider}
+                        onChange={(e) => handleLineItemChange(index, 'provider', e.target.value)}
+                        style={inputStyle}
+                      />
+                    </td>
+                    <td style={cellStyle}>
+                      <select
+                        value={item.kind}
+                        onChange={(e) => handleLineItemChange(index, 'kind', e.target.value)}
+                        style={inputStyle}
+                      >
+                        {LINE_ITEM_KINDS.map((kind) => (
+                          <option key={kind.id} value={kind.id}>
+                            {kind.label}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td style={cellStyle}>
+                      <input
+                        type="number"
+                        min="0"
+                        step={item.kind === 'per-kwh' ? '0.00001' : '0.01'}
+                        value={item.rate}
+                        onChange={(e) => handleLineItemChange(index, 'rate', Number(e.target.value))}
+                        style={inputStyle}
+                      />
+                      <div style={{ fontSize: '11px', color: '#718096', marginTop: '2px' }}>
+                        {LINE_ITEM_KINDS.find((kind) => kind.id === item.kind)?.unit}
+                      </div>
+                    </td>
+                    <td style={cellStyle}>
+                      {isFixedCharge(item) ? (
+                        <select
+                          value={item.split}
+                          onChange={(e) => handleLineItemChange(index, 'split', e.target.value)}
+                          style={inputStyle}
+                        >
+                          {FIXED_CHARGE_SPLITS.map((option) => (
+                            <option key={option.id} value={option.id}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span style={{ fontSize: '12px', color: '#718096' }}>
+                          {item.kind === 'per-kwh' ? 'By split policy' : 'Like the charges it applies to'}
+                        </span>
+                      )}
+                    </td>
+                    <td style={cellStyle}>
+                      <button
+                        onClick={() => handleRemoveLineItem(index)}
+                        style={{
+                          padding: '4px 8px',
+                          fontSize: '12px',
+                          borderRadius: '4px',
+                          border: '1px solid #fecaca',
+                          background: '#fef2f2',
+                          color: '#991b1b',
+                          cursor: 'pointer',
+                        }}
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button
+              onClick={handleAddLineItem}
+              style={{
+                padding: '6px 12px',
+                fontSize: '13px',
+                borderRadius: '6px',
+                border: '1px solid #3b82f6',
+                background: 'white',
+                color: '#3b82f6',
+                cursor: 'pointer',
+              }}
+            >
+              + Line Item
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={!canSave}
+              style={{
+                padding: '6px 12px',
+                fontSize: '13px',
+                fontWeight: '500',
+                borderRadius: '6px',
+                border: 'none',
+                background: '#3b82f6',
+                color: 'white',
+                cursor: canSave ? 'pointer' : 'not-allowed',
+                opacity: canSave ? 1 : 0.6,
+              }}
+            >
+              Save
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              style={{
+                padding: '6px 12px',
+                fontSize: '13px',
+                borderRadius: '6px',
+                border: '1px solid #e2e8f0',
+                background: 'white',
+                color: '#4a5568',
+                cursor: 'pointer',
+              }}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        {sortedSchedules.map((schedule) => (
+          <div
+            key={schedule.id}
+            style={{
+              background: '#f7fafc',
+              border: '1px solid #e2e8f0',
+              borderRadius: '8px',
+              padding: '12px 16px',
+            }}
+          >
+            <div
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                gap: '8px',
+              }}
+            >
+              <strong style={{ fontSize: '14px', color: '#2d3748' }}>
+                {schedule.name}{' '}
+                <span style={{ fontWeight: '400', color: '#718096' }}>from {formatDisplayDate(schedule.start)}</span>
+              </strong>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button
+                  onClick={() => handleEdit(schedule)}
+                  disabled={draft !== null}
+                  style={{
+                    padding: '4px 8px',
+                    fontSize: '12px',
+                    borderRadius: '4px',
+                    border: '1px solid #3b82f6',
+                    background: 'white',
+                    color: '#3b82f6',
+                    cursor: draft === null ? 'pointer' : 'not-allowed',
+                  }}
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleRemoveSchedule(schedule.id)}
+                  disabled={schedules.length <= 1}
+                  style={{
+                    padding: '4px 8px',
+                    fontSize: '12px',
+                    borderRadius: '4px',
+                    border: '1px solid #fecaca',
+                    background: '#fef2f2',
+                    color: '#991b1b',
+                    cursor: schedules.length <= 1 ? 'not-allowed' : 'pointer',
+                  }}
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+            <ul style={{ marginLeft: '20px', marginTop: '6px', fontSize: '12px', color: '#718096' }}>
+              {schedule.lineItems.map((item) => (
+                <li key={item.id}>
+                  <strong>{item.label}</strong> ({item.provider}): {describeLineItem(item)}
+                </li>
+              ))}
+            </ul>
+            <div style={{ fontSize: '12px', color: '#4a5568', marginTop: '4px' }}>
+              ${getEnergyRate(schedule).toFixed(5)}/kWh plus ${getDailyFixedCharge(schedule).toFixed(2)}/day fixed
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  fontSize: '14px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '6px',
+  outline: 'none',
+};
+
+const cellStyle = {
+  padding: '4px',
+  verticalAlign: 'top',
+};
+
+function Field({ label, children }) {
+  return (
+    <div>
+      <label
+        style={{
+          display: 'block',
+          fontSize: '12px',
+          color: '#718096',
+          marginBottom: '4px',
+        }}
+      >
+        {label}
+      </label>
+      {children}
+    </div>
+  );
+}
+
+function TableHeader({ children }) {
+  return (
+    <th
+      style={{
+        padding: '4px',
+        textAlign: 'left',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#718096',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+      }}
+    >
+      {children}
+    </th>
+  );
+}
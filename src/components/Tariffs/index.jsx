@@ -0,0 +1,2 @@
+export { TariffEditor } from './TariffEditor';
+export { ChargeBreakdown } from './ChargeBreakdown';
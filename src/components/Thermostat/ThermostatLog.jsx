@@ -0,0 +1,184 @@
+/**
+ * ThermostatLog Component
+ *
+ * Edits the log of thermostat changes: when each was made, the setpoint and
+ * who made it. Splits attribute heating above the legal minimum to whoever
+ * set the temperature, hour by hour (see thermostat.js).
+ */
+
+import {
+  LEGAL_MINIMUM_SETPOINT,
+  createThermostatEvent,
+  sortThermostatLog,
+} from '../../utils/thermostat';
+
+export function ThermostatLog({ log, residents, onChange }) {
+  const handleAddEvent = () => {
+    onChange([...log, createThermostatEvent(residents)]);
+  };
+
+  const handleUpdateEvent = (id, updates) => {
+    onChange(log.map((event) => (event.id === id ? { ...event, ...updates } : event)));
+  };
+
+  const handleRemoveEvent = (id) => {
+    onChange(log.filter((event) => event.id !== id));
+  };
+
+  return (
+    <div
+      style={{
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '16px',
+      }}
+    >
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '12px',
+        }}
+      >
+        <h3
+          style={{
+            fontSize: '16px',
+            fontWeight: '600',
+            color: '#4a5568',
+          }}
+        >
+          🌡️ Thermostat Log ({log.length})
+        </h3>
+        <button
+          onClick={handleAddEvent}
+          style={{
+            padding: '6px 12px',
+            fontSize: '13px',
+            fontWeight: '500',
+            borderRadius: '6px',
+            border: 'none',
+            background: '#3b82f6',
+            color: 'white',
+            cursor: 'pointer',
+          }}
+        >
+          + Add Change
+        </button>
+      </div>
+      <p style={{ fontSize: '14px', color: '#718096', marginBottom: '12px' }}>
+        Record every change to the thermostat and who made it. A setting stays in force until the next change,
+        and heating above the legal minimum ({LEGAL_MINIMUM_SETPOINT}°F) is charged to whoever set it, for the
+        hours it was in force. Changes by "Unknown" and days before the first change don't attribute any excess.
+      </p>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+        <thead>
+          <tr>
+            <TableHeader>When</TableHeader>
+            <TableHeader>Setpoint (°F)</TableHeader>
+            <TableHeader>Changed By</TableHeader>
+            <TableHeader>Note</TableHeader>
+            <TableHeader />
+          </tr>
+        </thead>
+        <tbody>
+          {sortThermostatLog(log).map((event) => (
+            <tr key={event.id}>
+              <td style={cellStyle}>
+                <input
+                  type="datetime-local"
+                  value={event.at}
+                  onChange={(e) => e.target.value && handleUpdateEvent(event.id, { at: e.target.value })}
+                  style={inputStyle}
+                />
+              </td>
+              <td style={cellStyle}>
+                <input
+                  type="number"
+                  min="40"
+                  max="90"
+                  value={event.setpoint}
+                  onChange={(e) => handleUpdateEvent(event.id, { setpoint: Number(e.target.value) })}
+                  style={{ ...inputStyle, width: '80px' }}
+                />
+              </td>
+              <td style={cellStyle}>
+                <select
+                  value={event.changedBy || ''}
+                  onChange={(e) => handleUpdateEvent(event.id, { changedBy: e.target.value || null })}
+                  style={inputStyle}
+                >
+                  <option value="">Unknown</option>
+                  {residents.map((resident) => (
+                    <option key={resident.id} value={resident.id}>
+                      {resident.name}
+                    </option>
+                  ))}
+                </select>
+              </td>
+              <td style={cellStyle}>
+                <input
+                  type="text"
+                  value={event.note}
+                  onChange={(e) => handleUpdateEvent(event.id, { note: e.target.value })}
+                  style={inputStyle}
+                />
+              </td>
+              <td style={cellStyle}>
+                <button
+                  onClick={() => handleRemoveEvent(event.id)}
+                  style={{
+                    padding: '4px 8px',
+                    fontSize: '12px',
+                    borderRadius: '4px',
+                    border: '1px solid #fecaca',
+                    background: '#fef2f2',
+                    color: '#991b1b',
+                    cursor: 'pointer',
+                  }}
+                >
+                  ✕
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const inputStyle = {
+  width: '100%',
+  padding: '6px 10px',
+  fontSize: '13px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '6px',
+  outline: 'none',
+};
+
+const cellStyle = {
+  padding: '4px',
+  verticalAlign: 'top',
+};
+
+function TableHeader({ children }) {
+  return (
+    <th
+      style={{
+        padding: '4px',
+        textAlign: 'left',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#718096',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+      }}
+    >
+      {children}
+    </th>
+  );
+}
@@ -0,0 +1 @@
+export { ThermostatLog } from './ThermostatLog';
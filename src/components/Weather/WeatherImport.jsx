@@ -0,0 +1,290 @@
+/**
+ * WeatherImport Component
+ *
+ * Imports outdoor temperatures (NOAA GHCN-Daily or Meteostat CSV, daily or
+ * hourly) into the weather store, which is kept separately from usage and
+ * joined to it by date (see weather.js). Each file is previewed before it's
+ * merged. Usage days that have no temperature from either source are listed
+ * here; they're left out of the splits until weather covers them.
+ */
+
+import { useState } from 'react';
+import { WEATHER_FORMATS, getDegreeDays, parseWeatherCSV } from '../../utils/weather';
+
+export function WeatherImport({ weather, onChange, missingTemperature }) {
+  const [noaaUnits, setNoaaUnits] = useState('F');
+  const [preview, setPreview] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  const dates = Object.keys(weather).sort();
+
+  const handleFileUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const text = await file.text();
+    const result = parseWeatherCSV(text, { noaaUnits });
+    event.target.value = '';
+
+    if (result.success) {
+      setStatus(null);
+      setPreview({ title: file.name, result });
+    } else {
+      setPreview(null);
+      setStatus({ type: 'error', message: 'Weather import failed', errors: result.errors });
+    }
+  };
+
+  const handleConfirm = () => {
+    onChange({ ...weather, ...preview.result.data });
+    setStatus({ type: 'success', message: `Imported temperatures for ${preview.result.stats.days} days` });
+    setPreview(null);
+  };
+
+  const handleClear = () => {
+    onChange({});
+    setStatus({ type: 'success', message: 'Weather cleared; usage files\' own temperatures are used again' });
+  };
+
+  return (
+    <div
+      style={{
+        background: 'white',
+        border: '1px solid #e2e8f0',
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '16px',
+      }}
+    >
+      <h3
+        style={{
+          fontSize: '16px',
+          fontWeight: '600',
+          color: '#4a5568',
+          marginBottom: '12px',
+        }}
+      >
+        🌤️ Weather Data
+      </h3>
+      <p style={{ fontSize: '14px', color: '#718096', marginBottom: '12px' }}>
+        Import daily or hourly temperatures from NOAA (GHCN-Daily, e.g. a Climate Data Online export for
+        Philadelphia International Airport) or Meteostat. Weather is stored separately and joined to usage by
+        date, taking precedence over temperatures in the usage files; hourly observations are rolled up into
+        each day's mean, min and max, and heating degree-days (base 65°F) are computed for every day.
+      </p>
+
+      <div style={{ fontSize: '13px', color: '#4a5568', marginBottom: '12px' }}>
+        {dates.length > 0
+          ? <>Stored: <strong>{dates.length} days</strong> ({dates[0]} to {dates[dates.length - 1]})</>
+          : 'No weather imported yet: temperatures come from the usage files.'}
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <input
+          type="file"
+          accept=".csv,.txt"
+          onChange={handleFileUpload}
+          style={{
+            flex: 1,
+            padding: '8px',
+            fontSize: '13px',
+            border: '1px solid #e2e8f0',
+            borderRadius: '4px',
+          }}
+        />
+        <label style={{ fontSize: '12px', color: '#718096' }}>
+          NOAA export units{' '}
+          <select
+            value={noaaUnits}
+            onChange={(e) => setNoaaUnits(e.target.value)}
+            style={{ padding: '6px', fontSize: '12px', border: '1px solid #e2e8f0', borderRadius: '4px' }}
+          >
+            <option value="F">Standard (°F)</option>
+            <option value="C">Metric (°C)</option>
+          </select>
+        </label>
+        <button
+          onClick={handleClear}
+          disabled={dates.length === 0}
+          style={{
+            padding: '8px 12px',
+            fontSize: '12px',
+            borderRadius: '4px',
+            border: '1px solid #fecaca',
+            background: '#fef2f2',
+            color: '#991b1b',
+            cursor: dates.length > 0 ? 'pointer' : 'not-allowed',
+            opacity: dates.length > 0 ? 1 : 0.6,
+          }}
+        >
+          Clear Weather
+        </button>
+      </div>
+
+      {preview && (
+        <WeatherPreview
+          title={preview.title}
+          result={preview.result}
+          weather={weather}
+          onConfirm={handleConfirm}
+          onCancel={() => setPreview(null)}
+        />
+      )}
+
+      {status && (
+        <div
+          style={{
+            padding: '12px',
+            background: status.type === 'success' ? '#d1fae5' : '#fef2f2',
+            border: `1px solid ${status.type === 'success' ? '#10b981' : '#ef4444'}`,
+            borderRadius: '6px',
+            fontSize: '13px',
+            color: status.type === 'success' ? '#065f46' : '#991b1b',
+            marginBottom: '12px',
+          }}
+        >
+          <strong>{status.message}</strong>
+          {status.errors && (
+            <ul style={{ marginLeft: '20px', marginTop: '4px' }}>
+              {status.errors.map((error, i) => (
+                <li key={i}>{error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {missingTemperature.length > 0 && (
+        <div
+          style={{
+            padding: '12px',
+            background: '#fffbeb',
+            border: '1px solid #fcd34d',
+            borderRadius: '6px',
+            fontSize: '13px',
+            color: '#92400e',
+          }}
+        >
+          ⚠️ <strong>{missingTemperature.length} days of usage have no temperature</strong> and are left out of
+          the models and splits until weather covers them:{' '}
+          {missingTemperature.slice(0, 10).map((record) => record.date).join(', ')}
+          {missingTemperature.length > 10 && '...'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function WeatherPreview({ title, result, weather, onConfirm, onCancel }) {
+  const days = Object.entries(result.data);
+  const replaced = days.filter(([date]) => weather[date]).length;
+
+  return (
+    <div
+      style={{
+        padding: '16px',
+        background: '#f7fafc',
+        border: '1px solid #e2e8f0',
+        borderRadius: '6px',
+        marginBottom: '12px',
+      }}
+    >
+      <h4 style={{ fontSize: '14px', fontWeight: '600', color: '#2d3748', marginBottom: '8px' }}>
+        🔍 Preview: {title}
+      </h4>
+      <div style={{ fontSize: '13px', color: '#4a5568', marginBottom: '8px' }}>
+        {WEATHER_FORMATS[result.stats.format]}: {result.stats.days} days ({result.stats.dateRange.start} to{' '}
+        {result.stats.dateRange.end}), {result.stats.days - replaced} new, {replaced} replacing stored weather
+      </div>
+
+      {result.warnings.length > 0 && (
+        <div style={{ fontSize: '12px', color: '#92400e', marginBottom: '8px' }}>
+          ⚠️ Warnings:
+          <ul style={{ marginLeft: '20px', marginTop: '4px' }}>
+            {result.warnings.map((warning, i) => (
+              <li key={i}>{warning}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div style={{ maxHeight: '200px', overflowY: 'auto', marginBottom: '12px' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+          <thead>
+            <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+              <TableHeader>Date</TableHeader>
+              <TableHeader>Mean</TableHeader>
+              <TableHeader>Min</TableHeader>
+              <TableHeader>Max</TableHeader>
+              <TableHeader>HDD</TableHeader>
+              <TableHeader>Hours</TableHeader>
+            </tr>
+          </thead>
+          <tbody>
+            {days.map(([date, day]) => (
+              <tr key={date} style={{ borderBottom: '1px solid #e2e8f0' }}>
+                <td style={{ padding: '4px 8px', color: '#2d3748' }}>{date}</td>
+                <td style={{ padding: '4px 8px', fontWeight: '600', color: '#2d3748' }}>{day.temp_mean_f.toFixed(1)}°F</td>
+                <td style={{ padding: '4px 8px', color: '#4b5563' }}>{day.temp_min_f.toFixed(1)}°F</td>
+                <td style={{ padding: '4px 8px', color: '#4b5563' }}>{day.temp_max_f.toFixed(1)}°F</td>
+                <td style={{ padding: '4px 8px', color: '#4b5563' }}>{getDegreeDays(day.temp_mean_f).hdd.toFixed(1)}</td>
+                <td style={{ padding: '4px 8px', color: '#718096' }}>{day.hours ?? 'daily'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button
+          onClick={onConfirm}
+          style={{
+            padding: '8px 16px',
+            fontSize: '13px',
+            fontWeight: '500',
+            borderRadius: '4px',
+            border: 'none',
+            background: '#10b981',
+            color: 'white',
+            cursor: 'pointer',
+          }}
+        >
+          Import {result.stats.days} Days
+        </button>
+        <button
+          onClick={onCancel}
+          style={{
+            padding: '8px 16px',
+            fontSize: '13px',
+            fontWeight: '500',
+            borderRadius: '4px',
+            border: '1px solid #e2e8f0',
+            background: 'white',
+            color: '#4a5568',
+            cursor: 'pointer',
+          }}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function TableHeader({ children }) {
+  return (
+    <th
+      style={{
+        padding: '4px 8px',
+        textAlign: 'left',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#718096',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+      }}
+    >
+      {children}
+    </th>
+  );
+}
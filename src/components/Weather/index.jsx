@@ -0,0 +1 @@
+export { WeatherImport } from './WeatherImport';
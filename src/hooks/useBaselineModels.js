@@ -0,0 +1,47 @@
+/**
+ * useBaselineModels Hook
+ *
+ * Holds the persisted baseline model registry and fits models against the
+ * usage data. Each model is fitted once (as soon as its training data is
+ * available) and the fit is stored with it; refitModel() refits on demand,
+ * and refitAllModels() refits every model (e.g. after days are excluded).
+ */
+
+import { useEffect } from 'react';
+import { usePersistentState } from './usePersistentState';
+import { STORAGE_KEYS } from '../utils/storage';
+import { DEFAULT_MODELS, fitBaselineModel, needsFit } from '../utils/models';
+
+/**
+ * @param {Array} historicalData - Daily usage records
+ * @returns {Object} { models, setModels, refitModel, refitAllModels }
+ *
+ * @example
+ * const { models, refitModel } = useBaselineModels(historicalData);
+ */
+export function useBaselineModels(historicalData) {
+  const [models, setModels] = usePersistentState(STORAGE_KEYS.models, DEFAULT_MODELS);
+
+  // Fit models that have never been fitted (or had no training data last time)
+  useEffect(() => {
+    if (historicalData.length === 0 || !models.some(needsFit)) return;
+
+    const fitted = models.map((model) => (needsFit(model) ? { ...model, fit: fitBaselineModel(model, historicalData) } : model));
+
+    // Only store the result if a fit actually found data, so empty ranges don't refit forever
+    const changed = fitted.some((model, i) => model !== models[i] && (!models[i].fit || !needsFit(model)));
+    if (changed) {
+      setModels(fitted);
+    }
+  }, [historicalData, models, setModels]);
+
+  const refitModel = (id) => {
+    setModels(models.map((model) => (model.id === id ? { ...model, fit: fitBaselineModel(model, historicalData) } : model)));
+  };
+
+  const refitAllModels = () => {
+    setModels(models.map((model) => ({ ...model, fit: fitBaselineModel(model, historicalData) })));
+  };
+
+  return { models, setModels, refitModel, refitAllModels };
+}
@@ -0,0 +1,111 @@
+/**
+ * useChangeJournal Hook
+ *
+ * Keeps the persisted change journal (see journal.js) for the sections of
+ * state a backup holds. Edits made through the journaled setters, and changes
+ * passed to record() or commit(), are appended to it with who made them;
+ * undo(), redo() and restoreTo() are journaled the same way, so nothing is
+ * ever dropped from the history.
+ */
+
+import { useRef } from 'react';
+import { usePersistentState } from './usePersistentState';
+import { STORAGE_KEYS } from '../utils/storage';
+import { BACKUP_SECTIONS } from '../utils/backup';
+import {
+  DEFAULT_CHANGE_JOURNAL,
+  appendJournalEntry,
+  applyChanges,
+  createJournalEntry,
+  getStateAt,
+  getUndoRedo,
+} from '../utils/journal';
+
+/**
+ * @param {Object} state - Current value of each section (see BACKUP_SECTIONS)
+ * @param {Object} setters - Setter of each section
+ * @returns {Object} {
+ *   journal, author, setAuthor,
+ *   setters: journaled setter of each section,
+ *   record(action, after): journal a change that has already been made,
+ *   commit(action, after): make a change and journal it,
+ *   undo, redo, undoEntry, redoEntry, restoreTo(entryId)
+ * }
+ *
+ * @example
+ * const changes = useChangeJournal(backupState, backupSetters);
+ * <ResidentsEditor residents={residents} onChange={changes.setters.residents} />
+ */
+export function useChangeJournal(state, setters) {
+  const [journal, setJournal] = usePersistentState(STORAGE_KEYS.changeJournal, DEFAULT_CHANGE_JOURNAL);
+  const [author, setAuthor] = usePersistentState(STORAGE_KEYS.journalAuthor, null);
+
+  // Latest state, so changes made one after another in the same event each see the one before
+  const latest = useRef(state);
+  latest.current = state;
+
+  const record = (action, after, details = {}) => {
+    const { coalesce = false, ...entryDetails } = details;
+    const entry = createJournalEntry(latest.current, after, { action, by: author, ...entryDetails });
+    latest.current = { ...latest.current, ...after };
+    if (entry) {
+      setJournal((current) => appendJournalEntry(current, entry, coalesce));
+    }
+  };
+
+  const commit = (action, after, details) => {
+    record(action, after, details);
+    Object.entries(after).forEach(([section, value]) => setters[section](value));
+  };
+
+  const journaledSetters = Object.fromEntries(
+    Object.keys(setters).map((section) => [
+      section,
+      (value) => {
+        const next = typeof value === 'function' ? value(latest.current[section]) : value;
+        commit(`Edited ${BACKUP_SECTIONS[section].label.toLowerCase()}`, { [section]: next }, { coalesce: true });
+      },
+    ])
+  );
+
+  const { undo: undoEntry, redo: redoEntry } = getUndoRedo(journal);
+
+  const undo = () => {
+    if (!undoEntry) return;
+    commit(`Undid "${undoEntry.action}"`, applyChanges(latest.current, undoEntry.changes, 'before'), {
+      kind: 'undo',
+      target: undoEntry.id,
+    });
+  };
+
+  const redo = () => {
+    if (!redoEntry) return;
+    commit(`Redid "${redoEntry.action}"`, applyChanges(latest.current, redoEntry.changes, 'after'), {
+      kind: 'redo',
+      target: redoEntry.id,
+    });
+  };
+
+  const restoreTo = (entryId) => {
+    const entry = journal.find((e) => e.id === entryId);
+    if (!entry) return;
+    commit(`Restored to "${entry.action}"`, getStateAt(latest.current, journal, entryId), {
+      kind: 'restore',
+      target: entryId,
+    });
+  };
+
+  return {
+    journal,
+    author,
+    setAuthor,
+    setters: journaledSetters,
+    record,
+    commit,
+    undo,
+    redo,
+    undoEntry,
+    redoEntry,
+    restoreTo,
+  };
+}
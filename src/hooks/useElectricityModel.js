@@ -12,59 +12,77 @@ import {
   calculatePredictedCost,
   calculateTimeWindowSplit,
 } from '../utils/calculations';
+import { DEFAULT_RESIDENTS } from '../utils/constants';
 
 /**
  * Hook for single-day cost calculations
  *
  * @param {number|null} actualUsage - Actual usage in kWh (null for predict mode)
  * @param {number} outdoorTemp - Outdoor temperature in °F
- * @param {string} thermostatController - 'you' or 'flatmate'
+ * @param {string|null} thermostatController - Id of the resident controlling the thermostat
+ * @param {Array} residents - Array of { id, name } resident records
+ * @param {Object} policy - Split policy (default: legal minimum policy)
+ * @param {Object} model - Legal minimum baseline model (default: built-in legal minimum model)
+ * @param {Object} schedule - Rate schedule in force (default: built-in schedule)
  * @returns {Object} Cost breakdown
  *
  * @example
- * const results = useElectricityModel(51, 30, 'flatmate');
- * // { legalMinUsage, legalMinCost, actualCost, yourShare, flatmateShare, ... }
+ * const results = useElectricityModel(51, 30, 'guala', residents);
+ * // { legalMinUsage, legalMinCost, actualCost, shares: { causio, guala }, ... }
  */
-export function useElectricityModel(actualUsage, outdoorTemp, thermostatController = 'flatmate') {
+export function useElectricityModel(
+  actualUsage,
+  outdoorTemp,
+  thermostatController = null,
+  residents = DEFAULT_RESIDENTS,
+  policy,
+  model,
+  schedule
+) {
   return useMemo(() => {
     if (actualUsage !== null) {
-      return calculateDailySplit(actualUsage, outdoorTemp, thermostatController);
+      return calculateDailySplit(actualUsage, outdoorTemp, thermostatController, residents, policy, model, schedule);
     } else {
-      return calculatePredictedCost(outdoorTemp);
+      return calculatePredictedCost(outdoorTemp, residents, policy, model, schedule);
     }
-  }, [actualUsage, outdoorTemp, thermostatController]);
+  }, [actualUsage, outdoorTemp, thermostatController, residents, policy, model, schedule]);
 }
 
 /**
  * Hook for predicted costs (no actual usage data)
  *
  * @param {number} outdoorTemp - Outdoor temperature in °F
+ * @param {Array} residents - Array of { id, name } resident records
+ * @param {Object} policy - Split policy (default: legal minimum policy)
+ * @param {Object} model - Legal minimum baseline model (default: built-in legal minimum model)
+ * @param {Object} schedule - Rate schedule in force (default: built-in schedule)
  * @returns {Object} Predicted costs
  *
  * @example
- * const prediction = usePredictedCost(30);
- * // { legalMinUsage: 24.11, legalMinCost: 4.97, yourShare: 2.49, flatmateShare: 2.49 }
+ * const prediction = usePredictedCost(30, residents);
+ * // { legalMinUsage: 24.11, legalMinCost: 5.16, shares: { causio: 2.58, guala: 2.58 } }
  */
-export function usePredictedCost(outdoorTemp) {
+export function usePredictedCost(outdoorTemp, residents = DEFAULT_RESIDENTS, policy, model, schedule) {
   return useMemo(() => {
-    return calculatePredictedCost(outdoorTemp);
-  }, [outdoorTemp]);
+    return calculatePredictedCost(outdoorTemp, residents, policy, model, schedule);
+  }, [outdoorTemp, residents, policy, model, schedule]);
 }
 
 /**
  * Hook for legal minimum calculation
  *
  * @param {number} outdoorTemp - Outdoor temperature in °F
+ * @param {Object} model - Legal minimum baseline model (default: built-in legal minimum model)
  * @returns {number} Legal minimum usage in kWh/day
  *
  * @example
  * const legalMin = useLegalMinimum(30);
  * // 24.11
  */
-export function useLegalMinimum(outdoorTemp) {
+export function useLegalMinimum(outdoorTemp, model) {
   return useMemo(() => {
-    return calculateLegalMinimum(outdoorTemp);
-  }, [outdoorTemp]);
+    return calculateLegalMinimum(outdoorTemp, model);
+  }, [outdoorTemp, model]);
 }
 
 /**
@@ -73,21 +91,51 @@ export function useLegalMinimum(outdoorTemp) {
  * @param {Array} data - Historical data array
  * @param {Object} dateRange - { start, end } date strings
  * @param {Array} occupancyPeriods - Occupancy configurations
+ * @param {Array} residents - Array of { id, name } resident records
+ * @param {Object} policy - Split policy (default: legal minimum policy)
+ * @param {Object} model - Legal minimum baseline model (default: built-in legal minimum model)
+ * @param {Array} schedules - Rate schedules (default: built-in schedules)
+ * @param {Object} calendar - Occupancy calendar (default: nothing painted)
+ * @param {Array} thermostatLog - Thermostat log (default: built-in log)
+ * @param {Array} appliances - Personal appliances (default: none)
  * @returns {Object} Time window results
  *
  * @example
  * const results = useTimeWindowCalculation(
  *   historicalData,
  *   { start: '2025-12-18', end: '2026-01-12' },
- *   [{ start: '2025-12-18', end: '2026-01-12', residents: { you: 1, flatmate: 0 } }]
+ *   [{ start: '2025-12-18', end: '2026-01-12', residents: { causio: 1, guala: 0 } }],
+ *   residents
  * );
  */
-export function useTimeWindowCalculation(data, dateRange, occupancyPeriods) {
+export function useTimeWindowCalculation(
+  data,
+  dateRange,
+  occupancyPeriods,
+  residents = DEFAULT_RESIDENTS,
+  policy,
+  model,
+  schedules,
+  calendar,
+  thermostatLog,
+  appliances
+) {
   return useMemo(() => {
     if (!data || !dateRange || !occupancyPeriods) {
       return null;
     }
 
-    return calculateTimeWindowSplit(data, dateRange, occupancyPeriods);
-  }, [data, dateRange, occupancyPeriods]);
+    return calculateTimeWindowSplit(
+      data,
+      dateRange,
+      occupancyPeriods,
+      residents,
+      policy,
+      model,
+      schedules,
+      calendar,
+      thermostatLog,
+      appliances
+    );
+  }, [data, dateRange, occupancyPeriods, residents, policy, model, schedules, calendar, thermostatLog, appliances]);
 }
@@ -1,17 +1,24 @@
 /**
  * useHistoricalData Hook
  *
- * Loads and manages historical electricity usage data from CSV.
- * Uses localStorage to cache data between sessions.
+ * Loads and manages historical electricity usage data. The dataset is kept
+ * in the usage store (see storage.js); the embedded CSV is only loaded when
+ * nothing is stored yet, and only for the household it was recorded in.
  */
 
 import { useState, useEffect } from 'react';
 import { parsePECOCSV } from '../utils/csvParser';
 import { HISTORICAL_DATA_PATH } from '../data/historicalData';
+import { STORAGE_KEYS, loadFromStorage, removeFromStorage, saveToStorage } from '../utils/storage';
+import { mergeImport } from '../utils/importMerge';
 
-const STORAGE_KEY = 'electricity-historical-data';
+const STORAGE_KEY = STORAGE_KEYS.historicalData;
 
-export function useHistoricalData() {
+/**
+ * @param {Object} options - { embedded: whether the embedded CSV is this household's data }
+ * @returns {Object} { data, loading, error, importData, importRecords, replaceData, clearData, refresh }
+ */
+export function useHistoricalData({ embedded = true } = {}) {
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -20,18 +27,23 @@ export function useHistoricalData() {
     loadData();
   }, []);
 
+  // Resolves to the records loaded, so a reload can be journaled
   const loadData = async () => {
     try {
       setLoading(true);
       setError(null);
 
-      // Try localStorage first
-      const cached = localStorage.getItem(STORAGE_KEY);
-      if (cached) {
-        const parsed = JSON.parse(cached);
-        setData(parsed);
+      // Try storage first
+      const stored = loadFromStorage(STORAGE_KEY, null);
+      if (stored) {
+        setData(stored);
         setLoading(false);
-        return;
+        return stored;
+      }
+
+      if (!embedded) {
+        setData([]);
+        return [];
       }
 
       // Load from embedded CSV file with cache-busting
@@ -48,20 +60,24 @@ export function useHistoricalData() {
       }
 
       setData(result.data);
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(result.data));
+      saveToStorage(STORAGE_KEY, result.data);
+      return result.data;
     } catch (err) {
       console.error('Failed to load historical data:', err);
       setError(err.message);
       // Set empty array as fallback
       setData([]);
+      return [];
     } finally {
       setLoading(false);
     }
   };
 
-  const importData = (csvText) => {
-    const result = parsePECOCSV(csvText);
+  const importData = (csvText) => importRecords(parsePECOCSV(csvText));
 
+  // Merge a parser's result (parsePECOCSV, parseGreenButtonXML) into the dataset,
+  // resolving dates that conflict with existing records as chosen in the preview
+  const importRecords = (result, resolutions = {}) => {
     if (!result.success) {
       return {
         success: false,
@@ -70,36 +86,31 @@ export function useHistoricalData() {
       };
     }
 
-    // Merge with existing data (update existing dates, add new dates)
-    const existingMap = new Map(data.map((record) => [record.date, record]));
-    const newData = [...data];
-
-    result.data.forEach((record) => {
-      if (existingMap.has(record.date)) {
-        // Update existing record
-        const index = newData.findIndex((r) => r.date === record.date);
-        newData[index] = record;
-      } else {
-        // Add new record
-        newData.push(record);
-      }
-    });
-
-    // Sort by date
-    newData.sort((a, b) => a.date.localeCompare(b.date));
+    const { data: newData, added, updated, kept } = mergeImport(data, result.data, resolutions);
 
     setData(newData);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(newData));
+    saveToStorage(STORAGE_KEY, newData);
 
     return {
       success: true,
+      data: newData,
       recordCount: result.data.length,
+      added,
+      updated,
+      kept,
       warnings: result.warnings,
     };
   };
 
+  // Replace the whole dataset (restoring a backup)
+  const replaceData = (records) => {
+    const newData = [...records].sort((a, b) => a.date.localeCompare(b.date));
+    setData(newData);
+    saveToStorage(STORAGE_KEY, newData);
+  };
+
   const clearData = () => {
-    localStorage.removeItem(STORAGE_KEY);
+    removeFromStorage(STORAGE_KEY);
     setData([]);
   };
 
@@ -108,6 +119,8 @@ export function useHistoricalData() {
     loading,
     error,
     importData,
+    importRecords,
+    replaceData,
     clearData,
     refresh: loadData,
   };
@@ -0,0 +1,35 @@
+/**
+ * usePersistentState Hook
+ *
+ * useState that is initialised from, and written back to, the app's storage
+ * (see storage.js).
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { loadFromStorage, saveToStorage } from '../utils/storage';
+
+/**
+ * Only changes are written back: a value read from storage isn't saved
+ * again when the component mounts.
+ *
+ * @param {string} key - Storage key (see STORAGE_KEYS)
+ * @param {*} initialValue - Value used when nothing is stored yet
+ * @returns {Array} [value, setValue] like useState
+ *
+ * @example
+ * const [residents, setResidents] = usePersistentState(STORAGE_KEYS.residents, DEFAULT_RESIDENTS);
+ */
+export function usePersistentState(key, initialValue) {
+  const [stored] = useState(() => loadFromStorage(key, undefined));
+  const [value, setValue] = useState(stored === undefined ? initialValue : stored);
+  // Value last read from or written to storage
+  const saved = useRef(stored);
+
+  useEffect(() => {
+    if (value === saved.current) return;
+    saved.current = value;
+    saveToStorage(key, value);
+  }, [key, value]);
+
+  return [value, setValue];
+}
@@ -1,10 +1,26 @@
-import React from 'react'
+import React, { useState } from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App'
+import { getHouseholdId, initStorage, switchHousehold } from './utils/storage'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-)
+// Opening another household remounts the app on that household's data
+function Root() {
+  const [householdId, setHouseholdId] = useState(getHouseholdId)
+
+  const openHousehold = (id) => {
+    setHouseholdId(null)
+    switchHousehold(id).then(() => setHouseholdId(getHouseholdId()))
+  }
+
+  return householdId && <App key={householdId} householdId={householdId} onOpenHousehold={openHousehold} />
+}
+
+// Stored state is read once, before the first render
+initStorage().then(() => {
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <Root />
+    </React.StrictMode>,
+  )
+})
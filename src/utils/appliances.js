@@ -0,0 +1,109 @@
+/**
+ * Personal Appliances
+ *
+ * Known loads that belong to one resident, such as an electric heater:
+ *   {
+ *     id, name,
+ *     ownerId: residentId,
+ *     watts,                         // rated power
+ *     hoursPerDay,                   // typical use, for days without a log entry
+ *     start: 'YYYY-MM-DD',           // first day the owner had it
+ *     end: 'YYYY-MM-DD' | null,      // last day (null = still in use)
+ *     usageLog: { [date]: hours },   // hours actually used, where known
+ *   }
+ *
+ * An appliance's estimated kWh are charged to its owner before the rest of
+ * the day's usage goes through the baseline/excess split, so a known load is
+ * paid for by whoever runs it rather than by whoever happens to be charged
+ * the excess.
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+/**
+ * Appliances shipped with the app: none, each household registers its own
+ */
+export const DEFAULT_APPLIANCES = [];
+
+/**
+ * Create an appliance owned by a resident, in use from today
+ *
+ * @param {string} ownerId - Id of the resident who owns it
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Object} New appliance
+ */
+export function createAppliance(ownerId, today) {
+  return {
+    id: `appliance-${Date.now()}`,
+    name: 'New appliance',
+    ownerId,
+    watts: 1000,
+    hoursPerDay: 1,
+    start: today,
+    end: null,
+    usageLog: {},
+  };
+}
+
+/**
+ * Whether an appliance was in use on a date
+ *
+ * @param {Object} appliance - Appliance
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+export function isApplianceActive(appliance, date) {
+  return date >= appliance.start && (!appliance.end || date <= appliance.end);
+}
+
+/**
+ * Estimated load of every appliance in use on a day
+ *
+ * Logged hours are used where the log has the day. Otherwise the appliance's
+ * typical hours per day are scaled by how much of the day its owner was home,
+ * so nothing is charged while they're away.
+ *
+ * @param {Array} appliances - Appliances
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {Object|null} presence - The day's occupancy record: { [residentId]: 0..1 } (default: everyone home)
+ * @returns {Array} [{ id, name, ownerId, hours, kwh, logged }], appliances with no use left out
+ *
+ * @example
+ * getApplianceLoads(DEFAULT_APPLIANCES, '2025-12-10')
+ * // [{ id: 'guala-heater', name: 'Electric heater', ownerId: 'guala', hours: 6, kwh: 9, logged: false }]
+ */
+export function getApplianceLoads(appliances, date, presence = null) {
+  return appliances
+    .filter((appliance) => isApplianceActive(appliance, date))
+    .map((appliance) => {
+      const logged = appliance.usageLog?.[date] !== undefined;
+      const ownerPresence = presence ? Math.min(presence[appliance.ownerId] || 0, 1) : 1;
+      const hours = logged
+        ? Number(appliance.usageLog[date])
+        : (Number(appliance.hoursPerDay) || 0) * ownerPresence;
+      return {
+        id: appliance.id,
+        name: appliance.name,
+        ownerId: appliance.ownerId,
+        hours,
+        kwh: (Number(appliance.watts) || 0) * hours / 1000,
+        logged,
+      };
+    })
+    .filter((load) => load.kwh > 0);
+}
+
+/**
+ * Add up days' appliance charges appliance by appliance
+ *
+ * @param {Array<Array>} applianceLists - Each day's `appliances` from splitDayCharges()
+ * @returns {Array} [{ id, name, ownerId, days, kwh, cost }] in first-seen order
+ */
+export function sumApplianceCharges(applianceLists) {
+  const totals = new Map();
+  applianceLists.flat().forEach((line) => {
+    const total = totals.get(line.id) || { id: line.id, name: line.name, ownerId: line.ownerId, days: 0, kwh: 0, cost: 0 };
+    totals.set(line.id, { ...total, days: total.days + 1, kwh: total.kwh + line.kwh, cost: total.cost + line.cost });
+  });
+  return [...totals.values()];
+}
@@ -0,0 +1,284 @@
+/**
+ * Backup Utilities
+ *
+ * A versioned JSON backup of everything the app keeps in storage, so a
+ * household can move to another browser (or recover a cleared one) without
+ * losing its configuration:
+ *   {
+ *     format: 'electricity-bill-splitter-backup',
+ *     version: 1,
+ *     exportedAt: '2026-01-12T09:30:00.000Z',
+ *     data: { usage, weather, residents, occupancyCalendar, timeWindow, thermostatLog,
+ *             appliances, models, legalMinModelId, rateSchedules, policies, bills,
+ *             importProfiles, dataExclusions, gapFilling },
+ *   }
+ *
+ * Usage is the raw imported data (with its intervals), not the records joined
+ * to the weather. Backups from older versions are migrated step by step up to
+ * BACKUP_VERSION when they're read; backups from a newer version are refused.
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+import { DEFAULT_RATE_SCHEDULES, calculateDayCost } from './tariffs';
+import { GAP_FILL_STRATEGIES } from './gapFilling';
+
+export const BACKUP_FORMAT = 'electricity-bill-splitter-backup';
+
+/**
+ * Current backup format version. Bump it (and add a step to MIGRATIONS) when
+ * the shape of a section changes.
+ */
+export const BACKUP_VERSION = 1;
+
+/**
+ * Sections of a backup, in the order they're listed, with the type of value
+ * each one holds and what its entries are counted as in the preview (null
+ * for sections that are a single setting)
+ */
+export const BACKUP_SECTIONS = {
+  usage: { label: 'Usage', type: 'array', unit: 'days' },
+  weather: { label: 'Weather', type: 'object', unit: 'days' },
+  residents: { label: 'Residents', type: 'array', unit: 'residents' },
+  occupancyCalendar: { label: 'Occupancy calendar', type: 'object', unit: 'painted days' },
+  timeWindow: { label: 'Time window', type: 'object', unit: null },
+  thermostatLog: { label: 'Thermostat changes', type: 'array', unit: 'changes' },
+  appliances: { label: 'Appliances', type: 'array', unit: 'appliances' },
+  models: { label: 'Baseline models', type: 'array', unit: 'models' },
+  legalMinModelId: { label: 'Legal minimum model', type: 'string', unit: null },
+  rateSchedules: { label: 'Rate schedules', type: 'array', unit: 'schedules' },
+  policies: { label: 'Split policies', type: 'array', unit: 'policies' },
+  bills: { label: 'Bills', type: 'array', unit: 'bills' },
+  importProfiles: { label: 'CSV import profiles', type: 'array', unit: 'profiles' },
+  dataExclusions: { label: 'Excluded days', type: 'object', unit: 'days' },
+  gapFilling: { label: 'Gap filling', type: 'object', unit: null },
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Sections whose entries are looked up by id
+const ID_SECTIONS = ['residents', 'thermostatLog', 'appliances', 'models', 'rateSchedules', 'policies', 'bills', 'importProfiles'];
+
+/**
+ * Upgrade steps: MIGRATIONS[n] turns a version n backup into version n + 1
+ *
+ * Version 0 is the bare array of usage records the old DevTools snippet
+ * printed (and the app stored under electricity-historical-data). The snippet
+ * had no costs, so they're estimated from the default rates like a CSV
+ * import without a cost column.
+ */
+const MIGRATIONS = {
+  0: (backup) => ({
+    format: BACKUP_FORMAT,
+    version: 1,
+    exportedAt: null,
+    data: {
+      usage: backup.map((record) => (
+        record && typeof record.usage_kwh === 'number' && typeof record.cost_dollars !== 'number'
+          ? { ...record, cost_dollars: calculateDayCost(DEFAULT_RATE_SCHEDULES, record.date, record.usage_kwh) }
+          : record
+      )),
+    },
+  }),
+};
+
+/**
+ * Build a backup of the app state
+ *
+ * @param {Object} state - Current value of each section (see BACKUP_SECTIONS);
+ *   sections that are undefined are left out
+ * @param {Date} exportedAt - When the backup was taken (default: now)
+ * @returns {Object} Backup, ready for JSON.stringify()
+ *
+ * @example
+ * const backup = createBackup({ usage: usageData, weather, residents, bills });
+ * downloadFile(JSON.stringify(backup, null, 2), 'electricity-backup.json', 'application/json');
+ */
+export function createBackup(state, exportedAt = new Date()) {
+  const data = {};
+  Object.keys(BACKUP_SECTIONS).forEach((key) => {
+    if (state[key] !== undefined) {
+      data[key] = state[key];
+    }
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    data,
+  };
+}
+
+/**
+ * Read a backup, migrating it to the current version and validating each section
+ *
+ * Sections that fail validation are left out (with an error), so nothing is
+ * restored from a backup that has errors. Sections the backup doesn't have
+ * are reported as warnings; restoring leaves them as they are.
+ *
+ * @param {string} text - Backup file contents
+ * @returns {Object} { success: boolean, data: { [section]: value }, errors: Array, warnings: Array, stats: Object }
+ *   stats: { version (of the file), migrated (boolean), exportedAt, sections: { [section]: count } }
+ *
+ * @example
+ * const result = parseBackup(await file.text());
+ * if (result.success) {
+ *   console.log(`Backup from ${result.stats.exportedAt}: ${result.stats.sections.usage} days of usage`);
+ * }
+ */
+export function parseBackup(text) {
+  const errors = [];
+  const warnings = [];
+
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    return fail([`Not a JSON file: ${error.message}`]);
+  }
+
+  const version = getVersion(backup);
+  if (version === null) {
+    return fail(['Not a backup from this app (no format or version)']);
+  }
+  if (version > BACKUP_VERSION) {
+    return fail([`Backup is version ${version}, made by a newer version of the app (this one reads up to ${BACKUP_VERSION})`]);
+  }
+
+  for (let from = version; from < BACKUP_VERSION; from++) {
+    backup = MIGRATIONS[from](backup);
+  }
+  if (version < BACKUP_VERSION) {
+    warnings.push(`Backup upgraded from version ${version} to ${BACKUP_VERSION}`);
+  }
+
+  const source = backup.data && typeof backup.data === 'object' ? backup.data : {};
+  const data = {};
+  const sections = {};
+
+  Object.entries(BACKUP_SECTIONS).forEach(([key, { label, type }]) => {
+    if (source[key] === undefined) {
+      warnings.push(`${label}: not in the backup, current data is kept`);
+      return;
+    }
+
+    const sectionErrors = validateSection(key, source[key], type);
+    if (sectionErrors.length > 0) {
+      errors.push(...sectionErrors.map((error) => `${label}: ${error}`));
+      return;
+    }
+
+    data[key] = key === 'usage' ? [...source[key]].sort((a, b) => a.date.localeCompare(b.date)) : source[key];
+    sections[key] = getCount(source[key], type);
+  });
+
+  Object.keys(source)
+    .filter((key) => !BACKUP_SECTIONS[key])
+    .forEach((key) => warnings.push(`Unknown section "${key}" ignored`));
+
+  if (data.legalMinModelId && data.models && !data.models.some((model) => model.id === data.legalMinModelId)) {
+    warnings.push(`Legal minimum model "${data.legalMinModelId}" isn't one of the backup's models`);
+  }
+
+  if (errors.length === 0 && Object.keys(data).length === 0) {
+    errors.push('Backup has no data');
+  }
+
+  return {
+    success: errors.length === 0,
+    data,
+    errors,
+    warnings,
+    stats: {
+      version,
+      migrated: version < BACKUP_VERSION,
+      exportedAt: backup.exportedAt || null,
+      sections,
+    },
+  };
+}
+
+/**
+ * Work out which version a parsed backup is
+ *
+ * @param {*} backup - Parsed JSON
+ * @returns {number|null} Version, or null when it isn't a backup
+ */
+function getVersion(backup) {
+  if (Array.isArray(backup)) return 0;
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) return null;
+  return Number.isInteger(backup.version) && backup.version >= 1 ? backup.version : null;
+}
+
+/**
+ * Check a section's value
+ *
+ * @param {string} key - Section key
+ * @param {*} value - Section value
+ * @param {string} type - 'array' | 'object' | 'string'
+ * @returns {Array<string>} Errors (empty when the section is valid)
+ */
+function validateSection(key, value, type) {
+  if (type === 'array' && !Array.isArray(value)) return ['expected a list'];
+  if (type === 'object' && (!value || typeof value !== 'object' || Array.isArray(value))) return ['expected an object'];
+  if (type === 'string' && typeof value !== 'string') return ['expected text'];
+
+  const errors = [];
+
+  if (key === 'usage') {
+    value.forEach((record, i) => {
+      if (!record || !DATE_PATTERN.test(record.date) || typeof record.usage_kwh !== 'number' || typeof record.cost_dollars !== 'number') {
+        errors.push(`record ${i + 1} needs a date (YYYY-MM-DD) and numeric usage_kwh and cost_dollars`);
+      }
+    });
+  }
+
+  if (key === 'weather') {
+    Object.entries(value).forEach(([date, day]) => {
+      if (!DATE_PATTERN.test(date) || typeof day?.temp_mean_f !== 'number') {
+        errors.push(`${date} needs a numeric temp_mean_f`);
+      }
+    });
+  }
+
+  if (key === 'dataExclusions') {
+    Object.entries(value).forEach(([date, day]) => {
+      if (!DATE_PATTERN.test(date) || !day || typeof day !== 'object') {
+        errors.push(`${date} needs the uses it's excluded from`);
+      }
+    });
+  }
+
+  if (key === 'gapFilling' && !(value.strategy in GAP_FILL_STRATEGIES)) {
+    errors.push(`unknown strategy "${value.strategy}"`);
+  }
+
+  if (ID_SECTIONS.includes(key)) {
+    value.forEach((item, i) => {
+      if (item?.id === undefined || item?.id === null) {
+        errors.push(`entry ${i + 1} has no id`);
+      }
+    });
+  }
+
+  // Keep the list readable when a whole section is malformed
+  return errors.length > 5 ? [...errors.slice(0, 5), `...and ${errors.length - 5} more`] : errors;
+}
+
+/**
+ * Size of a section for the preview
+ *
+ * @param {*} value - Section value
+ * @param {string} type - 'array' | 'object' | 'string'
+ * @returns {number} Entries in the section (1 for a single setting)
+ */
+function getCount(value, type) {
+  if (type === 'array') return value.length;
+  if (type === 'object') return Object.keys(value).length;
+  return 1;
+}
+
+function fail(errors) {
+  return { success: false, data: {}, errors, warnings: [], stats: null };
+}
@@ -0,0 +1,328 @@
+/**
+ * Bill Utilities
+ *
+ * A bill is a saved record describing one PECO billing period:
+ *   { id, name, start, end, totalCharged, kwhBilled, reconciliation, periods: [...] }
+ *
+ * `reconciliation` says how the modelled shares are scaled to add up to
+ * totalCharged (see reconciliation.js).
+ *
+ * Each bill is divided into sub-periods, and each sub-period says which
+ * baseline model applies, who was home and which split policy shares the cost:
+ *   {
+ *     id, label, start, end,
+ *     modelId: baselineModelId | null,                 // see models.js; null = no baseline
+ *     policyId: splitPolicyId,                           // see policies.js
+ *     occupancy: { [residentId]: 0..1 },               // fraction of the day home
+ *   }
+ *
+ * Presence painted in the occupancy calendar overrides a period's occupancy
+ * on that day (see occupancy.js), and the thermostat log says who controlled
+ * the heating on each day (see thermostat.js). Each day of the split reports
+ * the baseline and excess weights its policy used (see policies.js).
+ */
+
+import { addShares, countPresence, createShares, getPresenceWeights } from './calculations';
+import { findPolicy } from './policies';
+import { findModel, predictDayUsage } from './models';
+import { DEFAULT_RATE_SCHEDULES, findRateSchedule, splitDayCharges, sumCharges } from './tariffs';
+import { DEFAULT_RECONCILIATION_METHOD, reconcileBillSplit } from './reconciliation';
+import { DEFAULT_OCCUPANCY_CALENDAR, getDayPresence, isPaintedDay } from './occupancy';
+import { DEFAULT_THERMOSTAT_LOG, getThermostatControllers } from './thermostat';
+import { getHourlyExcess, hasIntervals } from './hourly';
+import { DEFAULT_APPLIANCES, getApplianceLoads, sumApplianceCharges } from './appliances';
+
+/**
+ * Split policies replacing the split rules of bills saved before policies existed
+ */
+const LEGACY_RULE_POLICY_IDS = {
+  'even': 'even-split',
+  'excess-to-resident': 'heater-owner',
+  'excess-to-present': 'excess-to-present',
+};
+
+/**
+ * Bills shipped with the app
+ *
+ * The Nov 21 - Dec 29, 2025 PECO bill: $353.25 for 1,652 kWh.
+ */
+export const DEFAULT_BILLS = [
+  {
+    id: 'bill-2025-12',
+    name: 'December 2025 Bill',
+    start: '2025-11-21',
+    end: '2025-12-29',
+    totalCharged: 353.25,
+    kwhBilled: 1652,
+    reconciliation: 'proportional',
+    periods: [
+      {
+        id: 'no-baseline',
+        label: 'No baseline',
+        start: '2025-11-21',
+        end: '2025-12-02',
+        modelId: null,
+        policyId: 'even-split',
+        occupancy: { causio: 1, guala: 1 },
+      },
+      {
+        id: 'december-baseline',
+        label: 'December baseline days',
+        start: '2025-12-03',
+        end: '2025-12-07',
+        modelId: 'december-2025',
+        policyId: 'even-split',
+        occupancy: { causio: 1, guala: 1 },
+      },
+      {
+        id: 'heater',
+        label: 'Heater',
+        start: '2025-12-08',
+        end: '2025-12-18',
+        modelId: 'december-2025',
+        policyId: 'heater-owner',
+        occupancy: { causio: 1, guala: 1 },
+      },
+      {
+        id: 'causio-only',
+        label: 'Causio only',
+        start: '2025-12-19',
+        end: '2025-12-29',
+        modelId: 'january-2026',
+        policyId: 'excess-to-present',
+        occupancy: { causio: 1, guala: 0 },
+      },
+    ],
+  },
+];
+
+/**
+ * Create an empty bill record
+ *
+ * @param {Array} residents - Array of { id, name } resident records
+ * @returns {Object} New bill with a single whole-bill period
+ */
+export function createBill(residents) {
+  const today = new Date().toISOString().split('T')[0];
+  return {
+    id: `bill-${Date.now()}`,
+    name: 'New Bill',
+    start: today,
+    end: today,
+    totalCharged: 0,
+    kwhBilled: 0,
+    reconciliation: DEFAULT_RECONCILIATION_METHOD,
+    periods: [createBillPeriod(today, today, residents)],
+  };
+}
+
+/**
+ * Create a bill sub-period with everyone present and an even split
+ *
+ * @param {string} start - Start date (YYYY-MM-DD)
+ * @param {string} end - End date (YYYY-MM-DD)
+ * @param {Array} residents - Array of { id, name } resident records
+ * @returns {Object} New bill period
+ */
+export function createBillPeriod(start, end, residents) {
+  return {
+    id: `period-${Date.now()}`,
+    label: 'New period',
+    start,
+    end,
+    modelId: null,
+    policyId: 'even-split',
+    occupancy: createShares(residents, 1),
+  };
+}
+
+/**
+ * Find the bill sub-period covering a date
+ *
+ * Dates not covered by any configured period fall back to an even split
+ * with everyone present.
+ *
+ * @param {Object} bill - Bill record
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {Array} residents - Array of { id, name } resident records
+ * @returns {Object} Bill period
+ */
+export function findBillPeriod(bill, date, residents) {
+  return bill.periods.find((period) => date >= period.start && date <= period.end) || {
+    id: 'unassigned',
+    label: 'Unassigned',
+    start: date,
+    end: date,
+    modelId: null,
+    policyId: 'even-split',
+    occupancy: createShares(residents, 1),
+  };
+}
+
+/**
+ * Get the split policy id of a bill period
+ *
+ * Periods saved before split policies existed carry a `rule` instead.
+ *
+ * @param {Object} period - Bill period
+ * @returns {string} Split policy id
+ */
+export function getPeriodPolicyId(period) {
+  return period.policyId || LEGACY_RULE_POLICY_IDS[period.rule] || 'even-split';
+}
+
+/**
+ * Add each day's occupancy count (people home) from the bills covering it
+ *
+ * Presence painted in the occupancy calendar overrides the bill's periods.
+ * Days no bill covers get a null count, so occupancy-based models leave
+ * them out of training, unless every resident was painted on them.
+ *
+ * @param {Array} data - Daily usage records
+ * @param {Array} bills - Bill records
+ * @param {Array} residents - Array of { id, name } resident records
+ * @param {Object} calendar - Occupancy calendar (default: nothing painted)
+ * @returns {Array} Records with occupancy_count added
+ *
+ * @example
+ * addOccupancyCounts(historicalData, DEFAULT_BILLS, residents)
+ * // [{ date: '2025-12-20', usage_kwh: 21.4, ..., occupancy_count: 1 }, ...]
+ */
+export function addOccupancyCounts(data, bills, residents, calendar = DEFAULT_OCCUPANCY_CALENDAR) {
+  return data.map((day) => {
+    const bill = bills.find((b) => day.date >= b.start && day.date <= b.end);
+    const fullyPainted = residents.every((resident) => resident.id in (calendar[day.date] || {}));
+    const occupancyCount = bill || fullyPainted
+      ? countPresence(
+        residents,
+        getDayPresence(calendar, day.date, bill ? findBillPeriod(bill, day.date, residents).occupancy : {})
+      )
+      : null;
+    return { ...day, occupancy_count: occupancyCount };
+  });
+}
+
+/**
+ * Split a bill between residents using its configured periods
+ *
+ * Each day is costed line item by line item with the rate schedule in force
+ * on it; the totals add up every line item's cost and shares (`charges`).
+ * When the bill has a total charged, `reconciliation` scales the shares to
+ * add up to it exactly (null otherwise). Presence painted in the occupancy
+ * calendar overrides the period's occupancy on that day, excess heating
+ * is attributed to whoever the thermostat log says set the temperature (hour
+ * by hour on days with interval data, see hourly.js), and
+ * residents' own appliances are charged to their owners before the split
+ * (one audit line per appliance per day). Days filled in for gaps in the
+ * usage are marked with how their usage was estimated (see gapFilling.js).
+ * Cost a period's policy leaves to nobody is summed apart (`unallocated`).
+ *
+ * @param {Object} bill - Bill record
+ * @param {Array} data - Daily usage records: [{date, usage_kwh, temp_mean_f}, ...]
+ * @param {Array} residents - Array of { id, name } resident records
+ * @param {Array} models - Baseline model registry (see models.js)
+ * @param {Array} policies - Split policies available to bill periods
+ * @param {Array} schedules - Rate schedules (see tariffs.js)
+ * @param {Object} calendar - Occupancy calendar (default: nothing painted)
+ * @param {Array} thermostatLog - Thermostat log (default: built-in log)
+ * @param {Array} appliances - Personal appliances (default: none)
+ * @returns {Object} { dailyBreakdown, totals, reconciliation }
+ *
+ * @example
+ * const { totals, reconciliation } = calculateBillSplit(DEFAULT_BILLS[0], historicalData, residents, models, policies);
+ * totals.shares // { causio: 190.16, guala: 163.10 }
+ * reconciliation.shares // { causio: 190.16, guala: 163.09 }
+ */
+export function calculateBillSplit(
+  bill,
+  data,
+  residents,
+  models,
+  policies,
+  schedules = DEFAULT_RATE_SCHEDULES,
+  calendar = DEFAULT_OCCUPANCY_CALENDAR,
+  thermostatLog = DEFAULT_THERMOSTAT_LOG,
+  appliances = DEFAULT_APPLIANCES
+) {
+  const billData = data.filter((d) => d.date >= bill.start && d.date <= bill.end);
+
+  const dailyBreakdown = billData.map((day) => {
+    const period = findBillPeriod(bill, day.date, residents);
+    const presence = getDayPresence(calendar, day.date, period.occupancy);
+    // Periods without a model (or with an unfitted one) have no baseline
+    const expectedUsage = predictDayUsage(findModel(models, period.modelId), {
+      ...day,
+      occupancy_count: countPresence(residents, presence),
+    });
+    const thermostatController = getThermostatControllers(thermostatLog, day.date, getHourlyExcess(day, expectedUsage));
+    const hasBaseline = expectedUsage !== null;
+
+    const actualUsage = day.usage_kwh;
+    const excessUsage = hasBaseline ? actualUsage - expectedUsage : null;
+
+    const {
+      cost: actualCost,
+      expectedCost,
+      excessCost,
+      shares,
+      unallocated,
+      charges,
+      appliances: applianceCharges,
+      weights,
+    } = splitDayCharges(findRateSchedule(schedules, day.date), findPolicy(policies, getPeriodPolicyId(period)), {
+      usage: actualUsage,
+      expectedUsage,
+      residents,
+      presence,
+      thermostatController,
+      appliances: getApplianceLoads(appliances, day.date, presence),
+    });
+
+    return {
+      date: day.date,
+      temp: day.temp_mean_f,
+      expectedUsage,
+      actualUsage,
+      excessUsage,
+      excessCost,
+      expectedCost,
+      actualCost,
+      shares,
+      unallocated,
+      charges,
+      appliances: applianceCharges,
+      weights,
+      occupancy: presence,
+      painted: isPaintedDay(calendar, day.date),
+      thermostatController,
+      hourly: hasIntervals(day),
+      filled: day.filled || null,
+      periodId: period.id,
+    };
+  });
+
+  const totals = dailyBreakdown.reduce((acc, day) => ({
+    totalDays: acc.totalDays + 1,
+    totalUsage: acc.totalUsage + day.actualUsage,
+    totalCost: acc.totalCost + day.actualCost,
+    shares: addShares(acc.shares, day.shares),
+    unallocated: acc.unallocated + day.unallocated,
+    avgTemp: acc.avgTemp + day.temp,
+    daysPresent: addShares(acc.daysPresent, getPresenceWeights(residents, day.occupancy)),
+  }), {
+    totalDays: 0,
+    totalUsage: 0,
+    totalCost: 0,
+    shares: createShares(residents),
+    unallocated: 0,
+    avgTemp: 0,
+    daysPresent: createShares(residents),
+  });
+
+  totals.avgTemp = totals.totalDays > 0 ? totals.avgTemp / totals.totalDays : 0;
+  totals.charges = sumCharges(dailyBreakdown.map((day) => day.charges));
+  totals.appliances = sumApplianceCharges(dailyBreakdown.map((day) => day.appliances));
+  totals.filledDays = dailyBreakdown.filter((day) => day.filled).length;
+
+  return { dailyBreakdown, totals, reconciliation: reconcileBillSplit(totals, bill, residents) };
+}
@@ -2,19 +2,55 @@
  * Electricity Bill Splitter - Pure Calculation Functions
  *
  * All business logic for calculating electricity costs, legal minimum usage,
- * and fair cost splits between flatmates.
+ * and fair cost splits between any number of residents. How each day is
+ * shared is decided by a split policy (see policies.js), and what it costs
+ * by the rate schedule in force (see tariffs.js).
+ *
+ * Per-resident amounts are returned as "share maps": plain objects keyed by
+ * resident id, e.g. { causio: 2.49, guala: 8.06 }.
  *
  * These functions are PURE (no side effects) making them easy to test
  * and reason about. They don't depend on React or any external state.
  */
 
 import {
-  LEGAL_MIN_INTERCEPT,
-  LEGAL_MIN_SLOPE,
-  COST_PER_KWH,
   MIN_LEGAL_MIN_USAGE,
   MAX_LEGAL_MIN_USAGE,
+  DEFAULT_RESIDENTS,
 } from './constants';
+import {
+  addShares,
+  countPresence,
+  createShares,
+  getPresenceWeights,
+  getPresentResidentIds,
+  splitByWeight,
+  splitEvenly,
+} from './shares';
+import { DEFAULT_POLICIES, DEFAULT_POLICY_ID, findPolicy } from './policies';
+import {
+  DEFAULT_MODELS,
+  LEGAL_MIN_MODEL_ID,
+  findModel,
+  predictDayInterval,
+  predictDayUsage,
+  predictTotalInterval,
+  predictUsage,
+} from './models';
+import { combineShareMargins, getShareMargins, isOutsideInterval } from './intervals';
+import { DEFAULT_RATE_SCHEDULES, findRateSchedule, getEnergyRate, splitDayCharges, sumCharges } from './tariffs';
+import { DEFAULT_OCCUPANCY_CALENDAR, getDayPresence, isPaintedDay } from './occupancy';
+import { DEFAULT_THERMOSTAT_LOG, getThermostatControllers } from './thermostat';
+import { getHourlyExcess, getHourlyProfile, hasIntervals } from './hourly';
+import { DEFAULT_APPLIANCES, getApplianceLoads, sumApplianceCharges } from './appliances';
+
+// Built-in legal minimum model, used when no (or an unfitted) model is supplied
+const DEFAULT_LEGAL_MIN_MODEL = findModel(DEFAULT_MODELS, LEGAL_MIN_MODEL_ID);
+
+// Built-in rate schedule, used when none is supplied
+const DEFAULT_RATE_SCHEDULE = DEFAULT_RATE_SCHEDULES[0];
+
+export { addShares, countPresence, createShares, getPresenceWeights, getPresentResidentIds, splitByWeight, splitEvenly };
 
 /**
  * Calculate legal minimum electricity usage based on outdoor temperature
@@ -24,21 +60,47 @@ import {
  * heating costs required to maintain that temperature.
  *
  * @param {number} outdoorTempF - Outdoor temperature in Fahrenheit
+ * @param {Object} model - Baseline model from the registry (default: built-in legal minimum model)
+ * @param {Object} day - Daily record with the other features a multiple-regression model reads (optional)
  * @returns {number} Legal minimum usage in kWh/day
  *
  * @example
- * calculateLegalMinimum(30) // returns ~24.11 kWh
- * calculateLegalMinimum(50) // returns ~6.35 kWh
- * calculateLegalMinimum(80) // returns ~-20.29 kWh (negative = no heating needed)
+ * calculateLegalMinimum(30) // returns ~24.09 kWh
+ * calculateLegalMinimum(50) // returns ~6.17 kWh
+ * calculateLegalMinimum(80) // returns 5 kWh (clamped; no heating needed)
  */
-export function calculateLegalMinimum(outdoorTempF) {
-  const usage = LEGAL_MIN_INTERCEPT + (LEGAL_MIN_SLOPE * outdoorTempF);
+export function calculateLegalMinimum(outdoorTempF, model = DEFAULT_LEGAL_MIN_MODEL, day = {}) {
+  const usage = predictDayUsage(model, { ...day, temp_mean_f: outdoorTempF })
+    ?? predictUsage(DEFAULT_LEGAL_MIN_MODEL, outdoorTempF);
 
   // Clamp to reasonable bounds to prevent unrealistic values
   // This handles edge cases like extreme temperatures
   return Math.max(MIN_LEGAL_MIN_USAGE, Math.min(MAX_LEGAL_MIN_USAGE, usage));
 }
 
+/**
+ * 95% prediction interval for legal minimum usage
+ *
+ * Both ends are clamped like calculateLegalMinimum(), so the interval always
+ * contains the legal minimum it goes with.
+ *
+ * @param {number} outdoorTempF - Outdoor temperature in Fahrenheit
+ * @param {Object} model - Baseline model from the registry (default: built-in legal minimum model)
+ * @param {Object} day - Daily record with the other features a multiple-regression model reads (optional)
+ * @returns {Object|null} { lower, upper, halfWidth } in kWh/day, or null when the
+ *   model has no fit statistics
+ *
+ * @example
+ * calculateLegalMinimumInterval(30) // { lower: 17.88, upper: 30.30, halfWidth: 6.21 }
+ */
+export function calculateLegalMinimumInterval(outdoorTempF, model = DEFAULT_LEGAL_MIN_MODEL, day = {}) {
+  const interval = predictDayInterval(model, { ...day, temp_mean_f: outdoorTempF });
+  if (!interval) return null;
+
+  const clamp = (usage) => Math.max(MIN_LEGAL_MIN_USAGE, Math.min(MAX_LEGAL_MIN_USAGE, usage));
+  return { lower: clamp(interval.lower), upper: clamp(interval.upper), halfWidth: interval.halfWidth };
+}
+
 /**
  * Calculate excess usage and cost compared to legal minimum
  *
@@ -48,15 +110,16 @@ export function calculateLegalMinimum(outdoorTempF) {
  *
  * @param {number} actualUsage - Actual electricity usage in kWh
  * @param {number} legalMinUsage - Legal minimum usage in kWh
+ * @param {Object} schedule - Rate schedule pricing the excess (default: built-in schedule)
  * @returns {Object} { usage: number, cost: number, isNegative: boolean }
  *
  * @example
- * calculateExcess(51, 24.11) // { usage: 26.89, cost: 5.54, isNegative: false }
- * calculateExcess(15, 24.11) // { usage: -9.11, cost: -1.88, isNegative: true }
+ * calculateExcess(51, 24.11) // { usage: 26.89, cost: 5.75, isNegative: false }
+ * calculateExcess(15, 24.11) // { usage: -9.11, cost: -1.95, isNegative: true }
  */
-export function calculateExcess(actualUsage, legalMinUsage) {
+export function calculateExcess(actualUsage, legalMinUsage, schedule = DEFAULT_RATE_SCHEDULE) {
   const excessUsage = actualUsage - legalMinUsage;
-  const excessCost = excessUsage * COST_PER_KWH;
+  const excessCost = excessUsage * getEnergyRate(schedule);
 
   return {
     usage: excessUsage,
@@ -68,94 +131,133 @@ export function calculateExcess(actualUsage, legalMinUsage) {
 /**
  * Calculate fair cost split for a single day
  *
- * Splits electricity costs fairly between two flatmates:
- * - Legal minimum cost: Split 50/50 (both benefit from baseline electricity)
+ * Splits electricity costs between all residents using a split policy.
+ * With the default policy:
+ * - Legal minimum cost: Split evenly (everyone benefits from baseline electricity)
  * - Excess cost: Charged to thermostat controller (person who controls temperature)
  *
  * @param {number} actualUsage - Actual electricity usage in kWh
  * @param {number} outdoorTempF - Outdoor temperature in Fahrenheit
- * @param {string} thermostatController - 'you' or 'flatmate' who controls thermostat
+ * @param {string|null} thermostatController - Id of the resident who controls the thermostat
+ *   (null splits the excess evenly)
+ * @param {Array} residents - Array of { id, name } resident records
+ * @param {Object} policy - Split policy (default: legal minimum policy)
+ * @param {Object} model - Legal minimum baseline model (default: built-in legal minimum model)
+ * @param {Object} schedule - Rate schedule in force (default: built-in schedule)
  * @returns {Object} Cost breakdown with all intermediate values
  *
  * @example
- * calculateDailySplit(51, 30, 'flatmate')
+ * calculateDailySplit(51, 30, 'guala', DEFAULT_RESIDENTS)
  * // Returns:
  * // {
- * //   legalMinUsage: 24.11,
- * //   legalMinCost: 4.97,
- * //   actualCost: 10.51,
- * //   excessUsage: 26.89,
- * //   excessCost: 5.54,
- * //   yourShare: 2.49,  // 50% of legal minimum
- * //   flatmateShare: 8.06, // 50% of legal minimum + excess
+ * //   legalMinUsage: 24.09,
+ * //   legalMinCost: 5.15,
+ * //   actualCost: 10.91,
+ * //   excessUsage: 26.91,
+ * //   excessCost: 5.75,
+ * //   shares: { causio: 2.58, guala: 8.33 }, // 50% of legal minimum (+ excess)
+ * //   charges: [...],                        // per line item, see splitDayCharges
  * // }
  */
-export function calculateDailySplit(actualUsage, outdoorTempF, thermostatController = 'flatmate') {
+export function calculateDailySplit(
+  actualUsage,
+  outdoorTempF,
+  thermostatController = null,
+  residents = DEFAULT_RESIDENTS,
+  policy = findPolicy(DEFAULT_POLICIES, DEFAULT_POLICY_ID),
+  model = DEFAULT_LEGAL_MIN_MODEL,
+  schedule = DEFAULT_RATE_SCHEDULE
+) {
   // Calculate legal minimum baseline
-  const legalMinUsage = calculateLegalMinimum(outdoorTempF);
-  const legalMinCost = legalMinUsage * COST_PER_KWH;
-
-  // Calculate actual total cost
-  const actualCost = actualUsage * COST_PER_KWH;
+  const legalMinUsage = calculateLegalMinimum(outdoorTempF, model);
 
-  // Calculate excess usage and cost
-  const { usage: excessUsage, cost: excessCost, isNegative } = calculateExcess(
-    actualUsage,
-    legalMinUsage
-  );
-
-  // Split legal minimum cost 50/50
-  const legalMinShareEach = legalMinCost / 2;
-
-  // Allocate excess cost to thermostat controller
-  // If excess is negative (efficient day), share the savings equally
-  let yourShare, flatmateShare;
-
-  if (isNegative) {
-    // Negative excess means we used less than legal minimum
-    // Share the total savings equally
-    yourShare = actualCost / 2;
-    flatmateShare = actualCost / 2;
-  } else {
-    // Positive excess: someone used extra heating
-    if (thermostatController === 'flatmate') {
-      yourShare = legalMinShareEach;
-      flatmateShare = legalMinShareEach + excessCost;
-    } else {
-      yourShare = legalMinShareEach + excessCost;
-      flatmateShare = legalMinShareEach;
-    }
-  }
+  // Everyone is home for a single-day split
+  const { cost: actualCost, expectedCost: legalMinCost, excessCost, shares, charges } = splitDayCharges(schedule, policy, {
+    usage: actualUsage,
+    expectedUsage: legalMinUsage,
+    residents,
+    presence: createShares(residents, 1),
+    thermostatController,
+  });
 
   return {
     legalMinUsage,
     legalMinCost,
     actualCost,
-    excessUsage,
+    excessUsage: actualUsage - legalMinUsage,
     excessCost,
-    yourShare,
-    flatmateShare,
+    shares,
+    charges,
     thermostatController,
   };
 }
 
+/**
+ * Time window shown the first time the date range calculator is opened
+ *
+ * The Dec 18 - Jan 12 stretch when Guala was away. The calculator saves the
+ * range, occupancy periods and policy it was last used with.
+ */
+export const DEFAULT_TIME_WINDOW = {
+  dateRange: { start: '2025-12-18', end: '2026-01-12' },
+  occupancyPeriods: [
+    {
+      id: 1,
+      start: '2025-12-18',
+      end: '2026-01-12',
+      residents: { causio: 1, guala: 0 },
+      thermostatController: 'causio',
+    },
+  ],
+  policyId: DEFAULT_POLICY_ID,
+};
+
 /**
  * Calculate cost split for a time period with variable occupancy
  *
- * IMPORTANT RULES:
- * 1. Legal minimum cost is ALWAYS split 50/50 between Causio and Guala
- *    - This represents baseline electricity both benefit from
- *    - Applies even when one person is away!
+ * Each day is split with the given policy. With the default policy:
+ * 1. Legal minimum cost is ALWAYS split evenly between all residents
+ *    - This represents baseline electricity everyone benefits from
+ *    - Applies even when someone is away!
  *
  * 2. Excess heating cost depends on occupancy:
- *    - If both present: excess goes to thermostat controller
+ *    - If several are present: excess goes to thermostat controller
+ *      (split evenly between those present if the controller is away)
  *    - If only one present: excess goes to that person
- *    - If neither present: no excess allocation
+ *    - If nobody present: no excess allocation
+ *
+ * Whatever the policy leaves to nobody is kept apart as `unallocated`, on
+ * each day and in the totals, so the shares and it add up to the cost.
+ *
+ * Presence painted in the occupancy calendar overrides the occupancy
+ * periods for that day (see occupancy.js). Occupancy periods that don't name
+ * a thermostat controller take it from the thermostat log: whoever set the
+ * heating above the legal minimum that day (see thermostat.js), hour by hour
+ * on days with interval data (see hourly.js). Residents'
+ * own appliances are charged to their owners before the split, with one
+ * audit line per appliance per day (see appliances.js).
+ *
+ * Each day is costed with the rate schedule in force on it, and the totals
+ * add up every line item's cost and shares (`charges`). Only days with a
+ * record are split: gaps are filled beforehand if at all (see gapFilling.js),
+ * and filled days are marked with how their usage was estimated (`filled`).
+ *
+ * When the model has fit statistics, each day also gets the legal minimum's
+ * 95% prediction interval, the ± margin that puts on each share, and a flag
+ * when actual usage fell outside the interval. The totals carry margins for
+ * the period's shares (see combineShareMargins).
  *
  * @param {Array} data - Array of daily records: [{date, usage_kwh, temp_mean_f}, ...]
  * @param {Object} dateRange - { start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' }
  * @param {Array} occupancyPeriods - Array of occupancy configurations
- *   [{ start, end, residents: {you: 0|1, flatmate: 0|1}, thermostatController }]
+ *   [{ start, end, residents: { [residentId]: 0..1 }, thermostatController: residentId | null }]
+ * @param {Array} residents - Array of { id, name } resident records
+ * @param {Object} policy - Split policy (default: legal minimum policy)
+ * @param {Object} model - Legal minimum baseline model (default: built-in legal minimum model)
+ * @param {Array} schedules - Rate schedules (default: built-in schedules)
+ * @param {Object} calendar - Occupancy calendar (default: nothing painted)
+ * @param {Array} thermostatLog - Thermostat log (default: built-in log)
+ * @param {Array} appliances - Personal appliances (default: none)
  * @returns {Object} Aggregated costs and daily breakdowns
  *
  * @example
@@ -166,13 +268,25 @@ export function calculateDailySplit(actualUsage, outdoorTempF, thermostatControl
  *     {
  *       start: '2025-12-18',
  *       end: '2026-01-12',
- *       residents: { you: 1, flatmate: 0 },
- *       thermostatController: 'you'
+ *       residents: { causio: 1, guala: 0 },
+ *       thermostatController: 'causio'
  *     }
- *   ]
+ *   ],
+ *   DEFAULT_RESIDENTS
  * )
  */
-export function calculateTimeWindowSplit(data, dateRange, occupancyPeriods) {
+export function calculateTimeWindowSplit(
+  data,
+  dateRange,
+  occupancyPeriods,
+  residents = DEFAULT_RESIDENTS,
+  policy = findPolicy(DEFAULT_POLICIES, DEFAULT_POLICY_ID),
+  model = DEFAULT_LEGAL_MIN_MODEL,
+  schedules = DEFAULT_RATE_SCHEDULES,
+  calendar = DEFAULT_OCCUPANCY_CALENDAR,
+  thermostatLog = DEFAULT_THERMOSTAT_LOG,
+  appliances = DEFAULT_APPLIANCES
+) {
   // Filter data to date range
   const filteredData = data.filter((record) => {
     const date = record.date;
@@ -185,69 +299,75 @@ export function calculateTimeWindowSplit(data, dateRange, occupancyPeriods) {
     const occupancy = occupancyPeriods.find((period) => {
       return record.date >= period.start && record.date <= period.end;
     }) || {
-      // Default: both present, flatmate controls thermostat
-      residents: { you: 1, flatmate: 1 },
-      thermostatController: 'flatmate',
+      // Default: everyone present, the thermostat log says who controlled the heating
+      residents: createShares(residents, 1),
+      thermostatController: null,
     };
 
-    const { you, flatmate } = occupancy.residents;
-    const totalResidents = you + flatmate;
+    const presence = getDayPresence(calendar, record.date, occupancy.residents);
+    const presentResidents = getPresentResidentIds(residents, presence);
+    const modelDay = { ...record, occupancy_count: countPresence(residents, presence) };
 
     // Calculate daily values
-    const legalMinUsage = calculateLegalMinimum(record.temp_mean_f);
-    const legalMinCost = legalMinUsage * COST_PER_KWH;
-    const actualCost = record.usage_kwh * COST_PER_KWH;
-    const { cost: excessCost, isNegative } = calculateExcess(
-      record.usage_kwh,
-      legalMinUsage
-    );
+    const legalMinUsage = calculateLegalMinimum(record.temp_mean_f, model, modelDay);
+    const schedule = findRateSchedule(schedules, record.date);
 
-    let yourShare, flatmateShare;
-
-    if (isNegative) {
-      // Negative excess: share total cost equally (both pay 50%)
-      yourShare = actualCost / 2;
-      flatmateShare = actualCost / 2;
-    } else {
-      // CRITICAL: Legal minimum is ALWAYS split 50/50
-      const yourLegalMinShare = legalMinCost / 2;
-      const flatmateLegalMinShare = legalMinCost / 2;
+    const occupancyContext = {
+      residents,
+      presence,
+      thermostatController: occupancy.thermostatController
+        || getThermostatControllers(thermostatLog, record.date, getHourlyExcess(record, legalMinUsage)),
+    };
+    const {
+      cost: actualCost,
+      energyCost,
+      applianceCost,
+      expectedCost: legalMinCost,
+      excessCost,
+      shares,
+      unallocated,
+      charges,
+      appliances: applianceCharges,
+      weights,
+    } = splitDayCharges(schedule, policy, {
+      ...occupancyContext,
+      usage: record.usage_kwh,
+      expectedUsage: legalMinUsage,
+      appliances: getApplianceLoads(appliances, record.date, presence),
+    });
 
-      // Excess allocation depends on occupancy
-      if (totalResidents === 0) {
-        // No one home: no excess allocation
-        yourShare = yourLegalMinShare;
-        flatmateShare = flatmateLegalMinShare;
-      } else if (totalResidents === 1) {
-        // Only one person present: they pay the excess
-        if (you === 1) {
-          yourShare = yourLegalMinShare + excessCost;
-          flatmateShare = flatmateLegalMinShare;
-        } else {
-          yourShare = yourLegalMinShare;
-          flatmateShare = flatmateLegalMinShare + excessCost;
-        }
-      } else {
-        // Both present: excess goes to thermostat controller
-        if (occupancy.thermostatController === 'flatmate') {
-          yourShare = yourLegalMinShare;
-          flatmateShare = flatmateLegalMinShare + excessCost;
-        } else {
-          yourShare = yourLegalMinShare + excessCost;
-          flatmateShare = flatmateLegalMinShare;
-        }
-      }
-    }
+    // Uncertainty in the legal minimum, carried through the split (fixed charges don't depend on it)
+    const energyRate = getEnergyRate(schedule);
+    const legalMinInterval = calculateLegalMinimumInterval(record.temp_mean_f, model, modelDay);
+    const shareMargins = legalMinInterval
+      ? getShareMargins(
+        policy,
+        { ...occupancyContext, actualCost: energyCost - applianceCost },
+        legalMinInterval.lower * energyRate,
+        legalMinInterval.upper * energyRate
+      )
+      : null;
 
     return {
       date: record.date,
       usage: record.usage_kwh,
       temp: record.temp_mean_f,
       cost: actualCost,
-      yourShare,
-      flatmateShare,
-      occupancy: totalResidents === 0 ? 'none' : totalResidents === 1 ? (you ? 'you-only' : 'flatmate-only') : 'both',
+      shares,
+      unallocated,
+      charges,
+      appliances: applianceCharges,
+      weights,
+      shareMargins,
+      presentResidents,
+      presence,
+      thermostatController: occupancyContext.thermostatController,
+      hourly: hasIntervals(record),
+      painted: isPaintedDay(calendar, record.date),
+      filled: record.filled || null,
       legalMinCost,
+      legalMinInterval,
+      outsideInterval: isOutsideInterval(record.usage_kwh, legalMinInterval),
       excessCost,
     };
   });
@@ -258,8 +378,8 @@ export function calculateTimeWindowSplit(data, dateRange, occupancyPeriods) {
       totalDays: acc.totalDays + 1,
       totalUsage: acc.totalUsage + day.usage,
       totalCost: acc.totalCost + day.cost,
-      yourShare: acc.yourShare + day.yourShare,
-      flatmateShare: acc.flatmateShare + day.flatmateShare,
+      shares: addShares(acc.shares, day.shares),
+      unallocated: acc.unallocated + day.unallocated,
       avgTemp: acc.avgTemp + day.temp,
       legalMinTotal: acc.legalMinTotal + day.legalMinCost,
       excessTotal: acc.excessTotal + day.excessCost,
@@ -268,8 +388,8 @@ export function calculateTimeWindowSplit(data, dateRange, occupancyPeriods) {
       totalDays: 0,
       totalUsage: 0,
       totalCost: 0,
-      yourShare: 0,
-      flatmateShare: 0,
+      shares: createShares(residents),
+      unallocated: 0,
       avgTemp: 0,
       legalMinTotal: 0,
       excessTotal: 0,
@@ -278,6 +398,27 @@ export function calculateTimeWindowSplit(data, dateRange, occupancyPeriods) {
 
   // Calculate average temperature
   totals.avgTemp = totals.totalDays > 0 ? totals.avgTemp / totals.totalDays : 0;
+  totals.charges = sumCharges(dailyBreakdowns.map((day) => day.charges));
+  totals.appliances = sumApplianceCharges(dailyBreakdowns.map((day) => day.appliances));
+  totals.hourlyProfile = getHourlyProfile(filteredData);
+
+  // Margins on the period's shares, when every day has an interval
+  const totalInterval = predictTotalInterval(
+    model,
+    filteredData.map((record, i) => ({
+      ...record,
+      occupancy_count: countPresence(residents, dailyBreakdowns[i].presence),
+    }))
+  );
+  totals.shareMargins = totalInterval && dailyBreakdowns.every((day) => day.shareMargins)
+    ? combineShareMargins(
+      dailyBreakdowns.map((day) => day.shareMargins),
+      dailyBreakdowns.map((day) => day.legalMinInterval.halfWidth),
+      totalInterval.halfWidth
+    )
+    : null;
+  totals.outsideIntervalDays = dailyBreakdowns.filter((day) => day.outsideInterval).length;
+  totals.filledDays = dailyBreakdowns.filter((day) => day.filled).length;
 
   return {
     dateRange,
@@ -293,29 +434,45 @@ export function calculateTimeWindowSplit(data, dateRange, occupancyPeriods) {
  * assuming thermostat is set to legal minimum.
  *
  * @param {number} outdoorTempF - Outdoor temperature in Fahrenheit
+ * @param {Array} residents - Array of { id, name } resident records
+ * @param {Object} policy - Split policy (default: legal minimum policy)
+ * @param {Object} model - Legal minimum baseline model (default: built-in legal minimum model)
+ * @param {Object} schedule - Rate schedule in force (default: built-in schedule)
  * @returns {Object} Predicted costs
  *
  * @example
- * calculatePredictedCost(30)
+ * calculatePredictedCost(30, DEFAULT_RESIDENTS)
  * // Returns:
  * // {
  * //   temp: 30,
- * //   legalMinUsage: 24.11,
- * //   legalMinCost: 4.97,
- * //   yourShare: 2.49,
- * //   flatmateShare: 2.49,
+ * //   legalMinUsage: 24.09,
+ * //   legalMinCost: 5.15,
+ * //   shares: { causio: 2.58, guala: 2.58 },
+ * //   charges: [...],
  * // }
  */
-export function calculatePredictedCost(outdoorTempF) {
-  const legalMinUsage = calculateLegalMinimum(outdoorTempF);
-  const legalMinCost = legalMinUsage * COST_PER_KWH;
-  const shareEach = legalMinCost / 2;
+export function calculatePredictedCost(
+  outdoorTempF,
+  residents = DEFAULT_RESIDENTS,
+  policy = findPolicy(DEFAULT_POLICIES, DEFAULT_POLICY_ID),
+  model = DEFAULT_LEGAL_MIN_MODEL,
+  schedule = DEFAULT_RATE_SCHEDULE
+) {
+  const legalMinUsage = calculateLegalMinimum(outdoorTempF, model);
+
+  // No excess when usage is exactly the legal minimum: only the baseline split applies
+  const { expectedCost: legalMinCost, shares, charges } = splitDayCharges(schedule, policy, {
+    usage: legalMinUsage,
+    expectedUsage: legalMinUsage,
+    residents,
+    presence: createShares(residents, 1),
+  });
 
   return {
     temp: outdoorTempF,
     legalMinUsage,
     legalMinCost,
-    yourShare: shareEach,
-    flatmateShare: shareEach,
+    shares,
+    charges,
   };
 }
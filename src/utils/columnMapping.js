@@ -0,0 +1,364 @@
+/**
+ * Column Mapping
+ *
+ * Reads usage CSVs whose layout isn't the app's own (date, usage_kwh,
+ * temp_mean_f): other utilities' exports with headers like "Read Date",
+ * "Start Time" or "Usage (kWh)", US M/D/YYYY dates, usage in Wh or with
+ * thousands separators, costs with a currency sign and temperatures in °C.
+ * A read type or notes column can be mapped to flag estimated meter reads.
+ *
+ * A mapping says which of the file's columns holds each field and how to
+ * convert it:
+ *   {
+ *     columns: { date: 'Read Date', start_time: 'Start Time', usage_kwh: 'Usage (kWh)', ... },
+ *     dateFormat: 'M/d/yyyy',      // or 'auto'
+ *     usageUnit: 'kWh' | 'Wh',
+ *     temperatureUnit: 'F' | 'C',
+ *   }
+ * Mappings are saved as named import profiles ({ id, name, ...mapping }) and
+ * picked again automatically for files with the same headers. Converted rows
+ * go through the same validation as the app's own CSVs (parseUsageRows).
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+import Papa from 'papaparse';
+import { formatDate, parseDate, parseDateWithFormat } from './dateHelpers';
+import { parseUsageRows } from './csvParser';
+
+/**
+ * Fields a column can be mapped to
+ */
+export const IMPORT_FIELDS = {
+  date: { label: 'Date', required: true },
+  start_time: { label: 'Start time (interval data)', required: false },
+  usage_kwh: { label: 'Usage', required: true },
+  cost_dollars: { label: 'Cost', required: false },
+  temp_mean_f: { label: 'Mean temperature', required: false },
+  temp_min_f: { label: 'Min temperature', required: false },
+  temp_max_f: { label: 'Max temperature', required: false },
+  estimated: { label: 'Estimated read marker', required: false },
+};
+
+/**
+ * Date formats a mapping can read ('auto' guesses per value, like the app's own CSVs)
+ */
+export const DATE_FORMATS = {
+  auto: 'Detect',
+  'yyyy-MM-dd': 'YYYY-MM-DD',
+  'M/d/yyyy': 'M/D/YYYY (US)',
+  'd/M/yyyy': 'D/M/YYYY',
+  'M/d/yy': 'M/D/YY (US)',
+  'd.M.yyyy': 'D.M.YYYY',
+};
+
+/**
+ * Import profiles shipped with the app (none: they're saved from the wizard)
+ */
+export const DEFAULT_IMPORT_PROFILES = [];
+
+// How many of the first rows are searched for the header row
+const HEADER_SEARCH_ROWS = 30;
+
+// Header patterns for detectMapping(), tried in field order; a column is used once
+const HEADER_PATTERNS = {
+  date: /(^|\s)(date|day|timestamp|datetime)(\s|$)|^(interval )?start$/,
+  start_time: /^((interval )?(start )?time|from)$/,
+  usage_kwh: /^(?!.*(cost|charge|amount|rate|price)).*(usage|consumption|energy|kwh|import|delivered)/,
+  cost_dollars: /^(?!.*(per|rate|price)).*(cost|charge|amount|bill)/,
+  temp_min_f: /(min|low).*temp|temp.*(min|low)/,
+  temp_max_f: /(max|high).*temp|temp.*(max|high)/,
+  temp_mean_f: /temp/,
+  estimated: /(estimat|read type|reading type|quality|notes)/,
+};
+
+/**
+ * Create a named import profile from a mapping
+ *
+ * @param {string} name - Profile name
+ * @param {Object} mapping - Mapping
+ * @returns {Object} New import profile
+ */
+export function createImportProfile(name, mapping) {
+  return {
+    id: `import-profile-${Date.now()}`,
+    name,
+    columns: mapping.columns,
+    dateFormat: mapping.dateFormat,
+    usageUnit: mapping.usageUnit,
+    temperatureUnit: mapping.temperatureUnit,
+  };
+}
+
+/**
+ * Read a CSV's layout: where its header row is, the headers and the data rows
+ *
+ * Utility exports often start with a few lines of account details, so the
+ * header is taken to be the first row with as many filled-in cells as the
+ * widest of the first rows.
+ *
+ * @param {string} csvText - Raw CSV text content
+ * @returns {Object} { headers: Array<string>, headerRow (0-based line), rows: Array<Array<string>> }
+ *
+ * @example
+ * const { headers, rows } = readCSVLayout(csvContent);
+ * // headers: ['Read Date', 'Start Time', 'Usage (kWh)', 'Cost']
+ */
+export function readCSVLayout(csvText) {
+  const { data } = Papa.parse(csvText.trim(), { skipEmptyLines: true });
+  const filled = (row) => row.filter((cell) => String(cell).trim() !== '').length;
+  const width = Math.max(0, ...data.slice(0, HEADER_SEARCH_ROWS).map(filled));
+  const headerRow = Math.max(0, data.findIndex((row) => filled(row) === width));
+
+  return {
+    headers: (data[headerRow] || []).map((header) => String(header).trim()),
+    headerRow,
+    rows: data.slice(headerRow + 1),
+  };
+}
+
+/**
+ * Guess a mapping from a file's headers and first rows
+ *
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Data rows (a sample is enough)
+ * @returns {Object} Mapping
+ *
+ * @example
+ * detectMapping(['Read Date', 'Usage (Wh)'], [['12/01/2025', '1,234']])
+ * // { columns: { date: 'Read Date', usage_kwh: 'Usage (Wh)' }, dateFormat: 'M/d/yyyy', usageUnit: 'Wh', temperatureUnit: 'F' }
+ */
+export function detectMapping(headers, rows = []) {
+  const columns = {};
+  const used = new Set();
+
+  Object.entries(HEADER_PATTERNS).forEach(([field, pattern]) => {
+    const header = headers.find((candidate) => {
+      const normalised = normaliseHeader(candidate);
+      return !used.has(candidate) && !/(^|\s)end(\s|$)/.test(normalised) && pattern.test(normalised);
+    });
+    if (header) {
+      columns[field] = header;
+      used.add(header);
+    }
+  });
+
+  const usageHeader = normaliseHeader(columns.usage_kwh || '');
+  const temperatureHeaders = ['temp_mean_f', 'temp_min_f', 'temp_max_f']
+    .map((field) => columns[field] || '')
+    .join(' ')
+    .toLowerCase();
+  const dateIndex = headers.indexOf(columns.date);
+
+  return {
+    columns,
+    dateFormat: dateIndex >= 0 ? detectDateFormat(rows.map((row) => row[dateIndex])) : 'auto',
+    usageUnit: /(^|\s)wh(\s|$)/.test(usageHeader) ? 'Wh' : 'kWh',
+    temperatureUnit: /°c|\(c\)|celsius/.test(temperatureHeaders) ? 'C' : 'F',
+  };
+}
+
+/**
+ * Find the saved profile that fits a file's headers best
+ *
+ * @param {Array} profiles - Import profiles
+ * @param {Array<string>} headers - Column headers
+ * @returns {Object|null} The profile with the most mapped columns, all of them
+ *   in the file, or null when none fits
+ */
+export function findMatchingProfile(profiles, headers) {
+  const fits = profiles.filter((profile) => {
+    const mapped = Object.values(profile.columns);
+    return mapped.length > 0 && mapped.every((header) => headers.includes(header));
+  });
+  fits.sort((a, b) => Object.keys(b.columns).length - Object.keys(a.columns).length);
+  return fits[0] || null;
+}
+
+/**
+ * Check that a mapping has the required fields
+ *
+ * @param {Object} mapping - Mapping
+ * @returns {Array<string>} Errors (empty when the mapping can be used)
+ */
+export function validateMapping(mapping) {
+  return Object.entries(IMPORT_FIELDS)
+    .filter(([field, { required }]) => required && !mapping.columns[field])
+    .map(([, { label }]) => `Choose the column that holds the ${label.toLowerCase()}`);
+}
+
+/**
+ * Convert one row of a file to the app's columns
+ *
+ * A date column that also holds the time ("12/01/2025 13:15") fills in the
+ * start time when no start time column is mapped.
+ *
+ * @param {Array<string>} values - The row's cells
+ * @param {Array<string>} headers - Column headers
+ * @param {Object} mapping - Mapping
+ * @returns {Object} { row } in the columns parseUsageRows() reads, or { error }
+ *
+ * @example
+ * convertRow(['12/1/2025', '1,250'], ['Read Date', 'Usage (Wh)'], mapping)
+ * // { row: { date: '2025-12-01', start_time: '', usage_kwh: 1.25, ... } }
+ */
+export function convertRow(values, headers, mapping) {
+  const cell = (field) => {
+    const index = headers.indexOf(mapping.columns[field]);
+    return index >= 0 ? String(values[index] ?? '').trim() : '';
+  };
+
+  const [, datePart = '', timePart = ''] = cell('date').match(/^(\S+?)(?:(?:T|\s+)(.+))?$/) || [];
+  const date = mapping.dateFormat === 'auto' ? parseDate(datePart) : parseDateWithFormat(datePart, mapping.dateFormat);
+  if (!date) {
+    return { error: `"${cell('date')}" isn't a date${mapping.dateFormat === 'auto' ? '' : ` in ${DATE_FORMATS[mapping.dateFormat]} format`}` };
+  }
+
+  const timeText = mapping.columns.start_time ? cell('start_time') : timePart;
+  const startTime = timeText ? parseTime(timeText) : '';
+  if (startTime === null) {
+    return { error: `"${timeText}" isn't a time of day` };
+  }
+
+  const usage = parseNumber(cell('usage_kwh'));
+  if (usage === null) {
+    return { error: `"${cell('usage_kwh')}" isn't a usage number` };
+  }
+
+  const temperature = (field) => {
+    const value = parseNumber(cell(field));
+    if (value === null) return '';
+    return mapping.temperatureUnit === 'C' ? value * 9 / 5 + 32 : value;
+  };
+
+  return {
+    row: {
+      date: formatDate(date),
+      start_time: startTime,
+      usage_kwh: mapping.usageUnit === 'Wh' ? usage / 1000 : usage,
+      cost_dollars: parseNumber(cell('cost_dollars')) ?? '',
+      temp_mean_f: temperature('temp_mean_f'),
+      temp_min_f: temperature('temp_min_f'),
+      temp_max_f: temperature('temp_max_f'),
+      estimated: cell('estimated'),
+    },
+  };
+}
+
+/**
+ * Parse a CSV with a column mapping
+ *
+ * @param {string} csvText - Raw CSV text content
+ * @param {Object} mapping - Mapping (or import profile)
+ * @returns {Object} Parser result, as parsePECOCSV(); rows the mapping
+ *   couldn't convert are among its invalidRows
+ *
+ * @example
+ * const result = parseMappedCSV(csvContent, profile);
+ * if (result.success) {
+ *   console.log(`Loaded ${result.data.length} days`);
+ * }
+ */
+export function parseMappedCSV(csvText, mapping) {
+  const mappingErrors = validateMapping(mapping);
+  if (mappingErrors.length > 0) {
+    return { success: false, data: [], errors: mappingErrors, warnings: [] };
+  }
+
+  const { headers, headerRow, rows } = readCSVLayout(csvText);
+  const converted = [];
+  const rowNumbers = [];
+  const unconverted = [];
+
+  rows.forEach((values, index) => {
+    // Lines in the file are 1-based and the first data row follows the header
+    const rowNumber = headerRow + index + 2;
+    const { row, error } = convertRow(values, headers, mapping);
+    if (error) {
+      unconverted.push({ row: rowNumber, reason: error });
+    } else {
+      converted.push(row);
+      rowNumbers.push(rowNumber);
+    }
+  });
+
+  const result = parseUsageRows(converted, rowNumbers);
+  const warnings = unconverted.length > 0
+    ? [`${unconverted.length} rows couldn't be converted with this mapping. First: Row ${unconverted[0].row} - ${unconverted[0].reason}`]
+    : [];
+
+  return {
+    ...result,
+    errors: result.success ? result.errors : [...result.errors, 'No rows could be imported with this mapping'],
+    warnings: [...warnings, ...result.warnings],
+    invalidRows: [...unconverted, ...result.invalidRows].sort((a, b) => a.row - b.row),
+    stats: { ...result.stats, total: rows.length, invalid: result.stats.invalid + unconverted.length },
+  };
+}
+
+/**
+ * Guess the format of a column of dates
+ *
+ * Slashed dates are read as US (month first) unless a first part is over 12.
+ *
+ * @param {Array<string>} values - Date cells
+ * @returns {string} A DATE_FORMATS key
+ */
+function detectDateFormat(values) {
+  const dates = values.map((value) => String(value ?? '').trim().split(/T|\s+/)[0]).filter(Boolean);
+  if (dates.length === 0) return 'auto';
+
+  if (dates.every((date) => /^\d{4}-\d{1,2}-\d{1,2}$/.test(date))) return 'yyyy-MM-dd';
+  if (dates.every((date) => /^\d{1,2}\.\d{1,2}\.\d{4}$/.test(date))) return 'd.M.yyyy';
+
+  const slashed = dates.map((date) => date.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/));
+  if (slashed.every(Boolean)) {
+    const twoDigitYears = slashed[0][3].length === 2;
+    if (slashed.some((match) => Number(match[1]) > 12)) return twoDigitYears ? 'auto' : 'd/M/yyyy';
+    return twoDigitYears ? 'M/d/yy' : 'M/d/yyyy';
+  }
+
+  return 'auto';
+}
+
+/**
+ * Read a time of day as HH:mm
+ *
+ * Accepts 24-hour and 12-hour (AM/PM) times, with or without seconds and a
+ * UTC offset ("13:15", "1:15 PM", "13:15:00-05:00").
+ *
+ * @param {string} value - Time text
+ * @returns {string|null} 'HH:mm', or null when it isn't a time
+ */
+function parseTime(value) {
+  const match = value
+    .trim()
+    .replace(/(Z|[+-]\d{2}:?\d{2})$/, '')
+    .match(/^(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*([ap])?\.?m?\.?$/i);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+  if (hours > 23 || Number(match[2]) > 59) return null;
+
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Read a number written with thousands separators, a currency sign or a unit
+ *
+ * @param {string} value - Cell text (e.g. '1,234.5', '$12.30', '3.2 kWh')
+ * @returns {number|null} The number, or null when the cell is empty or not a number
+ */
+function parseNumber(value) {
+  const cleaned = value.replace(/[$€£,\s]/g, '').replace(/[a-z°]+$/i, '');
+  if (cleaned === '') return null;
+  const number = Number(cleaned);
+  return Number.isFinite(number) ? number : null;
+}
+
+function normaliseHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9°]+/g, ' ').trim();
+}
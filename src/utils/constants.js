@@ -1,8 +1,9 @@
 /**
  * Electricity Bill Splitter - Model Constants
  *
- * These constants define the electricity cost model based on actual usage data
- * from Jan 2+ 2026 when thermostat was set to legal minimum (60°F).
+ * These constants define the electricity usage model based on actual usage data
+ * from Jan 2+ 2026 when thermostat was set to legal minimum (60°F). Prices
+ * live in rate schedules (see tariffs.js).
  *
  * The model was derived from 71 days of real data (Oct 31, 2025 - Jan 9, 2026)
  * correlating outdoor temperature with electricity usage.
@@ -24,21 +25,6 @@
 export const LEGAL_MIN_INTERCEPT = 50.97; // kWh/day baseline
 export const LEGAL_MIN_SLOPE = -0.896; // kWh per °F
 
-/**
- * PECO electricity rate as of 2026
- * This includes generation, transmission, and distribution charges
- *
- * Updated to match actual bill (Nov 22 - Dec 29, 2025):
- * - Total charges: $353.25 for 1,652 kWh
- * - Effective rate: $0.2139/kWh
- *
- * Complete breakdown:
- * - PECO Electric Delivery: $170.73
- * - PECO Electric Supply: $182.52
- * - Total: $353.25
- */
-export const COST_PER_KWH = 0.2139; // $/kWh (actual effective rate)
-
 /**
  * Reasonable bounds for legal minimum calculation
  * Used to validate model doesn't produce unrealistic values
@@ -58,3 +44,14 @@ export const MAX_VALID_TEMP = 100; // °F (absolute maximum for calculation)
  * Represents typical winter heating season temperature
  */
 export const DEFAULT_TEMP = 30; // °F
+
+/**
+ * Default household residents
+ *
+ * Each resident has a stable `id` (used as the key in occupancy records and
+ * share maps) and a display `name`. The list is editable from "Manage Data".
+ */
+export const DEFAULT_RESIDENTS = [
+  { id: 'causio', name: 'Causio' },
+  { id: 'guala', name: 'Guala' },
+];
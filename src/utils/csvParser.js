@@ -3,16 +3,36 @@
  *
  * Functions for parsing PECO electricity usage CSV exports.
  * Handles various CSV formats and validates data structure.
+ *
+ * Temperatures are optional: days without one are imported with null
+ * temperatures and get them from the imported weather (see weather.js).
+ *
+ * Rows are normally one day each. Files with a start_time column (HH:mm)
+ * hold hourly or 15-minute intervals instead; their rows are rolled up into
+ * one record per day that keeps its intervals (see hourly.js).
+ *
+ * Rows marked as estimated meter reads (an estimated column, or a read_type
+ * or notes column mentioning an estimate) are flagged on their day, for the
+ * data quality report (see dataQuality.js). So are dates with more than one
+ * daily row: the last row is kept, with how many rows the date had.
  */
 
 import Papa from 'papaparse';
 import { parseDate, formatDate } from './dateHelpers';
+import { DEFAULT_RATE_SCHEDULES, calculateDayCost } from './tariffs';
+import { rollUpIntervals } from './hourly';
+
+const MINUTES_PER_HOUR = 60;
+
+// Values of an estimated column that mark a row as an estimated meter read
+const ESTIMATED_FLAGS = ['true', 'yes', 'y', '1', 'e', 'est', 'estimated'];
 
 /**
  * Parse PECO CSV export data
  *
  * @param {string} csvText - Raw CSV text content
- * @returns {Object} { success: boolean, data: Array, errors: Array, warnings: Array }
+ * @returns {Object} { success: boolean, data: Array, errors: Array, warnings: Array,
+ *   invalidRows: [{ row, reason }], duplicates: [{ date, rows }], stats: Object }
  *
  * @example
  * const result = parsePECOCSV(csvContent);
@@ -22,7 +42,6 @@ import { parseDate, formatDate } from './dateHelpers';
  */
 export function parsePECOCSV(csvText) {
   const errors = [];
-  const warnings = [];
 
   try {
     // Parse CSV using papaparse
@@ -42,7 +61,7 @@ export function parsePECOCSV(csvText) {
     const data = parseResult.data;
 
     // Validate required columns
-    const requiredColumns = ['date', 'usage_kwh', 'temp_mean_f'];
+    const requiredColumns = ['date', 'usage_kwh'];
     const missingColumns = requiredColumns.filter(
       (col) => !Object.keys(data[0] || {}).includes(col)
     );
@@ -56,111 +75,255 @@ export function parsePECOCSV(csvText) {
       };
     }
 
-    // Transform and validate each record
-    const validRecords = [];
-    const invalidRecords = [];
-
-    data.forEach((record, index) => {
-      try {
-        // Validate date
-        const dateObj = parseDate(record.date);
-        if (!dateObj) {
-          invalidRecords.push({ row: index + 2, reason: 'Invalid date format', record });
-          return;
-        }
+    const result = parseUsageRows(data);
+    return { ...result, errors: [...errors, ...result.errors] };
+  } catch (err) {
+    return {
+      success: false,
+      data: [],
+      errors: [`Failed to parse CSV: ${err.message}`],
+      warnings: [],
+    };
+  }
+}
 
-        // Validate numeric fields
-        const usage = parseFloat(record.usage_kwh);
-        const temp = parseFloat(record.temp_mean_f);
+/**
+ * Validate usage rows and turn them into daily records
+ *
+ * Rows have the column names parsePECOCSV() expects (date, usage_kwh, and
+ * optionally start_time, cost_dollars, temp_mean_f / temp_min_f / temp_max_f
+ * and an estimated-read marker); column-mapped imports convert their rows to
+ * these first. Days with an estimated read get `estimated: true`, and days
+ * with more than one row keep the last with `duplicateRows` (how many there were).
+ *
+ * @param {Array} data - Row objects
+ * @param {Array<number>} rowNumbers - Line of the file each row came from, for
+ *   messages (default: the line after a one-line header)
+ * @returns {Object} Parser result, as parsePECOCSV()
+ */
+export function parseUsageRows(data, rowNumbers = null) {
+  const warnings = [];
+  const rowNumber = (index) => (rowNumbers ? rowNumbers[index] : index + 2);
 
-        if (isNaN(usage) || usage < 0) {
-          invalidRecords.push({ row: index + 2, reason: 'Invalid usage value', record });
-          return;
-        }
+  // Transform and validate each record
+  const validRecords = [];
+  const invalidRecords = [];
+  const intervalRows = [];
+  let missingTemperatures = 0;
 
-        if (isNaN(temp) || temp < -50 || temp > 150) {
-          warnings.push(
-            `Row ${index + 2}: Unusual temperature (${temp}°F) - please verify`
-          );
-        }
+  data.forEach((record, index) => {
+    try {
+      // Validate date
+      const dateObj = parseDate(record.date);
+      if (!dateObj) {
+        invalidRecords.push({ row: rowNumber(index), reason: 'Invalid date format', record });
+        return;
+      }
 
-        // Normalize record
-        validRecords.push({
-          date: formatDate(dateObj),
-          usage_kwh: usage,
-          temp_mean_f: temp,
-          temp_min_f: parseFloat(record.temp_min_f) || temp,
-          temp_max_f: parseFloat(record.temp_max_f) || temp,
-          cost_dollars: parseFloat(record.cost_dollars) || usage * 0.2061,
-        });
-      } catch (err) {
-        invalidRecords.push({ row: index + 2, reason: err.message, record });
+      // Days the app filled in for gaps (see gapFilling.js) aren't meter reads
+      if (String(record.filled ?? '').trim()) {
+        invalidRecords.push({ row: rowNumber(index), reason: 'Filled-in gap, not a meter read', record });
+        return;
       }
-    });
 
-    if (invalidRecords.length > 0) {
-      warnings.push(
-        `${invalidRecords.length} invalid records skipped. First error: Row ${invalidRecords[0].row} - ${invalidRecords[0].reason}`
-      );
-    }
+      // Validate numeric fields
+      const usage = parseFloat(record.usage_kwh);
+      const temp = isNaN(parseFloat(record.temp_mean_f)) ? null : parseFloat(record.temp_mean_f);
 
-    // Sort by date
-    validRecords.sort((a, b) => a.date.localeCompare(b.date));
+      if (isNaN(usage) || usage < 0) {
+        invalidRecords.push({ row: rowNumber(index), reason: 'Invalid usage value', record });
+        return;
+      }
 
-    // Check for duplicates
-    const duplicates = [];
-    const seenDates = new Set();
-    validRecords.forEach((record) => {
-      if (seenDates.has(record.date)) {
-        duplicates.push(record.date);
+      if (temp === null) {
+        missingTemperatures += 1;
+      } else if (temp < -50 || temp > 150) {
+        warnings.push(
+          `Row ${rowNumber(index)}: Unusual temperature (${temp}°F) - please verify`
+        );
       }
-      seenDates.add(record.date);
-    });
 
-    if (duplicates.length > 0) {
-      warnings.push(
-        `Found duplicate dates: ${duplicates.slice(0, 5).join(', ')}${duplicates.length > 5 ? '...' : ''}. Keeping latest entries.`
-      );
-      // Remove duplicates (keep last occurrence)
-      const uniqueRecords = [];
-      const seen = new Set();
-      for (let i = validRecords.length - 1; i >= 0; i--) {
-        if (!seen.has(validRecords[i].date)) {
-          uniqueRecords.unshift(validRecords[i]);
-          seen.add(validRecords[i].date);
+      // Interval rows are rolled up into their day below
+      const date = formatDate(dateObj);
+      const startTime = String(record.start_time ?? '').trim();
+      if (startTime) {
+        if (!/^\d{1,2}:\d{2}$/.test(startTime)) {
+          invalidRecords.push({ row: rowNumber(index), reason: 'Invalid start time', record });
+          return;
         }
+        intervalRows.push({
+          date,
+          start: startTime.padStart(5, '0'),
+          kwh: usage,
+          temp,
+          tempMin: parseFloat(record.temp_min_f) || temp,
+          tempMax: parseFloat(record.temp_max_f) || temp,
+          cost: parseFloat(record.cost_dollars),
+          estimated: isEstimatedRead(record),
+        });
+        return;
       }
-      uniqueRecords.sort((a, b) => a.date.localeCompare(b.date));
+
+      // Normalize record (files without costs are priced with the built-in rate schedules)
+      const day = {
+        date,
+        usage_kwh: usage,
+        temp_mean_f: temp,
+        temp_min_f: parseFloat(record.temp_min_f) || temp,
+        temp_max_f: parseFloat(record.temp_max_f) || temp,
+        cost_dollars: parseFloat(record.cost_dollars) || calculateDayCost(DEFAULT_RATE_SCHEDULES, date, usage),
+      };
+      if (isEstimatedRead(record)) {
+        day.estimated = true;
+      }
+      validRecords.push(day);
+    } catch (err) {
+      invalidRecords.push({ row: rowNumber(index), reason: err.message, record });
     }
+  });
 
-    return {
-      success: validRecords.length > 0,
-      data: validRecords,
-      errors,
-      warnings,
-      stats: {
-        total: data.length,
-        valid: validRecords.length,
-        invalid: invalidRecords.length,
-        dateRange: validRecords.length > 0 ? {
-          start: validRecords[0].date,
-          end: validRecords[validRecords.length - 1].date,
-        } : null,
-      },
-    };
-  } catch (err) {
-    return {
-      success: false,
-      data: [],
-      errors: [`Failed to parse CSV: ${err.message}`],
-      warnings: [],
-    };
+  if (missingTemperatures > 0) {
+    warnings.push(
+      `${missingTemperatures} rows have no temperature; they take it from the imported weather, or are flagged until there is one`
+    );
   }
+
+  if (invalidRecords.length > 0) {
+    warnings.push(
+      `${invalidRecords.length} invalid records skipped. First error: Row ${invalidRecords[0].row} - ${invalidRecords[0].reason}`
+    );
+  }
+
+  validRecords.push(...rollUpIntervalRows(intervalRows));
+
+  // Sort by date
+  validRecords.sort((a, b) => a.date.localeCompare(b.date));
+
+  // Check for duplicates
+  const rowsByDate = new Map();
+  validRecords.forEach((record) => {
+    rowsByDate.set(record.date, (rowsByDate.get(record.date) || 0) + 1);
+  });
+  const duplicates = [...rowsByDate.entries()]
+    .filter(([, rows]) => rows > 1)
+    .map(([date, rows]) => ({ date, rows }));
+
+  if (duplicates.length > 0) {
+    const dates = duplicates.map((duplicate) => duplicate.date);
+    warnings.push(
+      `Found duplicate dates: ${dates.slice(0, 5).join(', ')}${dates.length > 5 ? '...' : ''}. Keeping latest entries.`
+    );
+  }
+
+  // Remove duplicates (keep last occurrence, noting how many rows the date had)
+  const uniqueRecords = [];
+  const seen = new Set();
+  for (let i = validRecords.length - 1; i >= 0; i--) {
+    const record = validRecords[i];
+    if (!seen.has(record.date)) {
+      const rows = rowsByDate.get(record.date);
+      uniqueRecords.unshift(rows > 1 ? { ...record, duplicateRows: rows } : record);
+      seen.add(record.date);
+    }
+  }
+
+  return {
+    success: uniqueRecords.length > 0,
+    data: uniqueRecords,
+    errors: [],
+    warnings,
+    invalidRows: invalidRecords.map(({ row, reason }) => ({ row, reason })),
+    duplicates,
+    stats: {
+      total: data.length,
+      valid: uniqueRecords.length,
+      invalid: invalidRecords.length,
+      dateRange: uniqueRecords.length > 0 ? {
+        start: uniqueRecords[0].date,
+        end: uniqueRecords[uniqueRecords.length - 1].date,
+      } : null,
+    },
+  };
+}
+
+/**
+ * Roll interval rows up into one record per day
+ *
+ * Each interval lasts until the next one starts; the day's last interval is
+ * as long as the shortest gap between its intervals (an hour if it has only
+ * one). Temperatures are the mean of the intervals' means and the extremes of
+ * their lows and highs.
+ *
+ * @param {Array} rows - [{ date, start: 'HH:mm', kwh, temp, tempMin, tempMax, cost, estimated }]
+ * @returns {Array} Daily usage records with their intervals
+ */
+function rollUpIntervalRows(rows) {
+  const byDate = new Map();
+  rows.forEach((row) => {
+    byDate.set(row.date, [...(byDate.get(row.date) || []), row]);
+  });
+
+  return [...byDate.entries()].map(([date, dayRows]) => {
+    const sorted = [...dayRows].sort((a, b) => a.start.localeCompare(b.start));
+    const startMinutes = sorted.map((row) => {
+      const [hours, minutes] = row.start.split(':').map(Number);
+      return hours * MINUTES_PER_HOUR + minutes;
+    });
+    const gaps = startMinutes.slice(1).map((start, i) => start - startMinutes[i]).filter((gap) => gap > 0);
+    const lastMinutes = gaps.length > 0 ? Math.min(...gaps) : MINUTES_PER_HOUR;
+
+    const { usage_kwh: usage, intervals } = rollUpIntervals(sorted.map((row, i) => ({
+      start: row.start,
+      minutes: i < sorted.length - 1 ? startMinutes[i + 1] - startMinutes[i] : lastMinutes,
+      kwh: row.kwh,
+    })));
+    const hasCost = sorted.every((row) => !isNaN(row.cost));
+    const withTemperature = sorted.filter((row) => row.temp !== null);
+    const hasTemperature = withTemperature.length > 0;
+
+    const day = {
+      date,
+      usage_kwh: usage,
+      temp_mean_f: hasTemperature
+        ? withTemperature.reduce((sum, row) => sum + row.temp, 0) / withTemperature.length
+        : null,
+      temp_min_f: hasTemperature ? Math.min(...withTemperature.map((row) => row.tempMin)) : null,
+      temp_max_f: hasTemperature ? Math.max(...withTemperature.map((row) => row.tempMax)) : null,
+      cost_dollars: hasCost
+        ? sorted.reduce((sum, row) => sum + row.cost, 0)
+        : calculateDayCost(DEFAULT_RATE_SCHEDULES, date, usage),
+      intervals,
+    };
+    if (sorted.some((row) => row.estimated)) {
+      day.estimated = true;
+    }
+    return day;
+  });
+}
+
+/**
+ * Whether a row is marked as an estimated meter read
+ *
+ * Marked by an estimated column (true, yes, 1, E, est, or any text
+ * mentioning an estimate) or by a read_type or notes column mentioning one.
+ *
+ * @param {Object} record - Row object
+ * @returns {boolean}
+ */
+function isEstimatedRead(record) {
+  const flag = String(record.estimated ?? '').trim().toLowerCase();
+  if (ESTIMATED_FLAGS.includes(flag)) return true;
+  return [record.estimated, record.read_type, record.notes].some((text) => /estimat/i.test(String(text ?? '')));
 }
 
 /**
  * Convert parsed data to CSV format for export
  *
+ * One row per day: days imported from interval data are exported as their
+ * daily roll-up. Estimated meter reads are marked in the estimated column,
+ * and days filled in for gaps with how they were filled in the filled column
+ * (those rows are skipped if the file is imported again).
+ *
  * @param {Array} data - Array of usage records
  * @returns {string} CSV text content
  *
@@ -180,6 +343,8 @@ export function exportToCSV(data) {
     'temp_mean_f',
     'temp_min_f',
     'temp_max_f',
+    'estimated',
+    'filled',
   ];
 
   const csv = Papa.unparse({
@@ -188,15 +353,22 @@ export function exportToCSV(data) {
       record.date,
       record.usage_kwh.toFixed(2),
       record.cost_dollars ? record.cost_dollars.toFixed(4) : '',
-      record.temp_mean_f.toFixed(2),
-      record.temp_min_f.toFixed(2),
-      record.temp_max_f.toFixed(2),
+      formatTemperature(record.temp_mean_f),
+      formatTemperature(record.temp_min_f),
+      formatTemperature(record.temp_max_f),
+      record.estimated ? 'true' : '',
+      record.filled || '',
     ]),
   });
 
   return csv;
 }
 
+// Days without a temperature export an empty cell
+function formatTemperature(temp) {
+  return typeof temp === 'number' ? temp.toFixed(2) : '';
+}
+
 /**
  * Download a file in the browser
  *
@@ -0,0 +1,183 @@
+/**
+ * Data Quality
+ *
+ * Checks the stored usage for problems that would skew the models or the
+ * splits, and keeps the days the household has decided to leave out:
+ *   exclusions: { [date]: { fitting: true, splitting: true } }
+ *
+ * A day excluded from fitting is left out of the data baseline models are
+ * fitted on; a day excluded from splitting is left out of the bills and
+ * splits, like a missing day. The report flags:
+ *   - missing dates between the first and last day of usage
+ *   - duplicate dates: several rows for a date in the file it was imported
+ *     from (the parser keeps the last and records how many, see csvParser.js),
+ *     or several records stored for it
+ *   - days with zero usage
+ *   - outliers: usage more than OUTLIER_SIGMAS residual standard deviations
+ *     from a baseline model's prediction. Above the prediction only counts
+ *     inside the model's training range: elsewhere a baseline (e.g. the legal
+ *     minimum) expects usage above it from heating. Below it counts anywhere
+ *   - estimated meter reads (see csvParser.js and greenButton.js)
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+import { getDateRange } from './dateHelpers';
+import { predictDayUsage } from './models';
+
+/**
+ * Checks the report runs
+ */
+export const QUALITY_CHECKS = {
+  missing: { label: 'Missing date', color: '#6b7280' },
+  duplicate: { label: 'Duplicate date', color: '#7c3aed' },
+  zero: { label: 'Zero usage', color: '#dc2626' },
+  outlier: { label: 'Outlier', color: '#d97706' },
+  estimated: { label: 'Estimated read', color: '#2563eb' },
+};
+
+/**
+ * What a day can be excluded from
+ */
+export const EXCLUSION_USES = {
+  fitting: 'Model fitting',
+  splitting: 'Splitting',
+};
+
+/**
+ * Days excluded by default (none)
+ */
+export const DEFAULT_DATA_EXCLUSIONS = {};
+
+/**
+ * How far from a model's prediction a day's usage has to be, in residual
+ * standard deviations, to be an outlier
+ */
+export const OUTLIER_SIGMAS = 3;
+
+/**
+ * Check usage records for problems
+ *
+ * @param {Array} records - Daily usage records (temperatures where known)
+ * @param {Object|null} model - Baseline model outliers are measured against
+ *   (none: no outlier check)
+ * @returns {Object} { days, dateRange, issues, counts }
+ *   issues: [{ date, checks: Array<string>, usage_kwh, expected, sigmas, count }] by date
+ *     (usage null for missing dates; expected and sigmas null without a prediction;
+ *     count is how many rows or records the date has)
+ *   counts: { [check]: number of dates }
+ *
+ * @example
+ * const { issues, counts } = getDataQualityReport(historicalData, legalMinModel);
+ * console.log(`${counts.missing} missing days, ${counts.outlier} outliers`);
+ */
+export function getDataQualityReport(records, model = null) {
+  const sorted = [...records].sort((a, b) => a.date.localeCompare(b.date));
+  const byDate = new Map();
+  sorted.forEach((record) => {
+    byDate.set(record.date, [...(byDate.get(record.date) || []), record]);
+  });
+
+  const sigma = model?.fit?.residualStdDev;
+  const issues = [];
+
+  byDate.forEach((dayRecords, date) => {
+    const record = dayRecords[dayRecords.length - 1];
+    const count = Math.max(dayRecords.length, ...dayRecords.map((r) => r.duplicateRows || 1));
+    const checks = [];
+    if (count > 1) checks.push('duplicate');
+    if (record.usage_kwh === 0) checks.push('zero');
+    if (dayRecords.some((r) => r.estimated)) checks.push('estimated');
+
+    const expected = model && typeof record.temp_mean_f === 'number' ? predictDayUsage(model, record) : null;
+    const sigmas = expected !== null && Number.isFinite(expected) && sigma > 0
+      ? (record.usage_kwh - expected) / sigma
+      : null;
+    if (sigmas !== null && (sigmas < -OUTLIER_SIGMAS || (sigmas > OUTLIER_SIGMAS && isInTrainingRange(model, date)))) {
+      checks.push('outlier');
+    }
+
+    if (checks.length > 0) {
+      issues.push({ date, checks, usage_kwh: record.usage_kwh, expected: sigmas === null ? null : expected, sigmas, count });
+    }
+  });
+
+  if (sorted.length > 0) {
+    getDateRange(sorted[0].date, sorted[sorted.length - 1].date)
+      .filter((date) => !byDate.has(date))
+      .forEach((date) => {
+        issues.push({ date, checks: ['missing'], usage_kwh: null, expected: null, sigmas: null, count: 0 });
+      });
+  }
+
+  issues.sort((a, b) => a.date.localeCompare(b.date));
+
+  return {
+    days: byDate.size,
+    dateRange: sorted.length > 0 ? { start: sorted[0].date, end: sorted[sorted.length - 1].date } : null,
+    issues,
+    counts: Object.fromEntries(
+      Object.keys(QUALITY_CHECKS).map((check) => [check, issues.filter((issue) => issue.checks.includes(check)).length])
+    ),
+  };
+}
+
+function isInTrainingRange(model, date) {
+  return Boolean(model.trainingRange) && date >= model.trainingRange.start && date <= model.trainingRange.end;
+}
+
+/**
+ * Whether a day is excluded from fitting or splitting
+ *
+ * @param {Object} exclusions - Data exclusions
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} use - 'fitting' | 'splitting'
+ * @returns {boolean}
+ */
+export function isExcluded(exclusions, date, use) {
+  return Boolean(exclusions[date]?.[use]);
+}
+
+/**
+ * Leave excluded days out of usage records
+ *
+ * @param {Array} records - Daily usage records
+ * @param {Object} exclusions - Data exclusions
+ * @param {string} use - 'fitting' | 'splitting'
+ * @returns {Array} Records that aren't excluded from that use
+ */
+export function excludeDays(records, exclusions, use) {
+  return records.filter((record) => !isExcluded(exclusions, record.date, use));
+}
+
+/**
+ * Exclude a day from (or include it back into) fitting or splitting
+ *
+ * @param {Object} exclusions - Data exclusions
+ * @param {Array<string>} dates - Dates (YYYY-MM-DD)
+ * @param {string} use - 'fitting' | 'splitting'
+ * @param {boolean} excluded - Whether the days are excluded
+ * @returns {Object} Updated exclusions (days excluded from nothing are dropped)
+ *
+ * @example
+ * setExclusion({}, ['2025-12-25'], 'fitting', true)
+ * // { '2025-12-25': { fitting: true } }
+ */
+export function setExclusion(exclusions, dates, use, excluded) {
+  const updated = { ...exclusions };
+  dates.forEach((date) => {
+    const day = { ...updated[date] };
+    if (excluded) {
+      day[use] = true;
+    } else {
+      delete day[use];
+    }
+
+    if (Object.keys(day).length > 0) {
+      updated[date] = day;
+    } else {
+      delete updated[date];
+    }
+  });
+  return updated;
+}
@@ -5,7 +5,7 @@
  * Uses date-fns for robust date operations.
  */
 
-import { format, parseISO, isValid, differenceInDays, addDays } from 'date-fns';
+import { format, parse, parseISO, isValid, differenceInDays, addDays, addMonths, isWeekend, getDay, endOfMonth } from 'date-fns';
 
 /**
  * Format date to YYYY-MM-DD string (ISO format)
@@ -23,6 +23,19 @@ export function formatDate(date) {
   return format(date, 'yyyy-MM-dd');
 }
 
+/**
+ * Format the time of day to HH:mm (24-hour)
+ *
+ * @param {Date} date - Date object
+ * @returns {string} Formatted time string
+ *
+ * @example
+ * formatTime(new Date(2026, 0, 15, 7, 30)) // '07:30'
+ */
+export function formatTime(date) {
+  return format(date, 'HH:mm');
+}
+
 /**
  * Parse date string to Date object
  *
@@ -60,6 +73,25 @@ export function parseDate(dateString) {
   }
 }
 
+/**
+ * Parse a date string written in a known format
+ *
+ * Unlike parseDate(), the format isn't guessed, so 03/04/2026 is read the
+ * same way on every row.
+ *
+ * @param {string} dateString - Date string
+ * @param {string} formatStr - date-fns format (e.g. 'M/d/yyyy')
+ * @returns {Date|null} Date object or null if the string isn't in that format
+ *
+ * @example
+ * parseDateWithFormat('1/15/2026', 'M/d/yyyy') // Date object
+ * parseDateWithFormat('15/1/2026', 'M/d/yyyy') // null
+ */
+export function parseDateWithFormat(dateString, formatStr) {
+  const date = parse(dateString.trim(), formatStr, new Date());
+  return isValid(date) ? date : null;
+}
+
 /**
  * Validate date range
  *
@@ -205,3 +237,54 @@ export function getDaysInRange(startDate, endDate) {
 
   return differenceInDays(end, start) + 1;
 }
+
+/**
+ * Check whether a date falls on a Saturday or Sunday
+ *
+ * @param {string} dateString - Date string
+ * @returns {boolean|null} Whether the date is a weekend day, or null if the date is invalid
+ *
+ * @example
+ * isWeekendDate('2026-01-03') // true (Saturday)
+ */
+export function isWeekendDate(dateString) {
+  const date = parseDate(dateString);
+  return date ? isWeekend(date) : null;
+}
+
+/**
+ * Lay out a month as calendar weeks (Sunday first)
+ *
+ * @param {string} month - Month string (YYYY-MM)
+ * @returns {Array<Array<string|null>>} Weeks of 7 date strings, null outside the month
+ *
+ * @example
+ * getMonthWeeks('2026-01')[0]
+ * // [null, null, null, null, '2026-01-01', '2026-01-02', '2026-01-03']
+ */
+export function getMonthWeeks(month) {
+  const first = parseDate(`${month}-01`);
+  if (!first) return [];
+
+  const days = [
+    ...Array(getDay(first)).fill(null),
+    ...getDateRange(formatDate(first), formatDate(endOfMonth(first))),
+  ];
+  while (days.length % 7 !== 0) days.push(null);
+
+  return Array.from({ length: days.length / 7 }, (_, i) => days.slice(i * 7, i * 7 + 7));
+}
+
+/**
+ * Move a month forwards or backwards
+ *
+ * @param {string} month - Month string (YYYY-MM)
+ * @param {number} delta - Number of months to move (negative = back)
+ * @returns {string} Month string (YYYY-MM)
+ *
+ * @example
+ * shiftMonth('2026-01', -1) // '2025-12'
+ */
+export function shiftMonth(month, delta) {
+  return format(addMonths(parseDate(`${month}-01`), delta), 'yyyy-MM');
+}
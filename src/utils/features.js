@@ -0,0 +1,104 @@
+/**
+ * Regression Features
+ *
+ * Day-level inputs a multiple-regression baseline model can use. Each
+ * feature reads one number from a daily usage record:
+ *   { date, usage_kwh, temp_mean_f, temp_min_f, temp_max_f, occupancy_count }
+ *
+ * Heating degree-days are worked out from the mean temperature (see
+ * weather.js), so they're available whether or not weather was imported.
+ *
+ * occupancy_count isn't part of the imported data; it is added from the
+ * bills' occupancy (see addOccupancyCounts in bills.js).
+ */
+
+import { isWeekendDate } from './dateHelpers';
+import { getDegreeDays } from './weather';
+
+/**
+ * Features available to multiple-regression models
+ */
+export const REGRESSION_FEATURES = [
+  { id: 'temp_mean_f', label: 'Mean temperature', unit: '°F' },
+  { id: 'temp_min_f', label: 'Min temperature', unit: '°F' },
+  { id: 'temp_max_f', label: 'Max temperature', unit: '°F' },
+  { id: 'hdd_f', label: 'Heating degree-days', unit: '°F·day' },
+  { id: 'weekend', label: 'Weekend', unit: 'day' },
+  { id: 'occupancy', label: 'Occupancy', unit: 'person' },
+];
+
+/**
+ * Look up a feature definition
+ *
+ * @param {string} featureId - Feature id
+ * @returns {Object|null} Feature definition, or null when unknown
+ */
+export function findFeature(featureId) {
+  return REGRESSION_FEATURES.find((feature) => feature.id === featureId) || null;
+}
+
+/**
+ * Read a feature value from a daily record
+ *
+ * @param {string} featureId - Feature id
+ * @param {Object} day - Daily usage record
+ * @returns {number|null} Feature value, or null when the record doesn't have it
+ *
+ * @example
+ * getFeatureValue('weekend', { date: '2026-01-03' }) // 1
+ */
+export function getFeatureValue(featureId, day) {
+  let value;
+  if (featureId === 'weekend') {
+    const weekend = isWeekendDate(day.date);
+    value = weekend === null ? null : Number(weekend);
+  } else if (featureId === 'occupancy') {
+    value = day.occupancy_count;
+  } else if (featureId === 'hdd_f') {
+    value = typeof day.temp_mean_f === 'number' ? getDegreeDays(day.temp_mean_f).hdd : null;
+  } else {
+    value = day[featureId];
+  }
+  return typeof value === 'number' && !isNaN(value) ? value : null;
+}
+
+/**
+ * Average of each feature over a set of records
+ *
+ * Used to fill in features a prediction doesn't have (e.g. the temperature
+ * slider only gives a mean temperature).
+ *
+ * @param {Array} data - Daily usage records
+ * @returns {Object} { [featureId]: mean | null }
+ */
+export function getFeatureMeans(data) {
+  return Object.fromEntries(REGRESSION_FEATURES.map((feature) => {
+    const values = data.map((day) => getFeatureValue(feature.id, day)).filter((value) => value !== null);
+    return [feature.id, values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null];
+  }));
+}
+
+/**
+ * Read a feature value, filling in a typical value when the record lacks it
+ *
+ * A missing min/max temperature is estimated from the mean temperature using
+ * the average min/max spread; other missing features take their average.
+ *
+ * @param {string} featureId - Feature id
+ * @param {Object} day - Daily usage record (may only have temp_mean_f)
+ * @param {Object|null} featureMeans - Averages from getFeatureMeans()
+ * @returns {number|null} Feature value, or null when it can't be estimated
+ */
+export function resolveFeatureValue(featureId, day, featureMeans) {
+  const value = getFeatureValue(featureId, day);
+  if (value !== null) return value;
+
+  const mean = featureMeans?.[featureId] ?? null;
+  if (mean === null) return null;
+
+  const isTemperatureRange = featureId === 'temp_min_f' || featureId === 'temp_max_f';
+  if (isTemperatureRange && typeof day.temp_mean_f === 'number' && featureMeans.temp_mean_f !== null) {
+    return day.temp_mean_f + (mean - featureMeans.temp_mean_f);
+  }
+  return mean;
+}
@@ -0,0 +1,192 @@
+/**
+ * Gap Filling
+ *
+ * The splits only see days that have a record, so a bill with missing days
+ * under-charges everyone and its totals don't match what was billed. These
+ * helpers fill the gaps before the splits run:
+ *   - days with no usage between the first and last day of usage get an
+ *     estimated record
+ *   - days with usage but no temperature get one from the weather or from
+ *     their neighbours, instead of being left out
+ *
+ * Days excluded from splitting (see dataQuality.js) have a record, so they
+ * are never filled: they stay out of the splits, as the household chose.
+ *
+ * A filled day is marked with how its usage was estimated:
+ *   { date, usage_kwh, temp_mean_f, ..., cost_dollars, filled: 'interpolate' | 'model' | 'residual' }
+ * and a day whose temperature was filled with `temp_filled: true`. Filled
+ * days are never stored with the usage: they're worked out again from the
+ * usage each time.
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+import { getDateRange, getDaysInRange } from './dateHelpers';
+import { predictDayUsage } from './models';
+import { DEFAULT_RATE_SCHEDULES, calculateDayCost } from './tariffs';
+
+/**
+ * Ways of estimating a missing day's usage
+ */
+export const GAP_FILL_STRATEGIES = {
+  none: {
+    label: 'Leave gaps out',
+    description: 'Days without usage or a temperature are skipped, so bills with gaps come out short.',
+  },
+  interpolate: {
+    label: 'Interpolate from neighbours',
+    description: 'Usage is drawn in a straight line between the nearest days either side of the gap.',
+  },
+  model: {
+    label: 'Predict from baseline model',
+    description: 'Usage is the legal minimum baseline for the day\'s temperature, so nobody is charged excess heating for it.',
+  },
+  residual: {
+    label: 'Distribute bill residual',
+    description: 'The billed kWh the daily data doesn\'t account for are shared evenly over the bill\'s missing days (interpolated outside bills with billed kWh).',
+  },
+};
+
+/**
+ * Gap filling used until another strategy is chosen (what the splits have
+ * always done)
+ */
+export const DEFAULT_GAP_FILLING = { strategy: 'none' };
+
+/**
+ * Fill the gaps in usage records
+ *
+ * With the residual strategy every day of a bill with billed kWh is filled,
+ * even past the last day of usage, so the bill's days add up to what it
+ * billed; otherwise only days between the first and last day of usage are.
+ *
+ * @param {Array} records - Daily usage records with temperatures
+ * @param {Array} withoutTemperature - Daily usage records that have no temperature
+ * @param {string} strategy - Key of GAP_FILL_STRATEGIES
+ * @param {Object} options - { model, bills, weather, schedules, excluded }
+ *   model: legal minimum baseline model (model strategy)
+ *   bills: bill records with kwhBilled (residual strategy)
+ *   excluded: records excluded from splitting; their dates aren't gaps, and
+ *     their usage counts towards the bill (residual strategy)
+ *   weather: stored weather by date, used for missing days' temperatures
+ *   schedules: rate schedules the filled days are costed with
+ * @returns {Object} { data: records with the gaps filled (sorted by date), filled: filled records }
+ *
+ * @example
+ * const { data, filled } = fillGaps(historicalData, missingTemperature, 'interpolate');
+ * filled[0] // { date: '2025-12-05', usage_kwh: 27.3, ..., filled: 'interpolate' }
+ */
+export function fillGaps(records, withoutTemperature, strategy, options = {}) {
+  if (!strategy || strategy === 'none') return { data: records, filled: [] };
+
+  const { model = null, bills = [], weather = {}, schedules = DEFAULT_RATE_SCHEDULES, excluded = [] } = options;
+  const known = [...records, ...withoutTemperature].sort((a, b) => a.date.localeCompare(b.date));
+  if (known.length === 0) return { data: records, filled: [] };
+
+  const withTemperature = known.filter((record) => typeof record.temp_mean_f === 'number');
+  const knownDates = new Set([...known, ...excluded].map((record) => record.date));
+  const filled = [];
+
+  // Usage with its temperature filled in
+  withoutTemperature.forEach((record) => {
+    const temperature = getTemperature(record.date, weather, withTemperature);
+    if (!temperature) return;
+    const day = { ...record, ...temperature, temp_filled: true };
+    delete day.temp_missing;
+    filled.push(day);
+  });
+
+  // Days with no usage at all
+  const billsWithUsage = strategy === 'residual' ? bills.filter((bill) => Number(bill.kwhBilled) > 0) : [];
+  const gapDates = new Set(getDateRange(known[0].date, known[known.length - 1].date).filter((date) => !knownDates.has(date)));
+  billsWithUsage.forEach((bill) => {
+    getDateRange(bill.start, bill.end).filter((date) => !knownDates.has(date)).forEach((date) => gapDates.add(date));
+  });
+
+  // Billed kWh the daily data doesn't account for, per missing day of each bill
+  const residuals = new Map();
+  billsWithUsage.forEach((bill) => {
+    const billGaps = [...gapDates].filter((date) => date >= bill.start && date <= bill.end);
+    const recorded = [...known, ...excluded]
+      .filter((record) => record.date >= bill.start && record.date <= bill.end)
+      .reduce((sum, record) => sum + record.usage_kwh, 0);
+    billGaps.forEach((date) => residuals.set(date, Math.max(0, Number(bill.kwhBilled) - recorded) / billGaps.length));
+  });
+
+  [...gapDates].forEach((date) => {
+    const temperature = getTemperature(date, weather, withTemperature);
+    if (!temperature) return;
+
+    let usage = null;
+    let method = strategy;
+    if (strategy === 'model') {
+      usage = predictDayUsage(model, { date, ...temperature, occupancy_count: null });
+    } else if (strategy === 'residual') {
+      usage = residuals.has(date) ? residuals.get(date) : null;
+    }
+    if (usage === null || !Number.isFinite(usage)) {
+      usage = interpolate(date, known, 'usage_kwh');
+      method = 'interpolate';
+    }
+    usage = Math.max(0, usage);
+
+    filled.push({
+      date,
+      usage_kwh: usage,
+      ...temperature,
+      cost_dollars: calculateDayCost(schedules, date, usage),
+      filled: method,
+    });
+  });
+
+  return {
+    data: [...records, ...filled].sort((a, b) => a.date.localeCompare(b.date)),
+    filled: filled.sort((a, b) => a.date.localeCompare(b.date)),
+  };
+}
+
+/**
+ * A missing day's temperatures: from the weather, or between its neighbours
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object} weather - Stored weather by date
+ * @param {Array} withTemperature - Records with temperatures, sorted by date
+ * @returns {Object|null} { temp_mean_f, temp_min_f, temp_max_f }, or null when nothing has one
+ */
+function getTemperature(date, weather, withTemperature) {
+  const day = weather[date];
+  if (typeof day?.temp_mean_f === 'number') {
+    return { temp_mean_f: day.temp_mean_f, temp_min_f: day.temp_min_f ?? day.temp_mean_f, temp_max_f: day.temp_max_f ?? day.temp_mean_f };
+  }
+  if (withTemperature.length === 0) return null;
+
+  const mean = interpolate(date, withTemperature, 'temp_mean_f');
+  return {
+    temp_mean_f: mean,
+    temp_min_f: interpolate(date, withTemperature, 'temp_min_f') ?? mean,
+    temp_max_f: interpolate(date, withTemperature, 'temp_max_f') ?? mean,
+  };
+}
+
+/**
+ * Value on a date on the straight line between the nearest records either
+ * side of it (the nearest record's value when there's only one side)
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Array} sorted - Records sorted by date
+ * @param {string} key - Numeric field to interpolate
+ * @returns {number|null} Interpolated value, or null when no record has one
+ */
+function interpolate(date, sorted, key) {
+  const candidates = sorted.filter((record) => typeof record[key] === 'number');
+  const before = candidates.filter((record) => record.date < date).pop();
+  const after = candidates.find((record) => record.date > date);
+
+  if (!before && !after) return null;
+  if (!before) return after[key];
+  if (!after) return before[key];
+
+  const span = getDaysInRange(before.date, after.date) - 1;
+  const offset = getDaysInRange(before.date, date) - 1;
+  return before[key] + (after[key] - before[key]) * (offset / span);
+}
@@ -0,0 +1,314 @@
+/**
+ * Green Button Parser Utilities
+ *
+ * Functions for parsing Green Button "Download My Data" files, the ESPI XML
+ * export PECO (and most US utilities) offer from the usage pages. The file's
+ * IntervalBlocks hold IntervalReadings (a start time, a duration and the
+ * energy used in that interval, optionally its cost). Only the blocks of
+ * delivered energy in watt-hours are read (see findDeliveredReadings); they
+ * are added up into daily records in the same shape parsePECOCSV() returns,
+ * each keeping its intervals (see hourly.js). Days with readings the utility
+ * estimated (their ReadingQuality) are flagged as estimated.
+ *
+ * Green Button files carry no weather, so each day's temperatures are taken
+ * from the dataset's existing record for that date. Days with no temperature
+ * to take are imported without one and get it from the imported weather (see
+ * weather.js); the warnings list them.
+ */
+
+import { formatDate, formatTime } from './dateHelpers';
+import { rollUpIntervals } from './hourly';
+import { DEFAULT_RATE_SCHEDULES, calculateDayCost } from './tariffs';
+
+// ESPI unit of measure code for watt-hours
+const UOM_WATT_HOURS = '72';
+
+// ESPI flow direction code for energy delivered to the customer
+const FLOW_FORWARD = '1';
+
+// ESPI costs are in hundred-thousandths of the currency
+const COST_SCALE = 100000;
+
+const MINUTES_PER_DAY = 1440;
+
+// ESPI reading quality codes for estimated values (reference day, linear
+// interpolation, projected)
+const ESTIMATED_QUALITIES = ['8', '9', '12'];
+
+/**
+ * Parse a Green Button (ESPI XML) usage file
+ *
+ * Interval start times are turned into dates in the browser's time zone,
+ * which for a PECO account opened in Philadelphia is the meter's.
+ *
+ * @param {string} xmlText - Raw XML text content
+ * @param {Array} existingData - Records already in the dataset, for their temperatures
+ * @returns {Object} { success: boolean, data: Array, errors: Array, warnings: Array,
+ *   invalidRows: [{ row (interval reading number), reason }], stats: Object }
+ *
+ * @example
+ * const result = parseGreenButtonXML(xmlContent, historicalData);
+ * if (result.success) {
+ *   console.log(`Loaded ${result.data.length} days from ${result.stats.total} intervals`);
+ * }
+ */
+export function parseGreenButtonXML(xmlText, existingData = []) {
+  const warnings = [];
+
+  try {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      return failure('The file is not valid XML');
+    }
+
+    if (findElements(doc, 'IntervalReading').length === 0) {
+      return failure('No IntervalReading elements found - is this a Green Button usage file?');
+    }
+
+    // Delivered energy readings, with how their values convert to kWh
+    const delivered = findDeliveredReadings(doc);
+    if (delivered.error) {
+      return failure(delivered.error);
+    }
+    const { readings } = delivered;
+    warnings.push(...delivered.warnings);
+
+    // Readings by start time (overlapping blocks repeat intervals; keep the last)
+    const intervals = new Map();
+    let repeated = 0;
+    const invalidRows = [];
+    readings.forEach(({ reading, multiplier }, index) => {
+      const start = Number(getText(reading, 'start'));
+      const duration = Number(getText(reading, 'duration'));
+      const value = Number(getText(reading, 'value'));
+      if (!Number.isFinite(start) || !Number.isFinite(duration) || duration <= 0 || !Number.isFinite(value)) {
+        invalidRows.push({ row: index + 1, reason: 'Interval reading without a valid start, duration or value' });
+        return;
+      }
+      if (intervals.has(start)) repeated += 1;
+      const cost = getText(reading, 'cost');
+      intervals.set(start, {
+        start,
+        duration,
+        kwh: value * multiplier / 1000,
+        cost: cost === null ? null : Number(cost) / COST_SCALE,
+        estimated: findElements(reading, 'quality').some((quality) => ESTIMATED_QUALITIES.includes(quality.textContent.trim())),
+      });
+    });
+
+    if (invalidRows.length > 0) {
+      warnings.push(`${invalidRows.length} interval readings without a valid start, duration or value skipped`);
+    }
+    if (repeated > 0) {
+      warnings.push(`${repeated} interval readings repeated an earlier interval's start time. Keeping the latest.`);
+    }
+
+    // Group intervals by the local date they start on
+    const days = new Map();
+    intervals.forEach((interval) => {
+      const startsAt = new Date(interval.start * 1000);
+      const date = formatDate(startsAt);
+      const day = days.get(date) || { date, intervals: [], cost: 0, hasCost: true, estimated: false };
+      day.intervals.push({ start: formatTime(startsAt), minutes: interval.duration / 60, kwh: interval.kwh });
+      day.cost += interval.cost || 0;
+      day.hasCost = day.hasCost && interval.cost !== null;
+      day.estimated = day.estimated || interval.estimated;
+      days.set(date, day);
+    });
+
+    // Temperatures come from the existing records
+    const existingMap = new Map(existingData.map((record) => [record.date, record]));
+    const validRecords = [];
+    const incompleteDays = [];
+    const missingTemperature = [];
+    [...days.values()].sort((a, b) => a.date.localeCompare(b.date)).forEach((day) => {
+      const { usage_kwh: usage, intervals: dayIntervals, coveredMinutes } = rollUpIntervals(day.intervals);
+      if (coveredMinutes < MINUTES_PER_DAY) {
+        incompleteDays.push(day.date);
+      }
+
+      const existing = existingMap.get(day.date);
+      if (!existing) {
+        missingTemperature.push(day.date);
+      }
+
+      const record = {
+        date: day.date,
+        usage_kwh: usage,
+        temp_mean_f: existing?.temp_mean_f ?? null,
+        temp_min_f: existing?.temp_min_f ?? null,
+        temp_max_f: existing?.temp_max_f ?? null,
+        cost_dollars: day.hasCost && day.cost > 0
+          ? day.cost
+          : calculateDayCost(DEFAULT_RATE_SCHEDULES, day.date, usage),
+        intervals: dayIntervals,
+      };
+      if (day.estimated) {
+        record.estimated = true;
+      }
+      validRecords.push(record);
+    });
+
+    if (incompleteDays.length > 0) {
+      warnings.push(
+        `Days not fully covered by intervals (usage is for part of the day): ${listDates(incompleteDays)}`
+      );
+    }
+    if (missingTemperature.length > 0) {
+      warnings.push(
+        `${missingTemperature.length} days have no temperature yet; import weather data for them: ${listDates(missingTemperature)}`
+      );
+    }
+
+    return {
+      success: validRecords.length > 0,
+      data: validRecords,
+      errors: validRecords.length > 0 ? [] : ['No interval readings with a valid start time found'],
+      warnings,
+      invalidRows,
+      stats: {
+        total: readings.length,
+        valid: validRecords.length,
+        invalid: invalidRows.length,
+        dateRange: validRecords.length > 0 ? {
+          start: validRecords[0].date,
+          end: validRecords[validRecords.length - 1].date,
+        } : null,
+      },
+    };
+  } catch (err) {
+    return failure(`Failed to parse Green Button file: ${err.message}`);
+  }
+}
+
+/**
+ * Find the IntervalReadings of energy delivered to the customer
+ *
+ * An ESPI feed links each MeterReading to its ReadingType and IntervalBlocks
+ * through its entries' hrefs (.../MeterReading/1 relates to .../ReadingType/1
+ * and is the parent of .../MeterReading/1/IntervalBlock/1). Only the blocks
+ * of MeterReadings whose ReadingType is delivered energy (flowDirection 1, or
+ * none given) in watt-hours (uom 72) are read; the others, such as energy a
+ * net-metered home sent back to the grid, are skipped with a warning. A file
+ * whose blocks aren't linked is read whole if it has a single ReadingType.
+ * Readings of any other unit are refused rather than imported at the wrong
+ * magnitude.
+ *
+ * Values are in watt-hours × 10^powerOfTenMultiplier of their ReadingType.
+ *
+ * @param {Document} doc - Parsed XML
+ * @returns {Object} { readings: [{ reading, multiplier }], warnings } or { error }
+ */
+function findDeliveredReadings(doc) {
+  const entries = findElements(doc, 'entry').map((entry) => ({
+    entry,
+    links: findElements(entry, 'link').map((link) => ({
+      rel: link.getAttribute('rel'),
+      href: (link.getAttribute('href') || '').replace(/\/+$/, ''),
+    })),
+  }));
+  const selfHref = ({ links }) => links.find((link) => link.rel === 'self')?.href;
+
+  const readingTypes = new Map(
+    entries
+      .filter(({ entry }) => findElements(entry, 'ReadingType').length > 0)
+      .map((item) => [selfHref(item), readReadingType(findElements(item.entry, 'ReadingType')[0])])
+  );
+  const meterReadingTypes = new Map(
+    entries
+      .filter(({ entry }) => findElements(entry, 'MeterReading').length > 0)
+      .map((item) => [
+        selfHref(item),
+        readingTypes.get(item.links.find((link) => link.rel === 'related' && link.href.includes('/ReadingType/'))?.href),
+      ])
+  );
+  const blocks = entries
+    .filter(({ entry }) => findElements(entry, 'IntervalBlock').length > 0)
+    .map((item) => {
+      const href = item.links.find((link) => link.href.includes('/IntervalBlock'))?.href || '';
+      return {
+        readings: findElements(item.entry, 'IntervalReading'),
+        readingType: meterReadingTypes.get(href.slice(0, href.lastIndexOf('/IntervalBlock'))),
+      };
+    });
+
+  // Blocks linked to their reading types
+  if (blocks.length > 0 && blocks.every((block) => block.readingType)) {
+    const deliveredBlocks = blocks.filter((block) => isDeliveredEnergy(block.readingType));
+    if (deliveredBlocks.length === 0) {
+      return { error: `The file has no delivered energy readings in watt-hours; its readings are ${describeReadingTypes(blocks.map((block) => block.readingType))}` };
+    }
+    const skipped = blocks
+      .filter((block) => !isDeliveredEnergy(block.readingType))
+      .reduce((count, block) => count + block.readings.length, 0);
+    return {
+      readings: deliveredBlocks.flatMap((block) => block.readings.map((reading) => ({
+        reading,
+        multiplier: 10 ** block.readingType.powerOfTenMultiplier,
+      }))),
+      warnings: skipped > 0
+        ? [`${skipped} interval readings that aren't delivered energy (e.g. energy sent back to the grid) skipped`]
+        : [],
+    };
+  }
+
+  const readings = findElements(doc, 'IntervalReading');
+  const fileReadingTypes = findElements(doc, 'ReadingType').map(readReadingType);
+  if (fileReadingTypes.length === 0) {
+    return {
+      readings: readings.map((reading) => ({ reading, multiplier: 1 })),
+      warnings: ['No ReadingType in the file; assuming readings are delivered watt-hours'],
+    };
+  }
+  if (fileReadingTypes.length > 1) {
+    return { error: `The file has ${fileReadingTypes.length} reading types (${describeReadingTypes(fileReadingTypes)}) and its interval blocks aren't linked to them, so delivered energy can't be told apart` };
+  }
+  if (!isDeliveredEnergy(fileReadingTypes[0])) {
+    return { error: `The file's readings are ${describeReadingTypes(fileReadingTypes)}, not delivered energy in watt-hours` };
+  }
+  return {
+    readings: readings.map((reading) => ({ reading, multiplier: 10 ** fileReadingTypes[0].powerOfTenMultiplier })),
+    warnings: [],
+  };
+}
+
+function readReadingType(readingType) {
+  return {
+    uom: getText(readingType, 'uom'),
+    flowDirection: getText(readingType, 'flowDirection'),
+    powerOfTenMultiplier: Number(getText(readingType, 'powerOfTenMultiplier')) || 0,
+  };
+}
+
+function isDeliveredEnergy(readingType) {
+  return readingType.uom === UOM_WATT_HOURS
+    && (readingType.flowDirection === null || readingType.flowDirection === FLOW_FORWARD);
+}
+
+function describeReadingTypes(readingTypes) {
+  const descriptions = readingTypes.map((type) => `unit of measure ${type.uom ?? 'not given'}, flow direction ${type.flowDirection ?? 'not given'}`);
+  return [...new Set(descriptions)].join('; ');
+}
+
+// ESPI elements carry a namespace prefix that varies between utilities (espi:, ns1:, none)
+function findElements(parent, localName) {
+  return Array.from(parent.getElementsByTagNameNS('*', localName));
+}
+
+function getText(parent, localName) {
+  const element = findElements(parent, localName)[0];
+  return element ? element.textContent.trim() : null;
+}
+
+function listDates(dates) {
+  return `${dates.slice(0, 5).join(', ')}${dates.length > 5 ? '...' : ''}`;
+}
+
+function failure(message) {
+  return {
+    success: false,
+    data: [],
+    errors: [message],
+    warnings: [],
+  };
+}
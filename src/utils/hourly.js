@@ -0,0 +1,115 @@
+/**
+ * Hourly Usage
+ *
+ * Smart meters report usage in hourly or 15-minute intervals. Daily records
+ * keep the intervals they were rolled up from alongside usage_kwh:
+ *   {
+ *     date, usage_kwh, ...,
+ *     intervals: [{ start: 'HH:mm', minutes, kwh }],   // only when imported from interval data
+ *   }
+ *
+ * Everything else in the app works on the daily roll-up; these helpers give
+ * the hour-by-hour view where it's available, so heating can be attributed to
+ * the hours it happened in and overnight use told apart from daytime use.
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+export const HOURS_PER_DAY = 24;
+
+// Hours counted as overnight in the hourly profile (10pm - 6am)
+export const OVERNIGHT_HOURS = [22, 23, 0, 1, 2, 3, 4, 5];
+
+/**
+ * Whether a day has interval data
+ *
+ * @param {Object} record - Daily usage record
+ * @returns {boolean}
+ */
+export function hasIntervals(record) {
+  return Array.isArray(record?.intervals) && record.intervals.length > 0;
+}
+
+/**
+ * Roll intervals up into a day's usage, keeping them on the record
+ *
+ * @param {Array} intervals - [{ start: 'HH:mm', minutes, kwh }] for one day
+ * @returns {Object} { usage_kwh, intervals (sorted by start), coveredMinutes }
+ *
+ * @example
+ * rollUpIntervals([{ start: '01:00', minutes: 60, kwh: 1.2 }, { start: '00:00', minutes: 60, kwh: 0.8 }])
+ * // { usage_kwh: 2, intervals: [<00:00>, <01:00>], coveredMinutes: 120 }
+ */
+export function rollUpIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start.localeCompare(b.start));
+  return {
+    usage_kwh: Math.round(sorted.reduce((sum, interval) => sum + interval.kwh, 0) * 1000) / 1000,
+    intervals: sorted,
+    coveredMinutes: sorted.reduce((sum, interval) => sum + interval.minutes, 0),
+  };
+}
+
+/**
+ * A day's usage hour by hour
+ *
+ * 15-minute intervals are added up into their hour; intervals longer than an
+ * hour are spread evenly over the hours they cover (up to midnight, so the
+ * hours add up to the day's usage).
+ *
+ * @param {Object} record - Daily usage record
+ * @returns {Array<number>|null} 24 kWh values (hour 0 = midnight to 1am), or
+ *   null when the day has no interval data
+ */
+export function getHourlyUsage(record) {
+  if (!hasIntervals(record)) return null;
+
+  const hours = new Array(HOURS_PER_DAY).fill(0);
+  record.intervals.forEach(({ start, minutes, kwh }) => {
+    const [startHour, startMinute] = start.split(':').map(Number);
+    const from = startHour * 60 + (startMinute || 0);
+    const to = Math.min(from + minutes, HOURS_PER_DAY * 60);
+    for (let hour = Math.floor(from / 60); hour * 60 < to; hour++) {
+      const overlap = Math.min(to, (hour + 1) * 60) - Math.max(from, hour * 60);
+      hours[hour] += kwh * overlap / (to - from);
+    }
+  });
+  return hours;
+}
+
+/**
+ * A day's usage above its baseline, hour by hour
+ *
+ * Baseline models are daily, so the day's expected usage is spread evenly
+ * over its hours; hours below their part of the baseline have no excess.
+ *
+ * @param {Object} record - Daily usage record
+ * @param {number|null} expectedUsage - The day's expected usage in kWh
+ * @returns {Array<number>|null} 24 kWh values, or null without interval data or a baseline
+ */
+export function getHourlyExcess(record, expectedUsage) {
+  const hourly = getHourlyUsage(record);
+  if (!hourly || expectedUsage === null || expectedUsage === undefined) return null;
+  return hourly.map((usage) => Math.max(0, usage - expectedUsage / HOURS_PER_DAY));
+}
+
+/**
+ * Average usage by hour of the day over the days with interval data
+ *
+ * @param {Array} records - Daily usage records
+ * @returns {Object} { days, hours: [{ hour, label, kwh }], overnightKwh, daytimeKwh }
+ *   (kWh per day on average; overnight is 10pm - 6am)
+ */
+export function getHourlyProfile(records) {
+  const days = records.map(getHourlyUsage).filter(Boolean);
+  const hours = Array.from({ length: HOURS_PER_DAY }, (_, hour) => ({
+    hour,
+    label: `${String(hour).padStart(2, '0')}:00`,
+    kwh: days.length > 0 ? days.reduce((sum, day) => sum + day[hour], 0) / days.length : 0,
+  }));
+  const overnightKwh = hours
+    .filter(({ hour }) => OVERNIGHT_HOURS.includes(hour))
+    .reduce((sum, { kwh }) => sum + kwh, 0);
+  const totalKwh = hours.reduce((sum, { kwh }) => sum + kwh, 0);
+
+  return { days: days.length, hours, overnightKwh, daytimeKwh: totalKwh - overnightKwh };
+}
@@ -0,0 +1,113 @@
+/**
+ * Households
+ *
+ * One installation can keep several households (apartments), each with its
+ * own meter, residents, usage, tariffs, bills and everything else:
+ *   { id, name, meter }   // meter: utility meter or account number ('' if not given)
+ *
+ * Each household's data is stored apart from the others (see storage.js);
+ * only the list of households and which one is open are shared. Split
+ * policies and rate schedules can be copied from one household to another.
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+import { DEFAULT_HOUSEHOLD_ID, STORAGE_KEYS } from './storage';
+import { DEFAULT_TIME_WINDOW } from './calculations';
+import { DEFAULT_POLICIES } from './policies';
+import { DEFAULT_RATE_SCHEDULES } from './tariffs';
+
+/**
+ * Households used until another one is added. The default household is the
+ * apartment the app was built for, and keeps the data stored before there
+ * were households.
+ */
+export const DEFAULT_HOUSEHOLDS = [
+  { id: DEFAULT_HOUSEHOLD_ID, name: '4046 Chestnut Apt 102', meter: '' },
+];
+
+/**
+ * Configuration that can be copied between households (backup sections, see
+ * backup.js), with the storage key each is kept under and what a household
+ * that never changed it has
+ */
+export const COPYABLE_SECTIONS = {
+  policies: { storageKey: STORAGE_KEYS.policies, fallback: DEFAULT_POLICIES },
+  rateSchedules: { storageKey: STORAGE_KEYS.rateSchedules, fallback: DEFAULT_RATE_SCHEDULES },
+};
+
+/**
+ * Find a household by id
+ *
+ * @param {Array} households - Household list
+ * @param {string} id - Household id
+ * @returns {Object} Household, or the first one if there's no such id
+ */
+export function findHousehold(households, id) {
+  return households.find((household) => household.id === id) || households[0];
+}
+
+/**
+ * What a new household starts with, by storage key: one resident and no
+ * usage, bills, appliances or thermostat changes (the 4046 Chestnut defaults
+ * only make sense there). Tariffs, policies and models start as the defaults.
+ *
+ * @param {Date} createdAt - When the household is added (ids are made from it)
+ * @returns {Object} { [storageKey]: value }
+ *
+ * @example
+ * writeHousehold(household.id, getNewHouseholdState());
+ */
+export function getNewHouseholdState(createdAt = new Date()) {
+  const residentId = `resident-${createdAt.getTime()}`;
+  return {
+    [STORAGE_KEYS.historicalData]: [],
+    [STORAGE_KEYS.residents]: [{ id: residentId, name: 'Resident 1' }],
+    [STORAGE_KEYS.bills]: [],
+    [STORAGE_KEYS.thermostatLog]: [],
+    [STORAGE_KEYS.appliances]: [],
+    [STORAGE_KEYS.timeWindow]: {
+      ...DEFAULT_TIME_WINDOW,
+      occupancyPeriods: DEFAULT_TIME_WINDOW.occupancyPeriods.map((period) => ({
+        ...period,
+        residents: { [residentId]: 1 },
+        thermostatController: residentId,
+      })),
+    },
+  };
+}
+
+/**
+ * Merge configuration copied from another household into this one's
+ *
+ * Entries replace the ones with the same id and the rest are added. Copied
+ * policies only keep references to residents this household has (baseline
+ * ratios, the resident excess goes to), since residents aren't shared.
+ *
+ * @param {string} section - Key of COPYABLE_SECTIONS
+ * @param {Array} current - This household's entries
+ * @param {Array} copied - The other household's entries
+ * @param {Array} residents - This household's residents
+ * @returns {Array} Merged entries
+ *
+ * @example
+ * mergeCopiedConfiguration('policies', policies, otherPolicies, residents)
+ */
+export function mergeCopiedConfiguration(section, current, copied, residents) {
+  const residentIds = new Set(residents.map((resident) => resident.id));
+  const adapted = section === 'policies'
+    ? copied.map((policy) => ({
+      ...policy,
+      baselineRatios: Object.fromEntries(
+        Object.entries(policy.baselineRatios || {}).filter(([id]) => residentIds.has(id))
+      ),
+      excessResidentId: residentIds.has(policy.excessResidentId) ? policy.excessResidentId : null,
+    }))
+    : copied;
+
+  const copiedIds = new Set(adapted.map((entry) => entry.id));
+  return [
+    ...current.map((entry) => (copiedIds.has(entry.id) ? adapted.find((e) => e.id === entry.id) : entry)),
+    ...adapted.filter((entry) => !current.some((e) => e.id === entry.id)),
+  ];
+}
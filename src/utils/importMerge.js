@@ -0,0 +1,205 @@
+/**
+ * Import Merging
+ *
+ * Works out what an import would change before anything is written: which of
+ * its dates are new, which already exist with the same values, and which
+ * conflict with the existing records (different usage, cost or temperature).
+ * Each conflict is resolved by keeping the existing record, taking the
+ * incoming one or averaging the two.
+ *
+ * Imported records without temperatures (Green Button files, CSVs without a
+ * temperature column) keep the existing record's temperatures, so they never
+ * conflict on temperature.
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+/**
+ * Ways to resolve a date that's both in the dataset and in the import
+ */
+export const CONFLICT_RESOLUTIONS = {
+  keep: 'Keep existing',
+  incoming: 'Take incoming',
+  average: 'Average',
+};
+
+/**
+ * Resolution used for conflicts nobody has chosen one for (what imports have
+ * always done)
+ */
+export const DEFAULT_RESOLUTION = 'incoming';
+
+// Differences smaller than these are rounding, not conflicts
+const USAGE_TOLERANCE_KWH = 0.005;
+const COST_TOLERANCE_DOLLARS = 0.005;
+const TEMP_TOLERANCE_F = 0.05;
+
+/**
+ * Compare imported records with the dataset
+ *
+ * @param {Array} existingData - Current daily usage records
+ * @param {Array} incoming - Parsed records to import
+ * @returns {Object} { added: Array, changed: [{ date, existing, incoming }], unchanged: Array }
+ *   (incoming records, with existing temperatures filled in where they had none)
+ *
+ * @example
+ * const { added, changed } = diffImport(historicalData, result.data);
+ * console.log(`${added.length} new days, ${changed.length} conflicts`);
+ */
+export function diffImport(existingData, incoming) {
+  const existingMap = new Map(existingData.map((record) => [record.date, record]));
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+
+  incoming.forEach((record) => {
+    const existing = existingMap.get(record.date);
+    if (!existing) {
+      added.push(record);
+      return;
+    }
+
+    const filled = withExistingTemperatures(record, existing);
+    if (isSameDay(existing, filled)) {
+      unchanged.push(filled);
+    } else {
+      changed.push({ date: record.date, existing, incoming: filled });
+    }
+  });
+
+  return { added, changed, unchanged };
+}
+
+/**
+ * Merge imported records into the dataset
+ *
+ * New dates are added; dates that already exist are resolved with the
+ * resolution chosen for them. Unchanged dates keep the existing record and
+ * only gain fields it doesn't have (e.g. intervals from a Green Button file
+ * imported over a daily CSV), so re-importing a daily CSV never drops the
+ * intervals, estimated flag or duplicate rows an existing record carries.
+ *
+ * @param {Array} existingData - Current daily usage records
+ * @param {Array} incoming - Parsed records to import
+ * @param {Object} resolutions - { [date]: 'keep' | 'incoming' | 'average' } for conflicting dates
+ * @param {string} defaultResolution - Resolution for conflicts not in resolutions
+ * @returns {Object} { data (merged, sorted by date), added, updated, kept } counts of dates
+ *
+ * @example
+ * const { data } = mergeImport(historicalData, result.data, { '2025-12-01': 'keep' });
+ */
+export function mergeImport(existingData, incoming, resolutions = {}, defaultResolution = DEFAULT_RESOLUTION) {
+  const { added, changed, unchanged } = diffImport(existingData, incoming);
+  const merged = new Map(existingData.map((record) => [record.date, record]));
+  let kept = 0;
+
+  added.forEach((record) => merged.set(record.date, record));
+  unchanged.forEach((record) => merged.set(record.date, withMissingFields(merged.get(record.date), record)));
+  changed.forEach(({ date, existing, incoming: record }) => {
+    const resolution = resolutions[date] || defaultResolution;
+    if (resolution === 'keep') {
+      kept += 1;
+    } else {
+      merged.set(date, resolution === 'average' ? averageRecords(existing, record) : record);
+    }
+  });
+
+  return {
+    data: [...merged.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    added: added.length,
+    updated: unchanged.length + changed.length - kept,
+    kept,
+  };
+}
+
+/**
+ * Give an imported record the existing record's temperatures when it has none
+ *
+ * @param {Object} record - Imported record
+ * @param {Object} existing - Existing record for the same date
+ * @returns {Object} Record with temperatures
+ */
+function withExistingTemperatures(record, existing) {
+  if (record.temp_mean_f !== null) return record;
+  return {
+    ...record,
+    temp_mean_f: existing.temp_mean_f,
+    temp_min_f: existing.temp_min_f,
+    temp_max_f: existing.temp_max_f,
+  };
+}
+
+/**
+ * Add to an existing record the fields an imported one has and it doesn't
+ *
+ * @param {Object} existing - Existing record
+ * @param {Object} record - Imported record for the same date
+ * @returns {Object} Existing record, with the imported record's extra fields
+ */
+function withMissingFields(existing, record) {
+  const missing = Object.keys(record).filter((key) => existing[key] === undefined);
+  if (missing.length === 0) return existing;
+  return { ...existing, ...Object.fromEntries(missing.map((key) => [key, record[key]])) };
+}
+
+/**
+ * Whether two records for the same date agree on usage, cost and temperature
+ *
+ * @param {Object} a - Daily record
+ * @param {Object} b - Daily record
+ * @returns {boolean}
+ */
+function isSameDay(a, b) {
+  return (
+    Math.abs(a.usage_kwh - b.usage_kwh) < USAGE_TOLERANCE_KWH &&
+    Math.abs(a.cost_dollars - b.cost_dollars) < COST_TOLERANCE_DOLLARS &&
+    (a.temp_mean_f === null || b.temp_mean_f === null
+      ? a.temp_mean_f === b.temp_mean_f
+      : Math.abs(a.temp_mean_f - b.temp_mean_f) < TEMP_TOLERANCE_F)
+  );
+}
+
+/**
+ * Average two records for the same date
+ *
+ * Intervals are averaged when both records have the same intervals; otherwise
+ * the average has none, since neither record's intervals add up to it. The
+ * average is an estimated read if either record is, and keeps the larger
+ * count of duplicate rows.
+ *
+ * @param {Object} existing - Existing record
+ * @param {Object} incoming - Imported record
+ * @returns {Object} Averaged record
+ */
+function averageRecords(existing, incoming) {
+  const average = {
+    date: existing.date,
+    usage_kwh: (existing.usage_kwh + incoming.usage_kwh) / 2,
+    temp_mean_f: averageTemperature(existing.temp_mean_f, incoming.temp_mean_f),
+    temp_min_f: averageTemperature(existing.temp_min_f, incoming.temp_min_f),
+    temp_max_f: averageTemperature(existing.temp_max_f, incoming.temp_max_f),
+    cost_dollars: (existing.cost_dollars + incoming.cost_dollars) / 2,
+  };
+
+  const a = existing.intervals || [];
+  const b = incoming.intervals || [];
+  const sameIntervals = a.length > 0 && a.length === b.length &&
+    a.every((interval, i) => interval.start === b[i].start && interval.minutes === b[i].minutes);
+  if (sameIntervals) {
+    average.intervals = a.map((interval, i) => ({ ...interval, kwh: (interval.kwh + b[i].kwh) / 2 }));
+  }
+  if (existing.estimated || incoming.estimated) {
+    average.estimated = true;
+  }
+  if (existing.duplicateRows || incoming.duplicateRows) {
+    average.duplicateRows = Math.max(existing.duplicateRows || 1, incoming.duplicateRows || 1);
+  }
+
+  return average;
+}
+
+function averageTemperature(a, b) {
+  if (a === null || a === undefined) return b ?? null;
+  if (b === null || b === undefined) return a;
+  return (a + b) / 2;
+}
@@ -0,0 +1,94 @@
+/**
+ * Uncertainty in Cost Splits
+ *
+ * A baseline model's expected usage is an estimate: predictDayInterval and
+ * predictTotalInterval (models.js) give the 95% range it could reasonably be
+ * in. These helpers carry that range through a split policy, so each share
+ * can be shown as "estimate ± margin", and flag days whose actual usage the
+ * model didn't anticipate.
+ *
+ * Margins are share maps (see shares.js) of ± dollar amounts.
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+import { addShares } from './shares';
+import { applySplitPolicy } from './policies';
+
+/**
+ * How much each share moves when expected cost ranges over its interval
+ *
+ * The policy is applied at both ends of the interval; each resident's margin
+ * is half the spread of their share. With the legal minimum policy, a higher
+ * expected cost raises everyone's baseline share and lowers the excess paid
+ * by whoever was home, so the margins offset rather than add up.
+ *
+ * @param {Object} policy - Split policy
+ * @param {Object} context - Split context for applySplitPolicy (actualCost, residents, presence, ...)
+ * @param {number} lowerCost - Expected cost at the bottom of the interval
+ * @param {number} upperCost - Expected cost at the top of the interval
+ * @returns {Object} Share map of ± margins
+ *
+ * @example
+ * getShareMargins(policy, { actualCost: 10.51, residents, presence: { causio: 1 } }, 3.70, 6.25)
+ * // { causio: 0.64, guala: 0.64 }
+ */
+export function getShareMargins(policy, context, lowerCost, upperCost) {
+  return getShareSpread(
+    applySplitPolicy(policy, { ...context, expectedCost: lowerCost }).shares,
+    applySplitPolicy(policy, { ...context, expectedCost: upperCost }).shares
+  );
+}
+
+/**
+ * Margins from the shares at the two ends of an interval
+ *
+ * @param {Object} lowerShares - Share map at the bottom of the interval
+ * @param {Object} upperShares - Share map at the top of the interval
+ * @returns {Object} Share map of ± margins (half the spread of each share)
+ *
+ * @example
+ * getShareSpread({ causio: 2.00, guala: 2.00 }, { causio: 3.00, guala: 3.00 }) // { causio: 0.5, guala: 0.5 }
+ */
+export function getShareSpread(lowerShares, upperShares) {
+  return Object.fromEntries(
+    Object.keys(addShares(lowerShares, upperShares))
+      .map((id) => [id, Math.abs((upperShares[id] || 0) - (lowerShares[id] || 0)) / 2])
+  );
+}
+
+/**
+ * Combine daily share margins into margins for a period's totals
+ *
+ * Daily margins can't simply be added: the day-to-day noise partly cancels
+ * out over a period, so the total's interval is much narrower than the sum of
+ * the daily ones. Each resident's summed daily margin is scaled down by the
+ * same ratio as the usage interval:
+ *   total margin = Σ daily margins × (total half-width / Σ daily half-widths)
+ *
+ * @param {Array<Object>} dailyMargins - Share maps of daily ± margins
+ * @param {Array<number>} dailyHalfWidths - Daily usage interval half-widths (kWh)
+ * @param {number} totalHalfWidth - Half-width of the period's total usage interval (kWh)
+ * @returns {Object} Share map of ± margins on the period's shares
+ */
+export function combineShareMargins(dailyMargins, dailyHalfWidths, totalHalfWidth) {
+  const summed = addShares(...dailyMargins);
+  const dailyTotal = dailyHalfWidths.reduce((sum, halfWidth) => sum + halfWidth, 0);
+  const scale = dailyTotal > 0 ? totalHalfWidth / dailyTotal : 0;
+  return Object.fromEntries(Object.entries(summed).map(([id, margin]) => [id, margin * scale]));
+}
+
+/**
+ * Whether actual usage falls outside a prediction interval
+ *
+ * Roughly 1 day in 20 should be flagged by chance; more than that means the
+ * model doesn't describe the period well (or something unusual happened).
+ *
+ * @param {number} actualUsage - Actual usage in kWh
+ * @param {Object|null} interval - { lower, upper } prediction interval
+ * @returns {boolean} false when there is no interval
+ */
+export function isOutsideInterval(actualUsage, interval) {
+  if (!interval) return false;
+  return actualUsage < interval.lower || actualUsage > interval.upper;
+}
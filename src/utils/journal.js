@@ -0,0 +1,301 @@
+/**
+ * Change Journal
+ *
+ * An append-only record of the latest changes to the dataset and
+ * configuration:
+ *   {
+ *     id, at,                        // when (ISO timestamp)
+ *     by: residentId | null,         // who made the change, when known
+ *     action: 'Imported usage.csv',  // what was done
+ *     kind: 'change' | 'undo' | 'redo' | 'restore',
+ *     target: entryId | null,        // entry undone, redone or restored to
+ *     changes: { [section]: { before, after } | { patch: { [key]: [before, after] } } },
+ *   }
+ *
+ * Sections are those of a backup (see backup.js). Every list or object
+ * section is recorded as a patch of what changed, so an import doesn't copy
+ * the whole dataset and renaming a resident doesn't copy every resident:
+ * usage, weather, the occupancy calendar and excluded days by date, other
+ * lists by position and other objects by key. Only single values (the legal
+ * minimum model) keep their whole value before and after.
+ *
+ * Undo and redo are entries of their own, so entries are never rewritten:
+ * the undo and redo stacks are worked out by replaying the journal. Any
+ * earlier state can be rebuilt by reverting the entries after it, newest
+ * first. Past JOURNAL_LIMIT entries, the oldest are dropped.
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+import { BACKUP_SECTIONS } from './backup';
+
+/**
+ * Journal used until the first change
+ */
+export const DEFAULT_CHANGE_JOURNAL = [];
+
+/**
+ * Most entries kept. Once there are more, the oldest JOURNAL_TRIM entries are
+ * dropped together, so the stored journal isn't renumbered on every change.
+ */
+export const JOURNAL_LIMIT = 500;
+export const JOURNAL_TRIM = 100;
+
+/**
+ * Consecutive edits to the same section by the same person within this long
+ * are recorded as one entry (typing a name is one change, not one per key)
+ */
+export const COALESCE_MS = 60 * 1000;
+
+// Sections patched by date, and the field that keys their records (null: keyed by date already)
+const DATED_SECTIONS = {
+  usage: 'date',
+  weather: null,
+  occupancyCalendar: null,
+  dataExclusions: null,
+};
+
+/**
+ * Record a change
+ *
+ * @param {Object} before - { [section]: value } before the change
+ * @param {Object} after - { [section]: value } after the change (only the sections it changed)
+ * @param {Object} details - { action, by, kind, target }
+ * @param {Date} at - When the change was made
+ * @returns {Object|null} Journal entry, or null when nothing actually changed
+ *   (undo and redo entries are kept regardless, so the stacks stay in step)
+ *
+ * @example
+ * createJournalEntry({ residents }, { residents: updated }, { action: 'Edited residents', by: 'causio' })
+ */
+export function createJournalEntry(before, after, details, at = new Date()) {
+  const changes = {};
+  Object.keys(after).forEach((section) => {
+    const change = diffSection(section, before[section], after[section]);
+    if (change) changes[section] = change;
+  });
+  const kind = details.kind || 'change';
+  if (Object.keys(changes).length === 0 && kind !== 'undo' && kind !== 'redo') return null;
+
+  return {
+    id: `change-${at.getTime()}`,
+    at: at.toISOString(),
+    by: details.by ?? null,
+    action: details.action,
+    kind,
+    target: details.target ?? null,
+    changes,
+  };
+}
+
+/**
+ * Add an entry to the journal
+ *
+ * With coalesce, an edit is folded into the last entry when that was the same
+ * edit (same action, sections and person) made within COALESCE_MS, so each
+ * keystroke in a form isn't an undo step of its own. The oldest entries are
+ * dropped once there are more than JOURNAL_LIMIT.
+ *
+ * @param {Array} journal - Change journal
+ * @param {Object} entry - New entry (see createJournalEntry)
+ * @param {boolean} coalesce - Whether the entry may be folded into the last one
+ * @returns {Array} Updated journal
+ */
+export function appendJournalEntry(journal, entry, coalesce = false) {
+  const last = journal[journal.length - 1];
+  const sameEdit = coalesce && last && entry.kind === 'change' && last.kind === 'change' &&
+    last.action === entry.action && last.by === entry.by &&
+    sameKeys(last.changes, entry.changes) &&
+    new Date(entry.at) - new Date(last.at) < COALESCE_MS;
+
+  if (!sameEdit) {
+    const appended = [...journal, { ...entry, id: uniqueId(journal, entry.id) }];
+    return appended.length > JOURNAL_LIMIT ? appended.slice(JOURNAL_TRIM) : appended;
+  }
+
+  const changes = {};
+  Object.keys(entry.changes).forEach((section) => {
+    const merged = mergeChanges(section, last.changes[section], entry.changes[section]);
+    if (merged) changes[section] = merged;
+  });
+  // Edits that cancel out leave nothing to undo
+  if (Object.keys(changes).length === 0) return journal.slice(0, -1);
+  return [...journal.slice(0, -1), { ...last, at: entry.at, changes }];
+}
+
+/**
+ * Apply an entry's changes to state, forwards or backwards
+ *
+ * @param {Object} state - { [section]: value }
+ * @param {Object} changes - Entry changes
+ * @param {string} direction - 'after' (redo) | 'before' (undo)
+ * @returns {Object} { [section]: value } for the sections the entry changed
+ */
+export function applyChanges(state, changes, direction) {
+  return Object.fromEntries(
+    Object.entries(changes).map(([section, change]) => [section, applyChange(section, state[section], change, direction)])
+  );
+}
+
+/**
+ * Which entries undo and redo would act on, by replaying the journal
+ *
+ * @param {Array} journal - Change journal
+ * @returns {Object} { undo: entry | null, redo: entry | null }
+ */
+export function getUndoRedo(journal) {
+  const byId = new Map(journal.map((entry) => [entry.id, entry]));
+  const undoStack = [];
+  let redoStack = [];
+
+  journal.forEach((entry) => {
+    if (entry.kind === 'undo') {
+      undoStack.pop();
+      redoStack.push(entry.target);
+    } else if (entry.kind === 'redo') {
+      redoStack.pop();
+      undoStack.push(entry.target);
+    } else {
+      undoStack.push(entry.id);
+      redoStack = [];
+    }
+  });
+
+  return {
+    undo: byId.get(undoStack[undoStack.length - 1]) || null,
+    redo: byId.get(redoStack[redoStack.length - 1]) || null,
+  };
+}
+
+/**
+ * Rebuild the state as it was just after an entry
+ *
+ * @param {Object} state - Current { [section]: value }
+ * @param {Array} journal - Change journal
+ * @param {string} entryId - Entry to go back to
+ * @returns {Object} { [section]: value } for every section changed since
+ *
+ * @example
+ * const restored = getStateAt(state, journal, entry.id);
+ * // { usage: [...], residents: [...] }
+ */
+export function getStateAt(state, journal, entryId) {
+  const index = journal.findIndex((entry) => entry.id === entryId);
+  if (index === -1) return {};
+
+  let current = { ...state };
+  const changed = new Set();
+  journal.slice(index + 1).reverse().forEach((entry) => {
+    current = { ...current, ...applyChanges(current, entry.changes, 'before') };
+    Object.keys(entry.changes).forEach((section) => changed.add(section));
+  });
+
+  return Object.fromEntries([...changed].map((section) => [section, current[section]]));
+}
+
+/**
+ * Size of each section's change, for listing an entry
+ *
+ * @param {Object} changes - Entry changes
+ * @returns {Object} { [section]: number of dates changed | null for sections not patched by date }
+ */
+export function countChanges(changes) {
+  return Object.fromEntries(
+    Object.entries(changes).map(([section, change]) => [
+      section,
+      change.patch && section in DATED_SECTIONS ? Object.keys(change.patch).length : null,
+    ])
+  );
+}
+
+function diffSection(section, before, after) {
+  if (!isPatched(section)) {
+    return isSame(before, after) ? null : { before: before ?? null, after: after ?? null };
+  }
+
+  const beforeMap = toMap(section, before);
+  const afterMap = toMap(section, after);
+  const patch = {};
+  new Set([...beforeMap.keys(), ...afterMap.keys()]).forEach((key) => {
+    const was = beforeMap.get(key) ?? null;
+    const now = afterMap.get(key) ?? null;
+    if (!isSame(was, now)) patch[key] = [was, now];
+  });
+  return Object.keys(patch).length > 0 ? { patch } : null;
+}
+
+function applyChange(section, value, change, direction) {
+  if (!change.patch) return direction === 'before' ? change.before : change.after;
+
+  const map = toMap(section, value);
+  Object.entries(change.patch).forEach(([key, [was, now]]) => {
+    const target = direction === 'before' ? was : now;
+    if (target === null) {
+      map.delete(key);
+    } else {
+      map.set(key, target);
+    }
+  });
+  return fromMap(section, map);
+}
+
+function mergeChanges(section, first, second) {
+  if (!first) return second;
+  if (!first.patch) {
+    // Entries saved before the section was patched hold its whole value
+    const after = applyChange(section, first.after, second, 'after');
+    return isSame(first.before, after) ? null : { before: first.before, after };
+  }
+
+  const patch = { ...first.patch };
+  Object.entries(second.patch).forEach(([key, [was, now]]) => {
+    const before = key in first.patch ? first.patch[key][0] : was;
+    if (isSame(before, now)) {
+      delete patch[key];
+    } else {
+      patch[key] = [before, now];
+    }
+  });
+  return Object.keys(patch).length > 0 ? { patch } : null;
+}
+
+function isPatched(section) {
+  return section in DATED_SECTIONS || ['array', 'object'].includes(BACKUP_SECTIONS[section]?.type);
+}
+
+// Patched sections as a Map of their records: usage by date, other lists by position, objects by key
+function toMap(section, value) {
+  const field = DATED_SECTIONS[section];
+  if (field) return new Map((value || []).map((record) => [record[field], record]));
+  if (BACKUP_SECTIONS[section].type === 'array') return new Map((value || []).map((item, index) => [String(index), item]));
+  return new Map(Object.entries(value || {}));
+}
+
+function fromMap(section, map) {
+  const field = DATED_SECTIONS[section];
+  if (field) return [...map.values()].sort((a, b) => String(a[field]).localeCompare(String(b[field])));
+  if (BACKUP_SECTIONS[section].type === 'array') {
+    return [...map.entries()].sort(([a], [b]) => Number(a) - Number(b)).map(([, item]) => item);
+  }
+  if (section in DATED_SECTIONS) return Object.fromEntries([...map.entries()].sort(([a], [b]) => a.localeCompare(b)));
+  return Object.fromEntries(map);
+}
+
+function isSame(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function sameKeys(a, b) {
+  const keysA = Object.keys(a);
+  return keysA.length === Object.keys(b).length && keysA.every((key) => key in b);
+}
+
+// Entries made in the same millisecond still need their own ids
+function uniqueId(journal, id) {
+  const ids = new Set(journal.map((entry) => entry.id));
+  let unique = id;
+  for (let n = 2; ids.has(unique); n++) {
+    unique = `${id}-${n}`;
+  }
+  return unique;
+}
@@ -0,0 +1,656 @@
+/**
+ * Baseline Model Registry
+ *
+ * A baseline model predicts expected daily usage from outdoor temperature
+ * (and, for multiple regression, other day-level features). Three forms are
+ * supported:
+ *
+ *   linear:       Expected Usage = intercept + (slope × temperature)
+ *   change-point: Expected Usage = baseLoad
+ *                   + heatingSlope × max(0, balanceTemp − temperature)
+ *                   + coolingSlope × max(0, temperature − coolingBalanceTemp)
+ *   multiple:     Expected Usage = intercept + Σ coefficient × feature
+ *                   (features from features.js: min/max temperature, weekend, occupancy, ...)
+ *
+ * The change-point (heating/cooling degree-day) form stays flat at the base
+ * load between the balance temperatures, so it never predicts negative usage
+ * in spring or autumn the way a straight line does.
+ *
+ * Models are named records, defined either by a training date range (fitted
+ * by least squares over the usage data in that range) or by fixed coefficients:
+ *   {
+ *     id, name, description,
+ *     type: 'fitted' | 'fixed',
+ *     form: 'linear' | 'change-point',
+ *     options: { cooling, features },         // change-point: also fit a cooling slope
+ *                                             // multiple: feature ids to regress on
+ *     trainingRange: { start, end },          // data used to fit (or to score a fixed model)
+ *     coefficients: { ... },                  // for 'fixed', see getCoefficientFields()
+ *     fit: {
+ *       coefficients, r2, n, residualStdDev, fittedAt,
+ *       covariance,                                 // (XᵀX)⁻¹ of the training data, for prediction intervals
+ *       adjustedR2, standardErrors, featureMeans,   // multiple only
+ *     } | null,
+ *   }
+ *
+ * A model is fitted once and the fit is stored with the model; it is only
+ * refitted when its definition changes or a refit is requested.
+ */
+
+import { LEGAL_MIN_INTERCEPT, LEGAL_MIN_SLOPE } from './constants';
+import { fitLeastSquares, invertMatrix, quadraticForm, tCritical95 } from './regression';
+import { findFeature, getFeatureMeans, getFeatureValue, resolveFeatureValue } from './features';
+
+/**
+ * Model forms and the coefficients each one predicts with
+ */
+export const MODEL_FORMS = [
+  { id: 'linear', label: 'Linear on mean temperature' },
+  { id: 'change-point', label: 'Degree-day change-point' },
+  { id: 'multiple', label: 'Multiple regression' },
+];
+
+export const MODEL_COEFFICIENTS = {
+  linear: [
+    { id: 'intercept', label: 'Intercept (kWh)', step: '0.01', defaultValue: 0 },
+    { id: 'slope', label: 'Slope (kWh/°F)', step: '0.001', defaultValue: 0 },
+  ],
+  'change-point': [
+    { id: 'baseLoad', label: 'Base Load (kWh)', step: '0.01', defaultValue: 0 },
+    { id: 'heatingSlope', label: 'Heating Slope (kWh/°F)', step: '0.001', defaultValue: 0 },
+    { id: 'balanceTemp', label: 'Balance Temp (°F)', step: '0.5', defaultValue: 60 },
+    { id: 'coolingSlope', label: 'Cooling Slope (kWh/°F)', step: '0.001', defaultValue: 0 },
+    { id: 'coolingBalanceTemp', label: 'Cooling Balance Temp (°F)', step: '0.5', defaultValue: 75 },
+  ],
+};
+
+/**
+ * Features a new multiple-regression model starts with
+ */
+export const DEFAULT_REGRESSION_FEATURES = ['temp_min_f', 'temp_max_f', 'weekend'];
+
+/**
+ * Get the coefficient fields of a form
+ *
+ * @param {string} form - 'linear' | 'change-point' | 'multiple'
+ * @param {Array<string>} features - Feature ids (multiple regression only)
+ * @returns {Array} [{ id, label, step, defaultValue }, ...]
+ */
+export function getCoefficientFields(form, features = []) {
+  if (form !== 'multiple') return MODEL_COEFFICIENTS[form];
+  return [
+    { id: 'intercept', label: 'Intercept (kWh)', step: '0.01', defaultValue: 0 },
+    ...features.map((featureId) => {
+      const feature = findFeature(featureId);
+      return { id: featureId, label: `${feature.label} (kWh/${feature.unit})`, step: '0.001', defaultValue: 0 };
+    }),
+  ];
+}
+
+/**
+ * Starting coefficients for a fixed model of the given form
+ *
+ * @param {string} form - 'linear' | 'change-point' | 'multiple'
+ * @param {Array<string>} features - Feature ids (multiple regression only)
+ * @returns {Object} e.g. { intercept: 0, slope: 0 }
+ */
+export function createCoefficients(form, features = []) {
+  return Object.fromEntries(getCoefficientFields(form, features).map((field) => [field.id, field.defaultValue]));
+}
+
+/**
+ * Models shipped with the app
+ */
+export const DEFAULT_MODELS = [
+  {
+    id: 'december-2025',
+    name: 'December schedule (Dec 3-7)',
+    description: 'New heating schedule, before the electric heater arrived on Dec 8',
+    type: 'fitted',
+    form: 'linear',
+    trainingRange: { start: '2025-12-03', end: '2025-12-07' },
+    coefficients: null,
+    fit: null,
+  },
+  {
+    id: 'december-2025-dec3-8',
+    name: 'December schedule (Dec 3-8)',
+    description: 'New heating schedule including Dec 8 (heater assumed unused that day)',
+    type: 'fitted',
+    form: 'linear',
+    trainingRange: { start: '2025-12-03', end: '2025-12-08' },
+    coefficients: null,
+    fit: null,
+  },
+  {
+    id: 'january-2026',
+    name: 'Legal minimum (Jan 2-10)',
+    description: 'Thermostat at the legal minimum (60°F)',
+    type: 'fixed',
+    form: 'linear',
+    trainingRange: { start: '2026-01-02', end: '2026-01-10' },
+    coefficients: { intercept: LEGAL_MIN_INTERCEPT, slope: LEGAL_MIN_SLOPE },
+    fit: null,
+  },
+  {
+    id: 'january-2026-degree-day',
+    name: 'Legal minimum, degree-day (Jan 2-10)',
+    description: 'Thermostat at the legal minimum (60°F), flat base load above the balance temperature',
+    type: 'fitted',
+    form: 'change-point',
+    options: { cooling: false },
+    trainingRange: { start: '2026-01-02', end: '2026-01-10' },
+    coefficients: null,
+    fit: null,
+  },
+  {
+    id: 'january-2026-multiple',
+    name: 'Legal minimum, min/max + weekend (Jan 2-10)',
+    description: 'Thermostat at the legal minimum (60°F), using cold nights, warm days and weekends',
+    type: 'fitted',
+    form: 'multiple',
+    options: { features: [...DEFAULT_REGRESSION_FEATURES] },
+    trainingRange: { start: '2026-01-02', end: '2026-01-10' },
+    coefficients: null,
+    fit: null,
+  },
+];
+
+/**
+ * Model used for the legal minimum baseline unless another one is selected
+ */
+export const LEGAL_MIN_MODEL_ID = 'january-2026';
+
+/**
+ * Get a model's form (records saved before forms existed are linear)
+ *
+ * @param {Object} model - Model record
+ * @returns {string} 'linear' | 'change-point' | 'multiple'
+ */
+export function getModelForm(model) {
+  return model.form || 'linear';
+}
+
+/**
+ * Get the feature ids a multiple-regression model uses
+ *
+ * @param {Object} model - Model record
+ * @returns {Array<string>} Feature ids
+ */
+export function getModelFeatures(model) {
+  return model.options?.features || [];
+}
+
+/**
+ * Evaluate a model form for a day
+ *
+ * @param {string} form - 'linear' | 'change-point' | 'multiple'
+ * @param {Object} coefficients - Coefficients for that form
+ * @param {Object} day - Daily record; linear and change-point forms only read temp_mean_f
+ * @param {Object|null} featureMeans - Fallbacks for features the day doesn't have (multiple only)
+ * @returns {number|null} Expected usage in kWh, or null when a feature can't be filled in
+ */
+function evaluateForm(form, coefficients, day, featureMeans = null) {
+  if (form === 'multiple') {
+    const { intercept, ...slopes } = coefficients;
+    let usage = intercept;
+    for (const [featureId, coefficient] of Object.entries(slopes)) {
+      const value = resolveFeatureValue(featureId, day, featureMeans);
+      if (value === null) return null;
+      usage += coefficient * value;
+    }
+    return usage;
+  }
+
+  const tempF = day.temp_mean_f;
+  if (form === 'change-point') {
+    const { baseLoad, heatingSlope, balanceTemp, coolingSlope, coolingBalanceTemp } = coefficients;
+    const heating = heatingSlope * Math.max(0, balanceTemp - tempF);
+    const cooling = hasCooling(coefficients) ? coolingSlope * Math.max(0, tempF - coolingBalanceTemp) : 0;
+    return baseLoad + heating + cooling;
+  }
+  return coefficients.intercept + (coefficients.slope * tempF);
+}
+
+/**
+ * Whether change-point coefficients include a cooling term
+ *
+ * @param {Object} coefficients - Change-point coefficients
+ * @returns {boolean}
+ */
+function hasCooling(coefficients) {
+  return Boolean(coefficients.coolingSlope) && coefficients.coolingBalanceTemp !== null;
+}
+
+/**
+ * Number of parameters estimated from the data
+ *
+ * Intercept and slope; base load, heating slope and balance temperature (plus
+ * the cooling slope and its balance temperature); or the intercept and one
+ * coefficient per feature.
+ *
+ * @param {string} form - 'linear' | 'change-point' | 'multiple'
+ * @param {Object} coefficients - Coefficients for that form
+ * @returns {number}
+ */
+function countParameters(form, coefficients) {
+  if (form === 'change-point') return hasCooling(coefficients) ? 5 : 3;
+  if (form === 'multiple') return Object.keys(coefficients).length;
+  return 2;
+}
+
+/**
+ * Regression design row of a day: the values the coefficients multiply
+ *
+ * Change-point balance temperatures are treated as known, so the row holds
+ * the intercept, heating degrees and (when used) cooling degrees.
+ *
+ * @param {string} form - 'linear' | 'change-point' | 'multiple'
+ * @param {Object} coefficients - Coefficients for that form
+ * @param {Object} day - Daily record
+ * @param {Object|null} featureMeans - Fallbacks for missing features (multiple only)
+ * @returns {Array<number>|null} Design row, or null when a feature can't be filled in
+ */
+function getDesignRow(form, coefficients, day, featureMeans = null) {
+  if (form === 'multiple') {
+    const features = Object.keys(coefficients).filter((term) => term !== 'intercept');
+    const values = features.map((featureId) => resolveFeatureValue(featureId, day, featureMeans));
+    return values.includes(null) ? null : [1, ...values];
+  }
+
+  const tempF = day.temp_mean_f;
+  if (form === 'change-point') {
+    const row = [1, Math.max(0, coefficients.balanceTemp - tempF)];
+    return hasCooling(coefficients) ? [...row, Math.max(0, tempF - coefficients.coolingBalanceTemp)] : row;
+  }
+  return [1, tempF];
+}
+
+/**
+ * Goodness-of-fit statistics for a model over daily records
+ *
+ * @param {Array} days - Daily usage records the model can evaluate
+ * @param {string} form - 'linear' | 'change-point' | 'multiple'
+ * @param {Object} coefficients - Coefficients for that form
+ * @returns {Object} { r2, n, residualStdDev, covariance } (null statistics when there are too few records)
+ */
+function scoreModel(days, form, coefficients) {
+  const n = days.length;
+  if (n === 0) {
+    return { r2: null, n, residualStdDev: null, covariance: null };
+  }
+
+  const meanY = days.reduce((sum, d) => sum + d.usage_kwh, 0) / n;
+  const ssTotal = days.reduce((sum, d) => sum + (d.usage_kwh - meanY) ** 2, 0);
+  const ssResidual = days.reduce((sum, d) => sum + (d.usage_kwh - evaluateForm(form, coefficients, d)) ** 2, 0);
+  const degreesOfFreedom = n - countParameters(form, coefficients);
+
+  // (XᵀX)⁻¹ of the training days; also computed for fixed models, as if
+  // their coefficients had been fitted on the days they are scored against
+  const design = days.map((d) => getDesignRow(form, coefficients, d));
+  const xtx = design[0].map((_, i) => design[0].map((_, j) => design.reduce((sum, row) => sum + row[i] * row[j], 0)));
+
+  return {
+    r2: ssTotal > 0 ? 1 - ssResidual / ssTotal : null,
+    n,
+    residualStdDev: degreesOfFreedom > 0 ? Math.sqrt(ssResidual / degreesOfFreedom) : null,
+    covariance: invertMatrix(xtx),
+  };
+}
+
+/**
+ * Fit a least-squares line through (x, y) points
+ *
+ * @param {Array} points - Array of { x, y }
+ * @returns {Object|null} { intercept, slope }, or null with fewer than 2 distinct x values
+ *
+ * @example
+ * fitLinear([{ x: 30, y: 24 }, { x: 40, y: 15 }, { x: 50, y: 6 }])
+ * // { intercept: 51, slope: -0.9 }
+ */
+function fitLinear(points) {
+  const result = fitLeastSquares(points.map((p) => [p.x]), points.map((p) => p.y));
+  if (!result) return null;
+  const [intercept, slope] = result.coefficients;
+  return { intercept, slope };
+}
+
+/**
+ * Fit a degree-day change-point model through (x, y) points
+ *
+ * The balance temperature is found by grid search in 0.5°F steps: for each
+ * candidate, usage is regressed on heating degrees (and cooling degrees) and
+ * the candidate with the smallest residual sum of squares wins. Candidates
+ * are limited to the observed temperature range, since the data says nothing
+ * about a balance point outside it, and fits with a negative heating or
+ * cooling slope are rejected.
+ *
+ * @param {Array} points - Array of { x, y }
+ * @param {boolean} cooling - Also try a cooling slope above a second balance temperature
+ * @returns {Object|null} { baseLoad, heatingSlope, balanceTemp, coolingSlope, coolingBalanceTemp }, or null when no candidate fits
+ */
+function fitChangePoint(points, cooling) {
+  const temps = points.map((p) => p.x);
+  const usage = points.map((p) => p.y);
+  if (temps.length < 3) return null;
+
+  const candidates = [];
+  for (let t = Math.ceil(Math.min(...temps) * 2) / 2; t <= Math.max(...temps); t += 0.5) {
+    candidates.push(t);
+  }
+
+  let best = null;
+  candidates.forEach((balanceTemp) => {
+    const heatingDegrees = temps.map((t) => Math.max(0, balanceTemp - t));
+    const coolingCandidates = cooling ? [null, ...candidates.filter((t) => t > balanceTemp)] : [null];
+
+    coolingCandidates.forEach((coolingBalanceTemp) => {
+      const coolingDegrees = coolingBalanceTemp === null
+        ? null
+        : temps.map((t) => Math.max(0, t - coolingBalanceTemp));
+      const features = heatingDegrees.map((hdd, i) => (coolingDegrees ? [hdd, coolingDegrees[i]] : [hdd]));
+
+      const result = fitLeastSquares(features, usage);
+      if (!result) return;
+
+      const [baseLoad, heatingSlope, coolingSlope = 0] = result.coefficients;
+      if (heatingSlope < 0 || coolingSlope < 0) return;
+
+      if (!best || result.ssResidual < best.ssResidual) {
+        best = {
+          ssResidual: result.ssResidual,
+          coefficients: { baseLoad, heatingSlope, balanceTemp, coolingSlope, coolingBalanceTemp },
+        };
+      }
+    });
+  });
+
+  return best ? best.coefficients : null;
+}
+
+/**
+ * Fit a multiple regression of usage on the given features
+ *
+ * @param {Array} days - Daily usage records that have every feature
+ * @param {Array<string>} features - Feature ids
+ * @returns {Object|null} { coefficients: { intercept, [featureId]: b }, standardErrors, adjustedR2 },
+ *   or null when there are too few records or the features are collinear
+ */
+function fitMultiple(days, features) {
+  const result = fitLeastSquares(
+    days.map((day) => features.map((featureId) => getFeatureValue(featureId, day))),
+    days.map((day) => day.usage_kwh)
+  );
+  if (!result) return null;
+
+  const ids = ['intercept', ...features];
+  return {
+    coefficients: Object.fromEntries(ids.map((id, i) => [id, result.coefficients[i]])),
+    standardErrors: result.standardErrors
+      ? Object.fromEntries(ids.map((id, i) => [id, result.standardErrors[i]]))
+      : null,
+    adjustedR2: result.adjustedR2,
+  };
+}
+
+/**
+ * Get the usage records a model is trained (or scored) on
+ *
+ * @param {Object} model - Model record
+ * @param {Array} data - Daily usage records: [{date, usage_kwh, temp_mean_f}, ...]
+ * @returns {Array} Records inside the model's training range
+ */
+export function getTrainingData(model, data) {
+  if (!model.trainingRange) return [];
+  const { start, end } = model.trainingRange;
+  return data.filter((d) => d.date >= start && d.date <= end);
+}
+
+/**
+ * Fit a model against usage data
+ *
+ * Fitted models get least-squares coefficients from their training range.
+ * Fixed models keep their coefficients and are only scored against it.
+ *
+ * @param {Object} model - Model record
+ * @param {Array} data - Daily usage records
+ * @returns {Object} Fit: { coefficients, r2, n, residualStdDev, fittedAt } (coefficients null when the data can't be fitted)
+ */
+export function fitBaselineModel(model, data) {
+  const form = getModelForm(model);
+  const fittedAt = new Date().toISOString();
+
+  if (form === 'multiple') {
+    return fitMultipleModel(model, data, fittedAt);
+  }
+
+  const days = getTrainingData(model, data);
+  const points = days.map((d) => ({ x: d.temp_mean_f, y: d.usage_kwh }));
+
+  let coefficients;
+  if (model.type === 'fixed') {
+    coefficients = model.coefficients;
+  } else if (form === 'change-point') {
+    coefficients = fitChangePoint(points, Boolean(model.options?.cooling));
+  } else {
+    coefficients = fitLinear(points);
+  }
+
+  if (!coefficients) {
+    return { coefficients: null, r2: null, n: days.length, residualStdDev: null, covariance: null, fittedAt };
+  }
+
+  return { coefficients, ...scoreModel(days, form, coefficients), fittedAt };
+}
+
+/**
+ * Fit (or score) a multiple-regression model
+ *
+ * Training days missing any of the model's features (e.g. occupancy on
+ * days no bill covers) are left out.
+ *
+ * @param {Object} model - Model record with form 'multiple'
+ * @param {Array} data - Daily usage records
+ * @param {string} fittedAt - Fit timestamp
+ * @returns {Object} Fit: { coefficients, r2, adjustedR2, n, residualStdDev, standardErrors, featureMeans, fittedAt }
+ */
+function fitMultipleModel(model, data, fittedAt) {
+  const features = getModelFeatures(model);
+  const trainingData = getTrainingData(model, data);
+  const days = trainingData.filter((day) => features.every((featureId) => getFeatureValue(featureId, day) !== null));
+  const featureMeans = getFeatureMeans(trainingData);
+
+  const result = model.type === 'fixed'
+    ? { coefficients: model.coefficients, standardErrors: null, adjustedR2: null }
+    : fitMultiple(days, features);
+
+  if (!result) {
+    return {
+      coefficients: null, r2: null, adjustedR2: null, n: days.length, residualStdDev: null,
+      covariance: null, standardErrors: null, featureMeans, fittedAt,
+    };
+  }
+
+  return {
+    coefficients: result.coefficients,
+    ...scoreModel(days, 'multiple', result.coefficients),
+    adjustedR2: result.adjustedR2,
+    standardErrors: result.standardErrors,
+    featureMeans,
+    fittedAt,
+  };
+}
+
+/**
+ * Whether a model still needs fitting (never fitted, fitted before any
+ * training data existed, or fitted by an older version without model forms
+ * or prediction intervals)
+ *
+ * @param {Object} model - Model record
+ * @returns {boolean}
+ */
+export function needsFit(model) {
+  return !model.fit || model.fit.n === 0 || !('coefficients' in model.fit) || !('covariance' in model.fit);
+}
+
+/**
+ * Look up a model by id
+ *
+ * @param {Array} models - Array of model records
+ * @param {string|null} modelId - Model id
+ * @returns {Object|null} Model record, or null when not found
+ */
+export function findModel(models, modelId) {
+  return models.find((model) => model.id === modelId) || null;
+}
+
+/**
+ * Get the model used for the legal minimum baseline
+ *
+ * @param {Array} models - Array of model records
+ * @param {string} modelId - Selected legal minimum model id
+ * @returns {Object|null} Selected model, falling back to the default legal minimum model
+ */
+export function getLegalMinModel(models, modelId) {
+  return findModel(models, modelId) || findModel(models, LEGAL_MIN_MODEL_ID);
+}
+
+/**
+ * Get the coefficients a model predicts with
+ *
+ * @param {Object|null} model - Model record
+ * @returns {Object|null} Coefficients for the model's form (see getCoefficientFields()),
+ *   or null when the model is missing or not fitted
+ */
+export function getModelCoefficients(model) {
+  if (!model) return null;
+  if (model.type === 'fixed') return model.coefficients;
+  return model.fit?.coefficients || null;
+}
+
+/**
+ * Predict expected usage for a day
+ *
+ * Multiple-regression models read every feature from the day; features the
+ * day doesn't have are filled in from the training data (see features.js).
+ *
+ * @param {Object|null} model - Model record
+ * @param {Object} day - Daily record: { date, temp_mean_f, temp_min_f, temp_max_f, occupancy_count }
+ * @returns {number|null} Expected usage in kWh, or null when the model can't predict
+ *
+ * @example
+ * predictDayUsage(model, { date: '2026-01-03', temp_mean_f: 30, temp_min_f: 24, temp_max_f: 36 })
+ */
+export function predictDayUsage(model, day) {
+  const coefficients = getModelCoefficients(model);
+  return coefficients ? evaluateForm(getModelForm(model), coefficients, day, model.fit?.featureMeans) : null;
+}
+
+/**
+ * 95% prediction interval for a day's usage
+ *
+ *   expected ± t × σ × √(1 + xᵀ(XᵀX)⁻¹x)
+ *
+ * where x is the day's design row and σ the residual standard deviation:
+ * the range actual usage should fall in 19 days out of 20 if the model holds.
+ *
+ * @param {Object|null} model - Model record
+ * @param {Object} day - Daily record (see predictDayUsage)
+ * @returns {Object|null} { expected, lower, upper, halfWidth }, or null when the
+ *   model has no fit statistics (e.g. too few training days)
+ *
+ * @example
+ * predictDayInterval(model, { temp_mean_f: 30 })
+ * // { expected: 24.09, lower: 17.88, upper: 30.30, halfWidth: 6.21 }
+ */
+export function predictDayInterval(model, day) {
+  const coefficients = getModelCoefficients(model);
+  const fit = model?.fit;
+  if (!coefficients || !fit?.covariance || fit.residualStdDev === null) return null;
+
+  const form = getModelForm(model);
+  const expected = evaluateForm(form, coefficients, day, fit.featureMeans);
+  const row = getDesignRow(form, coefficients, day, fit.featureMeans);
+  if (expected === null || row === null || row.length !== fit.covariance.length) return null;
+
+  const t = tCritical95(fit.n - countParameters(form, coefficients));
+  if (t === null) return null;
+
+  const halfWidth = t * fit.residualStdDev * Math.sqrt(1 + quadraticForm(fit.covariance, row));
+  return { expected, lower: expected - halfWidth, upper: expected + halfWidth, halfWidth };
+}
+
+/**
+ * 95% prediction interval for total usage over several days
+ *
+ * Day-to-day noise is independent between days, but the uncertainty in the
+ * coefficients is shared by all of them, so the total's variance is
+ *   σ² × (days + sᵀ(XᵀX)⁻¹s), with s the sum of the days' design rows.
+ * This is much narrower than adding up the daily intervals.
+ *
+ * @param {Object|null} model - Model record
+ * @param {Array} days - Daily records
+ * @returns {Object|null} { expected, lower, upper, halfWidth }, or null when the model has no fit statistics
+ */
+export function predictTotalInterval(model, days) {
+  const coefficients = getModelCoefficients(model);
+  const fit = model?.fit;
+  if (!coefficients || !fit?.covariance || fit.residualStdDev === null || days.length === 0) return null;
+
+  const form = getModelForm(model);
+  const rows = days.map((day) => getDesignRow(form, coefficients, day, fit.featureMeans));
+  if (rows.some((row) => row === null || row.length !== fit.covariance.length)) return null;
+
+  const t = tCritical95(fit.n - countParameters(form, coefficients));
+  if (t === null) return null;
+
+  const expected = days.reduce((sum, day) => sum + evaluateForm(form, coefficients, day, fit.featureMeans), 0);
+  const summedRow = rows[0].map((_, i) => rows.reduce((sum, row) => sum + row[i], 0));
+  const halfWidth = t * fit.residualStdDev * Math.sqrt(days.length + quadraticForm(fit.covariance, summedRow));
+  return { expected, lower: expected - halfWidth, upper: expected + halfWidth, halfWidth };
+}
+
+/**
+ * Predict expected daily usage at a temperature
+ *
+ * @param {Object|null} model - Model record
+ * @param {number} tempF - Outdoor temperature in °F
+ * @returns {number|null} Expected usage in kWh, or null when the model can't predict
+ *
+ * @example
+ * predictUsage(findModel(models, 'january-2026'), 30) // 24.09
+ */
+export function predictUsage(model, tempF) {
+  return predictDayUsage(model, { temp_mean_f: tempF });
+}
+
+/**
+ * Format a model's formula for display
+ *
+ * @param {Object|null} model - Model record
+ * @returns {string} e.g. "Expected Usage = 50.97 + (-0.896 × Temperature °F)"
+ *   or "Expected Usage = 10.60 + (0.896 × degrees below 44.5°F)"
+ *   or "Expected Usage = 48.10 + (-0.512 × Min temperature) + (1.204 × Weekend)"
+ */
+export function formatModelFormula(model) {
+  const coefficients = getModelCoefficients(model);
+  if (!coefficients) return 'Not fitted yet';
+
+  if (getModelForm(model) === 'multiple') {
+    const { intercept, ...slopes } = coefficients;
+    const terms = Object.entries(slopes)
+      .map(([featureId, coefficient]) => ` + (${coefficient.toFixed(3)} × ${findFeature(featureId)?.label || featureId})`)
+      .join('');
+    return `Expected Usage = ${intercept.toFixed(2)}${terms}`;
+  }
+
+  if (getModelForm(model) === 'change-point') {
+    const { baseLoad, heatingSlope, balanceTemp, coolingSlope, coolingBalanceTemp } = coefficients;
+    const cooling = hasCooling(coefficients)
+      ? ` + (${coolingSlope.toFixed(3)} × degrees above ${coolingBalanceTemp.toFixed(1)}°F)`
+      : '';
+    return `Expected Usage = ${baseLoad.toFixed(2)} + (${heatingSlope.toFixed(3)} × degrees below ${balanceTemp.toFixed(1)}°F)${cooling}`;
+  }
+
+  return `Expected Usage = ${coefficients.intercept.toFixed(2)} + (${coefficients.slope.toFixed(3)} × Temperature °F)`;
+}
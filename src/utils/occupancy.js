@@ -0,0 +1,102 @@
+/**
+ * Occupancy Calendar
+ *
+ * Who was home on which day, painted day by day in the occupancy calendar:
+ *   { [date]: { [residentId]: 1 | 0.5 | 0 } }     // 0.5 = half day (travel day)
+ *
+ * The calendar is sparse: only the days someone painted are stored, and only
+ * for the residents painted on them. Everywhere else each split view falls
+ * back to its own occupancy (a bill's sub-periods, the time window's
+ * occupancy periods, or everyone present), so the calendar is the one place
+ * to record an exception that every view picks up.
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+/**
+ * Presence values a day can be painted with
+ */
+export const PRESENCE_LEVELS = [
+  { value: 1, label: 'Home', color: '#22c55e' },
+  { value: 0.5, label: 'Half day', color: '#f59e0b' },
+  { value: 0, label: 'Away', color: '#ef4444' },
+];
+
+/**
+ * Occupancy calendar shipped with the app (nothing painted)
+ */
+export const DEFAULT_OCCUPANCY_CALENDAR = {};
+
+/**
+ * Get who was home on a day
+ *
+ * @param {Object} calendar - Occupancy calendar
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {Object} fallback - The view's own occupancy record for the day: { [residentId]: 0|1 }
+ * @returns {Object} Occupancy record with the painted residents overriding the fallback
+ *
+ * @example
+ * getDayPresence({ '2025-12-19': { guala: 0.5 } }, '2025-12-19', { causio: 1, guala: 1 })
+ * // { causio: 1, guala: 0.5 }
+ */
+export function getDayPresence(calendar, date, fallback) {
+  const painted = calendar?.[date];
+  return painted ? { ...fallback, ...painted } : fallback;
+}
+
+/**
+ * Whether any resident's presence on a day was painted in the calendar
+ *
+ * @param {Object} calendar - Occupancy calendar
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+export function isPaintedDay(calendar, date) {
+  return Boolean(calendar?.[date]) && Object.keys(calendar[date]).length > 0;
+}
+
+/**
+ * Paint a resident's presence on some days
+ *
+ * @param {Object} calendar - Occupancy calendar
+ * @param {Array<string>} dates - Date strings to paint
+ * @param {string} residentId - Resident painted
+ * @param {number|null} value - Presence (see PRESENCE_LEVELS), or null to clear back to the default
+ * @returns {Object} New occupancy calendar
+ *
+ * @example
+ * paintPresence({}, ['2025-12-19', '2025-12-20'], 'guala', 0)
+ * // { '2025-12-19': { guala: 0 }, '2025-12-20': { guala: 0 } }
+ */
+export function paintPresence(calendar, dates, residentId, value) {
+  const next = { ...calendar };
+  dates.forEach((date) => {
+    const day = { ...next[date] };
+    if (value === null) {
+      delete day[residentId];
+    } else {
+      day[residentId] = value;
+    }
+
+    if (Object.keys(day).length > 0) {
+      next[date] = day;
+    } else {
+      delete next[date];
+    }
+  });
+  return next;
+}
+
+/**
+ * Describe a presence value
+ *
+ * @param {number|undefined} value - Presence value, or undefined when not painted
+ * @returns {string}
+ *
+ * @example
+ * describePresence(0.5) // 'Half day'
+ */
+export function describePresence(value) {
+  if (value === undefined) return 'Default';
+  return PRESENCE_LEVELS.find((level) => level.value === value)?.label || `${value * 100}%`;
+}
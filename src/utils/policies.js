@@ -0,0 +1,357 @@
+/**
+ * Split Policy Engine
+ *
+ * A split policy is a declarative description of how one day's cost is
+ * shared between residents. Every view evaluates policies through
+ * applySplitPolicy() instead of re-implementing the allocation rules.
+ *
+ * Policy shape:
+ *   {
+ *     id, name, version,
+ *     baselineSplit: 'even' | 'ratio',         // how expected (baseline) cost is shared
+ *     baselineRatios: { [residentId]: number }, // weights for 'ratio'
+ *     excessAttribution: 'controller' | 'present' | 'resident' | 'baseline',
+ *     excessResidentId: residentId | null,      // for 'resident'
+ *     negativeExcess: 'split-actual' | 'credit',
+ *     absence: 'pays-baseline' | 'exempt',
+ *     emptyHomeExcess: 'unallocated' | 'baseline',
+ *   }
+ *
+ * Presence can be fractional (0.5 for a travel day). Allocations between
+ * those home are weighted by how much of the day each was home.
+ *
+ * Excess attribution:
+ * - 'controller': a sole occupant pays the excess; with several people home the
+ *   thermostat controller pays for the part of the day they were home, and the
+ *   rest is shared by the others home (all of it if the controller is away).
+ *   When the thermostat log shows several residents set the heating that day,
+ *   each pays for their part of it (see thermostat.js)
+ * - 'present': excess split between whoever was home, by presence
+ * - 'resident': excess charged to one named resident (e.g. heater owner)
+ * - 'baseline': excess shared like the baseline, i.e. the whole cost is split by baselineSplit
+ *
+ * Negative excess (usage below expected):
+ * - 'split-actual': actual cost shared like the baseline
+ * - 'credit': the (negative) excess is attributed like a positive one
+ *
+ * Absence:
+ * - 'pays-baseline': absent residents still pay their baseline share
+ * - 'exempt': baseline shared only between those home, by presence (everyone if nobody was home)
+ */
+
+import { addShares, createShares, getPresenceWeights, splitByWeight } from './shares';
+
+/**
+ * Options for each policy field, in the order shown in the policy editor
+ */
+export const POLICY_OPTIONS = {
+  baselineSplit: [
+    { id: 'even', label: 'Split evenly' },
+    { id: 'ratio', label: 'Split by fixed ratio' },
+  ],
+  excessAttribution: [
+    { id: 'controller', label: 'Sole occupant, else thermostat controller' },
+    { id: 'present', label: 'Split between whoever was home' },
+    { id: 'resident', label: 'One named resident' },
+    { id: 'baseline', label: 'Same as baseline (no excess attribution)' },
+  ],
+  negativeExcess: [
+    { id: 'split-actual', label: 'Split actual cost like the baseline' },
+    { id: 'credit', label: 'Credit savings like excess' },
+  ],
+  absence: [
+    { id: 'pays-baseline', label: 'Absent residents still pay baseline' },
+    { id: 'exempt', label: 'Absent residents exempt from baseline' },
+  ],
+  emptyHomeExcess: [
+    { id: 'unallocated', label: 'Leave unallocated' },
+    { id: 'baseline', label: 'Share like the baseline' },
+  ],
+};
+
+/**
+ * Policies shipped with the app
+ */
+export const DEFAULT_POLICIES = [
+  {
+    id: 'legal-minimum',
+    name: 'Legal minimum split evenly, excess to thermostat controller',
+    version: 1,
+    baselineSplit: 'even',
+    baselineRatios: {},
+    excessAttribution: 'controller',
+    excessResidentId: null,
+    negativeExcess: 'split-actual',
+    absence: 'pays-baseline',
+    emptyHomeExcess: 'unallocated',
+  },
+  {
+    id: 'even-split',
+    name: 'Actual cost split evenly',
+    version: 1,
+    baselineSplit: 'even',
+    baselineRatios: {},
+    excessAttribution: 'baseline',
+    excessResidentId: null,
+    negativeExcess: 'split-actual',
+    absence: 'pays-baseline',
+    emptyHomeExcess: 'baseline',
+  },
+  {
+    id: 'excess-to-present',
+    name: 'Expected split evenly, excess to whoever was home',
+    version: 1,
+    baselineSplit: 'even',
+    baselineRatios: {},
+    excessAttribution: 'present',
+    excessResidentId: null,
+    negativeExcess: 'split-actual',
+    absence: 'pays-baseline',
+    emptyHomeExcess: 'unallocated',
+  },
+  {
+    id: 'heater-owner',
+    name: 'Expected split evenly, excess to heater owner',
+    version: 1,
+    baselineSplit: 'even',
+    baselineRatios: {},
+    excessAttribution: 'resident',
+    excessResidentId: 'guala',
+    negativeExcess: 'split-actual',
+    absence: 'pays-baseline',
+    emptyHomeExcess: 'unallocated',
+  },
+];
+
+/**
+ * Policy used when none is configured
+ */
+export const DEFAULT_POLICY_ID = 'legal-minimum';
+
+/**
+ * Look up a policy by id, falling back to the default policy
+ *
+ * @param {Array} policies - Array of policy records
+ * @param {string} policyId - Policy id
+ * @returns {Object} Policy record
+ */
+export function findPolicy(policies, policyId) {
+  return policies.find((policy) => policy.id === policyId)
+    || policies.find((policy) => policy.id === DEFAULT_POLICY_ID)
+    || DEFAULT_POLICIES[0];
+}
+
+/**
+ * Baseline weight of each resident sharing the baseline
+ *
+ * Presence weights (1 for everyone when absent residents still pay) times
+ * the policy's ratio; residents without a configured ratio get a ratio of 1.
+ *
+ * @param {Object} policy - Split policy
+ * @param {Object} presenceWeights - Share map of presence weights of those sharing the baseline
+ * @returns {Object} Share map of weights
+ */
+function getBaselineWeights(policy, presenceWeights) {
+  if (policy.baselineSplit !== 'ratio') {
+    return presenceWeights;
+  }
+
+  const weights = Object.fromEntries(
+    Object.entries(presenceWeights).map(([id, weight]) => [id, weight * (policy.baselineRatios?.[id] ?? 1)])
+  );
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  return totalWeight > 0 ? weights : presenceWeights;
+}
+
+/**
+ * Excess weight of each resident according to the policy
+ *
+ * @returns {Object|null} Share map of weights, or null when nobody is charged the excess
+ */
+function getExcessWeights(policy, { residentIds, presenceWeights, baselineWeights, everyoneWeights, thermostatController }) {
+  const presentIds = Object.keys(presenceWeights);
+  const emptyHome = () => (policy.emptyHomeExcess === 'baseline' ? getBaselineWeights(policy, everyoneWeights) : null);
+
+  switch (policy.excessAttribution) {
+    case 'baseline':
+      return baselineWeights;
+
+    case 'resident':
+      if (residentIds.includes(policy.excessResidentId)) {
+        return { [policy.excessResidentId]: 1 };
+      }
+      // Named resident no longer in the household: fall back to whoever was home
+      return presentIds.length > 0 ? presenceWeights : emptyHome();
+
+    case 'present':
+      return presentIds.length > 0 ? presenceWeights : emptyHome();
+
+    case 'controller':
+    default: {
+      if (presentIds.length === 0) {
+        return emptyHome();
+      }
+      if (presentIds.length === 1) {
+        // Only one person present: they pay the excess
+        return { [presentIds[0]]: 1 };
+      }
+      // Several present: each controller pays their part of the excess heating
+      // for the part of the day they were home, the others home share the rest
+      const controllerShares = getControllerShares(thermostatController);
+      const controllerWeights = Object.fromEntries(presentIds
+        .filter((id) => controllerShares[id] > 0)
+        .map((id) => [id, controllerShares[id] * presenceWeights[id]]));
+      const controlledWeight = Object.values(controllerWeights).reduce((sum, weight) => sum + weight, 0);
+      if (controlledWeight === 0) {
+        // Controller away (or nobody in particular): those present share the excess
+        return presenceWeights;
+      }
+      const others = Object.fromEntries(presentIds
+        .map((id) => [id, presenceWeights[id] * (1 - (controllerShares[id] || 0))])
+        .filter(([, weight]) => weight > 0));
+      return addShares(controllerWeights, splitByWeight(1 - controlledWeight, others));
+    }
+  }
+}
+
+/**
+ * The thermostat controller as a share map: one resident controlling it all
+ * day, or each resident's part of the day's heating from the thermostat log
+ * (see thermostat.js)
+ */
+function getControllerShares(thermostatController) {
+  if (!thermostatController) return {};
+  return typeof thermostatController === 'string' ? { [thermostatController]: 1 } : thermostatController;
+}
+
+/**
+ * Normalise weights so they add up to 1
+ */
+function normaliseWeights(weights) {
+  return weights ? splitByWeight(1, weights) : {};
+}
+
+/**
+ * Evaluate a split policy for one day (or any single amount)
+ *
+ * @param {Object} policy - Split policy
+ * @param {Object} context - Day being split
+ * @param {number} context.actualCost - Actual cost of the day
+ * @param {number|null} context.expectedCost - Baseline (expected) cost; null when no model applies
+ * @param {Array} context.residents - Array of { id, name } resident records
+ * @param {Object} context.presence - Occupancy record: { [residentId]: 0..1 } (fraction of the day home)
+ * @param {string|Object|null} context.thermostatController - Id of the resident controlling the thermostat,
+ *   or a share map of each resident's part of the day's heating (see getThermostatControllers())
+ * @returns {Object} { shares, baselineShares, excessShares, excessCost, unallocated, weights }
+ *   where weights = { baseline, excess } are the fractions of the baseline and
+ *   of the excess each resident was charged (excess is empty when nobody was)
+ *
+ * @example
+ * applySplitPolicy(findPolicy(policies, 'legal-minimum'), {
+ *   actualCost: 10.51,
+ *   expectedCost: 4.97,
+ *   residents,
+ *   presence: { causio: 1, guala: 1 },
+ *   thermostatController: 'guala',
+ * })
+ * // { shares: { causio: 2.49, guala: 8.03 }, excessCost: 5.54, unallocated: 0, ... }
+ */
+export function applySplitPolicy(policy, { actualCost, expectedCost, residents, presence, thermostatController = null }) {
+  const residentIds = residents.map((resident) => resident.id);
+  const everyoneWeights = createShares(residents, 1);
+  const presenceWeights = getPresenceWeights(residents, presence);
+  const baselineWeights = getBaselineWeights(
+    policy,
+    policy.absence === 'exempt' && Object.keys(presenceWeights).length > 0 ? presenceWeights : everyoneWeights
+  );
+
+  // Without a baseline model the whole actual cost is treated as baseline
+  const baselineCost = expectedCost === null || expectedCost === undefined ? actualCost : expectedCost;
+  const excessCost = actualCost - baselineCost;
+
+  let baselineShares, excessShares, unallocated, excessWeights;
+
+  if (excessCost < 0 && policy.negativeExcess !== 'credit') {
+    // Below expected: share the actual cost like the baseline
+    baselineShares = splitByWeight(actualCost, baselineWeights);
+    excessShares = {};
+    unallocated = 0;
+    excessWeights = null;
+  } else {
+    baselineShares = splitByWeight(baselineCost, baselineWeights);
+    excessWeights = getExcessWeights(policy, {
+      residentIds,
+      presenceWeights,
+      baselineWeights,
+      everyoneWeights,
+      thermostatController,
+    });
+    excessShares = excessWeights ? splitByWeight(excessCost, excessWeights) : {};
+    unallocated = excessWeights ? 0 : excessCost;
+  }
+
+  return {
+    shares: addShares(createShares(residents), baselineShares, excessShares),
+    baselineShares,
+    excessShares,
+    excessCost,
+    unallocated,
+    weights: {
+      baseline: normaliseWeights(baselineWeights),
+      excess: normaliseWeights(excessWeights),
+    },
+  };
+}
+
+/**
+ * Describe the weights a split used, for display
+ *
+ * @param {Object} weights - { baseline, excess } as returned by applySplitPolicy()
+ * @param {Array} residents - Array of { id, name } resident records
+ * @returns {string}
+ *
+ * @example
+ * describeSplitWeights({ baseline: { causio: 0.5, guala: 0.5 }, excess: { causio: 0.67, guala: 0.33 } }, residents)
+ * // 'Baseline: Causio 50%, Guala 50% · Excess: Causio 67%, Guala 33%'
+ */
+export function describeSplitWeights(weights, residents) {
+  const describe = (shares) => residents
+    .filter((resident) => shares[resident.id] > 0)
+    .map((resident) => `${resident.name} ${Math.round(shares[resident.id] * 100)}%`)
+    .join(', ');
+
+  const excess = Object.keys(weights.excess).length > 0 ? describe(weights.excess) : 'nobody';
+  return `Baseline: ${describe(weights.baseline)} · Excess: ${excess}`;
+}
+
+/**
+ * Describe a policy in plain English for display
+ *
+ * @param {Object} policy - Split policy
+ * @param {Array} residents - Array of { id, name } resident records
+ * @returns {Array<string>} One sentence per rule
+ */
+export function describePolicy(policy, residents) {
+  const residentName = (id) => residents.find((resident) => resident.id === id)?.name || id;
+
+  const baseline = policy.baselineSplit === 'ratio'
+    ? `Expected cost split by ratio (${residents.map((r) => `${r.name} ${policy.baselineRatios?.[r.id] ?? 1}`).join(' : ')})`
+    : 'Expected cost split evenly';
+
+  const excess = {
+    controller: 'Excess goes to the sole occupant, or to the thermostat controller when several are home',
+    present: 'Excess split between whoever was home, by how much of the day they were home',
+    resident: `Excess goes to ${residentName(policy.excessResidentId)}`,
+    baseline: 'Excess shared the same way as the expected cost',
+  }[policy.excessAttribution];
+
+  const negative = policy.negativeExcess === 'credit'
+    ? 'Below expected: savings credited like excess'
+    : 'Below expected: actual cost shared like the expected cost';
+
+  const absence = policy.absence === 'exempt'
+    ? 'Absent residents do not pay the expected cost (half a share for half a day)'
+    : 'Absent residents still pay their share of the expected cost';
+
+  return [baseline, excess, negative, absence];
+}
@@ -0,0 +1,181 @@
+/**
+ * Bill Reconciliation
+ *
+ * The modelled cost of a bill (daily usage priced with the rate schedules)
+ * never matches the amount PECO actually charged to the cent: the daily data
+ * doesn't always add up to the billed kWh, the bill may carry fixed charges or
+ * rates the schedules don't have, and every charge on it is rounded. These
+ * helpers scale the modelled shares so they add up to the exact amount
+ * charged, and explain the difference line by line.
+ *
+ * A reconciliation looks like:
+ *   {
+ *     method,                       // see RECONCILIATION_METHODS
+ *     modelTotal,                   // modelled cost of the bill
+ *     allocatedTotal,               // part of it the split policies charged to residents
+ *     billedTotal,
+ *     difference,                   // billedTotal - allocatedTotal
+ *     lines: [{ id, label, amount }],   // explain the difference; they add up to it
+ *     adjustments,                  // share map: what each resident's share moves by
+ *     shares,                       // share map of reconciled shares, in cents
+ *     unallocated,                  // reconciled amount nobody is charged, in cents
+ *   }
+ *
+ * The reconciled shares and `unallocated` add up exactly to billedTotal.
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+import { addShares, splitEvenly } from './shares';
+import { isFixedCharge } from './tariffs';
+
+/**
+ * Ways of spreading the difference between the model and the bill
+ */
+export const RECONCILIATION_METHODS = [
+  {
+    id: 'proportional',
+    label: 'Proportional',
+    description: 'Every share is scaled by the same factor, so each resident pays the same percentage as modelled.',
+  },
+  {
+    id: 'fixed-first',
+    label: 'Fixed charges first',
+    description: 'Billed kWh missing from the daily data are shared like usage; the rest of the difference is treated as a fixed charge and split evenly.',
+  },
+];
+
+/**
+ * Reconciliation method used by bills saved before reconciliation existed
+ */
+export const DEFAULT_RECONCILIATION_METHOD = 'proportional';
+
+/**
+ * Reconcile modelled bill shares to the amount actually charged
+ *
+ * The difference between the shares and the bill is explained in lines that
+ * add up to it:
+ * - modelled cost the split policies left unallocated (e.g. the excess of a
+ *   day nobody was home, see emptyHomeExcess in policies.js)
+ * - rounding each line item to the cent, as the bill does
+ * - billed kWh not in the daily data, priced at the modelled usage rate
+ * - fixed charges and rate differences (whatever is left)
+ *
+ * Only the last three are spread over the shares; what was unallocated stays
+ * unallocated, scaled like the shares under the proportional method. The
+ * reconciled shares are in cents and, with the unallocated amount, add up
+ * exactly to the amount charged.
+ *
+ * @param {Object} totals - Bill split totals: { totalCost, totalUsage, shares, charges }
+ * @param {Object} bill - Bill record: { totalCharged, kwhBilled, reconciliation }
+ * @param {Array} residents - Array of { id, name } resident records
+ * @returns {Object|null} Reconciliation, or null when the bill has no total charged
+ *
+ * @example
+ * reconcileBillSplit(totals, DEFAULT_BILLS[0], residents)
+ * // { modelTotal: 353.26, allocatedTotal: 353.26, billedTotal: 353.25, difference: -0.01,
+ * //   shares: { causio: 190.16, guala: 163.09 }, unallocated: 0, ... }
+ *
+ * reconcileBillSplit({ totalCost: 100, totalUsage: 0, shares: { a: 60, b: 20 } }, { totalCharged: 100 }, residents)
+ * // { difference: 20, lines: [{ id: 'unallocated', amount: 20 }, ...], shares: { a: 60, b: 20 }, unallocated: 20 }
+ */
+export function reconcileBillSplit(totals, bill, residents) {
+  const billedTotal = Number(bill.totalCharged) || 0;
+  if (billedTotal <= 0 || totals.totalCost <= 0) return null;
+
+  const method = bill.reconciliation || DEFAULT_RECONCILIATION_METHOD;
+  const modelTotal = totals.totalCost;
+  const allocatedTotal = Object.values(totals.shares).reduce((sum, share) => sum + share, 0);
+  const unallocated = modelTotal - allocatedTotal;
+  const difference = billedTotal - allocatedTotal;
+  const charges = totals.charges || [];
+  const rounding = charges.reduce((sum, charge) => sum + Math.round(charge.amount * 100) / 100, 0)
+    - (charges.length > 0 ? modelTotal : 0);
+
+  // Price billed kWh missing from (or extra to) the daily data at the modelled usage rate
+  const usageCost = charges
+    .filter((charge) => !isFixedCharge(charge))
+    .reduce((sum, charge) => sum + charge.amount, 0);
+  const usageRate = totals.totalUsage > 0 ? usageCost / totals.totalUsage : 0;
+  const missingUsage = Number(bill.kwhBilled) > 0 ? Number(bill.kwhBilled) - totals.totalUsage : 0;
+  const usageDifference = missingUsage * usageRate;
+  const otherDifference = billedTotal - modelTotal - rounding - usageDifference;
+
+  // Scaled by each share's part of the whole modelled cost, so the unallocated part keeps its own
+  const scaleShares = (amount) => Object.fromEntries(
+    Object.entries(totals.shares).map(([id, share]) => [id, amount * (share / modelTotal)])
+  );
+  const adjustments = method === 'fixed-first'
+    ? addShares(
+      scaleShares(rounding + usageDifference),
+      splitEvenly(otherDifference, residents.map((resident) => resident.id))
+    )
+    : scaleShares(billedTotal - modelTotal);
+
+  const lines = [
+    { id: 'unallocated', label: 'Left unallocated by the split policy', amount: unallocated },
+    { id: 'rounding', label: 'Rounding to the cent', amount: rounding },
+    {
+      id: 'usage',
+      label: `Billed kWh not in the daily data (${formatSignedKwh(missingUsage)})`,
+      amount: usageDifference,
+    },
+    { id: 'fixed', label: 'Fixed charges and rate differences', amount: otherDifference },
+  ];
+
+  const adjustedShares = addShares(totals.shares, adjustments);
+  const adjustedTotal = Object.values(adjustedShares).reduce((sum, share) => sum + share, 0);
+  const reconciledUnallocated = Math.round((billedTotal - adjustedTotal) * 100) / 100;
+
+  return {
+    method,
+    modelTotal,
+    allocatedTotal,
+    billedTotal,
+    difference,
+    lines,
+    adjustments,
+    shares: roundSharesToTotal(adjustedShares, billedTotal - reconciledUnallocated),
+    unallocated: reconciledUnallocated,
+  };
+}
+
+/**
+ * Round shares to cents so they add up exactly to a total
+ *
+ * Uses the largest-remainder method: every share is rounded down to the cent,
+ * and the cents still missing go to the shares that lost the most in
+ * rounding (or, when the shares round to more than the total, come back from
+ * the ones that lost the least). Only rounding is made up this way, at most a
+ * cent per share: shares further from the total than that aren't stretched
+ * to it, so their sum stays short (or over) by the rest.
+ *
+ * @param {Object} shares - Share map adding up to the total, give or take rounding
+ * @param {number} total - Amount the rounded shares must add up to
+ * @returns {Object} Share map in whole cents
+ *
+ * @example
+ * roundSharesToTotal({ a: 1/3, b: 1/3, c: 1/3 }, 1) // { a: 0.34, b: 0.33, c: 0.33 }
+ * roundSharesToTotal({ a: 60, b: 20 }, 100)       // { a: 60.01, b: 20.01 } (20 short isn't rounding)
+ */
+export function roundSharesToTotal(shares, total) {
+  const entries = Object.entries(shares).map(([id, share]) => {
+    const cents = Math.floor(share * 100);
+    return { id, cents, remainder: share * 100 - cents };
+  });
+
+  const missingCents = Math.round(total * 100) - entries.reduce((sum, entry) => sum + entry.cents, 0);
+  const byRemainder = [...entries].sort((a, b) => b.remainder - a.remainder);
+  if (missingCents > 0) {
+    byRemainder.slice(0, missingCents).forEach((entry) => { entry.cents += 1; });
+  } else if (missingCents < 0) {
+    byRemainder.reverse().slice(0, -missingCents).forEach((entry) => { entry.cents -= 1; });
+  }
+
+  return Object.fromEntries(entries.map((entry) => [entry.id, entry.cents / 100]));
+}
+
+function formatSignedKwh(kwh) {
+  const rounded = Math.round(kwh * 100) / 100;
+  return `${rounded > 0 ? '+' : ''}${rounded === 0 ? '0.00' : rounded.toFixed(2)} kWh`;
+}
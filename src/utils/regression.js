@@ -0,0 +1,139 @@
+/**
+ * Least-Squares Regression
+ *
+ * Ordinary least squares for any number of features, solved through the
+ * normal equations: b = (XᵀX)⁻¹ Xᵀy. The design matrix always gets an
+ * intercept column, so each row only lists the feature values.
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+/**
+ * Invert a square matrix by Gauss-Jordan elimination with partial pivoting
+ *
+ * @param {Array<Array<number>>} matrix - Square matrix
+ * @returns {Array<Array<number>>|null} Inverse, or null when the matrix is singular
+ */
+export function invertMatrix(matrix) {
+  const size = matrix.length;
+  // Augment with the identity matrix
+  const rows = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+
+  for (let col = 0; col < size; col++) {
+    // Pick the row with the largest pivot for numerical stability
+    let pivot = col;
+    for (let r = col + 1; r < size; r++) {
+      if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-10) return null;
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    const pivotValue = rows[col][col];
+    for (let c = 0; c < 2 * size; c++) rows[col][c] /= pivotValue;
+
+    for (let r = 0; r < size; r++) {
+      if (r === col) continue;
+      const factor = rows[r][col];
+      if (factor === 0) continue;
+      for (let c = 0; c < 2 * size; c++) rows[r][c] -= factor * rows[col][c];
+    }
+  }
+
+  return rows.map((row) => row.slice(size));
+}
+
+/**
+ * Fit y = b0 + b1·x1 + ... + bk·xk by ordinary least squares
+ *
+ * @param {Array<Array<number>>} features - One row of k feature values per observation
+ * @param {Array<number>} y - Observed values
+ * @returns {Object|null} {
+ *   coefficients,       // [b0 (intercept), b1, ..., bk]
+ *   standardErrors,     // standard error of each coefficient (null without spare degrees of freedom)
+ *   covariance,         // (XᵀX)⁻¹, used for prediction intervals
+ *   r2, adjustedR2, n, p, ssResidual, residualStdDev,
+ * } or null when the features are collinear or there are too few observations
+ *
+ * @example
+ * fitLeastSquares([[30], [40], [50]], [24, 15, 6])
+ * // { coefficients: [51, -0.9], r2: 1, n: 3, p: 2, ... }
+ */
+export function fitLeastSquares(features, y) {
+  const n = y.length;
+  const p = (features[0]?.length ?? 0) + 1;
+  if (n < p) return null;
+
+  const design = features.map((row) => [1, ...row]);
+
+  // XᵀX and Xᵀy
+  const xtx = Array.from({ length: p }, (_, i) =>
+    Array.from({ length: p }, (_, j) => design.reduce((sum, row) => sum + row[i] * row[j], 0))
+  );
+  const xty = Array.from({ length: p }, (_, i) => design.reduce((sum, row, k) => sum + row[i] * y[k], 0));
+
+  const covariance = invertMatrix(xtx);
+  if (!covariance) return null;
+
+  const coefficients = covariance.map((row) => row.reduce((sum, value, j) => sum + value * xty[j], 0));
+
+  const predicted = design.map((row) => row.reduce((sum, value, j) => sum + value * coefficients[j], 0));
+  const meanY = y.reduce((sum, value) => sum + value, 0) / n;
+  const ssTotal = y.reduce((sum, value) => sum + (value - meanY) ** 2, 0);
+  const ssResidual = y.reduce((sum, value, i) => sum + (value - predicted[i]) ** 2, 0);
+
+  const degreesOfFreedom = n - p;
+  const residualVariance = degreesOfFreedom > 0 ? ssResidual / degreesOfFreedom : null;
+  const r2 = ssTotal > 0 ? 1 - ssResidual / ssTotal : null;
+
+  return {
+    coefficients,
+    standardErrors: residualVariance === null
+      ? null
+      : covariance.map((row, i) => Math.sqrt(Math.max(0, row[i] * residualVariance))),
+    covariance,
+    r2,
+    adjustedR2: r2 !== null && degreesOfFreedom > 0 ? 1 - (1 - r2) * (n - 1) / degreesOfFreedom : null,
+    n,
+    p,
+    ssResidual,
+    residualStdDev: residualVariance === null ? null : Math.sqrt(residualVariance),
+  };
+}
+
+/**
+ * Two-sided 95% critical values of Student's t distribution for 1-30 degrees of freedom
+ */
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+/**
+ * Critical t value for a two-sided 95% interval
+ *
+ * Exact (to 3 decimals) up to 30 degrees of freedom; beyond that the value
+ * approaches the normal 1.96 and is interpolated as 1.96 + 2.46 / df.
+ *
+ * @param {number} degreesOfFreedom - Residual degrees of freedom
+ * @returns {number|null} Critical value, or null without degrees of freedom
+ *
+ * @example
+ * tCritical95(7) // 2.365
+ */
+export function tCritical95(degreesOfFreedom) {
+  if (degreesOfFreedom < 1) return null;
+  if (degreesOfFreedom <= T_CRITICAL_95.length) return T_CRITICAL_95[Math.floor(degreesOfFreedom) - 1];
+  return 1.96 + 2.46 / degreesOfFreedom;
+}
+
+/**
+ * Compute xᵀ A x
+ *
+ * @param {Array<Array<number>>} matrix - Square matrix A
+ * @param {Array<number>} vector - Vector x
+ * @returns {number}
+ */
+export function quadraticForm(matrix, vector) {
+  return vector.reduce((sum, xi, i) => sum + xi * matrix[i].reduce((rowSum, a, j) => rowSum + a * vector[j], 0), 0);
+}
@@ -0,0 +1,122 @@
+/**
+ * Share Map Helpers
+ *
+ * Per-resident amounts are "share maps": plain objects keyed by
+ * resident id, e.g. { causio: 2.49, guala: 8.06 }.
+ *
+ * Occupancy records use the same shape for presence: the fraction of the
+ * day each resident was home, from 0 (away) to 1 (home all day), e.g.
+ * 0.5 for a travel day.
+ */
+
+/**
+ * Create a share map with the same value for every resident
+ *
+ * @param {Array} residents - Array of { id, name } resident records
+ * @param {number} value - Initial value for each resident (default: 0)
+ * @returns {Object} Share map keyed by resident id
+ *
+ * @example
+ * createShares([{ id: 'causio' }, { id: 'guala' }]) // { causio: 0, guala: 0 }
+ */
+export function createShares(residents, value = 0) {
+  return Object.fromEntries(residents.map((resident) => [resident.id, value]));
+}
+
+/**
+ * Split an amount evenly between the given resident ids
+ *
+ * @param {number} amount - Amount to split (kWh or dollars)
+ * @param {Array<string>} residentIds - Ids of residents sharing the amount
+ * @returns {Object} Share map keyed by resident id (empty if no ids)
+ *
+ * @example
+ * splitEvenly(9, ['a', 'b', 'c']) // { a: 3, b: 3, c: 3 }
+ */
+export function splitEvenly(amount, residentIds) {
+  if (residentIds.length === 0) return {};
+  const each = amount / residentIds.length;
+  return Object.fromEntries(residentIds.map((id) => [id, each]));
+}
+
+/**
+ * Split an amount in proportion to weights
+ *
+ * @param {number} amount - Amount to split (kWh or dollars)
+ * @param {Object} weights - Share map of weights (e.g. presence fractions)
+ * @returns {Object} Share map keyed by resident id (empty if the weights add up to 0)
+ *
+ * @example
+ * splitByWeight(9, { a: 1, b: 0.5 }) // { a: 6, b: 3 }
+ */
+export function splitByWeight(amount, weights) {
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight <= 0) return {};
+  return Object.fromEntries(Object.entries(weights).map(([id, weight]) => [id, amount * weight / totalWeight]));
+}
+
+/**
+ * Add share maps together
+ *
+ * @param {...Object} shareMaps - Share maps to add
+ * @returns {Object} Combined share map containing every resident id seen
+ *
+ * @example
+ * addShares({ a: 1, b: 2 }, { b: 3 }) // { a: 1, b: 5 }
+ */
+export function addShares(...shareMaps) {
+  return shareMaps.reduce((acc, shares) => {
+    Object.entries(shares).forEach(([id, value]) => {
+      acc[id] = (acc[id] || 0) + value;
+    });
+    return acc;
+  }, {});
+}
+
+/**
+ * Get the ids of residents present according to an occupancy record
+ *
+ * Residents missing from the record are treated as away.
+ *
+ * @param {Array} residents - Array of { id, name } resident records
+ * @param {Object} presence - Occupancy record keyed by resident id: { [id]: 0..1 }
+ * @returns {Array<string>} Ids of residents present (for any part of the day)
+ *
+ * @example
+ * getPresentResidentIds(residents, { causio: 1, guala: 0 }) // ['causio']
+ */
+export function getPresentResidentIds(residents, presence) {
+  return residents
+    .filter((resident) => (presence[resident.id] || 0) > 0)
+    .map((resident) => resident.id);
+}
+
+/**
+ * Get how much of the day each resident present was home
+ *
+ * @param {Array} residents - Array of { id, name } resident records
+ * @param {Object} presence - Occupancy record keyed by resident id: { [id]: 0..1 }
+ * @returns {Object} Presence fractions of the residents present, capped at 1
+ *
+ * @example
+ * getPresenceWeights(residents, { causio: 1, guala: 0.5 }) // { causio: 1, guala: 0.5 }
+ */
+export function getPresenceWeights(residents, presence) {
+  return Object.fromEntries(
+    getPresentResidentIds(residents, presence).map((id) => [id, Math.min(presence[id], 1)])
+  );
+}
+
+/**
+ * Count the people home on a day, travel days counting as part of a person
+ *
+ * @param {Array} residents - Array of { id, name } resident records
+ * @param {Object} presence - Occupancy record keyed by resident id: { [id]: 0..1 }
+ * @returns {number} Sum of presence fractions
+ *
+ * @example
+ * countPresence(residents, { causio: 1, guala: 0.5 }) // 1.5
+ */
+export function countPresence(residents, presence) {
+  return Object.values(getPresenceWeights(residents, presence)).reduce((sum, weight) => sum + weight, 0);
+}
@@ -0,0 +1,518 @@
+/**
+ * Storage Utilities
+ *
+ * The app's storage layer. State is kept in IndexedDB, with an object store
+ * for each kind of data:
+ *   usage      daily usage records, keyed by date
+ *   weather    stored weather days, keyed by date
+ *   bills      bill records, keyed by their position in the list
+ *   occupancy  days painted in the occupancy calendar, keyed by date
+ *   journal    change journal entries (see journal.js), in order
+ *   settings   everything else (residents, policies, models...), keyed by
+ *              storage key; keys with a store of their own hold a pointer to it
+ *
+ * Each household (see households.js) has a database of its own, so their data
+ * is kept apart. The default household uses the original database, which
+ * also holds the keys shared by every household: the list of households and
+ * which one is open.
+ *
+ * The schema is versioned: SCHEMA_MIGRATIONS[n] upgrades a version n database
+ * to version n + 1, and the steps run in order when the database is opened,
+ * so data saved by an older version of the app is brought up to date rather
+ * than having to be cleared. A step that adds a field to existing records
+ * walks their store with a cursor inside the upgrade transaction.
+ *
+ * initStorage() opens the open household's database and reads everything
+ * into memory once, before the app renders; after that values are read
+ * synchronously and every save is written through to the database; only the
+ * records of a collection that changed since the last save are written. Browsers
+ * without IndexedDB (and code that never calls initStorage) use localStorage
+ * instead, with other households' keys suffixed with their id.
+ *
+ * All keys used by the app are listed in STORAGE_KEYS so they can be found
+ * (and cleared) in one place.
+ */
+
+/**
+ * Storage keys used by the app (also the localStorage keys they were kept
+ * under before the database)
+ */
+export const STORAGE_KEYS = {
+  historicalData: 'electricity-historical-data',
+  residents: 'electricity-residents',
+  bills: 'electricity-bills',
+  policies: 'electricity-policies',
+  models: 'electricity-models',
+  legalMinModelId: 'electricity-legal-min-model',
+  rateSchedules: 'electricity-rate-schedules',
+  timeWindow: 'electricity-time-window',
+  occupancyCalendar: 'electricity-occupancy-calendar',
+  thermostatLog: 'electricity-thermostat-log',
+  appliances: 'electricity-appliances',
+  weather: 'electricity-weather',
+  importProfiles: 'electricity-import-profiles',
+  dataExclusions: 'electricity-data-exclusions',
+  gapFilling: 'electricity-gap-filling',
+  changeJournal: 'electricity-change-journal',
+  journalAuthor: 'electricity-journal-author',
+  households: 'electricity-households',
+  currentHousehold: 'electricity-current-household',
+};
+
+export const DATABASE_NAME = 'electricity-bill-splitter';
+
+/**
+ * Household whose data is in the original database (and in the unsuffixed
+ * localStorage keys)
+ */
+export const DEFAULT_HOUSEHOLD_ID = 'default';
+
+/**
+ * Current schema version. Bump it (and add a step to SCHEMA_MIGRATIONS) when
+ * a store is added or the shape of stored records changes.
+ */
+export const SCHEMA_VERSION = 2;
+
+const SETTINGS_STORE = 'settings';
+
+// Keys shared by every household, kept in the default household's database
+const SHARED_KEYS = [STORAGE_KEYS.households, STORAGE_KEYS.currentHousehold];
+
+/**
+ * Keys kept in a store of their own, one record per date or list entry
+ */
+const COLLECTIONS = {
+  [STORAGE_KEYS.historicalData]: { store: 'usage', type: 'array', getKey: (record) => record.date },
+  [STORAGE_KEYS.weather]: { store: 'weather', type: 'object' },
+  [STORAGE_KEYS.bills]: { store: 'bills', type: 'array', getKey: (bill, index) => index },
+  [STORAGE_KEYS.occupancyCalendar]: { store: 'occupancy', type: 'object' },
+  [STORAGE_KEYS.changeJournal]: { store: 'journal', type: 'array', getKey: (entry, index) => index },
+};
+
+const ALL_STORES = [...Object.values(COLLECTIONS).map((collection) => collection.store), SETTINGS_STORE];
+
+/**
+ * Upgrade steps: SCHEMA_MIGRATIONS[n] turns a version n database into
+ * version n + 1. Each step gets the database and the upgrade transaction.
+ */
+const SCHEMA_MIGRATIONS = [
+  // 0 → 1: create the stores and move in what was kept in localStorage
+  (database, transaction) => {
+    ['usage', 'weather', 'bills', 'occupancy', SETTINGS_STORE].forEach((store) => database.createObjectStore(store));
+    moveFromLocalStorage(
+      database,
+      transaction,
+      Object.values(STORAGE_KEYS).filter((key) => key !== STORAGE_KEYS.changeJournal)
+    );
+  },
+  // 1 → 2: add the change journal's store
+  (database, transaction) => {
+    database.createObjectStore('journal');
+    moveFromLocalStorage(database, transaction, [STORAGE_KEYS.changeJournal]);
+  },
+];
+
+// Open databases and what's in them, once initStorage() has run
+let mainDatabase = null;
+let database = null;
+let householdId = DEFAULT_HOUSEHOLD_ID;
+const cache = new Map();
+
+/**
+ * Open the open household's database (upgrading it if needed) and read
+ * everything into memory
+ *
+ * Never rejects: when IndexedDB can't be used, storage falls back to
+ * localStorage.
+ *
+ * @returns {Promise<void>}
+ *
+ * @example
+ * initStorage().then(() => ReactDOM.createRoot(root).render(<App />));
+ */
+export async function initStorage() {
+  closeDatabases();
+  let main = null;
+  let opened = null;
+  try {
+    main = await openDatabase(DATABASE_NAME);
+    const shared = await readSettings(main, SHARED_KEYS);
+    const id = findHousehold(shared.get(STORAGE_KEYS.households), shared.get(STORAGE_KEYS.currentHousehold));
+
+    opened = id === DEFAULT_HOUSEHOLD_ID ? main : await openDatabase(getDatabaseName(id));
+    const values = await readAll(opened);
+    cache.clear();
+    shared.forEach((value, key) => cache.set(key, value));
+    values.forEach(([key, value]) => cache.set(key, value));
+    mainDatabase = main;
+    database = opened;
+    householdId = id;
+  } catch (err) {
+    console.error('IndexedDB unavailable, using localStorage:', err);
+    // Close what was opened, so it can't block a later open or upgrade in this tab
+    if (opened && opened !== main) opened.close();
+    if (main) main.close();
+    closeDatabases();
+    householdId = findHousehold(
+      readLocalStorage(STORAGE_KEYS.households, undefined),
+      readLocalStorage(STORAGE_KEYS.currentHousehold, undefined)
+    );
+  }
+}
+
+/**
+ * Id of the household whose data is open
+ *
+ * @returns {string} Household id
+ */
+export function getHouseholdId() {
+  return householdId;
+}
+
+/**
+ * Open another household's data
+ *
+ * The app has to be remounted afterwards, since everything it read belongs
+ * to the household that was open before.
+ *
+ * @param {string} id - Household id (see households.js)
+ * @returns {Promise<void>}
+ *
+ * @example
+ * switchHousehold(household.id).then(() => setHouseholdId(household.id));
+ */
+export async function switchHousehold(id) {
+  saveToStorage(STORAGE_KEYS.currentHousehold, id);
+  await initStorage();
+}
+
+/**
+ * Load a stored value
+ *
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when the key is absent or unreadable
+ * @returns {*} Stored value or fallback
+ *
+ * @example
+ * loadFromStorage(STORAGE_KEYS.residents, DEFAULT_RESIDENTS)
+ */
+export function loadFromStorage(key, fallback) {
+  if (!database) return readLocalStorage(getLocalKey(key, householdId), fallback);
+  return cache.has(key) ? cache.get(key) : fallback;
+}
+
+/**
+ * Save a value (written to the database in the background)
+ *
+ * Saving the value that's already stored writes nothing, and a collection
+ * only has the records that changed since the last save written.
+ *
+ * @param {string} key - Storage key
+ * @param {*} value - Structured-cloneable (JSON-serialisable) value
+ */
+export function saveToStorage(key, value) {
+  if (!database) {
+    localStorage.setItem(getLocalKey(key, householdId), JSON.stringify(value));
+    return;
+  }
+
+  const previous = cache.get(key);
+  if (cache.has(key) && previous === value) return;
+  cache.set(key, value);
+  runTransaction(getDatabaseFor(key), (transaction) => putValue(transaction, key, value, previous), `save ${key}`);
+}
+
+/**
+ * Remove a stored value
+ *
+ * @param {string} key - Storage key
+ */
+export function removeFromStorage(key) {
+  if (!database) {
+    localStorage.removeItem(getLocalKey(key, householdId));
+    return;
+  }
+
+  cache.delete(key);
+  runTransaction(getDatabaseFor(key), (transaction) => {
+    transaction.objectStore(SETTINGS_STORE).delete(key);
+    if (COLLECTIONS[key]) {
+      transaction.objectStore(COLLECTIONS[key].store).clear();
+    }
+  }, `remove ${key}`);
+}
+
+/**
+ * Read values stored for any household (e.g. to copy its configuration)
+ *
+ * @param {string} id - Household id
+ * @param {Array<string>} keys - Storage keys to read
+ * @returns {Promise<Object>} { [key]: value } for the keys that are stored
+ *
+ * @example
+ * const { [STORAGE_KEYS.policies]: policies } = await readHousehold(id, [STORAGE_KEYS.policies]);
+ */
+export async function readHousehold(id, keys) {
+  if (id === householdId || !database) {
+    const read = id === householdId
+      ? (key) => loadFromStorage(key, undefined)
+      : (key) => readLocalStorage(getLocalKey(key, id), undefined);
+    return Object.fromEntries(keys.map((key) => [key, read(key)]).filter(([, value]) => value !== undefined));
+  }
+
+  const opened = id === DEFAULT_HOUSEHOLD_ID ? mainDatabase : await openDatabase(getDatabaseName(id));
+  try {
+    const values = await readAll(opened);
+    return Object.fromEntries(values.filter(([key]) => keys.includes(key)));
+  } finally {
+    if (opened !== mainDatabase) opened.close();
+  }
+}
+
+/**
+ * Store values for a household that isn't open (e.g. a new household's
+ * starting data)
+ *
+ * @param {string} id - Household id
+ * @param {Object} values - { [key]: value }
+ * @returns {Promise<void>} Resolves once the values are written
+ */
+export async function writeHousehold(id, values) {
+  if (!database) {
+    Object.entries(values).forEach(([key, value]) => localStorage.setItem(getLocalKey(key, id), JSON.stringify(value)));
+    return;
+  }
+
+  const opened = await openDatabase(getDatabaseName(id));
+  try {
+    await new Promise((resolve, reject) => {
+      const transaction = opened.transaction(ALL_STORES, 'readwrite');
+      Object.entries(values).forEach(([key, value]) => putValue(transaction, key, value));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    opened.close();
+  }
+}
+
+/**
+ * Delete everything stored for a household. The default household (which
+ * holds the shared keys) and the open one can't be deleted.
+ *
+ * @param {string} id - Household id
+ * @returns {Promise<void>}
+ */
+export async function deleteHousehold(id) {
+  if (id === DEFAULT_HOUSEHOLD_ID || id === householdId) {
+    throw new Error('The default household and the open household can\'t be deleted');
+  }
+
+  if (!database) {
+    Object.values(STORAGE_KEYS).forEach((key) => {
+      if (!SHARED_KEYS.includes(key)) localStorage.removeItem(getLocalKey(key, id));
+    });
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(getDatabaseName(id));
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open a database, running the migrations from its version to SCHEMA_VERSION
+ *
+ * A migration that throws aborts the upgrade, which leaves the database at
+ * its old version and closes the connection; the promise rejects with its
+ * error.
+ *
+ * @param {string} name - Database name
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(name) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not supported'));
+      return;
+    }
+
+    const request = indexedDB.open(name, SCHEMA_VERSION);
+    let migrationError = null;
+    request.onupgradeneeded = (event) => {
+      try {
+        for (let version = event.oldVersion; version < SCHEMA_VERSION; version++) {
+          SCHEMA_MIGRATIONS[version](request.result, request.transaction);
+        }
+      } catch (err) {
+        // Aborting the upgrade closes the connection and fails the open
+        migrationError = err;
+        request.transaction.abort();
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(migrationError || request.error);
+  });
+}
+
+/**
+ * Read every stored value
+ *
+ * @param {IDBDatabase} opened - Open database
+ * @returns {Promise<Array>} [key, value] pairs
+ */
+function readAll(opened) {
+  return new Promise((resolve, reject) => {
+    const transaction = opened.transaction(ALL_STORES, 'readonly');
+    const settings = readStore(transaction, SETTINGS_STORE);
+    const collections = Object.entries(COLLECTIONS).map(([key, collection]) => [key, collection, readStore(transaction, collection.store)]);
+
+    transaction.oncomplete = () => {
+      const values = settings.keys.map((key, i) => [key, settings.values[i]]);
+      collections.forEach(([key, collection, records]) => {
+        const index = values.findIndex(([k]) => k === key);
+        if (index !== -1) {
+          values[index] = [key, fromRecords(collection, records.keys, records.values)];
+        }
+      });
+      resolve(values);
+    };
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Read settings entries by key
+ *
+ * @param {IDBDatabase} opened - Open database
+ * @param {Array<string>} keys - Storage keys kept in the settings store
+ * @returns {Promise<Map>} key → value for the keys that are stored
+ */
+function readSettings(opened, keys) {
+  return new Promise((resolve, reject) => {
+    const transaction = opened.transaction(SETTINGS_STORE, 'readonly');
+    const values = new Map();
+    keys.forEach((key) => {
+      transaction.objectStore(SETTINGS_STORE).get(key).onsuccess = (event) => {
+        if (event.target.result !== undefined) values.set(key, event.target.result);
+      };
+    });
+    transaction.oncomplete = () => resolve(values);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Collect a store's keys and values, available once the transaction completes
+function readStore(transaction, storeName) {
+  const store = transaction.objectStore(storeName);
+  const result = { keys: [], values: [] };
+  store.getAllKeys().onsuccess = (event) => { result.keys = event.target.result; };
+  store.getAll().onsuccess = (event) => { result.values = event.target.result; };
+  return result;
+}
+
+/**
+ * Write a value within a transaction: collections write their store's
+ * records, everything else is a settings entry
+ *
+ * Given the value that's stored, a collection only puts the records that
+ * aren't the same objects as before and deletes the ones that are gone;
+ * without it, the store's records are all replaced.
+ *
+ * @param {IDBTransaction} transaction - Read-write transaction over every store
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @param {*} previous - Value stored until now (undefined if not known)
+ */
+function putValue(transaction, key, value, previous = undefined) {
+  const settings = transaction.objectStore(SETTINGS_STORE);
+  const collection = COLLECTIONS[key];
+  if (!collection) {
+    settings.put(value, key);
+    return;
+  }
+
+  const store = transaction.objectStore(collection.store);
+  const records = toRecords(collection, value);
+  if (previous === undefined) {
+    store.clear();
+    records.forEach(([recordKey, record]) => store.put(record, recordKey));
+    settings.put({ store: collection.store }, key);
+    return;
+  }
+
+  const stored = new Map(toRecords(collection, previous));
+  records.forEach(([recordKey, record]) => {
+    if (stored.get(recordKey) !== record) store.put(record, recordKey);
+    stored.delete(recordKey);
+  });
+  stored.forEach((record, recordKey) => store.delete(recordKey));
+}
+
+// Copy values saved while the database couldn't be used into the household's database
+function moveFromLocalStorage(opened, transaction, keys) {
+  const id = opened.name === DATABASE_NAME ? DEFAULT_HOUSEHOLD_ID : opened.name.slice(DATABASE_NAME.length + 1);
+  keys
+    .filter((key) => id === DEFAULT_HOUSEHOLD_ID || !SHARED_KEYS.includes(key))
+    .forEach((key) => {
+      const value = readLocalStorage(getLocalKey(key, id), undefined);
+      if (value !== undefined) {
+        putValue(transaction, key, value);
+      }
+    });
+}
+
+function runTransaction(opened, write, description) {
+  const transaction = opened.transaction(ALL_STORES, 'readwrite');
+  write(transaction);
+  transaction.onerror = () => console.error(`Failed to ${description}:`, transaction.error);
+}
+
+// Pending writes still finish after a database is closed
+function closeDatabases() {
+  if (database && database !== mainDatabase) database.close();
+  if (mainDatabase) mainDatabase.close();
+  database = null;
+  mainDatabase = null;
+}
+
+// The open household, unless the stored list doesn't have it any more
+function findHousehold(households, current) {
+  return (households || []).some((household) => household.id === current) ? current : DEFAULT_HOUSEHOLD_ID;
+}
+
+function getDatabaseFor(key) {
+  return SHARED_KEYS.includes(key) ? mainDatabase : database;
+}
+
+function getDatabaseName(id) {
+  return id === DEFAULT_HOUSEHOLD_ID ? DATABASE_NAME : `${DATABASE_NAME}-${id}`;
+}
+
+function getLocalKey(key, id) {
+  return id === DEFAULT_HOUSEHOLD_ID || SHARED_KEYS.includes(key) ? key : `${key}@${id}`;
+}
+
+function toRecords(collection, value) {
+  if (collection.type === 'array') {
+    return (Array.isArray(value) ? value : []).map((item, index) => [collection.getKey(item, index), item]);
+  }
+  return Object.entries(value || {});
+}
+
+function fromRecords(collection, keys, values) {
+  if (collection.type === 'array') return values;
+  return Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+}
+
+function readLocalStorage(key, fallback) {
+  try {
+    const cached = localStorage.getItem(key);
+    return cached === null ? fallback : JSON.parse(cached);
+  } catch (err) {
+    console.error(`Failed to read ${key} from storage:`, err);
+    return fallback;
+  }
+}
@@ -0,0 +1,402 @@
+/**
+ * Tariffs
+ *
+ * A PECO bill isn't one flat rate: it has a fixed customer charge, per-kWh
+ * distribution and supply (generation + transmission) charges, possibly from
+ * a third-party supplier, and taxes. A rate schedule lists those charges as
+ * line items and says from which date they apply:
+ *   {
+ *     id, name,
+ *     start: 'YYYY-MM-DD',          // applies from this date until the next schedule starts
+ *     lineItems: [
+ *       {
+ *         id, label,
+ *         provider,                 // who charges it, e.g. 'PECO' or a third-party supplier
+ *         kind: 'per-kwh' | 'monthly' | 'daily' | 'percent',
+ *         rate,                     // $/kWh, $/month, $/day or % of the other charges
+ *         split: 'even' | 'present' | 'policy',   // fixed charges only
+ *       },
+ *     ],
+ *   }
+ *
+ * Each day's cost is computed line item by line item. Per-kWh charges are
+ * shared by the day's split policy, after the estimated use of residents'
+ * own appliances is charged to their owners (see appliances.js); fixed
+ * charges by their own split rule; percentage charges (taxes) in proportion
+ * to the charges they apply to.
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+import { addShares, createShares, getPresenceWeights, splitByWeight, splitEvenly } from './shares';
+import { applySplitPolicy } from './policies';
+
+/**
+ * Kinds of line item
+ */
+export const LINE_ITEM_KINDS = [
+  { id: 'per-kwh', label: 'Per kWh', unit: '$/kWh' },
+  { id: 'monthly', label: 'Fixed per month', unit: '$/month' },
+  { id: 'daily', label: 'Fixed per day', unit: '$/day' },
+  { id: 'percent', label: 'Percent of other charges', unit: '%' },
+];
+
+/**
+ * How fixed (monthly or daily) charges are shared
+ */
+export const FIXED_CHARGE_SPLITS = [
+  { id: 'even', label: 'Split evenly between all residents' },
+  { id: 'present', label: 'Split between residents at home' },
+  { id: 'policy', label: 'Share like the expected cost' },
+];
+
+// Monthly charges are prorated per day over an average month
+const DAYS_PER_MONTH = 365 / 12;
+
+/**
+ * Rate schedules shipped with the app
+ *
+ * From the Nov 22 - Dec 29, 2025 bill: PECO Electric Delivery $170.73 and
+ * PECO Electric Supply $182.52 for 1,652 kWh. That bill only gives the two
+ * totals, so the customer charge is folded into the distribution rate;
+ * itemise it from a bill that lists it.
+ */
+export const DEFAULT_RATE_SCHEDULES = [
+  {
+    id: 'peco-2025',
+    name: 'PECO residential, 2025',
+    start: '2025-01-01',
+    lineItems: [
+      {
+        id: 'distribution',
+        label: 'Distribution',
+        provider: 'PECO',
+        kind: 'per-kwh',
+        rate: 0.10335,
+        split: 'policy',
+      },
+      {
+        id: 'supply',
+        label: 'Generation & transmission',
+        provider: 'PECO',
+        kind: 'per-kwh',
+        rate: 0.11048,
+        split: 'policy',
+      },
+    ],
+  },
+];
+
+/**
+ * Create a rate schedule starting on a date, copying another schedule's line items
+ *
+ * @param {string} start - First date the schedule applies (YYYY-MM-DD)
+ * @param {Object|null} template - Schedule to copy line items from
+ * @returns {Object} New rate schedule
+ */
+export function createRateSchedule(start, template = null) {
+  return {
+    id: `tariff-${Date.now()}`,
+    name: 'New rate schedule',
+    start,
+    lineItems: template ? template.lineItems.map((item) => ({ ...item })) : [createLineItem()],
+  };
+}
+
+/**
+ * Create a per-kWh line item
+ *
+ * @returns {Object} New line item
+ */
+export function createLineItem() {
+  return {
+    id: `charge-${Date.now()}`,
+    label: 'New charge',
+    provider: 'PECO',
+    kind: 'per-kwh',
+    rate: 0,
+    split: 'policy',
+  };
+}
+
+/**
+ * Find the rate schedule in force on a date
+ *
+ * That is the schedule with the latest start on or before the date. Dates
+ * before every schedule use the earliest one.
+ *
+ * @param {Array} schedules - Rate schedules
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {Object} Rate schedule
+ *
+ * @example
+ * findRateSchedule(DEFAULT_RATE_SCHEDULES, '2025-12-20').name // 'PECO residential, 2025'
+ */
+export function findRateSchedule(schedules, date) {
+  const sorted = [...schedules].sort((a, b) => a.start.localeCompare(b.start));
+  return sorted.filter((schedule) => schedule.start <= date).pop() || sorted[0] || DEFAULT_RATE_SCHEDULES[0];
+}
+
+/**
+ * Whether a line item is a fixed (usage-independent) charge
+ *
+ * @param {Object} item - Line item
+ * @returns {boolean}
+ */
+export function isFixedCharge(item) {
+  return item.kind === 'monthly' || item.kind === 'daily';
+}
+
+/**
+ * Total percentage (taxes) applied on top of the other charges
+ *
+ * @param {Object} schedule - Rate schedule
+ * @returns {number} Fraction, e.g. 0.06 for 6%
+ */
+function getPercentRate(schedule) {
+  return schedule.lineItems
+    .filter((item) => item.kind === 'percent')
+    .reduce((sum, item) => sum + item.rate / 100, 0);
+}
+
+/**
+ * Cost of one more kWh under a schedule: the per-kWh charges plus the
+ * percentage charges on them
+ *
+ * Used to price expected and excess usage.
+ *
+ * @param {Object} schedule - Rate schedule
+ * @returns {number} $/kWh
+ *
+ * @example
+ * getEnergyRate(DEFAULT_RATE_SCHEDULES[0]) // 0.21383
+ */
+export function getEnergyRate(schedule) {
+  const perKwh = schedule.lineItems
+    .filter((item) => item.kind === 'per-kwh')
+    .reduce((sum, item) => sum + item.rate, 0);
+  return perKwh * (1 + getPercentRate(schedule));
+}
+
+/**
+ * Fixed charges for one day under a schedule (monthly charges prorated)
+ *
+ * @param {Object} schedule - Rate schedule
+ * @returns {number} $/day
+ */
+export function getDailyFixedCharge(schedule) {
+  const fixed = schedule.lineItems
+    .filter(isFixedCharge)
+    .reduce((sum, item) => sum + getLineItemAmount(item, 0), 0);
+  return fixed * (1 + getPercentRate(schedule));
+}
+
+/**
+ * Amount of a non-percentage line item for one day
+ *
+ * @param {Object} item - Line item
+ * @param {number} usageKwh - The day's usage
+ * @returns {number} Dollars
+ */
+function getLineItemAmount(item, usageKwh) {
+  if (item.kind === 'per-kwh') return usageKwh * item.rate;
+  if (item.kind === 'monthly') return item.rate / DAYS_PER_MONTH;
+  if (item.kind === 'daily') return item.rate;
+  return 0;
+}
+
+/**
+ * Total cost of a day's usage
+ *
+ * @param {Array} schedules - Rate schedules
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {number} usageKwh - The day's usage
+ * @returns {number} Dollars
+ *
+ * @example
+ * calculateDayCost(DEFAULT_RATE_SCHEDULES, '2026-01-05', 51) // 10.91
+ */
+export function calculateDayCost(schedules, date, usageKwh) {
+  const schedule = findRateSchedule(schedules, date);
+  return usageKwh * getEnergyRate(schedule) + getDailyFixedCharge(schedule);
+}
+
+/**
+ * Share a fixed charge by its split rule
+ *
+ * Charges split between those at home are weighted by how much of the day
+ * each was home, and fall back to everyone when nobody was.
+ *
+ * @param {Object} item - Line item
+ * @param {number} amount - The day's amount
+ * @param {Object} policy - The day's split policy (for 'policy' splits)
+ * @param {Object} context - { residents, presence, thermostatController }
+ * @returns {Object} Share map
+ */
+function splitFixedCharge(item, amount, policy, context) {
+  const residentIds = context.residents.map((resident) => resident.id);
+  if (item.split === 'policy') {
+    return applySplitPolicy(policy, { ...context, actualCost: amount, expectedCost: amount }).shares;
+  }
+  if (item.split === 'present') {
+    const presenceWeights = getPresenceWeights(context.residents, context.presence);
+    return Object.keys(presenceWeights).length > 0
+      ? splitByWeight(amount, presenceWeights)
+      : splitEvenly(amount, residentIds);
+  }
+  return splitEvenly(amount, residentIds);
+}
+
+/**
+ * A day's appliance loads owned by current residents, scaled down if they
+ * would add up to more than the day's usage
+ */
+function getOwnedLoads(appliances, residents, usage) {
+  const owned = appliances.filter((load) => residents.some((resident) => resident.id === load.ownerId));
+  const totalKwh = owned.reduce((sum, load) => sum + load.kwh, 0);
+  const scale = totalKwh > usage && totalKwh > 0 ? Math.max(usage, 0) / totalKwh : 1;
+  return owned.map((load) => ({ ...load, kwh: load.kwh * scale }));
+}
+
+/**
+ * Cost a day line item by line item and share each charge
+ *
+ * Per-kWh charges first charge each appliance's estimated use to its owner;
+ * the rest of the usage goes through the split policy with its part of the
+ * expected (baseline) usage, so expected cost is shared like the baseline and
+ * the excess goes to whoever the policy charges. As the policy is applied to
+ * each charge in proportion, the per-kWh total is split exactly as a single
+ * rate would be.
+ *
+ * @param {Object} schedule - Rate schedule in force on the day
+ * @param {Object} policy - Split policy
+ * @param {Object} day - Day being split
+ * @param {number} day.usage - Actual usage in kWh
+ * @param {number|null} day.expectedUsage - Baseline usage in kWh; null when no model applies
+ * @param {Array} day.residents - Array of { id, name } resident records
+ * @param {Object} day.presence - Occupancy record: { [residentId]: 0..1 } (fraction of the day home)
+ * @param {string|Object|null} day.thermostatController - Id of the resident controlling the thermostat,
+ *   or a share map of each resident's part of the day's heating (see thermostat.js)
+ * @param {Array} day.appliances - The day's appliance loads, from getApplianceLoads() (default: none)
+ * @returns {Object} {
+ *   cost,                 // total for the day, every charge included
+ *   energyCost,           // usage-dependent part (per-kWh charges and their taxes)
+ *   applianceCost,        // part of energyCost charged to appliance owners
+ *   fixedCost,            // fixed charges and their taxes
+ *   expectedCost,         // expected usage priced at the energy rate (null without a baseline)
+ *   excessCost,           // usage left after appliances minus expected, at the energy rate (null without a baseline)
+ *   shares,               // share map of the whole day
+ *   unallocated,          // part of cost in nobody's share (see the emptyHomeExcess policy option)
+ *   charges,              // [{ id, label, provider, kind, amount, shares }] one per line item
+ *   appliances,           // [{ id, name, ownerId, hours, kwh, logged, cost }] one audit line per appliance
+ *   weights,              // { baseline, excess } fractions the policy charged each resident (see applySplitPolicy)
+ * }
+ *
+ * @example
+ * splitDayCharges(schedule, policy, {
+ *   usage: 51, expectedUsage: 24.09, residents, presence: { causio: 1, guala: 1 }, thermostatController: 'guala',
+ * }).shares
+ * // { causio: 2.58, guala: 8.33 }
+ */
+export function splitDayCharges(
+  schedule,
+  policy,
+  { usage, expectedUsage, residents, presence, thermostatController = null, appliances = [] }
+) {
+  const context = { residents, presence, thermostatController };
+  const hasBaseline = expectedUsage !== null && expectedUsage !== undefined;
+  const applianceLoads = getOwnedLoads(appliances, residents, usage);
+  const sharedUsage = usage - applianceLoads.reduce((sum, load) => sum + load.kwh, 0);
+
+  const baseCharges = schedule.lineItems
+    .filter((item) => item.kind !== 'percent')
+    .map((item) => {
+      const amount = getLineItemAmount(item, usage);
+      const shares = isFixedCharge(item)
+        ? splitFixedCharge(item, amount, policy, context)
+        : addShares(
+          ...applianceLoads.map((load) => ({ [load.ownerId]: load.kwh * item.rate })),
+          applySplitPolicy(policy, {
+            ...context,
+            actualCost: sharedUsage * item.rate,
+            expectedCost: hasBaseline ? expectedUsage * item.rate : null,
+          }).shares
+        );
+      return { id: item.id, label: item.label, provider: item.provider, kind: item.kind, amount, shares };
+    });
+
+  // Percentage charges are shared like the charges they're levied on
+  const baseShares = addShares(createShares(residents), ...baseCharges.map((charge) => charge.shares));
+  const baseAmount = baseCharges.reduce((sum, charge) => sum + charge.amount, 0);
+  const percentCharges = schedule.lineItems
+    .filter((item) => item.kind === 'percent')
+    .map((item) => ({
+      id: item.id,
+      label: item.label,
+      provider: item.provider,
+      kind: item.kind,
+      amount: baseAmount * item.rate / 100,
+      shares: Object.fromEntries(Object.entries(baseShares).map(([id, share]) => [id, share * item.rate / 100])),
+    }));
+
+  const charges = [...baseCharges, ...percentCharges];
+  const energyRate = getEnergyRate(schedule);
+  const cost = charges.reduce((sum, charge) => sum + charge.amount, 0);
+  const shares = addShares(createShares(residents), ...charges.map((charge) => charge.shares));
+  const energyCost = usage * energyRate;
+  const { weights } = applySplitPolicy(policy, {
+    ...context,
+    actualCost: sharedUsage * energyRate,
+    expectedCost: hasBaseline ? expectedUsage * energyRate : null,
+  });
+
+  return {
+    cost,
+    energyCost,
+    applianceCost: (usage - sharedUsage) * energyRate,
+    fixedCost: cost - energyCost,
+    expectedCost: hasBaseline ? expectedUsage * energyRate : null,
+    excessCost: hasBaseline ? (sharedUsage - expectedUsage) * energyRate : null,
+    shares,
+    unallocated: cost - Object.values(shares).reduce((sum, share) => sum + share, 0),
+    charges,
+    appliances: applianceLoads.map((load) => ({ ...load, cost: load.kwh * energyRate })),
+    weights,
+  };
+}
+
+/**
+ * Add up days' charges line item by line item
+ *
+ * @param {Array<Array>} chargeLists - Each day's `charges` from splitDayCharges()
+ * @returns {Array} [{ id, label, provider, kind, amount, shares }] in first-seen order
+ */
+export function sumCharges(chargeLists) {
+  const totals = new Map();
+  chargeLists.flat().forEach((charge) => {
+    const total = totals.get(charge.id);
+    totals.set(charge.id, total
+      ? { ...total, amount: total.amount + charge.amount, shares: addShares(total.shares, charge.shares) }
+      : { ...charge, shares: { ...charge.shares } });
+  });
+  return [...totals.values()];
+}
+
+/**
+ * Describe a line item's rate for display
+ *
+ * @param {Object} item - Line item
+ * @returns {string}
+ *
+ * @example
+ * describeLineItem({ kind: 'monthly', rate: 10, split: 'even' })
+ * // '$10.00/month, split evenly between all residents'
+ */
+export function describeLineItem(item) {
+  if (item.kind === 'per-kwh') return `$${item.rate.toFixed(5)}/kWh`;
+  if (item.kind === 'percent') return `${item.rate}% of the other charges`;
+
+  const split = FIXED_CHARGE_SPLITS.find((option) => option.id === item.split) || FIXED_CHARGE_SPLITS[0];
+  const unit = item.kind === 'monthly' ? 'month' : 'day';
+  return `$${item.rate.toFixed(2)}/${unit}, ${split.label.charAt(0).toLowerCase()}${split.label.slice(1)}`;
+}
@@ -0,0 +1,193 @@
+/**
+ * Thermostat Log
+ *
+ * Every change made to the thermostat, with when it happened and who made it:
+ *   { id, at: 'YYYY-MM-DDTHH:mm', setpoint: °F, changedBy: residentId | null, note }
+ *
+ * A setpoint stays in force until the next change, so the log gives the
+ * setpoint at any moment of any day, including changes made part way through
+ * a day. Heating above the legal minimum is attributed to whoever set the
+ * temperature: each day's excess is weighted by the degree-hours above the
+ * legal minimum that each resident's setpoints were in force for. Days with
+ * hourly usage (see hourly.js) are weighted by the excess actually used in
+ * the hours each setpoint was in force instead.
+ *
+ * Before the first entry the setpoint is unknown, and so is a change made by
+ * nobody in particular (changedBy null); neither attributes any excess.
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+import { formatDate } from './dateHelpers';
+import { splitByWeight } from './shares';
+
+/**
+ * Legal minimum thermostat setting (°F)
+ */
+export const LEGAL_MINIMUM_SETPOINT = 60;
+
+/**
+ * Thermostat log shipped with the app
+ *
+ * Only the change the usage data documents: the thermostat went to the legal
+ * minimum on Jan 2, 2026. Earlier settings (such as the Dec 3 heating
+ * schedule) can be added under "Manage Data".
+ */
+export const DEFAULT_THERMOSTAT_LOG = [
+  {
+    id: 'thermostat-2026-01-02',
+    at: '2026-01-02T00:00',
+    setpoint: LEGAL_MINIMUM_SETPOINT,
+    changedBy: null,
+    note: 'Set to the legal minimum',
+  },
+];
+
+/**
+ * Create a thermostat change, now, at the legal minimum
+ *
+ * @param {Array} residents - Array of { id, name } resident records
+ * @returns {Object} New thermostat event
+ */
+export function createThermostatEvent(residents) {
+  return {
+    id: `thermostat-${Date.now()}`,
+    at: `${formatDate(new Date())}T08:00`,
+    setpoint: LEGAL_MINIMUM_SETPOINT,
+    changedBy: residents[0]?.id || null,
+    note: '',
+  };
+}
+
+/**
+ * Sort a thermostat log by when each change was made
+ *
+ * @param {Array} log - Thermostat log
+ * @returns {Array} New array, oldest change first
+ */
+export function sortThermostatLog(log) {
+  return [...log].sort((a, b) => a.at.localeCompare(b.at));
+}
+
+/**
+ * Split a day into the stretches each setting was in force for
+ *
+ * @param {Array} log - Thermostat log
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {Array} [{ from, to, event }] in hours of the day (0-24); event is
+ *   null while the setting is unknown
+ *
+ * @example
+ * getThermostatDay([
+ *   { at: '2025-12-03T00:00', setpoint: 66, changedBy: 'causio' },
+ *   { at: '2025-12-04T18:30', setpoint: 70, changedBy: 'guala' },
+ * ], '2025-12-04')
+ * // [{ from: 0, to: 18.5, event: <causio's 66°F> }, { from: 18.5, to: 24, event: <guala's 70°F> }]
+ */
+export function getThermostatDay(log, date) {
+  const dayStart = `${date}T00:00`;
+  const sorted = sortThermostatLog(log);
+  const segments = [];
+
+  let current = sorted.filter((event) => event.at <= dayStart).pop() || null;
+  let from = 0;
+  sorted
+    .filter((event) => event.at > dayStart && event.at.startsWith(date))
+    .forEach((event) => {
+      const hour = getEventHour(event);
+      if (hour > from) {
+        segments.push({ from, to: hour, event: current });
+      }
+      current = event;
+      from = hour;
+    });
+  segments.push({ from, to: 24, event: current });
+
+  return segments;
+}
+
+/**
+ * Who controlled the heating above the legal minimum on a day
+ *
+ * Each resident is weighted by the degree-hours above the legal minimum their
+ * setpoints were in force for, so someone who turned the heat up to 70°F for
+ * the evening is charged for the evening's extra heating only. With the day's
+ * hourly excess, each resident is weighted by the kWh above the baseline used
+ * while their setpoints were in force, so a setting that made no difference
+ * to usage isn't charged for; a day whose excess all fell in hours nobody
+ * controlled falls back to degree-hours.
+ *
+ * @param {Array} log - Thermostat log
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {Array<number>|null} hourlyExcess - The day's excess kWh hour by hour (see getHourlyExcess())
+ * @returns {Object|null} Share map of fractions adding up to 1, or null when
+ *   nobody set the thermostat above the legal minimum that day
+ *
+ * @example
+ * getThermostatControllers([
+ *   { at: '2025-12-03T00:00', setpoint: 64, changedBy: 'causio' },
+ *   { at: '2025-12-04T18:00', setpoint: 68, changedBy: 'guala' },
+ * ], '2025-12-04')
+ * // 18h × 4°F = 72 for Causio, 6h × 8°F = 48 for Guala → { causio: 0.6, guala: 0.4 }
+ */
+export function getThermostatControllers(log, date, hourlyExcess = null) {
+  const degreeHours = {};
+  const excessKwh = {};
+  getThermostatDay(log, date).forEach(({ from, to, event }) => {
+    if (!event || event.changedBy === null) return;
+    const aboveMinimum = event.setpoint - LEGAL_MINIMUM_SETPOINT;
+    if (aboveMinimum <= 0) return;
+    degreeHours[event.changedBy] = (degreeHours[event.changedBy] || 0) + aboveMinimum * (to - from);
+    if (hourlyExcess) {
+      excessKwh[event.changedBy] = (excessKwh[event.changedBy] || 0) + getExcessBetween(hourlyExcess, from, to);
+    }
+  });
+
+  if (Object.values(excessKwh).some((kwh) => kwh > 0)) {
+    return splitByWeight(1, excessKwh);
+  }
+  return Object.keys(degreeHours).length > 0 ? splitByWeight(1, degreeHours) : null;
+}
+
+/**
+ * Whether the thermostat was at (or below) the legal minimum all day
+ *
+ * @param {Array} log - Thermostat log
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {boolean} False when the setting was unknown for any part of the day
+ */
+export function isAtLegalMinimum(log, date) {
+  return getThermostatDay(log, date)
+    .every(({ event }) => event !== null && event.setpoint <= LEGAL_MINIMUM_SETPOINT);
+}
+
+/**
+ * Describe a thermostat change for display
+ *
+ * @param {Object} event - Thermostat event
+ * @param {Array} residents - Array of { id, name } resident records
+ * @returns {string}
+ *
+ * @example
+ * describeThermostatEvent({ setpoint: 60, changedBy: null, note: 'Set to the legal minimum' }, residents)
+ * // 'Set to 60°F (legal minimum): Set to the legal minimum'
+ */
+export function describeThermostatEvent(event, residents) {
+  const changedBy = residents.find((resident) => resident.id === event.changedBy)?.name || event.changedBy;
+  const atMinimum = event.setpoint <= LEGAL_MINIMUM_SETPOINT ? ' (legal minimum)' : '';
+  return `Set to ${event.setpoint}°F${atMinimum}${changedBy ? ` by ${changedBy}` : ''}${event.note ? `: ${event.note}` : ''}`;
+}
+
+// Excess kWh between two times of day, counting part hours pro rata
+function getExcessBetween(hourlyExcess, from, to) {
+  let kwh = 0;
+  for (let hour = Math.floor(from); hour < to; hour++) {
+    kwh += hourlyExcess[hour] * (Math.min(to, hour + 1) - Math.max(from, hour));
+  }
+  return kwh;
+}
+
+function getEventHour(event) {
+  const [hours, minutes] = event.at.slice(11, 16).split(':').map(Number);
+  return (hours || 0) + (minutes || 0) / 60;
+}
@@ -0,0 +1,370 @@
+/**
+ * Weather Utilities
+ *
+ * Outdoor temperatures imported separately from usage and stored by date:
+ *   { [date]: { temp_mean_f, temp_min_f, temp_max_f, hours, source } }
+ *
+ * `hours` is the number of hourly observations a day was computed from
+ * (null for daily sources). Usage records are joined to the weather by date
+ * (joinWeather), so a PECO export no longer needs temperatures merged into
+ * it by hand. Supported files:
+ *   - NOAA GHCN-Daily from Climate Data Online (CSV with DATE, TMAX, TMIN, TAVG)
+ *   - NOAA GHCN-Daily by-station files (ID, YYYYMMDD, ELEMENT, VALUE in tenths of °C)
+ *   - Meteostat daily (date, tavg, tmin, tmax in °C)
+ *   - Meteostat hourly (time or date + hour in UTC, temp in °C)
+ *
+ * These functions are PURE and don't depend on React.
+ */
+
+import Papa from 'papaparse';
+import { formatDate, parseDate } from './dateHelpers';
+
+/**
+ * Base temperature for heating and cooling degree-days (°F)
+ */
+export const DEGREE_DAY_BASE_F = 65;
+
+/**
+ * Weather file formats parseWeatherCSV() recognises
+ */
+export const WEATHER_FORMATS = {
+  'ghcn-daily': 'NOAA GHCN-Daily (Climate Data Online)',
+  'ghcn-by-station': 'NOAA GHCN-Daily (by-station file)',
+  'meteostat-daily': 'Meteostat daily',
+  'meteostat-hourly': 'Meteostat hourly',
+};
+
+// Hourly days with fewer observations than this are flagged
+const MIN_HOURS_PER_DAY = 20;
+
+// Columns in a Meteostat hourly bulk file (daily bulk files have 11)
+const METEOSTAT_HOURLY_COLUMNS = 13;
+
+// GHCN-Daily station ids: country code, network code, station number
+const GHCN_STATION_PATTERN = /^[A-Z]{2}[A-Z0-9]{9}$/;
+
+/**
+ * Heating and cooling degree-days for a day's mean temperature
+ *
+ * @param {number} tempMeanF - Mean temperature in °F
+ * @param {number} base - Base temperature in °F (default: 65)
+ * @returns {Object} { hdd, cdd }
+ *
+ * @example
+ * getDegreeDays(40) // { hdd: 25, cdd: 0 }
+ */
+export function getDegreeDays(tempMeanF, base = DEGREE_DAY_BASE_F) {
+  return {
+    hdd: Math.max(0, base - tempMeanF),
+    cdd: Math.max(0, tempMeanF - base),
+  };
+}
+
+/**
+ * Parse a weather CSV into daily temperatures
+ *
+ * The format is worked out from the file's header (or, for headerless
+ * bulk files, its first row). Hourly observations are rolled up into each
+ * day's mean, min and max; a daily file without an average temperature uses
+ * the midpoint of the day's min and max. Meteostat hourly times are UTC, so
+ * each observation goes to its date in the browser's time zone (the
+ * meter's, as for Green Button files) before days are rolled up.
+ *
+ * @param {string} csvText - Raw CSV text content
+ * @param {Object} options - { noaaUnits: 'F' | 'C' } units of a Climate Data
+ *   Online export ("standard" or "metric"; default 'F')
+ * @returns {Object} { success: boolean, data: { [date]: day }, errors: Array, warnings: Array, stats: Object }
+ *
+ * @example
+ * const result = parseWeatherCSV(csvContent);
+ * if (result.success) {
+ *   console.log(`${result.stats.days} days of ${WEATHER_FORMATS[result.stats.format]}`);
+ * }
+ */
+export function parseWeatherCSV(csvText, { noaaUnits = 'F' } = {}) {
+  const warnings = [];
+
+  try {
+    const rows = Papa.parse(csvText.trim(), { skipEmptyLines: true }).data
+      .map((row) => row.map((cell) => String(cell).trim()));
+    if (rows.length === 0) {
+      return failure('The file is empty');
+    }
+
+    const detected = detectFormat(rows, noaaUnits);
+    if (!detected) {
+      return failure(
+        'Unrecognised weather file. Expected NOAA GHCN-Daily (DATE, TMAX, TMIN, TAVG) or Meteostat (date, tavg, tmin, tmax or time, temp)'
+      );
+    }
+
+    // Observations by date, in °F
+    const observations = new Map();
+    const observe = (dateText, values) => {
+      const dateObj = parseDate(dateText);
+      if (!dateObj) return false;
+      const date = formatDate(dateObj);
+      const day = observations.get(date) || { mean: null, min: null, max: null, hourly: [] };
+      observations.set(date, { ...day, ...values, hourly: [...day.hourly, ...(values.hourly || [])] });
+      return true;
+    };
+
+    let invalid = 0;
+    detected.rows.forEach((row) => {
+      if (!detected.read(row, observe)) invalid += 1;
+    });
+    if (invalid > 0) {
+      warnings.push(`${invalid} rows without a valid date skipped`);
+    }
+
+    // Roll each day's observations up into mean/min/max
+    const data = {};
+    const noTemperature = [];
+    const partialDays = [];
+    const unusual = [];
+    [...observations.entries()].sort(([a], [b]) => a.localeCompare(b)).forEach(([date, day]) => {
+      const hourly = day.hourly.filter(isFiniteNumber);
+      const min = hourly.length > 0 ? Math.min(...hourly) : day.min;
+      const max = hourly.length > 0 ? Math.max(...hourly) : day.max;
+      let mean = hourly.length > 0 ? hourly.reduce((sum, temp) => sum + temp, 0) / hourly.length : day.mean;
+      if (!isFiniteNumber(mean) && isFiniteNumber(min) && isFiniteNumber(max)) {
+        mean = (min + max) / 2;
+      }
+
+      if (!isFiniteNumber(mean)) {
+        noTemperature.push(date);
+        return;
+      }
+      if (detected.hourly && hourly.length < MIN_HOURS_PER_DAY) {
+        partialDays.push(date);
+      }
+      if (mean < -50 || mean > 150) {
+        unusual.push(date);
+      }
+
+      data[date] = {
+        temp_mean_f: round(mean),
+        temp_min_f: round(isFiniteNumber(min) ? min : mean),
+        temp_max_f: round(isFiniteNumber(max) ? max : mean),
+        hours: detected.hourly ? hourly.length : null,
+        source: detected.format,
+      };
+    });
+
+    if (noTemperature.length > 0) {
+      warnings.push(`${noTemperature.length} days had no temperature and were skipped: ${listDates(noTemperature)}`);
+    }
+    if (partialDays.length > 0) {
+      warnings.push(`Days with fewer than ${MIN_HOURS_PER_DAY} hourly observations: ${listDates(partialDays)}`);
+    }
+    if (unusual.length > 0) {
+      warnings.push(`Unusual temperatures (below -50°F or above 150°F) - please verify the units: ${listDates(unusual)}`);
+    }
+
+    const dates = Object.keys(data);
+    return {
+      success: dates.length > 0,
+      data,
+      errors: dates.length > 0 ? [] : ['No days with a temperature found'],
+      warnings,
+      stats: {
+        format: detected.format,
+        days: dates.length,
+        dateRange: dates.length > 0 ? { start: dates[0], end: dates[dates.length - 1] } : null,
+      },
+    };
+  } catch (err) {
+    return failure(`Failed to parse weather file: ${err.message}`);
+  }
+}
+
+/**
+ * Join usage records to the weather by date
+ *
+ * A day's imported weather takes precedence over temperatures in the usage
+ * file; days with neither are returned separately in `missing` so they can
+ * be flagged rather than run through the models with no temperature. Every
+ * joined record gets its heating and cooling degree-days (hdd_f, cdd_f) and
+ * says where its temperature came from (temp_source: 'weather' | 'usage').
+ *
+ * @param {Array} usageData - Daily usage records
+ * @param {Object} weather - Weather by date (see parseWeatherCSV)
+ * @returns {Object} { data: records with a temperature, missing: records without one }
+ *
+ * @example
+ * const { data, missing } = joinWeather(usageData, weather);
+ * missing.map((record) => record.date) // ['2026-01-10', ...]
+ */
+export function joinWeather(usageData, weather) {
+  const data = [];
+  const missing = [];
+
+  usageData.forEach((record) => {
+    const day = weather[record.date];
+    const temps = day
+      ? { temp_mean_f: day.temp_mean_f, temp_min_f: day.temp_min_f, temp_max_f: day.temp_max_f, temp_source: 'weather' }
+      : isFiniteNumber(record.temp_mean_f)
+        ? {
+          temp_mean_f: record.temp_mean_f,
+          temp_min_f: isFiniteNumber(record.temp_min_f) ? record.temp_min_f : record.temp_mean_f,
+          temp_max_f: isFiniteNumber(record.temp_max_f) ? record.temp_max_f : record.temp_mean_f,
+          temp_source: 'usage',
+        }
+        : null;
+
+    if (!temps) {
+      missing.push({ ...record, temp_mean_f: null, temp_min_f: null, temp_max_f: null, temp_missing: true });
+      return;
+    }
+
+    const { hdd, cdd } = getDegreeDays(temps.temp_mean_f);
+    data.push({ ...record, ...temps, hdd_f: round(hdd), cdd_f: round(cdd) });
+  });
+
+  return { data, missing };
+}
+
+/**
+ * Work out a weather file's format and how to read its rows
+ *
+ * Each reader calls observe(dateText, { mean, min, max, hourly }) with
+ * temperatures in °F and returns whether the row had a valid date.
+ */
+function detectFormat(rows, noaaUnits) {
+  const header = rows[0];
+  const columns = header.map((name) => name.toLowerCase());
+  const column = (name) => columns.indexOf(name);
+  const toF = noaaUnits === 'C' ? celsiusToF : (value) => value;
+
+  // Climate Data Online export: upper-case GHCN element names
+  if (header.includes('DATE') && ['TMAX', 'TMIN', 'TAVG'].some((name) => header.includes(name))) {
+    const [date, tavg, tmin, tmax] = ['DATE', 'TAVG', 'TMIN', 'TMAX'].map((name) => header.indexOf(name));
+    return {
+      format: 'ghcn-daily',
+      hourly: false,
+      rows: rows.slice(1),
+      read: (row, observe) => observe(row[date], {
+        mean: readNumber(row[tavg], toF),
+        min: readNumber(row[tmin], toF),
+        max: readNumber(row[tmax], toF),
+      }),
+    };
+  }
+
+  // GHCN-Daily by-station file: one element per row, tenths of °C
+  if (GHCN_STATION_PATTERN.test(header[0]) && /^\d{8}$/.test(header[1] || '')) {
+    const elementFields = { TAVG: 'mean', TMIN: 'min', TMAX: 'max' };
+    return {
+      format: 'ghcn-by-station',
+      hourly: false,
+      rows,
+      read: ([, yyyymmdd, element, value], observe) => {
+        const dateText = `${yyyymmdd.slice(0, 4)}-${yyyymmdd.slice(4, 6)}-${yyyymmdd.slice(6, 8)}`;
+        if (!elementFields[element]) return Boolean(parseDate(dateText));
+        return observe(dateText, { [elementFields[element]]: readNumber(value, (tenths) => celsiusToF(tenths / 10)) });
+      },
+    };
+  }
+
+  // Meteostat with a header
+  if (column('tavg') !== -1 || column('tmin') !== -1 || column('tmax') !== -1) {
+    const date = column('date') !== -1 ? column('date') : column('time');
+    const [tavg, tmin, tmax] = ['tavg', 'tmin', 'tmax'].map(column);
+    return {
+      format: 'meteostat-daily',
+      hourly: false,
+      rows: rows.slice(1),
+      read: (row, observe) => observe(row[date], {
+        mean: readNumber(row[tavg], celsiusToF),
+        min: readNumber(row[tmin], celsiusToF),
+        max: readNumber(row[tmax], celsiusToF),
+      }),
+    };
+  }
+  if (column('temp') !== -1 && (column('time') !== -1 || column('date') !== -1)) {
+    const time = column('time') !== -1 ? column('time') : column('date');
+    const [hour, temp] = ['hour', 'temp'].map(column);
+    return {
+      format: 'meteostat-hourly',
+      hourly: true,
+      rows: rows.slice(1),
+      read: (row, observe) => observe(
+        getLocalDate(row[time].slice(0, 10), hour !== -1 ? row[hour] : row[time].slice(11, 13)),
+        { hourly: [readNumber(row[temp], celsiusToF)] }
+      ),
+    };
+  }
+
+  // Headerless Meteostat bulk files: date, hour, temp, ... (13 columns, hourly)
+  // or date, tavg, tmin, tmax, ... (11 columns, daily)
+  if (/^\d{4}-\d{2}-\d{2}$/.test(header[0])) {
+    const isHourly = header.length >= METEOSTAT_HOURLY_COLUMNS;
+    return isHourly
+      ? {
+        format: 'meteostat-hourly',
+        hourly: true,
+        rows,
+        read: (row, observe) => observe(getLocalDate(row[0], row[1]), { hourly: [readNumber(row[2], celsiusToF)] }),
+      }
+      : {
+        format: 'meteostat-daily',
+        hourly: false,
+        rows,
+        read: (row, observe) => observe(row[0], {
+          mean: readNumber(row[1], celsiusToF),
+          min: readNumber(row[2], celsiusToF),
+          max: readNumber(row[3], celsiusToF),
+        }),
+      };
+  }
+
+  return null;
+}
+
+/**
+ * Local date of an hour given as a UTC date and hour of day
+ *
+ * Rows without a valid hour keep their date as it is.
+ *
+ * @param {string} dateText - UTC date (YYYY-MM-DD)
+ * @param {string} hourText - UTC hour of the day (0-23)
+ * @returns {string} Date in the browser's time zone (YYYY-MM-DD), or dateText
+ */
+function getLocalDate(dateText, hourText) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateText);
+  const hour = parseInt(hourText, 10);
+  if (!match || !Number.isInteger(hour) || hour < 0 || hour > 23) return dateText;
+  const [, year, month, day] = match.map(Number);
+  return formatDate(new Date(Date.UTC(year, month - 1, day, hour)));
+}
+
+function readNumber(text, convert) {
+  if (text === undefined || text === '') return null;
+  const value = parseFloat(text);
+  return isNaN(value) ? null : convert(value);
+}
+
+function celsiusToF(celsius) {
+  return celsius * 9 / 5 + 32;
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function listDates(dates) {
+  return `${dates.slice(0, 5).join(', ')}${dates.length > 5 ? '...' : ''}`;
+}
+
+function failure(message) {
+  return {
+    success: false,
+    data: {},
+    errors: [message],
+    warnings: [],
+  };
+}